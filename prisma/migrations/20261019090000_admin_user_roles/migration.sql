@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "public"."AdminUser" ADD COLUMN     "role" TEXT NOT NULL DEFAULT 'viewer';
+
+-- Existing accounts were all-powerful inside their tenant; keep them that way
+UPDATE "public"."AdminUser" SET "role" = 'owner';
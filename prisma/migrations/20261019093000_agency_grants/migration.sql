@@ -0,0 +1,22 @@
+-- CreateTable
+CREATE TABLE "public"."AgencyGrant" (
+    "id" TEXT NOT NULL,
+    "adminUserId" TEXT NOT NULL,
+    "tenantId" TEXT NOT NULL,
+    "role" TEXT NOT NULL DEFAULT 'admin',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "AgencyGrant_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "AgencyGrant_tenantId_idx" ON "public"."AgencyGrant"("tenantId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "AgencyGrant_adminUserId_tenantId_key" ON "public"."AgencyGrant"("adminUserId", "tenantId");
+
+-- AddForeignKey
+ALTER TABLE "public"."AgencyGrant" ADD CONSTRAINT "AgencyGrant_adminUserId_fkey" FOREIGN KEY ("adminUserId") REFERENCES "public"."AdminUser"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."AgencyGrant" ADD CONSTRAINT "AgencyGrant_tenantId_fkey" FOREIGN KEY ("tenantId") REFERENCES "public"."Tenant"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,31 @@
+-- CreateTable
+CREATE TABLE "public"."IntakeKey" (
+    "id" TEXT NOT NULL,
+    "tenantId" TEXT NOT NULL,
+    "label" TEXT NOT NULL DEFAULT '',
+    "prefix" TEXT NOT NULL,
+    "keyHash" TEXT NOT NULL,
+    "requireSignature" BOOLEAN NOT NULL DEFAULT false,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lastUsedAt" TIMESTAMP(3),
+    "revokedAt" TIMESTAMP(3),
+
+    CONSTRAINT "IntakeKey_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "IntakeKey_keyHash_key" ON "public"."IntakeKey"("keyHash");
+
+-- CreateIndex
+CREATE INDEX "IntakeKey_tenantId_idx" ON "public"."IntakeKey"("tenantId");
+
+-- AddForeignKey
+ALTER TABLE "public"."IntakeKey" ADD CONSTRAINT "IntakeKey_tenantId_fkey" FOREIGN KEY ("tenantId") REFERENCES "public"."Tenant"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Carry existing Tenant.apiKey values over as hashed intake keys, then drop the plaintext
+INSERT INTO "public"."IntakeKey" ("id", "tenantId", "label", "prefix", "keyHash")
+SELECT 'legacy_' || "id", "id", 'Migrated from Tenant.apiKey', left("apiKey", 4), encode(sha256(convert_to("apiKey", 'UTF8')), 'hex')
+FROM "public"."Tenant"
+WHERE "apiKey" IS NOT NULL AND "apiKey" <> '';
+
+UPDATE "public"."Tenant" SET "apiKey" = NULL;
@@ -0,0 +1,15 @@
+-- CreateTable
+CREATE TABLE "public"."IntakeReceipt" (
+    "tenantId" TEXT NOT NULL,
+    "key" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "IntakeReceipt_pkey" PRIMARY KEY ("tenantId","key")
+);
+
+-- CreateIndex
+CREATE INDEX "IntakeReceipt_createdAt_idx" ON "public"."IntakeReceipt"("createdAt");
+
+-- AddForeignKey
+ALTER TABLE "public"."IntakeReceipt" ADD CONSTRAINT "IntakeReceipt_tenantId_fkey" FOREIGN KEY ("tenantId") REFERENCES "public"."Tenant"("id") ON DELETE CASCADE ON UPDATE CASCADE;
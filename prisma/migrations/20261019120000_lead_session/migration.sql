@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "public"."Lead" ADD COLUMN     "sessionId" TEXT;
+
+-- CreateIndex
+CREATE INDEX "Lead_tenantId_sessionId_idx" ON "public"."Lead"("tenantId", "sessionId");
@@ -0,0 +1,15 @@
+-- AlterTable
+ALTER TABLE "public"."Conversation" ADD COLUMN     "lastMessageAt" TIMESTAMP(3);
+
+-- Backfill from existing messages
+UPDATE "public"."Conversation" c
+SET "lastMessageAt" = m."lastAt"
+FROM (
+  SELECT "conversationId", MAX("createdAt") AS "lastAt"
+  FROM "public"."Message"
+  GROUP BY "conversationId"
+) m
+WHERE m."conversationId" = c."id";
+
+-- CreateIndex
+CREATE INDEX "Conversation_endedAt_lastMessageAt_idx" ON "public"."Conversation"("endedAt", "lastMessageAt");
@@ -0,0 +1,11 @@
+-- Full-text search expression indexes (not expressible in schema.prisma).
+-- Keep these expressions identical to the ones in utils/search.js.
+
+-- CreateIndex
+CREATE INDEX "Message_content_fts_idx" ON "public"."Message" USING GIN (to_tsvector('english', "content"));
+
+-- CreateIndex
+CREATE INDEX "Event_content_fts_idx" ON "public"."Event" USING GIN (to_tsvector('english', "content"));
+
+-- CreateIndex
+CREATE INDEX "Lead_contact_fts_idx" ON "public"."Lead" USING GIN (to_tsvector('simple', "name" || ' ' || "email" || ' ' || "phone" || ' ' || "snippet"));
@@ -0,0 +1,53 @@
+-- AlterTable
+ALTER TABLE "public"."Lead" ADD COLUMN     "status" TEXT NOT NULL DEFAULT 'new',
+ADD COLUMN     "ownerId" TEXT,
+ADD COLUMN     "emailNorm" TEXT,
+ADD COLUMN     "phoneNorm" TEXT,
+ADD COLUMN     "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP;
+
+-- Backfill: dedupe keys (same rules as utils/leads.js) and updatedAt
+UPDATE "public"."Lead" SET
+  "emailNorm" = CASE WHEN position('@' IN btrim("email")) > 1 THEN lower(btrim("email")) END,
+  "phoneNorm" = CASE WHEN length(regexp_replace("phone", '\D', '', 'g')) >= 7 THEN regexp_replace("phone", '\D', '', 'g') END,
+  "updatedAt" = "createdAt";
+
+-- CreateTable
+CREATE TABLE "public"."LeadActivity" (
+    "id" TEXT NOT NULL,
+    "tenantId" TEXT NOT NULL,
+    "leadId" TEXT NOT NULL,
+    "actorId" TEXT,
+    "type" TEXT NOT NULL,
+    "content" TEXT NOT NULL DEFAULT '',
+    "data" JSONB,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "LeadActivity_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Lead_tenantId_status_idx" ON "public"."Lead"("tenantId", "status");
+
+-- CreateIndex
+CREATE INDEX "Lead_tenantId_emailNorm_idx" ON "public"."Lead"("tenantId", "emailNorm");
+
+-- CreateIndex
+CREATE INDEX "Lead_tenantId_phoneNorm_idx" ON "public"."Lead"("tenantId", "phoneNorm");
+
+-- CreateIndex
+CREATE INDEX "LeadActivity_leadId_createdAt_idx" ON "public"."LeadActivity"("leadId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "LeadActivity_tenantId_idx" ON "public"."LeadActivity"("tenantId");
+
+-- AddForeignKey
+ALTER TABLE "public"."Lead" ADD CONSTRAINT "Lead_ownerId_fkey" FOREIGN KEY ("ownerId") REFERENCES "public"."AdminUser"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."LeadActivity" ADD CONSTRAINT "LeadActivity_tenantId_fkey" FOREIGN KEY ("tenantId") REFERENCES "public"."Tenant"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."LeadActivity" ADD CONSTRAINT "LeadActivity_leadId_fkey" FOREIGN KEY ("leadId") REFERENCES "public"."Lead"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."LeadActivity" ADD CONSTRAINT "LeadActivity_actorId_fkey" FOREIGN KEY ("actorId") REFERENCES "public"."AdminUser"("id") ON DELETE SET NULL ON UPDATE CASCADE;
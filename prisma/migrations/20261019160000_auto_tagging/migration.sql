@@ -0,0 +1,27 @@
+-- AlterTable
+ALTER TABLE "public"."Lead" ADD COLUMN     "autoTags" TEXT[] DEFAULT ARRAY[]::TEXT[];
+
+-- AlterTable
+ALTER TABLE "public"."Message" ADD COLUMN     "tags" TEXT[] DEFAULT ARRAY[]::TEXT[];
+
+-- CreateTable
+CREATE TABLE "public"."TagBackfill" (
+    "tenantId" TEXT NOT NULL,
+    "requestedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "startedAt" TIMESTAMP(3),
+    "finishedAt" TIMESTAMP(3),
+    "phase" TEXT NOT NULL DEFAULT 'leads',
+    "cursor" TEXT,
+    "leadsTagged" INTEGER NOT NULL DEFAULT 0,
+    "messagesTagged" INTEGER NOT NULL DEFAULT 0,
+    "error" TEXT,
+
+    CONSTRAINT "TagBackfill_pkey" PRIMARY KEY ("tenantId")
+);
+
+-- AddForeignKey
+ALTER TABLE "public"."TagBackfill" ADD CONSTRAINT "TagBackfill_tenantId_fkey" FOREIGN KEY ("tenantId") REFERENCES "public"."Tenant"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Tag existing history against any dictionaries already configured
+INSERT INTO "public"."TagBackfill" ("tenantId")
+SELECT DISTINCT "tenantId" FROM "public"."TagDictionary";
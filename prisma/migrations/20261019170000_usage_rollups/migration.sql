@@ -0,0 +1,70 @@
+-- CreateTable
+CREATE TABLE "public"."UsageDaily" (
+    "tenantId" TEXT NOT NULL,
+    "day" DATE NOT NULL,
+    "model" TEXT NOT NULL,
+    "requests" INTEGER NOT NULL DEFAULT 0,
+    "promptTokens" BIGINT NOT NULL DEFAULT 0,
+    "completionTokens" BIGINT NOT NULL DEFAULT 0,
+    "cachedTokens" BIGINT NOT NULL DEFAULT 0,
+    "cost" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "promptUSD" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "completionUSD" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "cachedUSD" DOUBLE PRECISION NOT NULL DEFAULT 0,
+
+    CONSTRAINT "UsageDaily_pkey" PRIMARY KEY ("tenantId","day","model")
+);
+
+-- CreateTable
+CREATE TABLE "public"."UsageHourly" (
+    "tenantId" TEXT NOT NULL,
+    "hour" TIMESTAMP(3) NOT NULL,
+    "model" TEXT NOT NULL,
+    "requests" INTEGER NOT NULL DEFAULT 0,
+    "promptTokens" BIGINT NOT NULL DEFAULT 0,
+    "completionTokens" BIGINT NOT NULL DEFAULT 0,
+    "cachedTokens" BIGINT NOT NULL DEFAULT 0,
+    "cost" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "promptUSD" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "completionUSD" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "cachedUSD" DOUBLE PRECISION NOT NULL DEFAULT 0,
+
+    CONSTRAINT "UsageHourly_pkey" PRIMARY KEY ("tenantId","hour","model")
+);
+
+-- AddForeignKey
+ALTER TABLE "public"."UsageDaily" ADD CONSTRAINT "UsageDaily_tenantId_fkey" FOREIGN KEY ("tenantId") REFERENCES "public"."Tenant"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."UsageHourly" ADD CONSTRAINT "UsageHourly_tenantId_fkey" FOREIGN KEY ("tenantId") REFERENCES "public"."Tenant"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Backfill from existing usage (cost split: stored breakdown, else by token share)
+INSERT INTO "public"."UsageDaily" ("tenantId", "day", "model", "requests", "promptTokens", "completionTokens", "cachedTokens", "cost", "promptUSD", "completionUSD", "cachedUSD")
+SELECT u."tenantId", date_trunc('day', u."createdAt")::date, u."model",
+       COUNT(*)::int, SUM(u."promptTokens"), SUM(u."completionTokens"), SUM(u."cachedTokens"), SUM(u."cost"),
+       SUM(s."promptUSD"), SUM(s."completionUSD"), SUM(s."cachedUSD")
+FROM "public"."Usage" u
+CROSS JOIN LATERAL (
+  SELECT COALESCE(("breakdown"->>'promptUSD')::float, ("breakdown"->>'prompt_usd')::float, ("breakdown"->>'prompt')::float,
+                  "cost" * "promptTokens" / NULLIF("promptTokens" + "completionTokens" + "cachedTokens", 0), 0) AS "promptUSD",
+         COALESCE(("breakdown"->>'completionUSD')::float, ("breakdown"->>'completion_usd')::float, ("breakdown"->>'completion')::float,
+                  "cost" * "completionTokens" / NULLIF("promptTokens" + "completionTokens" + "cachedTokens", 0), 0) AS "completionUSD",
+         COALESCE(("breakdown"->>'cachedUSD')::float, ("breakdown"->>'cached_usd')::float, ("breakdown"->>'cached')::float,
+                  "cost" * "cachedTokens" / NULLIF("promptTokens" + "completionTokens" + "cachedTokens", 0), 0) AS "cachedUSD"
+) s
+GROUP BY 1, 2, 3;
+
+INSERT INTO "public"."UsageHourly" ("tenantId", "hour", "model", "requests", "promptTokens", "completionTokens", "cachedTokens", "cost", "promptUSD", "completionUSD", "cachedUSD")
+SELECT u."tenantId", date_trunc('hour', u."createdAt"), u."model",
+       COUNT(*)::int, SUM(u."promptTokens"), SUM(u."completionTokens"), SUM(u."cachedTokens"), SUM(u."cost"),
+       SUM(s."promptUSD"), SUM(s."completionUSD"), SUM(s."cachedUSD")
+FROM "public"."Usage" u
+CROSS JOIN LATERAL (
+  SELECT COALESCE(("breakdown"->>'promptUSD')::float, ("breakdown"->>'prompt_usd')::float, ("breakdown"->>'prompt')::float,
+                  "cost" * "promptTokens" / NULLIF("promptTokens" + "completionTokens" + "cachedTokens", 0), 0) AS "promptUSD",
+         COALESCE(("breakdown"->>'completionUSD')::float, ("breakdown"->>'completion_usd')::float, ("breakdown"->>'completion')::float,
+                  "cost" * "completionTokens" / NULLIF("promptTokens" + "completionTokens" + "cachedTokens", 0), 0) AS "completionUSD",
+         COALESCE(("breakdown"->>'cachedUSD')::float, ("breakdown"->>'cached_usd')::float, ("breakdown"->>'cached')::float,
+                  "cost" * "cachedTokens" / NULLIF("promptTokens" + "completionTokens" + "cachedTokens", 0), 0) AS "cachedUSD"
+) s
+GROUP BY 1, 2, 3;
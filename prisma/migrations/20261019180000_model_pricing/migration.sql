@@ -0,0 +1,44 @@
+-- AlterTable
+ALTER TABLE "public"."Usage" ADD COLUMN     "priceId" TEXT,
+ADD COLUMN     "reportedCost" DOUBLE PRECISION;
+
+-- Everything stored so far is what the bots reported
+UPDATE "public"."Usage" SET "reportedCost" = "cost";
+
+-- CreateTable
+CREATE TABLE "public"."ModelPrice" (
+    "id" TEXT NOT NULL,
+    "tenantId" TEXT NOT NULL,
+    "model" TEXT NOT NULL,
+    "promptPer1K" DOUBLE PRECISION NOT NULL,
+    "completionPer1K" DOUBLE PRECISION NOT NULL,
+    "cachedPer1K" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "effectiveFrom" TIMESTAMP(3) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ModelPrice_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."UsageReprice" (
+    "tenantId" TEXT NOT NULL,
+    "requestedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "since" TIMESTAMP(3) NOT NULL,
+    "startedAt" TIMESTAMP(3),
+    "finishedAt" TIMESTAMP(3),
+    "cursor" TEXT,
+    "repriced" INTEGER NOT NULL DEFAULT 0,
+    "error" TEXT,
+
+    CONSTRAINT "UsageReprice_pkey" PRIMARY KEY ("tenantId")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ModelPrice_tenantId_model_effectiveFrom_key" ON "public"."ModelPrice"("tenantId", "model", "effectiveFrom");
+
+-- AddForeignKey
+ALTER TABLE "public"."ModelPrice" ADD CONSTRAINT "ModelPrice_tenantId_fkey" FOREIGN KEY ("tenantId") REFERENCES "public"."Tenant"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."UsageReprice" ADD CONSTRAINT "UsageReprice_tenantId_fkey" FOREIGN KEY ("tenantId") REFERENCES "public"."Tenant"("id") ON DELETE CASCADE ON UPDATE CASCADE;
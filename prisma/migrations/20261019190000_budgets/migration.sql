@@ -0,0 +1,18 @@
+-- CreateTable
+CREATE TABLE "public"."BudgetAlert" (
+    "id" TEXT NOT NULL,
+    "tenantId" TEXT NOT NULL,
+    "month" DATE NOT NULL,
+    "threshold" INTEGER NOT NULL,
+    "budgetUSD" DOUBLE PRECISION NOT NULL,
+    "spendUSD" DOUBLE PRECISION NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "BudgetAlert_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "BudgetAlert_tenantId_month_threshold_key" ON "public"."BudgetAlert"("tenantId", "month", "threshold");
+
+-- AddForeignKey
+ALTER TABLE "public"."BudgetAlert" ADD CONSTRAINT "BudgetAlert_tenantId_fkey" FOREIGN KEY ("tenantId") REFERENCES "public"."Tenant"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,79 @@
+-- CreateTable
+CREATE TABLE "public"."AlertRule" (
+    "id" TEXT NOT NULL,
+    "tenantId" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "kind" TEXT NOT NULL,
+    "threshold" DOUBLE PRECISION,
+    "windowMin" INTEGER NOT NULL DEFAULT 10,
+    "channels" TEXT[] DEFAULT ARRAY['portal']::TEXT[],
+    "emailTo" TEXT,
+    "webhookUrl" TEXT,
+    "enabled" BOOLEAN NOT NULL DEFAULT true,
+    "cursorAt" TIMESTAMP(3),
+    "evaluatedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "AlertRule_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."Alert" (
+    "id" TEXT NOT NULL,
+    "tenantId" TEXT NOT NULL,
+    "ruleId" TEXT,
+    "ruleName" TEXT NOT NULL,
+    "kind" TEXT NOT NULL,
+    "dedupeKey" TEXT NOT NULL DEFAULT '',
+    "openKey" TEXT,
+    "state" TEXT NOT NULL DEFAULT 'open',
+    "message" TEXT NOT NULL,
+    "value" DOUBLE PRECISION,
+    "peakValue" DOUBLE PRECISION,
+    "openedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lastSeenAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "resolvedAt" TIMESTAMP(3),
+    "notifyError" TEXT,
+
+    CONSTRAINT "Alert_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."ErrorSignature" (
+    "tenantId" TEXT NOT NULL,
+    "signature" TEXT NOT NULL,
+    "sample" TEXT NOT NULL,
+    "count" INTEGER NOT NULL DEFAULT 0,
+    "firstSeenAt" TIMESTAMP(3) NOT NULL,
+    "lastSeenAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ErrorSignature_pkey" PRIMARY KEY ("tenantId","signature")
+);
+
+-- CreateIndex
+CREATE INDEX "AlertRule_tenantId_idx" ON "public"."AlertRule"("tenantId");
+
+-- CreateIndex
+CREATE INDEX "AlertRule_enabled_idx" ON "public"."AlertRule"("enabled");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Alert_openKey_key" ON "public"."Alert"("openKey");
+
+-- CreateIndex
+CREATE INDEX "Alert_tenantId_openedAt_idx" ON "public"."Alert"("tenantId", "openedAt");
+
+-- CreateIndex
+CREATE INDEX "Alert_ruleId_state_idx" ON "public"."Alert"("ruleId", "state");
+
+-- AddForeignKey
+ALTER TABLE "public"."AlertRule" ADD CONSTRAINT "AlertRule_tenantId_fkey" FOREIGN KEY ("tenantId") REFERENCES "public"."Tenant"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."Alert" ADD CONSTRAINT "Alert_tenantId_fkey" FOREIGN KEY ("tenantId") REFERENCES "public"."Tenant"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."Alert" ADD CONSTRAINT "Alert_ruleId_fkey" FOREIGN KEY ("ruleId") REFERENCES "public"."AlertRule"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."ErrorSignature" ADD CONSTRAINT "ErrorSignature_tenantId_fkey" FOREIGN KEY ("tenantId") REFERENCES "public"."Tenant"("id") ON DELETE CASCADE ON UPDATE CASCADE;
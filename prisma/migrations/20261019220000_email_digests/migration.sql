@@ -0,0 +1,19 @@
+-- CreateTable
+CREATE TABLE "public"."EmailDigest" (
+    "id" TEXT NOT NULL,
+    "tenantId" TEXT NOT NULL,
+    "kind" TEXT NOT NULL,
+    "periodStart" TIMESTAMP(3) NOT NULL,
+    "periodEnd" TIMESTAMP(3) NOT NULL,
+    "sentAt" TIMESTAMP(3),
+    "error" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "EmailDigest_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "EmailDigest_tenantId_kind_periodStart_key" ON "public"."EmailDigest"("tenantId", "kind", "periodStart");
+
+-- AddForeignKey
+ALTER TABLE "public"."EmailDigest" ADD CONSTRAINT "EmailDigest_tenantId_fkey" FOREIGN KEY ("tenantId") REFERENCES "public"."Tenant"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE "public"."GoogleConnection" (
+    "tenantId" TEXT NOT NULL,
+    "email" TEXT,
+    "scopes" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "status" TEXT NOT NULL DEFAULT 'connected',
+    "expiresAt" TIMESTAMP(3),
+    "lastRefreshAt" TIMESTAMP(3),
+    "lastError" TEXT,
+    "connectedBy" TEXT,
+    "connectedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "GoogleConnection_pkey" PRIMARY KEY ("tenantId")
+);
+
+-- CreateIndex
+CREATE INDEX "GoogleConnection_status_expiresAt_idx" ON "public"."GoogleConnection"("status", "expiresAt");
+
+-- AddForeignKey
+ALTER TABLE "public"."GoogleConnection" ADD CONSTRAINT "GoogleConnection_tenantId_fkey" FOREIGN KEY ("tenantId") REFERENCES "public"."Tenant"("id") ON DELETE CASCADE ON UPDATE CASCADE;
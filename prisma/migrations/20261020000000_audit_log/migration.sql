@@ -0,0 +1,47 @@
+-- CreateTable
+CREATE TABLE "public"."AuditLog" (
+    "id" TEXT NOT NULL,
+    "tenantId" TEXT,
+    "actorId" TEXT,
+    "actorEmail" TEXT,
+    "action" TEXT NOT NULL,
+    "targetType" TEXT,
+    "targetId" TEXT,
+    "summary" TEXT NOT NULL DEFAULT '',
+    "changes" JSONB,
+    "ip" TEXT,
+    "userAgent" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "AuditLog_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "AuditLog_tenantId_createdAt_idx" ON "public"."AuditLog"("tenantId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "AuditLog_tenantId_action_createdAt_idx" ON "public"."AuditLog"("tenantId", "action", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "AuditLog_tenantId_actorEmail_createdAt_idx" ON "public"."AuditLog"("tenantId", "actorEmail", "createdAt");
+
+-- Append-only: reject changes to existing entries
+CREATE FUNCTION "public"."audit_log_append_only"() RETURNS trigger AS $$
+BEGIN
+    RAISE EXCEPTION 'AuditLog is append-only (% rejected)', TG_OP;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER "AuditLog_append_only"
+    BEFORE UPDATE OR DELETE ON "public"."AuditLog"
+    FOR EACH ROW EXECUTE FUNCTION "public"."audit_log_append_only"();
+
+CREATE TRIGGER "AuditLog_no_truncate"
+    BEFORE TRUNCATE ON "public"."AuditLog"
+    FOR EACH STATEMENT EXECUTE FUNCTION "public"."audit_log_append_only"();
+
+-- Carry over the secrets-form saves logged as Events before the audit log existed
+INSERT INTO "public"."AuditLog" ("id", "tenantId", "action", "summary", "createdAt")
+SELECT 'legacy_' || e."id", e."tenantId", 'secrets.update', LEFT(e."content", 500), e."createdAt"
+FROM "public"."Event" e
+WHERE e."type" = 'admin:update_secrets';
@@ -0,0 +1,32 @@
+-- CreateTable
+CREATE TABLE "public"."AdminSession" (
+    "id" TEXT NOT NULL,
+    "tokenHash" TEXT NOT NULL,
+    "adminUserId" TEXT NOT NULL,
+    "homeTenantId" TEXT NOT NULL,
+    "tenantId" TEXT NOT NULL,
+    "role" TEXT NOT NULL,
+    "agency" BOOLEAN NOT NULL DEFAULT false,
+    "passwordStamp" TEXT NOT NULL,
+    "ip" TEXT,
+    "userAgent" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lastSeenAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "revokedAt" TIMESTAMP(3),
+    "revokedReason" TEXT,
+
+    CONSTRAINT "AdminSession_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "AdminSession_tokenHash_key" ON "public"."AdminSession"("tokenHash");
+
+-- CreateIndex
+CREATE INDEX "AdminSession_adminUserId_expiresAt_idx" ON "public"."AdminSession"("adminUserId", "expiresAt");
+
+-- CreateIndex
+CREATE INDEX "AdminSession_expiresAt_idx" ON "public"."AdminSession"("expiresAt");
+
+-- AddForeignKey
+ALTER TABLE "public"."AdminSession" ADD CONSTRAINT "AdminSession_adminUserId_fkey" FOREIGN KEY ("adminUserId") REFERENCES "public"."AdminUser"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,33 @@
+-- AlterTable
+ALTER TABLE "public"."AdminUser" ADD COLUMN     "mfaEnabledAt" TIMESTAMP(3),
+ADD COLUMN     "mfaLastStep" INTEGER,
+ADD COLUMN     "mfaPendingSecret" TEXT,
+ADD COLUMN     "mfaRecoveryCodes" TEXT[] DEFAULT ARRAY[]::TEXT[],
+ADD COLUMN     "mfaSecret" TEXT;
+
+-- CreateTable
+CREATE TABLE "public"."MfaTrustedDevice" (
+    "id" TEXT NOT NULL,
+    "tokenHash" TEXT NOT NULL,
+    "adminUserId" TEXT NOT NULL,
+    "passwordStamp" TEXT NOT NULL,
+    "ip" TEXT,
+    "userAgent" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lastUsedAt" TIMESTAMP(3),
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "MfaTrustedDevice_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "MfaTrustedDevice_tokenHash_key" ON "public"."MfaTrustedDevice"("tokenHash");
+
+-- CreateIndex
+CREATE INDEX "MfaTrustedDevice_adminUserId_idx" ON "public"."MfaTrustedDevice"("adminUserId");
+
+-- CreateIndex
+CREATE INDEX "MfaTrustedDevice_expiresAt_idx" ON "public"."MfaTrustedDevice"("expiresAt");
+
+-- AddForeignKey
+ALTER TABLE "public"."MfaTrustedDevice" ADD CONSTRAINT "MfaTrustedDevice_adminUserId_fkey" FOREIGN KEY ("adminUserId") REFERENCES "public"."AdminUser"("id") ON DELETE CASCADE ON UPDATE CASCADE;
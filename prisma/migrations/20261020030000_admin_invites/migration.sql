@@ -0,0 +1,26 @@
+-- AlterTable
+ALTER TABLE "public"."AdminUser" ADD COLUMN     "deactivatedAt" TIMESTAMP(3),
+ADD COLUMN     "passwordChangedAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "public"."AdminInvite" (
+    "id" TEXT NOT NULL,
+    "tenantId" TEXT NOT NULL,
+    "email" TEXT NOT NULL,
+    "role" TEXT NOT NULL,
+    "invitedById" TEXT,
+    "invitedByEmail" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "acceptedAt" TIMESTAMP(3),
+    "acceptedUserId" TEXT,
+    "revokedAt" TIMESTAMP(3),
+
+    CONSTRAINT "AdminInvite_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "AdminInvite_tenantId_email_idx" ON "public"."AdminInvite"("tenantId", "email");
+
+-- AddForeignKey
+ALTER TABLE "public"."AdminInvite" ADD CONSTRAINT "AdminInvite_tenantId_fkey" FOREIGN KEY ("tenantId") REFERENCES "public"."Tenant"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,10 @@
+-- CreateTable
+CREATE TABLE "public"."IntakeSignature" (
+    "signature" TEXT NOT NULL,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "IntakeSignature_pkey" PRIMARY KEY ("signature")
+);
+
+-- CreateIndex
+CREATE INDEX "IntakeSignature_expiresAt_idx" ON "public"."IntakeSignature"("expiresAt");
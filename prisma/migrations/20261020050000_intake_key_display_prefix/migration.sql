@@ -0,0 +1,3 @@
+-- IntakeKey.prefix now holds the prefix exactly as displayed. Generated keys
+-- gain their "tik_"; keys migrated from Tenant.apiKey never had one.
+UPDATE "public"."IntakeKey" SET "prefix" = 'tik_' || "prefix" WHERE "id" NOT LIKE 'legacy\_%';
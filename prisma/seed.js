@@ -1,8 +1,32 @@
 // prisma/seed.js
-const { PrismaClient } = require('@prisma/client');
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
+const { PrismaClient } = require('@prisma/client');
+const { generateKey } = require('../utils/intakeKeys');
+const { checkPassword, hashPassword } = require('../utils/passwords');
 const prisma = new PrismaClient();
 
+// First owner account: SEED_ADMIN_EMAIL / SEED_ADMIN_PASSWORD, or a random
+// password printed once below. Further users are invited from the portal.
+const ADMIN_EMAIL = String(process.env.SEED_ADMIN_EMAIL || 'admin@example.com').trim().toLowerCase();
+
+// What older versions of this seed hard-coded; replaced when still in use
+const OLD_DEFAULT_PASSWORD = 'admin123';
+
+// SEED_ADMIN_PASSWORD (must pass the policy) or a generated one
+function choosePassword() {
+  const given = process.env.SEED_ADMIN_PASSWORD;
+  if (given) {
+    const problems = checkPassword(given, { email: ADMIN_EMAIL });
+    if (problems.length) throw new Error(`SEED_ADMIN_PASSWORD is too weak: ${problems.join(', ')}`);
+    return { password: given, generated: false };
+  }
+  let password;
+  do password = crypto.randomBytes(12).toString('base64url');
+  while (checkPassword(password, { email: ADMIN_EMAIL }).length);
+  return { password, generated: true };
+}
+
 async function main() {
   // ✅ Create a default tenant (if not exists)
   const tenant = await prisma.tenant.upsert({
@@ -11,34 +35,58 @@ async function main() {
     create: {
       id: 'default',
       name: 'Default Tenant',
-      apiKey: 'default-api-key',
       plan: 'basic',
       subdomain: 'default'
     }
   });
 
-  // ✅ Hash your password
-  const passwordHash = await bcrypt.hash('admin123', 10);
-
-  // ✅ Create an admin user for that tenant
-  const admin = await prisma.adminUser.upsert({
-    where: {
-      tenantId_email: {
+  // ✅ Create the owner account for that tenant (left as is if it exists,
+  // unless it still has the old built-in password)
+  const existing = await prisma.adminUser.findUnique({
+    where: { tenantId_email: { tenantId: tenant.id, email: ADMIN_EMAIL } },
+    select: { id: true, passwordHash: true }
+  });
+  let generatedPassword = null;
+  if (existing && await bcrypt.compare(OLD_DEFAULT_PASSWORD, existing.passwordHash)) {
+    const { password, generated } = choosePassword();
+    if (generated) generatedPassword = password;
+    // a new hash also ends the account's existing sessions
+    await prisma.adminUser.update({
+      where: { id: existing.id },
+      data: { passwordHash: await hashPassword(password), passwordChangedAt: new Date() }
+    });
+    console.log(`Replaced the old default password of ${ADMIN_EMAIL}`);
+  } else if (!existing) {
+    const { password, generated } = choosePassword();
+    if (generated) generatedPassword = password;
+    await prisma.adminUser.create({
+      data: {
         tenantId: tenant.id,
-        email: 'admin@example.com'
+        email: ADMIN_EMAIL,
+        passwordHash: await hashPassword(password),
+        role: 'owner',
+        passwordChangedAt: new Date()
       }
-    },
-    update: {},
-    create: {
-      tenantId: tenant.id,
-      email: 'admin@example.com',
-      passwordHash
-    }
+    });
+  }
+  const admin = await prisma.adminUser.findUnique({
+    where: { tenantId_email: { tenantId: tenant.id, email: ADMIN_EMAIL } },
+    select: { id: true, tenantId: true, email: true, role: true, createdAt: true }
   });
 
+  // ✅ Bot intake key (raw value is only printed here, the DB keeps a hash)
+  let intakeKey = null;
+  if (!(await prisma.intakeKey.count({ where: { tenantId: tenant.id } }))) {
+    const { key, prefix, keyHash } = generateKey();
+    await prisma.intakeKey.create({ data: { tenantId: tenant.id, label: 'seed', prefix, keyHash } });
+    intakeKey = key;
+  }
+
   console.log('✅ Seeded tenant and admin user:');
   console.log('Tenant:', tenant);
   console.log('Admin:', admin);
+  if (generatedPassword) console.log('Admin password (shown once, change it after signing in):', generatedPassword);
+  if (intakeKey) console.log('Intake key (X-Api-Key):', intakeKey);
 }
 
 main()
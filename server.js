@@ -2,14 +2,43 @@
 require('dotenv').config();
 const express = require('express');
 const path = require('path');
+const crypto = require('crypto');
 const cookieParser = require('cookie-parser');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const { encrypt, mask, hasKey } = require('./utils/kms'); // ← add this
+const { ROLES, isRole, normalizeRole, can, permissionsFor, requirePermission } = require('./utils/rbac');
+const intakeKeys = require('./utils/intakeKeys');
+const { parseBatchBody, ingestItems } = require('./utils/intake');
+const jobs = require('./utils/jobs');
+const { encodeCursor, decodeCursor, clampLimit } = require('./utils/pagination');
+const { parseDate, parseDateRange, startOfUtcMonth } = require('./utils/dateRange');
+const { readSettings, validateSettingsPatch, applySettingsPatch } = require('./utils/settings');
+const search = require('./utils/search');
+const { LEAD_STATUSES } = require('./utils/leads');
+const tagging = require('./utils/tagging');
+const exporter = require('./utils/exporter');
+const usageRollups = require('./utils/usageRollups');
+const pricing = require('./utils/pricing');
+const { splitUsageCost } = pricing;
+const budgets = require('./utils/budgets');
+const { forecastMonth } = require('./utils/forecast');
+const metricsStats = require('./utils/metrics');
+const stream = require('./utils/stream');
+const alerts = require('./utils/alerts');
+const webhooks = require('./utils/webhooks');
+const notifications = require('./utils/notifications');
+const mailer = require('./utils/mailer');
+const googleOAuth = require('./utils/googleOAuth');
+const audit = require('./utils/audit');
+const sessions = require('./utils/sessions');
+const mfa = require('./utils/mfa');
+const passwords = require('./utils/passwords');
+const accounts = require('./utils/accounts');
 
 
 // DB (same RDS as the bot)
-const { PrismaClient } = require('@prisma/client');
+const { PrismaClient, Prisma } = require('@prisma/client');
 const prisma = new PrismaClient();
 
 // For uptime reporting
@@ -23,6 +52,8 @@ const PORT = process.env.PORT || 4000;
 const JWT_SECRET = process.env.JWT_SECRET || 'dev-secret';
 const COOKIE_NAME = 'solomon_session';
 const ADMIN_KEY = process.env.ADMIN_CUSTOMER_KEY || process.env.ADMIN_KEY || '';
+// Legacy: one shared ADMIN_KEY + unauthenticated X-Tenant for every bot. Off unless opted in.
+const INTAKE_ALLOW_SHARED_KEY = /^(1|true|yes)$/i.test(process.env.INTAKE_ALLOW_SHARED_KEY || '');
 
 const { rateLimit, ipKeyGenerator } = require('express-rate-limit');
 
@@ -53,6 +84,37 @@ const loginEmailLimiter = rateLimit({
   skipSuccessfulRequests: true,
 });
 
+// ⛔ Per-account limiter for the MFA step (keyed by the challenge's user)
+const loginMfaLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 7,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  message: { error: 'too_many_attempts' },
+  // only a genuine challenge picks the bucket; anything else counts against the IP
+  keyGenerator: (req) => {
+    const userId = verifyMfaChallenge(req.body?.mfaToken)?.adminUserId;
+    return userId ? `mfa:${userId}` : ipKeyGenerator(req.ip, 64);
+  },
+  keyGeneratorIpFallback: (req) => ipKeyGenerator(req.ip, 64),
+  skipSuccessfulRequests: true,
+});
+
+// ⛔ Per-email limiter for "forgot password"; counts every request, since
+// they all succeed
+const passwordResetLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 5,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  message: { error: 'too_many_attempts' },
+  keyGenerator: (req) => {
+    const email = String(req.body?.email || '').trim().toLowerCase();
+    return email ? `reset:${email}` : ipKeyGenerator(req.ip, 64);
+  },
+  keyGeneratorIpFallback: (req) => ipKeyGenerator(req.ip, 64),
+});
+
 // 🌐 Authed portal APIs
 const portalLimiter = rateLimit({
   windowMs: 60 * 1000,
@@ -71,16 +133,19 @@ const intakeLimiter = rateLimit({
   standardHeaders: 'draft-7',
   legacyHeaders: false,
   message: { error: 'rate_limited' },
-  keyGenerator: (req) =>
-    `${req.headers['x-customer-key'] || 'nokey'}:${ipKeyGenerator(req.ip, 64)}:${String(req.headers['x-tenant'] || '')}`,
+  keyGenerator: (req) => {
+    const raw = readIntakeKey(req) || req.headers['x-customer-key'];
+    const keyId = raw ? intakeKeys.hashKey(raw).slice(0, 16) : 'nokey';
+    return `${keyId}:${ipKeyGenerator(req.ip, 64)}:${String(req.headers['x-tenant'] || '')}`;
+  },
   keyGeneratorIpFallback: (req) => ipKeyGenerator(req.ip, 64),
 });
 
 
 
 // --- Guards ---
-if (!ADMIN_KEY) {
-  console.error('ADMIN_KEY missing. Set ADMIN_CUSTOMER_KEY or ADMIN_KEY.');
+if (INTAKE_ALLOW_SHARED_KEY && !ADMIN_KEY) {
+  console.error('INTAKE_ALLOW_SHARED_KEY is set but ADMIN_KEY is missing. Set ADMIN_CUSTOMER_KEY or ADMIN_KEY.');
   process.exit(1);
 }
 if (process.env.NODE_ENV === 'production' && JWT_SECRET === 'dev-secret') {
@@ -90,88 +155,156 @@ if (process.env.NODE_ENV === 'production' && JWT_SECRET === 'dev-secret') {
 
 app.use('/static', express.static(path.join(__dirname, 'static')));
 app.use(cookieParser());
-app.use(express.json({ limit: '1mb' })); 
+// Keep the raw bytes around so signed intake requests can be verified
+app.use(express.json({ limit: '1mb', verify: (req, _res, buf) => { req.rawBody = buf; } }));
 
 /* ------------------------- Session helpers ------------------------- */
 // helpers (top of server.js)
-function toNum(v) { const n = Number(v); return Number.isFinite(n) ? n : undefined; }
-
-function canonicalizeBreakdownFromPayload(u = {}) {
-  const bd = u.breakdown || {};
-
-  // accept multiple spellings
-  const promptUSD     = toNum(bd.promptUSD ?? bd.prompt_usd ?? bd.prompt);
-  const completionUSD = toNum(bd.completionUSD ?? bd.completion_usd ?? bd.completion);
-  const cachedUSD     = toNum(bd.cachedUSD ?? bd.cached_usd ?? bd.cached);
-
-  if ([promptUSD, completionUSD, cachedUSD].some(v => v != null)) {
-    return {
-      promptUSD:     promptUSD ?? 0,
-      completionUSD: completionUSD ?? 0,
-      cachedUSD:     cachedUSD ?? 0
-    };
-  }
-
-  // derive if breakdown missing but totals exist
-  const pt = toNum(u.prompt_tokens)     ?? toNum(u.promptTokens)     ?? 0;
-  const ct = toNum(u.completion_tokens) ?? toNum(u.completionTokens) ?? 0;
-  const kt = toNum(u.cached_tokens)     ?? toNum(u.cachedTokens)     ?? 0;
-  const totalTok = pt + ct + kt;
-
-  const totalCost = toNum(u.costUSD) ?? toNum(u.cost) ?? 0;
-
-  if (totalCost > 0 && totalTok > 0) {
-    return {
-      promptUSD:     totalCost * (pt / totalTok),
-      completionUSD: totalCost * (ct / totalTok),
-      cachedUSD:     totalCost * (kt / totalTok)
-    };
-  }
-  return null; // no info
+// Shared by /api/portal/metrics and the agency overview.
+// 'ok' needs p95 latency under STATUS_P95_OK_MS (no samples = not slow).
+const STATUS_P95_OK_MS = Number(process.env.STATUS_P95_OK_MS || 1000);
+
+function deriveStatus({ successes: successCnt = 0, errors: errorCnt = 0, p95LatencyMs = null }) {
+  const requests = successCnt + errorCnt;
+  if (requests === 0) return { status: 'idle', successRate: 100, requests }; // no traffic = idle, not down
+
+  const successRate = Math.round((successCnt / requests) * 1000) / 10; // e.g., 99.7
+  let status;
+  if (successRate >= 99 && (p95LatencyMs ?? 0) < STATUS_P95_OK_MS) status = 'ok';
+  else if (successRate >= 95)                status = 'degraded';
+  else                                       status = 'down';
+  return { status, successRate, requests };
 }
 
 
-function setSessionCookie(res, payload) {
-  const token = jwt.sign(payload, JWT_SECRET, { expiresIn: '7d' });
+// The cookie only carries the session token; expiry is enforced server-side
+function setSessionCookie(res, token) {
   res.cookie(COOKIE_NAME, token, {
     httpOnly: true,
     sameSite: 'Lax',
     secure: process.env.NODE_ENV === 'production',
-    maxAge: 1000 * 60 * 60 * 24 * 7
+    maxAge: sessions.MAX_MS
   });
 }
 
-function readSession(req) {
-  const t = req.cookies?.[COOKIE_NAME];
-  if (!t) return null;
-  try { return jwt.verify(t, JWT_SECRET); } catch { return null; }
+// { sessionId, adminUserId, homeTenantId, tenantId, email, role, agency, mfa } or null
+async function readSession(req) {
+  const s = await sessions.resolve(prisma, req, req.cookies?.[COOKIE_NAME]);
+  if (!s) return null;
+  return {
+    sessionId: s.id,
+    adminUserId: s.adminUserId,
+    homeTenantId: s.homeTenantId,
+    tenantId: s.tenantId,
+    email: s.adminUser.email,
+    role: normalizeRole(s.role),
+    agency: s.agency,
+    mfa: !!s.adminUser.mfaEnabledAt
+  };
+}
+
+async function requireAuth(req, res, next) {
+  const sess = await readSession(req);
+  if (!sess) {
+    if (req.cookies?.[COOKIE_NAME]) res.clearCookie(COOKIE_NAME);
+    return res.status(401).json({ error: 'auth_required' });
+  }
+  req.user = sess;
+  next();
 }
 
-function requireAuth(req, res, next) {
-  const sess = readSession(req);
-  if (!sess) return res.status(401).json({ error: 'auth_required' });
-  req.user = sess; // { adminUserId, tenantId, email }
+function requireAgency(req, res, next) {
+  if (!req.user?.agency) return res.status(403).json({ error: 'agency_only' });
   next();
 }
 
+// Tenants this session may act on: home tenant + explicit agency grants
+async function accessibleTenants(user) {
+  const home = await prisma.tenant.findUnique({
+    where: { id: user.homeTenantId },
+    select: { id: true, name: true, subdomain: true, plan: true }
+  });
+  const rows = home ? [{ ...home, role: null, home: true }] : [];
+  if (!user.agency) return rows;
+
+  const grants = await prisma.agencyGrant.findMany({
+    where: { adminUserId: user.adminUserId },
+    select: { role: true, tenant: { select: { id: true, name: true, subdomain: true, plan: true } } }
+  });
+  for (const g of grants) {
+    if (g.tenant.id !== user.homeTenantId) rows.push({ ...g.tenant, role: normalizeRole(g.role), home: false });
+  }
+  return rows.sort((a, b) => a.name.localeCompare(b.name));
+}
+
 /* --------------------------- Healthcheck -------------------------- */
 app.get('/api/portal/health', (_req, res) => {
   res.json({ ok: true, ts: Date.now() });
 });
 
 /* ------------------------ INTake (no cookie) ---------------------- */
+function readIntakeKey(req) {
+  const h = req.headers['x-api-key'];
+  if (h) return String(h);
+  const auth = String(req.headers.authorization || '');
+  return auth.startsWith('Bearer ') ? auth.slice(7).trim() : '';
+}
+
 /**
- * Bot -> Admin intake. Header-gated.
+ * Resolves the tenant for bot -> admin intake; sets req.intake = { tenantId, keyId }.
  * Headers:
+ *  - X-Api-Key (or Authorization: Bearer): per-tenant intake key
+ *  - X-Timestamp + X-Signature: HMAC signing (required if the key demands it)
+ * Legacy (INTAKE_ALLOW_SHARED_KEY=true only):
  *  - x-customer-key: ADMIN_KEY
  *  - X-Tenant: <tenantId or subdomain>
  */
-app.post('/api/portal/log', intakeLimiter, async (req, res) => {
+async function authenticateIntake(req, res, next) {
   try {
-    const key = req.headers['x-customer-key'];
-    if (!key || key !== ADMIN_KEY) return res.status(401).json({ error: 'bad_key' });
-
     const hint = String(req.headers['x-tenant'] || req.query.tenant || '').toLowerCase();
+    const raw = readIntakeKey(req);
+
+    if (raw) {
+      const keyHash = intakeKeys.hashKey(raw);
+      const key = await prisma.intakeKey.findUnique({
+        where: { keyHash },
+        select: {
+          id: true, tenantId: true, requireSignature: true, revokedAt: true, lastUsedAt: true,
+          tenant: { select: { id: true, subdomain: true } }
+        }
+      });
+      if (!key || key.revokedAt) return res.status(401).json({ error: 'bad_key' });
+
+      // X-Tenant is optional with a tenant key, but must agree when sent
+      if (hint && hint !== key.tenant.id.toLowerCase() && hint !== (key.tenant.subdomain || '').toLowerCase()) {
+        return res.status(403).json({ error: 'tenant_mismatch' });
+      }
+
+      const signature = req.headers['x-signature'];
+      if (key.requireSignature || signature) {
+        const err = await intakeKeys.verifySignature(prisma, {
+          keyHash,
+          timestamp: req.headers['x-timestamp'],
+          signature,
+          rawBody: req.rawBody
+        });
+        if (err) return res.status(401).json({ error: err });
+      }
+
+      // Throttled so busy bots don't turn every request into an extra write
+      if (!key.lastUsedAt || Date.now() - key.lastUsedAt.getTime() > 60 * 1000) {
+        prisma.intakeKey.update({ where: { id: key.id }, data: { lastUsedAt: new Date() } })
+          .catch(e => console.warn('intake key touch failed', e.message));
+      }
+
+      req.intake = { tenantId: key.tenantId, keyId: key.id };
+      return next();
+    }
+
+    const legacy = req.headers['x-customer-key'];
+    if (!INTAKE_ALLOW_SHARED_KEY || !legacy || legacy !== ADMIN_KEY) {
+      return res.status(401).json({ error: 'bad_key' });
+    }
     if (!hint) return res.status(400).json({ error: 'tenant_missing' });
 
     const tenant = await prisma.tenant.findFirst({
@@ -180,112 +313,105 @@ app.post('/api/portal/log', intakeLimiter, async (req, res) => {
     });
     if (!tenant) return res.status(404).json({ error: 'tenant_not_found' });
 
-    const { type } = req.body || {};
-
-    switch (type) {
-      case 'event': {
-        const { role = 'info', message = '' } = req.body;
-        await prisma.event.create({ data: { tenantId: tenant.id, type: role, content: String(message) } });
-        break;
-      }
-      case 'error': {
-        const { user = 'unknown', message = '' } = req.body;
-        await prisma.event.create({
-          data: { tenantId: tenant.id, type: `error:${user}`, content: String(message) }
-        });
-        // NEW: also count errors so status math has requests even when failing
-        await prisma.metric.create({
-          data: { tenantId: tenant.id, name: 'error', value: 1 }
-        });
-        break;
-      }
+    req.intake = { tenantId: tenant.id, keyId: null };
+    next();
+  } catch (e) {
+    console.error('intake_auth_error', e);
+    res.status(500).json({ error: 'server_error' });
+  }
+}
 
-      case 'usage': {
-        const u = req.body.usage || {};
+// Follow-up work for a committed intake batch; never delays or fails the response
+function afterIntake(tenantId, created) {
+  budgets.notifyBudgetAlerts(prisma, tenantId, created.budgetAlerts);
+  notifications.notifyNewLeads(prisma, tenantId, created.leads);
+  stream.publishIntake(tenantId, created);
+  if (created.webhooks) webhooks.kick(prisma);
+  if (created.metrics.length) queueStatusCheck(tenantId);
+}
 
-        // accept snake_case or camelCase
-        const pt = Number(u.prompt_tokens ?? u.promptTokens) || 0;
-        const ct = Number(u.completion_tokens ?? u.completionTokens) || 0;
-        const kt = Number(u.cached_tokens ?? u.cachedTokens) || 0;
+app.post('/api/portal/log', intakeLimiter, authenticateIntake, async (req, res) => {
+  try {
+    const item = { ...(req.body || {}) };
+    if (req.headers['idempotency-key'] && item.idempotencyKey == null) {
+      item.idempotencyKey = String(req.headers['idempotency-key']);
+    }
 
-        // cost can be u.costUSD or u.cost
-        const incomingCost = toNum(u.costUSD ?? u.cost);
+    const { results: [result], created } = await ingestItems(prisma, req.intake.tenantId, [item]);
+    afterIntake(req.intake.tenantId, created);
+    if (result.status === 'error') {
+      // 'conversation' without a sessionId has always been a silent no-op
+      if (result.error === 'session_missing') return res.json({ ok: true });
+      return res.status(400).json({ error: result.error });
+    }
 
-        // Canonicalize breakdown keys, or derive split if only totals exist
-        const bd = canonicalizeBreakdownFromPayload({
-          breakdown: u.breakdown,
-          prompt_tokens: pt,
-          completion_tokens: ct,
-          cached_tokens: kt,
-          costUSD: incomingCost
-        });
+    if (result.status === 'duplicate') return res.json({ ok: true, duplicate: true });
+    if (result.status === 'merged') return res.json({ ok: true, merged: true, leadId: result.leadId });
+    if (result.warning) {
+      const { warning, costUSD, reportedCostUSD } = result;
+      return res.json({ ok: true, warning, costUSD, reportedCostUSD });
+    }
+    res.json({ ok: true });
+  } catch (e) {
+    console.error('intake_error', e);
+    res.status(500).json({ error: 'server_error' });
+  }
+});
 
-        // If cost missing but breakdown exists, sum it; else default 0
-        const costFinal =
-          incomingCost != null
-            ? incomingCost
-            : (bd ? (bd.promptUSD + bd.completionUSD + bd.cachedUSD) : 0);
-
-        await prisma.usage.create({
-          data: {
-            tenantId: tenant.id,
-            model: String(u.model || ''),
-            promptTokens: pt,
-            completionTokens: ct,
-            cachedTokens: kt,
-            cost: costFinal,
-            // Store the canonical breakdown if we have one, else null/undefined
-            breakdown: bd ?? undefined
-          }
-        });
-        break;
+/**
+ * Bulk intake: same payloads as /api/portal/log, as a JSON array,
+ * { items: [...] } or NDJSON (Content-Type: application/x-ndjson).
+ * Each item may carry idempotencyKey (replays are skipped) and at (ISO time).
+ * Responds 200 with a per-item result even when some items fail.
+ */
+const INTAKE_BATCH_MAX = Number(process.env.INTAKE_BATCH_MAX || 500);
+
+app.post(
+  '/api/portal/log/batch',
+  express.text({
+    type: ['application/x-ndjson', 'application/ndjson'],
+    limit: '5mb',
+    verify: (req, _res, buf) => { req.rawBody = buf; }
+  }),
+  intakeLimiter,
+  authenticateIntake,
+  async (req, res) => {
+    try {
+      const items = parseBatchBody(req.body);
+      if (!items) return res.status(400).json({ error: 'bad_batch' });
+      if (items.length === 0) return res.json({ ok: true, results: [] });
+      if (items.length > INTAKE_BATCH_MAX) {
+        return res.status(413).json({ error: 'batch_too_large', max: INTAKE_BATCH_MAX });
       }
 
-
-      case 'metric': {
-        const { metricType = 'custom', value = 0 } = req.body;
-        await prisma.metric.create({
-          data: { tenantId: tenant.id, name: String(metricType), value: Number(value) || 0 }
-        });
-        break;
-      }
-      case 'lead': {
-        const { name = '', email = '', phone = '', snippet = '', tags = [] } = req.body;
-        await prisma.lead.create({
-          data: {
-            tenantId: tenant.id,
-            name: String(name),
-            email: String(email),
-            phone: String(phone),
-            snippet: String(snippet),
-            tags: Array.isArray(tags) ? tags.map(String) : []
-          }
-        });
-        break;
-      }
-      case 'conversation': {
-        const { sessionId = '', data = {} } = req.body;
-        if (!sessionId) break;
-        const convo = await prisma.conversation.upsert({
-          where: { tenantId_sessionId: { tenantId: tenant.id, sessionId } },
-          update: {},
-          create: { tenantId: tenant.id, sessionId }
-        });
-        if (data.userMessage) {
-          await prisma.message.create({ data: { conversationId: convo.id, role: 'user', content: String(data.userMessage) } });
-        }
-        if (data.aiReply) {
-          await prisma.message.create({ data: { conversationId: convo.id, role: 'assistant', content: String(data.aiReply) } });
-        }
-        break;
-      }
-      default:
-        return res.status(400).json({ error: 'bad_type' });
+      const { results, created } = await ingestItems(prisma, req.intake.tenantId, items);
+      afterIntake(req.intake.tenantId, created);
+      const count = (status) => results.filter(r => r.status === status).length;
+      res.json({
+        ok: true,
+        created: count('created'),
+        merged: count('merged'),
+        duplicates: count('duplicate'),
+        errors: count('error'),
+        results
+      });
+    } catch (e) {
+      console.error('intake_batch_error', e);
+      res.status(500).json({ error: 'server_error' });
     }
+  }
+);
 
-    res.json({ ok: true });
+/**
+ * Bot budget check (same intake key auth): the bot should stop calling the
+ * model while `blocked` is true (hard stop on and monthly budget used up).
+ */
+app.get('/api/portal/budget/check', intakeLimiter, authenticateIntake, async (req, res) => {
+  try {
+    const { month, budgetUSD, spendUSD, pct, hardStop, blocked } = await budgets.budgetStatus(prisma, req.intake.tenantId);
+    res.json({ ok: true, blocked, hardStop, budgetUSD, spendUSD, pct, month });
   } catch (e) {
-    console.error('intake_error', e);
+    console.error('budget_check_error', e);
     res.status(500).json({ error: 'server_error' });
   }
 });
@@ -294,6 +420,59 @@ app.post('/api/portal/log', intakeLimiter, async (req, res) => {
 app.use('/api/portal', requireAuth, portalLimiter);
 
 /* ------------------------------ Login ----------------------------- */
+const LOGIN_ACCOUNT_SELECT = {
+  id: true, tenantId: true, email: true, passwordHash: true, role: true,
+  mfaEnabledAt: true, mfaSecret: true, mfaPendingSecret: true, mfaRecoveryCodes: true,
+  tenant: { select: { id: true, name: true, subdomain: true } }
+};
+const MFA_CHALLENGE_TTL_SEC = 5 * 60;
+const MFA_DEVICE_COOKIE = 'solomon_mfa_device';
+
+async function tenantRequiresMfa(tenantId) {
+  const t = await prisma.tenant.findUnique({ where: { id: tenantId }, select: { settings: true } });
+  return readSettings(t?.settings).requireMfa;
+}
+
+// Short-lived proof that the password step passed. purpose: verify | enroll
+function signMfaChallenge(acct, purpose) {
+  return jwt.sign(
+    { typ: 'mfa', purpose, adminUserId: acct.id, stamp: sessions.passwordStamp(acct.passwordHash) },
+    JWT_SECRET,
+    { expiresIn: MFA_CHALLENGE_TTL_SEC }
+  );
+}
+
+// Claims of a valid, unexpired MFA challenge token, or null
+function verifyMfaChallenge(token) {
+  let c;
+  try { c = jwt.verify(String(token || ''), JWT_SECRET); } catch { return null; }
+  return c.typ === 'mfa' ? c : null;
+}
+
+// { acct, purpose } or null (bad / expired token, or the password changed since)
+async function readMfaChallenge(token) {
+  const c = verifyMfaChallenge(token);
+  if (!c) return null;
+  const acct = await prisma.adminUser.findFirst({ where: { id: c.adminUserId, deactivatedAt: null }, select: LOGIN_ACCOUNT_SELECT });
+  if (!acct || sessions.passwordStamp(acct.passwordHash) !== c.stamp) return null;
+  return { acct, purpose: c.purpose };
+}
+
+// Every factor passed: open the session. Returns the login response body.
+async function startSession(req, res, acct, via) {
+  const role = normalizeRole(acct.role);
+  const agency = (await prisma.agencyGrant.count({ where: { adminUserId: acct.id } })) > 0;
+  const { token } = await sessions.create(prisma, req, { user: acct, role, agency });
+  setSessionCookie(res, token);
+  await audit.record(prisma, req, {
+    action: 'auth.login',
+    tenantId: acct.tenantId,
+    actorId: acct.id,
+    actorEmail: acct.email,
+    summary: `Signed in (role: ${role}${via ? `, ${via}` : ''})`
+  });
+  return { ok: true, tenantId: acct.tenantId, role, agency };
+}
 
 app.post('/api/login', loginIpLimiter, loginEmailLimiter, async (req, res) => {
   try {
@@ -302,15 +481,19 @@ app.post('/api/login', loginIpLimiter, loginEmailLimiter, async (req, res) => {
     const tenantHint = String(req.body?.tenantHint || '').toLowerCase();
     if (!email || !password) return res.status(400).json({ error: 'missing_fields' });
 
-    // Find all accounts with this email across tenants
-    const accounts = await prisma.adminUser.findMany({
-      where: { email },
-      select: {
-        id: true, tenantId: true, passwordHash: true,
-        tenant: { select: { id: true, name: true, subdomain: true } }
-      }
+    // Find all active accounts with this email across tenants
+    const accounts = await prisma.adminUser.findMany({ where: { email, deactivatedAt: null }, select: LOGIN_ACCOUNT_SELECT });
+    const failed = (summary, acct) => audit.record(prisma, req, {
+      action: 'auth.login_failed',
+      tenantId: acct?.tenantId ?? null,
+      actorId: acct?.id ?? null,
+      actorEmail: email,
+      summary
     });
-    if (accounts.length === 0) return res.status(401).json({ error: 'invalid_credentials' });
+    if (accounts.length === 0) {
+      await failed('Unknown email');
+      return res.status(401).json({ error: 'invalid_credentials' });
+    }
 
     // If no hint and multiple tenants, ask the client to choose
     if (!tenantHint && accounts.length > 1) {
@@ -327,34 +510,446 @@ app.post('/api/login', loginIpLimiter, loginEmailLimiter, async (req, res) => {
         a.tenant.id.toLowerCase() === tenantHint ||
         (a.tenant.subdomain || '').toLowerCase() === tenantHint
       );
-      if (!byHint) return res.status(404).json({ error: 'tenant_not_found_for_email' });
+      if (!byHint) {
+        await failed(`No account for tenant "${tenantHint}"`);
+        return res.status(404).json({ error: 'tenant_not_found_for_email' });
+      }
       acct = byHint;
     }
 
     const valid = await bcrypt.compare(password, acct.passwordHash);
-    if (!valid) return res.status(401).json({ error: 'invalid_credentials' });
+    if (!valid) {
+      await failed('Wrong password', acct);
+      return res.status(401).json({ error: 'invalid_credentials' });
+    }
 
-    setSessionCookie(res, { adminUserId: acct.id, tenantId: acct.tenantId, email });
-    res.json({ ok: true, tenantId: acct.tenantId });
+    // Second step: a TOTP / recovery code, unless this browser was remembered
+    if (acct.mfaEnabledAt) {
+      if (await mfa.isTrustedDevice(prisma, acct, req.cookies?.[MFA_DEVICE_COOKIE])) {
+        return res.json(await startSession(req, res, acct, 'remembered device'));
+      }
+      return res.status(401).json({ error: 'mfa_required', mfaToken: signMfaChallenge(acct, 'verify') });
+    }
+    if (await tenantRequiresMfa(acct.tenantId)) {
+      return res.status(401).json({ error: 'mfa_enrollment_required', mfaToken: signMfaChallenge(acct, 'enroll') });
+    }
+    res.json(await startSession(req, res, acct));
   } catch (err) {
     console.error('Login error', err);
     res.status(500).json({ error: 'server_error' });
   }
 });
 
+// Enrollment during sign-in, for tenants that require MFA: QR / secret for
+// the authenticator app, confirmed by the first code sent to /api/login/mfa
+app.post('/api/login/mfa/enroll', loginIpLimiter, loginMfaLimiter, async (req, res) => {
+  const ch = await readMfaChallenge(req.body?.mfaToken);
+  if (!ch || ch.purpose !== 'enroll') return res.status(401).json({ error: 'mfa_challenge_invalid' });
+  if (ch.acct.mfaEnabledAt) return res.status(409).json({ error: 'mfa_already_enabled' });
+  res.json(await mfa.startEnrollment(prisma, ch.acct));
+});
+
+// { mfaToken, code | recoveryCode, rememberDevice? }
+app.post('/api/login/mfa', loginIpLimiter, loginMfaLimiter, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const ch = await readMfaChallenge(body.mfaToken);
+    if (!ch) return res.status(401).json({ error: 'mfa_challenge_invalid' });
+    const { acct, purpose } = ch;
+
+    let via = 'MFA';
+    let recoveryCodes = null;
+    let passed;
+    if (purpose === 'enroll') {
+      recoveryCodes = await mfa.confirmEnrollment(prisma, acct, body.code);
+      passed = !!recoveryCodes;
+      via = 'MFA enrolled';
+    } else {
+      const r = await mfa.verify(prisma, acct, { code: body.code, recoveryCode: body.recoveryCode });
+      passed = !!r;
+      if (r?.method === 'recovery') via = `recovery code, ${r.recoveryCodesLeft} left`;
+    }
+    const actor = { tenantId: acct.tenantId, actorId: acct.id, actorEmail: acct.email };
+    if (!passed) {
+      await audit.record(prisma, req, {
+        action: 'auth.mfa_failed', ...actor, summary: body.recoveryCode ? 'Wrong recovery code' : 'Wrong MFA code'
+      });
+      return res.status(401).json({ error: 'invalid_code' });
+    }
+    if (recoveryCodes) {
+      await audit.record(prisma, req, { action: 'mfa.enable', ...actor, summary: 'Enabled MFA at sign-in (required by tenant)' });
+    }
+
+    if (body.rememberDevice === true) {
+      const d = await mfa.rememberDevice(prisma, req, acct);
+      res.cookie(MFA_DEVICE_COOKIE, d.token, {
+        httpOnly: true,
+        sameSite: 'Lax',
+        secure: process.env.NODE_ENV === 'production',
+        maxAge: mfa.REMEMBER_MS,
+        path: '/api/login'
+      });
+    }
+    const out = await startSession(req, res, acct, via);
+    res.json(recoveryCodes ? { ...out, recoveryCodes } : out);
+  } catch (err) {
+    console.error('MFA login error', err);
+    res.status(500).json({ error: 'server_error' });
+  }
+});
+
 
-app.post('/api/logout', requireAuth, (req, res) => {
+app.post('/api/logout', requireAuth, async (req, res) => {
+  await sessions.revoke(prisma, req.user.adminUserId, { id: req.user.sessionId }, 'logout');
   res.clearCookie(COOKIE_NAME);
+  await audit.record(prisma, req, { action: 'auth.logout', summary: 'Signed out' });
   res.json({ ok: true });
 });
 
+// "Sign out everywhere": every session of this account, this one included
+// unless { keepCurrent: true }
+app.post('/api/logout/everywhere', requireAuth, async (req, res) => {
+  const keepCurrent = req.body?.keepCurrent === true;
+  const count = await sessions.revoke(
+    prisma, req.user.adminUserId, keepCurrent ? { id: { not: req.user.sessionId } } : {}, 'logout_everywhere'
+  );
+  if (!keepCurrent) res.clearCookie(COOKIE_NAME);
+  await audit.record(prisma, req, {
+    action: 'auth.logout_everywhere',
+    summary: `Signed out ${count} session${count === 1 ? '' : 's'}${keepCurrent ? ' (kept the current one)' : ''}`
+  });
+  res.json({ ok: true, revoked: count });
+});
+
+/* ----------------------------- Sessions --------------------------- */
+// The signed-in account's own sessions; any role
+app.get('/api/sessions', requireAuth, async (req, res) => {
+  const rows = await sessions.listActive(prisma, req.user.adminUserId);
+  res.json({ sessions: rows.map(s => sessions.shapeSession(s, req.user.sessionId)) });
+});
+
+app.delete('/api/sessions/:id', requireAuth, async (req, res) => {
+  const id = String(req.params.id);
+  const count = await sessions.revoke(prisma, req.user.adminUserId, { id }, 'revoked');
+  if (!count) return res.status(404).json({ error: 'not_found' });
+  const current = id === req.user.sessionId;
+  if (current) res.clearCookie(COOKIE_NAME);
+  await audit.record(prisma, req, {
+    action: 'auth.session_revoke',
+    targetType: 'session',
+    targetId: id,
+    summary: current ? 'Signed out this session' : 'Signed out another session'
+  });
+  res.json({ ok: true, current });
+});
+
 app.get('/api/me', requireAuth, (req, res) => {
-  res.json(req.user); // { adminUserId, tenantId, email }
+  // { adminUserId, tenantId, email, role, permissions }
+  res.json({ ...req.user, permissions: permissionsFor(req.user.role) });
+});
+
+/* ------------------------------- MFA ------------------------------ */
+// The signed-in user's own second factor; any role
+const MFA_USER_SELECT = {
+  id: true, tenantId: true, email: true, mfaEnabledAt: true, mfaSecret: true, mfaPendingSecret: true, mfaRecoveryCodes: true
+};
+const loadMfaUser = (req) => prisma.adminUser.findUnique({ where: { id: req.user.adminUserId }, select: MFA_USER_SELECT });
+
+app.get('/api/mfa', requireAuth, async (req, res) => {
+  const me = await loadMfaUser(req);
+  if (!me) return res.status(401).json({ error: 'auth_required' });
+  const [required, rememberedDevices] = await Promise.all([
+    tenantRequiresMfa(me.tenantId),
+    prisma.mfaTrustedDevice.count({ where: { adminUserId: me.id, expiresAt: { gt: new Date() } } })
+  ]);
+  res.json({
+    enabled: !!me.mfaEnabledAt,
+    enabledAt: me.mfaEnabledAt,
+    recoveryCodesLeft: me.mfaRecoveryCodes.length,
+    required,
+    rememberedDevices
+  });
+});
+
+// New pending secret: { secret, otpauthUri, qrDataUrl }
+app.post('/api/mfa/enroll', requireAuth, async (req, res) => {
+  const me = await loadMfaUser(req);
+  if (!me) return res.status(401).json({ error: 'auth_required' });
+  if (me.mfaEnabledAt) return res.status(409).json({ error: 'mfa_already_enabled' });
+  res.json(await mfa.startEnrollment(prisma, me));
+});
+
+// { code } from the app → MFA on; the recovery codes are only shown here
+app.post('/api/mfa/confirm', requireAuth, async (req, res) => {
+  const me = await loadMfaUser(req);
+  if (!me) return res.status(401).json({ error: 'auth_required' });
+  if (me.mfaEnabledAt) return res.status(409).json({ error: 'mfa_already_enabled' });
+  if (!me.mfaPendingSecret) return res.status(400).json({ error: 'enrollment_not_started' });
+  const recoveryCodes = await mfa.confirmEnrollment(prisma, me, req.body?.code);
+  if (!recoveryCodes) return res.status(400).json({ error: 'invalid_code' });
+  await audit.record(prisma, req, { action: 'mfa.enable', targetType: 'user', targetId: me.id, summary: 'Enabled MFA' });
+  res.json({ ok: true, recoveryCodes });
+});
+
+// { code } → a fresh set of recovery codes; the old ones stop working
+app.post('/api/mfa/recovery-codes', requireAuth, async (req, res) => {
+  const me = await loadMfaUser(req);
+  if (!me?.mfaEnabledAt) return res.status(409).json({ error: 'mfa_not_enabled' });
+  if (!(await mfa.verify(prisma, me, { code: req.body?.code }))) return res.status(400).json({ error: 'invalid_code' });
+  const recoveryCodes = await mfa.regenerateRecoveryCodes(prisma, me.id);
+  await audit.record(prisma, req, {
+    action: 'mfa.recovery_codes', targetType: 'user', targetId: me.id, summary: 'Generated new recovery codes'
+  });
+  res.json({ ok: true, recoveryCodes });
+});
+
+// { code | recoveryCode }; not while the home tenant requires MFA
+app.post('/api/mfa/disable', requireAuth, async (req, res) => {
+  const me = await loadMfaUser(req);
+  if (!me?.mfaEnabledAt) return res.status(409).json({ error: 'mfa_not_enabled' });
+  if (await tenantRequiresMfa(me.tenantId)) return res.status(403).json({ error: 'mfa_required_by_tenant' });
+  const ok = await mfa.verify(prisma, me, { code: req.body?.code, recoveryCode: req.body?.recoveryCode });
+  if (!ok) return res.status(400).json({ error: 'invalid_code' });
+  await mfa.clear(prisma, me.id);
+  await audit.record(prisma, req, { action: 'mfa.disable', targetType: 'user', targetId: me.id, summary: 'Disabled MFA' });
+  res.json({ ok: true });
+});
+
+// Forget every "remembered" browser; the next sign-in asks for a code again
+app.delete('/api/mfa/devices', requireAuth, async (req, res) => {
+  const { count } = await prisma.mfaTrustedDevice.deleteMany({ where: { adminUserId: req.user.adminUserId } });
+  res.clearCookie(MFA_DEVICE_COOKIE, { path: '/api/login' });
+  await audit.record(prisma, req, {
+    action: 'mfa.devices_forget',
+    targetType: 'user',
+    targetId: req.user.adminUserId,
+    summary: `Forgot ${count} remembered device${count === 1 ? '' : 's'}`
+  });
+  res.json({ ok: true, forgotten: count });
+});
+
+/* ---------------------- Passwords & invitations -------------------- */
+// Absolute portal link for emails: PORTAL_URL when set, else this request's
+// origin. The Host header is client-controlled, so the unauthenticated
+// forgot-password flow only falls back to it outside production.
+function portalUrl(req, path, { trustHost = true } = {}) {
+  const fixed = mailer.portalLink(path);
+  if (fixed) return fixed;
+  if (!trustHost && process.env.NODE_ENV === 'production') return null;
+  return `${req.protocol}://${req.get('host')}${path}`;
+}
+
+// Invitation link token. The AdminInvite row decides whether it still works
+// (accepted / revoked), so it is single-use and revocable.
+function signInviteToken(inv) {
+  const ttlSec = Math.max(1, Math.floor((inv.expiresAt.getTime() - Date.now()) / 1000));
+  return jwt.sign({ typ: 'invite', inviteId: inv.id }, JWT_SECRET, { expiresIn: ttlSec });
+}
+
+// The pending invite (with its tenant) a token names, or null
+async function readInviteToken(token) {
+  let c;
+  try { c = jwt.verify(String(token || ''), JWT_SECRET); } catch { return null; }
+  if (c.typ !== 'invite') return null;
+  const inv = await prisma.adminInvite.findUnique({
+    where: { id: String(c.inviteId) },
+    include: { tenant: { select: { id: true, name: true, subdomain: true } } }
+  });
+  return inv && accounts.inviteState(inv) === 'pending' ? inv : null;
+}
+
+// Reset link token. Bound to the current password hash, so it stops working
+// once any new password is set (single use).
+function signResetToken(acct) {
+  return jwt.sign(
+    { typ: 'pwreset', adminUserId: acct.id, stamp: sessions.passwordStamp(acct.passwordHash) },
+    JWT_SECRET,
+    { expiresIn: accounts.RESET_TTL_SEC }
+  );
+}
+
+const PASSWORD_USER_SELECT = { id: true, tenantId: true, email: true, passwordHash: true, deactivatedAt: true };
+
+// The active account a reset token belongs to, or null
+async function readResetToken(token) {
+  let c;
+  try { c = jwt.verify(String(token || ''), JWT_SECRET); } catch { return null; }
+  if (c.typ !== 'pwreset') return null;
+  const acct = await prisma.adminUser.findUnique({ where: { id: String(c.adminUserId) }, select: PASSWORD_USER_SELECT });
+  if (!acct || acct.deactivatedAt || sessions.passwordStamp(acct.passwordHash) !== c.stamp) return null;
+  return acct;
+}
+
+// Store a new password, only if the hash is still `prevHash` (so a reset
+// link or a concurrent change can't apply twice). Returns the new hash or null.
+async function setPassword(db, acct, prevHash, password) {
+  const passwordHash = await passwords.hashPassword(password);
+  const { count } = await db.adminUser.updateMany({
+    where: { id: acct.id, passwordHash: prevHash },
+    data: { passwordHash, passwordChangedAt: new Date() }
+  });
+  return count ? passwordHash : null;
+}
+
+// { email, tenantHint? } → one reset email per active account with that
+// email (each names its tenant), or only the hinted tenant's. The answer is
+// the same whether or not anything matched; emails go out after it.
+app.post('/api/password/forgot', loginIpLimiter, passwordResetLimiter, async (req, res) => {
+  const email = String(req.body?.email || '').trim().toLowerCase();
+  const tenantHint = String(req.body?.tenantHint || '').toLowerCase();
+  if (!email) return res.status(400).json({ error: 'missing_fields' });
+  res.json({ ok: true });
+
+  try {
+    const matches = await prisma.adminUser.findMany({
+      where: { email, deactivatedAt: null },
+      select: { id: true, tenantId: true, email: true, passwordHash: true, tenant: { select: { subdomain: true, ...accounts.TENANT_MAIL_SELECT } } }
+    });
+    for (const acct of matches) {
+      if (tenantHint && acct.tenantId.toLowerCase() !== tenantHint && (acct.tenant.subdomain || '').toLowerCase() !== tenantHint) continue;
+      const url = portalUrl(req, `/portal#reset=${signResetToken(acct)}`, { trustHost: false });
+      const sent = !!url && await accounts.send(acct.tenant, accounts.resetEmail(acct.tenant, acct.email, url), 'password_reset');
+      await audit.record(prisma, req, {
+        action: 'auth.password_reset_request',
+        tenantId: acct.tenantId,
+        actorId: acct.id,
+        actorEmail: acct.email,
+        targetType: 'user',
+        targetId: acct.id,
+        summary: sent ? 'Password reset link emailed'
+          : `Password reset requested, not emailed (${url ? 'tenant email is not set up' : 'PORTAL_URL is not set'})`
+      });
+    }
+  } catch (err) {
+    console.error('Password forgot error', err);
+  }
+});
+
+// { token, password } from the emailed link. Signs out every session of the
+// account; the user then signs in normally (MFA still applies).
+app.post('/api/password/reset', loginIpLimiter, async (req, res) => {
+  try {
+    const acct = await readResetToken(req.body?.token);
+    if (!acct) return res.status(400).json({ error: 'reset_link_invalid' });
+    const password = String(req.body?.password || '');
+    const problems = passwords.checkPassword(password, { email: acct.email });
+    if (problems.length) return res.status(400).json(passwords.policyError(problems));
+
+    if (!(await setPassword(prisma, acct, acct.passwordHash, password))) {
+      return res.status(400).json({ error: 'reset_link_invalid' });
+    }
+    const ended = await sessions.revoke(prisma, acct.id, {}, 'password_reset');
+    await audit.record(prisma, req, {
+      action: 'auth.password_reset',
+      tenantId: acct.tenantId,
+      actorId: acct.id,
+      actorEmail: acct.email,
+      targetType: 'user',
+      targetId: acct.id,
+      summary: `Reset password by email link (${ended} session${ended === 1 ? '' : 's'} signed out)`
+    });
+    res.json({ ok: true, email: acct.email });
+  } catch (err) {
+    console.error('Password reset error', err);
+    res.status(500).json({ error: 'server_error' });
+  }
+});
+
+// { currentPassword, newPassword }. Other sessions are signed out; this one
+// stays signed in.
+app.post('/api/password/change', requireAuth, async (req, res) => {
+  const currentPassword = String(req.body?.currentPassword || '');
+  const newPassword = String(req.body?.newPassword || '');
+  if (!currentPassword || !newPassword) return res.status(400).json({ error: 'missing_fields' });
+
+  const me = await prisma.adminUser.findUnique({ where: { id: req.user.adminUserId }, select: PASSWORD_USER_SELECT });
+  if (!me) return res.status(401).json({ error: 'auth_required' });
+  if (!(await bcrypt.compare(currentPassword, me.passwordHash))) {
+    return res.status(400).json({ error: 'wrong_password' });
+  }
+  if (currentPassword === newPassword) return res.status(400).json({ error: 'same_password' });
+  const problems = passwords.checkPassword(newPassword, { email: me.email });
+  if (problems.length) return res.status(400).json(passwords.policyError(problems));
+
+  const ended = await prisma.$transaction(async (tx) => {
+    const hash = await setPassword(tx, me, me.passwordHash, newPassword);
+    if (!hash) return null;
+    await sessions.restamp(tx, req.user.sessionId, hash);
+    return sessions.revoke(tx, me.id, { id: { not: req.user.sessionId } }, 'password_changed');
+  });
+  if (ended == null) return res.status(409).json({ error: 'password_changed_concurrently' });
+  await audit.record(prisma, req, {
+    action: 'auth.password_change',
+    targetType: 'user',
+    targetId: me.id,
+    summary: `Changed password (${ended} other session${ended === 1 ? '' : 's'} signed out)`
+  });
+  res.json({ ok: true, sessionsRevoked: ended });
+});
+
+// { token } → what the invitation is for, so the page can show it before
+// asking for a password. POST keeps the token out of access logs.
+app.post('/api/invites/lookup', loginIpLimiter, async (req, res) => {
+  const inv = await readInviteToken(req.body?.token);
+  if (!inv) return res.status(400).json({ error: 'invite_invalid' });
+  res.json({
+    email: inv.email,
+    role: inv.role,
+    tenant: { name: inv.tenant.name, subdomain: inv.tenant.subdomain },
+    invitedByEmail: inv.invitedByEmail,
+    expiresAt: inv.expiresAt,
+    minLength: passwords.MIN_LENGTH
+  });
+});
+
+// { token, password } → creates the account in the inviting tenant. Emails
+// are unique per tenant only, so the same address may already have accounts
+// elsewhere; sign-in then asks which tenant (tenant_required).
+app.post('/api/invites/accept', loginIpLimiter, async (req, res) => {
+  try {
+    const inv = await readInviteToken(req.body?.token);
+    if (!inv) return res.status(400).json({ error: 'invite_invalid' });
+    const password = String(req.body?.password || '');
+    const problems = passwords.checkPassword(password, { email: inv.email });
+    if (problems.length) return res.status(400).json(passwords.policyError(problems));
+    const passwordHash = await passwords.hashPassword(password);
+
+    const user = await prisma.$transaction(async (tx) => {
+      // claim the invite first, so two tabs can't both accept it
+      const { count } = await tx.adminInvite.updateMany({
+        where: { id: inv.id, acceptedAt: null, revokedAt: null, expiresAt: { gt: new Date() } },
+        data: { acceptedAt: new Date() }
+      });
+      if (!count) return null;
+      const created = await tx.adminUser.create({
+        data: { tenantId: inv.tenantId, email: inv.email, passwordHash, role: normalizeRole(inv.role), passwordChangedAt: new Date() },
+        select: { id: true, email: true, role: true, tenantId: true }
+      });
+      await tx.adminInvite.update({ where: { id: inv.id }, data: { acceptedUserId: created.id } });
+      return created;
+    });
+    if (!user) return res.status(400).json({ error: 'invite_invalid' });
+
+    await audit.record(prisma, req, {
+      action: 'user.invite_accept',
+      tenantId: user.tenantId,
+      actorId: user.id,
+      actorEmail: user.email,
+      targetType: 'user',
+      targetId: user.id,
+      summary: `Accepted the invitation from ${inv.invitedByEmail || 'an owner'} (role: ${user.role})`
+    });
+    res.json({ ok: true, email: user.email, tenant: { id: inv.tenant.id, name: inv.tenant.name, subdomain: inv.tenant.subdomain } });
+  } catch (err) {
+    if (err?.code === 'P2002') return res.status(409).json({ error: 'user_exists' });
+    console.error('Invite accept error', err);
+    res.status(500).json({ error: 'server_error' });
+  }
 });
 
 /* ------------------------ Branding / Config ----------------------- */
 // Used by portal.html instead of static JSON files
-app.get('/api/portal/config', requireAuth, async (req, res) => {
+app.get('/api/portal/config', requirePermission('dashboard:read'), async (req, res) => {
   const t = await prisma.tenant.findUnique({ where: { id: req.user.tenantId } });
   if (!t) return res.status(404).json({ error: 'tenant_not_found' });
 
@@ -375,7 +970,7 @@ app.get('/api/portal/config', requireAuth, async (req, res) => {
 
 /* --------------------- Tenant secrets (masked) -------------------- */
 // READ (masked): never decrypt for the browser
-app.get('/api/portal/tenant/secrets', requireAuth, async (req, res) => {
+app.get('/api/portal/tenant/secrets', requirePermission('secrets:read'), async (req, res) => {
   const t = await prisma.tenant.findUnique({
     where: { id: req.user.tenantId },
     select: {
@@ -422,7 +1017,7 @@ app.get('/api/portal/tenant/secrets', requireAuth, async (req, res) => {
 });
 
 // WRITE (encrypt-on-save): only encrypt provided fields
-app.put('/api/portal/tenant/secrets', requireAuth, async (req, res) => {
+app.put('/api/portal/tenant/secrets', requirePermission('secrets:write'), async (req, res) => {
   if (!hasKey()) return res.status(400).json({ error: 'kms_not_configured' });
 
   const {
@@ -455,98 +1050,335 @@ app.put('/api/portal/tenant/secrets', requireAuth, async (req, res) => {
     data.googleTokens = encrypt(asString);
   }
 
+  const before = await prisma.tenant.findUnique({
+    where: { id: req.user.tenantId },
+    select: Object.fromEntries(Object.keys(data).map(k => [k, true]))
+  });
   await prisma.tenant.update({
     where: { id: req.user.tenantId },
     data
   });
-
-  // Optional audit
-  await prisma.event.create({
-    data: {
-      tenantId: req.user.tenantId,
-      type: 'admin:update_secrets',
-      content: `Updated: ${Object.keys(data).join(', ')}`
-    }
+  // pasted tokens replace a "Connect Google" connection; its status no longer applies
+  if (data.googleTokens) await prisma.googleConnection.deleteMany({ where: { tenantId: req.user.tenantId } });
+
+  const changes = audit.diff(before, data);
+  await audit.record(prisma, req, {
+    action: 'secrets.update',
+    targetType: 'tenant',
+    targetId: req.user.tenantId,
+    summary: `Updated: ${Object.keys(changes || {}).join(', ') || 'nothing changed'}`,
+    changes
   });
 
   res.json({ ok: true });
 });
 
+// Send a test message with the saved SMTP settings (to emailTo, or `to`)
+app.post('/api/portal/tenant/secrets/test-email', requirePermission('secrets:write'), async (req, res) => {
+  const to = req.body?.to ? String(req.body.to).trim() : undefined;
+  if (to && !mailer.EMAIL_RE.test(to)) return res.status(400).json({ error: 'bad_email' });
 
-/* -------------------------- Portal reads -------------------------- */
-
+  try {
+    const info = await notifications.sendTestEmail(prisma, req.user.tenantId, to);
+    await audit.record(prisma, req, {
+      action: 'secrets.test_email',
+      summary: `Test email sent to ${info.accepted?.join(', ') || to || 'emailTo'}`
+    });
+    res.json({ ok: true, accepted: info.accepted || [], rejected: info.rejected || [] });
+  } catch (e) {
+    if (e.message === 'smtp_not_configured') return res.status(400).json({ error: 'smtp_not_configured' });
+    if (e.message === 'tenant_not_found') return res.status(404).json({ error: 'tenant_not_found' });
+    res.status(502).json({ error: 'smtp_failed', message: String(e.response || e.message).slice(0, 300) });
+  }
+});
 
-// Windowed status + uptime
-app.get('/api/portal/metrics', async (req, res) => {
-  const tenantId = req.user.tenantId;
 
-  // rolling window (minutes) – configurable via .env
-  const WINDOW_MIN = Number(process.env.METRICS_WINDOW_MIN || 30);
-  const since = new Date(Date.now() - WINDOW_MIN * 60 * 1000);
+/* ------------------------- Google connect ------------------------ */
+// The authorize request's state + PKCE verifier ride in a short-lived signed
+// cookie, checked against the session when Google redirects back.
+const GOOGLE_OAUTH_COOKIE = 'google_oauth';
+const GOOGLE_OAUTH_TTL_SEC = 10 * 60;
 
-  // Pull recent metrics only
-  const metrics = await prisma.metric.findMany({
-    where: { tenantId, createdAt: { gte: since } },
-    orderBy: { createdAt: 'desc' },
-    take: 2000
+app.get('/api/portal/google', requirePermission('secrets:read'), async (req, res) => {
+  const t = await prisma.tenant.findUnique({
+    where: { id: req.user.tenantId },
+    select: { googleTokens: true, googleConnection: true, ...googleOAuth.CLIENT_SELECT }
+  });
+  if (!t) return res.status(404).json({ error: 'tenant_not_found' });
+  res.json({
+    configured: googleOAuth.isConfigured(t),
+    redirectUri: googleOAuth.redirectUriFor(t, `${req.protocol}://${req.get('host')}`),
+    requestedScopes: googleOAuth.SCOPES,
+    connection: googleOAuth.shapeConnection(t.googleConnection),
+    // tokens pasted through PUT /tenant/secrets rather than connected here
+    manualTokens: !!t.googleTokens && !t.googleConnection
   });
+});
 
-  // Derive counts
-  const latencies   = metrics.filter(m => m.name === 'latency').map(m => Number(m.value) || 0);
-  const successCnt  = metrics.filter(m => m.name === 'success').length;
-  const errorCnt    = metrics.filter(m => m.name === 'error').length;
-  const requests    = successCnt + errorCnt;
+// Returns the Google authorize URL; the portal navigates to it
+app.post('/api/portal/google/connect', requirePermission('secrets:write'), async (req, res) => {
+  if (!hasKey()) return res.status(400).json({ error: 'kms_not_configured' });
+  const t = await prisma.tenant.findUnique({ where: { id: req.user.tenantId }, select: googleOAuth.CLIENT_SELECT });
+  if (!googleOAuth.isConfigured(t)) return res.status(400).json({ error: 'google_not_configured' });
+
+  const state = crypto.randomBytes(16).toString('base64url');
+  const { verifier, challenge } = googleOAuth.pkcePair();
+  const redirectUri = googleOAuth.redirectUriFor(t, `${req.protocol}://${req.get('host')}`);
+  const pending = { state, verifier, redirectUri, tenantId: req.user.tenantId, adminUserId: req.user.adminUserId };
+  res.cookie(GOOGLE_OAUTH_COOKIE, jwt.sign(pending, JWT_SECRET, { expiresIn: GOOGLE_OAUTH_TTL_SEC }), {
+    httpOnly: true,
+    sameSite: 'Lax', // sent on Google's top-level redirect back
+    secure: process.env.NODE_ENV === 'production',
+    maxAge: GOOGLE_OAUTH_TTL_SEC * 1000,
+    path: googleOAuth.CALLBACK_PATH
+  });
+  res.json({ url: googleOAuth.authorizeUrl(t, { redirectUri, state, challenge }) });
+});
 
-  const avgLatency = latencies.length
-    ? Math.round(latencies.reduce((a, b) => a + b, 0) / latencies.length)
-    : 0;
+// Browser lands here from Google; always redirects back to the portal
+app.get(googleOAuth.CALLBACK_PATH, async (req, res) => {
+  const back = (q) => res.redirect(`/portal?${new URLSearchParams(q)}`);
+  let pending = null;
+  try { pending = jwt.verify(req.cookies?.[GOOGLE_OAUTH_COOKIE] || '', JWT_SECRET); } catch { /* missing or expired */ }
+  res.clearCookie(GOOGLE_OAUTH_COOKIE, { path: googleOAuth.CALLBACK_PATH });
+
+  if (!pending || !req.query.state || req.query.state !== pending.state) return back({ google: 'error', reason: 'bad_state' });
+  const sess = await readSession(req);
+  if (!sess || sess.adminUserId !== pending.adminUserId || sess.tenantId !== pending.tenantId) {
+    return back({ google: 'error', reason: 'session_changed' });
+  }
+  if (!can(sess.role, 'secrets:write')) return back({ google: 'error', reason: 'forbidden' });
+  if (req.query.error) return back({ google: 'error', reason: String(req.query.error).slice(0, 100) });
+  if (!req.query.code) return back({ google: 'error', reason: 'code_missing' });
 
-  // Status
-  let status, successRate = 100;
-  if (requests === 0) {
-    status = 'idle'; // no traffic in window = idle, not down
-  } else {
-    successRate = Math.round((successCnt / requests) * 1000) / 10; // e.g., 99.7
-    if (successRate >= 99 && avgLatency < 250) status = 'ok';
-    else if (successRate >= 95)                status = 'degraded';
-    else                                       status = 'down';
-  }
-
-  // Show last usage row (unchanged)
-  const lastUsage = await prisma.usage.findFirst({
-    where: { tenantId },
-    orderBy: { createdAt: 'desc' }
-  });
+  try {
+    const t = await prisma.tenant.findUnique({ where: { id: pending.tenantId }, select: googleOAuth.CLIENT_SELECT });
+    if (!googleOAuth.isConfigured(t)) return back({ google: 'error', reason: 'google_not_configured' });
+    const conn = await googleOAuth.completeConnect(prisma, pending.tenantId, t, {
+      code: String(req.query.code),
+      redirectUri: pending.redirectUri,
+      verifier: pending.verifier,
+      by: sess.email
+    });
+    await audit.record(prisma, req, {
+      action: 'google.connect',
+      tenantId: pending.tenantId,
+      actorId: sess.adminUserId,
+      actorEmail: sess.email,
+      summary: `Google connected${conn.email ? ` as ${conn.email}` : ''} (scopes: ${conn.scopes.join(' ')})`
+    });
+    back({ google: 'connected' });
+  } catch (e) {
+    console.error('google_connect_error', pending.tenantId, e.message, e.description || '');
+    back({ google: 'error', reason: e.message });
+  }
+});
 
-  res.json({
-    status,
-    uptimeSec: Math.floor((Date.now() - BOOT_TS) / 1000),
-    windowMin: WINDOW_MIN,
-    requestsInWindow: requests,
-    successRate,
-    avgLatencyMs: avgLatency,
-    usage: lastUsage ? {
-      period: 'Current',
-      at: lastUsage.createdAt,
-      model: lastUsage.model,
-      prompt_tokens: lastUsage.promptTokens,
-      completion_tokens: lastUsage.completionTokens,
-      cached_tokens: lastUsage.cachedTokens,
-      costUSD: lastUsage.cost,
-      breakdown: canonicalizeBreakdownFromPayload({
-        breakdown: lastUsage.breakdown,
-        prompt_tokens: lastUsage.promptTokens,
-        completion_tokens: lastUsage.completionTokens,
-        cached_tokens: lastUsage.cachedTokens,
-        costUSD: lastUsage.cost
-      }) || undefined
-    } : null
+app.post('/api/portal/google/disconnect', requirePermission('secrets:write'), async (req, res) => {
+  const revoked = await googleOAuth.disconnect(prisma, req.user.tenantId);
+  await audit.record(prisma, req, {
+    action: 'google.disconnect',
+    summary: `Google disconnected${revoked ? '' : ' (revocation not confirmed by Google)'}`
   });
+  res.json({ ok: true, revoked });
 });
 
 
+/* ------------------------ Intake keys (bot) ----------------------- */
+const shapeIntakeKey = k => ({
+  id: k.id,
+  label: k.label,
+  prefix: `${k.prefix}…`, // migrated legacy keys have no tik_
+  requireSignature: k.requireSignature,
+  createdAt: k.createdAt,
+  lastUsedAt: k.lastUsedAt,
+  revokedAt: k.revokedAt
+});
+
+app.get('/api/portal/intake-keys', requirePermission('intake_keys:manage'), async (req, res) => {
+  const rows = await prisma.intakeKey.findMany({
+    where: { tenantId: req.user.tenantId },
+    orderBy: { createdAt: 'desc' }
+  });
+  res.json(rows.map(shapeIntakeKey));
+});
+
+// The raw key is only ever returned here, once
+app.post('/api/portal/intake-keys', requirePermission('intake_keys:manage'), async (req, res) => {
+  const { key, prefix, keyHash } = intakeKeys.generateKey();
+  const row = await prisma.intakeKey.create({
+    data: {
+      tenantId: req.user.tenantId,
+      label: String(req.body?.label || '').slice(0, 100),
+      requireSignature: !!req.body?.requireSignature,
+      prefix,
+      keyHash
+    }
+  });
+
+  await audit.record(prisma, req, {
+    action: 'intake_key.create',
+    targetType: 'intake_key',
+    targetId: row.id,
+    summary: `Created intake key ${prefix}${row.label ? ` (${row.label})` : ''}`,
+    changes: audit.diff(null, { label: row.label, requireSignature: row.requireSignature })
+  });
+
+  res.status(201).json({ ...shapeIntakeKey(row), key });
+});
+
+app.patch('/api/portal/intake-keys/:id', requirePermission('intake_keys:manage'), async (req, res) => {
+  const data = {};
+  if (req.body?.label != null) data.label = String(req.body.label).slice(0, 100);
+  if (req.body?.requireSignature != null) data.requireSignature = !!req.body.requireSignature;
+
+  const existing = await prisma.intakeKey.findFirst({ where: { id: req.params.id, tenantId: req.user.tenantId } });
+  if (!existing) return res.status(404).json({ error: 'not_found' });
+  await prisma.intakeKey.update({ where: { id: existing.id }, data });
+
+  const changes = audit.diff(existing, data);
+  if (changes) {
+    await audit.record(prisma, req, {
+      action: 'intake_key.update',
+      targetType: 'intake_key',
+      targetId: existing.id,
+      summary: `Updated intake key ${existing.prefix}`,
+      changes
+    });
+  }
+  res.json({ ok: true });
+});
+
+// Revoke (kept for the lastUsedAt history; revoked keys never authenticate)
+app.delete('/api/portal/intake-keys/:id', requirePermission('intake_keys:manage'), async (req, res) => {
+  const { count } = await prisma.intakeKey.updateMany({
+    where: { id: req.params.id, tenantId: req.user.tenantId, revokedAt: null },
+    data: { revokedAt: new Date() }
+  });
+  if (!count) return res.status(404).json({ error: 'not_found' });
+
+  await audit.record(prisma, req, {
+    action: 'intake_key.revoke',
+    targetType: 'intake_key',
+    targetId: req.params.id,
+    summary: `Revoked intake key ${req.params.id}`
+  });
+  res.json({ ok: true });
+});
+
+
+/* -------------------------- Portal reads -------------------------- */
+
+
+// Windowed status + uptime
+app.get('/api/portal/metrics', requirePermission('dashboard:read'), async (req, res) => {
+  const tenantId = req.user.tenantId;
+
+  // rolling window (minutes) – configurable via .env
+  const WINDOW_MIN = Number(process.env.METRICS_WINDOW_MIN || 30);
+  const since = new Date(Date.now() - WINDOW_MIN * 60 * 1000);
+
+  // Counts + latency percentiles for the window, aggregated in SQL
+  const stats = (await metricsStats.windowStats(prisma, [tenantId], since)).get(tenantId)
+    || metricsStats.shapeStats();
+
+  // Status
+  const { status, successRate, requests } = deriveStatus(stats);
+
+  // Month-to-date usage from the daily rollup
+  const monthStart = startOfUtcMonth();
+  const mtd = (await usageRollups.monthToDate(prisma, [tenantId], monthStart)).get(tenantId);
+
+  res.json({
+    status,
+    uptimeSec: Math.floor((Date.now() - BOOT_TS) / 1000),
+    windowMin: WINDOW_MIN,
+    requestsInWindow: requests,
+    successRate,
+    avgLatencyMs: stats.avgLatencyMs ?? 0,
+    p50LatencyMs: stats.p50LatencyMs,
+    p95LatencyMs: stats.p95LatencyMs,
+    p99LatencyMs: stats.p99LatencyMs,
+    usage: mtd ? {
+      period: 'Month to date',
+      since: monthStart,
+      requests: mtd.requests,
+      prompt_tokens: mtd.promptTokens,
+      completion_tokens: mtd.completionTokens,
+      cached_tokens: mtd.cachedTokens,
+      costUSD: mtd.costUSD,
+      breakdown: mtd.breakdown
+    } : null
+  });
+});
+
+
+/**
+ * Metrics time series: per-bucket requests, errors and p50/p95/p99 latency.
+ * ?from=&to= (default last hour, max 31 days) &bucket=<seconds | 30s | 5m | 1h | 1d>
+ */
+app.get('/api/portal/metrics/series', requirePermission('dashboard:read'), async (req, res) => {
+  const range = parseDateRange(req.query, { defaultDays: 1 / 24, maxDays: 31 });
+  if (range.error) return res.status(400).json({ error: range.error });
+  const bucket = metricsStats.parseBucket(req.query.bucket, range.to - range.from);
+  if (bucket.error) return res.status(400).json(bucket);
+
+  const out = await metricsStats.metricsSeries(prisma, {
+    tenantId: req.user.tenantId, from: range.from, to: range.to, bucketSec: bucket.bucketSec
+  });
+  res.json({ from: range.from, to: range.to, ...out });
+});
+
+/* --------------------------- Live stream --------------------------- */
+/**
+ * Server-Sent Events for the current tenant: event, error, lead,
+ * conversation, turn and status (see utils/stream.js). Each event is only
+ * sent to roles that may read it; the portal polls while this is down.
+ */
+app.get('/api/portal/stream', requirePermission('dashboard:read'), (req, res) => {
+  if (!stream.subscribe(req, res, { reauth: () => readSession(req) })) return res.status(503).json({ error: 'too_many_streams' });
+});
+
+// Status is recomputed at most every STREAM_STATUS_DEBOUNCE_MS after intake
+// metrics, and every minute for streamed tenants (traffic ageing out = idle)
+const STREAM_STATUS_DEBOUNCE_MS = 2000;
+const statusQueue = new Set();
+let statusTimer = null;
+
+function queueStatusCheck(tenantId) {
+  if (!stream.hasSubscribers(tenantId)) return;
+  statusQueue.add(tenantId);
+  if (!statusTimer) statusTimer = setTimeout(flushStatusChecks, STREAM_STATUS_DEBOUNCE_MS);
+}
+
+async function flushStatusChecks() {
+  const tenantIds = [...statusQueue];
+  statusQueue.clear();
+  statusTimer = null;
+  try {
+    await pushStreamStatus(tenantIds);
+  } catch (e) {
+    console.error('stream_status_error', e);
+  }
+}
+
+async function pushStreamStatus(tenantIds) {
+  if (!tenantIds.length) return;
+  const WINDOW_MIN = Number(process.env.METRICS_WINDOW_MIN || 30);
+  const stats = await metricsStats.windowStats(prisma, tenantIds, new Date(Date.now() - WINDOW_MIN * 60 * 1000));
+  for (const tenantId of tenantIds) {
+    const s = stats.get(tenantId) || metricsStats.shapeStats();
+    stream.publishStatus(tenantId, { ...deriveStatus(s), p95LatencyMs: s.p95LatencyMs });
+  }
+}
+
+// Not a jobs.schedule job: every replica serves its own streams
+setInterval(() => {
+  pushStreamStatus(stream.subscribedTenants()).catch(e => console.error('stream_status_error', e));
+}, 60 * 1000).unref();
+
 // Events (latest first)
-app.get('/api/portal/events', async (req, res) => {
+app.get('/api/portal/events', requirePermission('dashboard:read'), async (req, res) => {
   const rows = await prisma.event.findMany({
     where: { tenantId: req.user.tenantId },
     orderBy: { createdAt: 'desc' },
@@ -558,7 +1390,7 @@ app.get('/api/portal/events', async (req, res) => {
 });
 
 // Errors (filter events with type starting "error:")
-app.get('/api/portal/errors', async (req, res) => {
+app.get('/api/portal/errors', requirePermission('dashboard:read'), async (req, res) => {
   const rows = await prisma.event.findMany({
     where: { tenantId: req.user.tenantId, type: { startsWith: 'error:' } },
     orderBy: { createdAt: 'desc' },
@@ -567,17 +1399,37 @@ app.get('/api/portal/errors', async (req, res) => {
   res.json(rows.map(r => ({ at: r.createdAt, user: r.type.slice(6), message: r.content })));
 });
 
-// Usage history
-app.get('/api/portal/usage', async (req, res) => {
+// Usage from the rollup tables (UTC calendar buckets)
+// ?from=&to=&groupBy=day|hour|model (default: last 30 days by day; hour: last 48h)
+app.get('/api/portal/usage', requirePermission('usage:read'), async (req, res) => {
   const tenantId = req.user.tenantId;
-  const history = await prisma.usage.findMany({
-    where: { tenantId },
-    orderBy: { createdAt: 'desc' },
-    take: 200
-  });
-  const current = history[0] || null;
+  const groupBy = String(req.query.groupBy || 'day');
+  if (!usageRollups.GROUP_BY.includes(groupBy)) {
+    return res.status(400).json({ error: 'bad_group_by', groupBy: usageRollups.GROUP_BY });
+  }
+  const range = groupBy === 'hour'
+    ? parseDateRange(req.query, { defaultDays: 2, maxDays: 31 })
+    : parseDateRange(req.query, { defaultDays: 30 });
+  if (range.error) return res.status(400).json({ error: range.error });
+
+  const monthStart = startOfUtcMonth();
+  const [{ series, totals }, mtd, current] = await Promise.all([
+    usageRollups.queryUsage(prisma, { tenantId, from: range.from, to: range.to, groupBy }),
+    usageRollups.monthToDate(prisma, [tenantId], monthStart),
+    prisma.usage.findFirst({ where: { tenantId }, orderBy: { createdAt: 'desc' } })
+  ]);
+  // rates currently in force for the latest model (portal cost fallback)
+  const catalog = current ? await pricing.loadCatalog(prisma, tenantId, [current.model]) : new Map();
+  const price = current ? pricing.priceAt(catalog, current.model, new Date()) : null;
 
   res.json({
+    from: range.from,
+    to: range.to,
+    groupBy,
+    series,
+    totals,
+    monthToDate: { since: monthStart, ...(mtd.get(tenantId) || usageRollups.shapeTotals({})) },
+    // latest single call, as before
     current: current ? {
       period: 'Current',
       at: current.createdAt,
@@ -586,36 +1438,19 @@ app.get('/api/portal/usage', async (req, res) => {
       completion_tokens: current.completionTokens,
       cached_tokens: current.cachedTokens,
       costUSD: current.cost,
-      breakdown: canonicalizeBreakdownFromPayload({
-        breakdown: current.breakdown,
-        prompt_tokens: current.promptTokens,
-        completion_tokens: current.completionTokens,
-        cached_tokens: current.cachedTokens,
-        costUSD: current.cost
-      }) || undefined
+      breakdown: splitUsageCost(current) || undefined
     } : null,
-    history: history.map(u => ({
-      at: u.createdAt,
-      model: u.model,
-      prompt_tokens: u.promptTokens,
-      completion_tokens: u.completionTokens,
-      cached_tokens: u.cachedTokens,
-      user: null,
-      costUSD: u.cost,
-      breakdown: canonicalizeBreakdownFromPayload({
-        breakdown: u.breakdown,
-        prompt_tokens: u.promptTokens,
-        completion_tokens: u.completionTokens, 
-        cached_tokens: u.cachedTokens,
-        costUSD: u.cost
-      }) || undefined
-    }))
-
+    pricing: pricing.shapePrice(price)
   });
 });
 
+// Month-end projection of spend and tokens (80% range) from daily rollups
+app.get('/api/portal/usage/forecast', requirePermission('usage:read'), async (req, res) => {
+  res.json(await forecastMonth(prisma, req.user.tenantId));
+});
+
 // Metrics log (raw)
-app.get('/api/portal/metrics-log', async (req, res) => {
+app.get('/api/portal/metrics-log', requirePermission('dashboard:read'), async (req, res) => {
   const rows = await prisma.metric.findMany({
     where: { tenantId: req.user.tenantId },
     orderBy: { createdAt: 'desc' },
@@ -624,36 +1459,330 @@ app.get('/api/portal/metrics-log', async (req, res) => {
   res.json(rows.map(r => ({ at: r.createdAt, type: r.name, value: r.value })));
 });
 
-// Conversations (recent)
-app.get('/api/portal/conversations', async (req, res) => {
+// Bot/portal tags plus TagDictionary matches
+const leadTags = l => [...new Set([...(l.tags || []), ...(l.autoTags || [])])];
+
+// Conversations (newest first, cursor-paginated)
+// ?limit=<1..100>&cursor=<nextCursor from the previous page>
+app.get('/api/portal/conversations', requirePermission('conversations:read'), async (req, res) => {
+  const tenantId = req.user.tenantId;
+  const limit = clampLimit(req.query.limit, 50, 100);
+  const cur = decodeCursor(req.query.cursor);
+  if (req.query.cursor && !cur) return res.status(400).json({ error: 'bad_cursor' });
+
+  const where = { tenantId };
+  if (cur) {
+    const { at, id } = cur;
+    where.OR = [{ startedAt: { lt: at } }, { startedAt: at, id: { lt: id } }];
+  }
+
   const convos = await prisma.conversation.findMany({
-    where: { tenantId: req.user.tenantId },
-    orderBy: { startedAt: 'desc' },
-    take: 50,
-    include: { messages: { orderBy: { createdAt: 'desc' }, take: 1 } }
-  });
-
-  const shaped = convos.reduce((acc, c) => {
-    acc[c.sessionId] = {
-      at: c.startedAt,
-      lastMessage: c.messages[0]?.content || '',
-      // placeholders for premium view parity
-      name: '',
-      email: '',
-      phone: '',
-      tags: []
-    };
-    return acc;
-  }, {});
-  res.json(shaped);
+    where,
+    orderBy: [{ startedAt: 'desc' }, { id: 'desc' }],
+    take: limit + 1,
+    include: {
+      messages: { orderBy: { createdAt: 'desc' }, take: 1 },
+      _count: { select: { messages: true } }
+    }
+  });
+  const page = convos.slice(0, limit);
+
+  // Contact details come from the lead captured in the same session, if any
+  const leads = await prisma.lead.findMany({
+    where: { tenantId, sessionId: { in: page.map(c => c.sessionId) } },
+    orderBy: { createdAt: 'desc' },
+    select: { sessionId: true, name: true, email: true, phone: true, tags: true, autoTags: true }
+  });
+  const leadBySession = new Map();
+  for (const l of leads) if (!leadBySession.has(l.sessionId)) leadBySession.set(l.sessionId, l);
+
+  const last = page[page.length - 1];
+  res.json({
+    conversations: page.map(c => {
+      const lead = leadBySession.get(c.sessionId);
+      return {
+        sessionId: c.sessionId,
+        at: c.startedAt,
+        endedAt: c.endedAt,
+        messageCount: c._count.messages,
+        lastMessage: c.messages[0]?.content || '',
+        lastMessageAt: c.messages[0]?.createdAt || null,
+        name: lead?.name || '',
+        email: lead?.email || '',
+        phone: lead?.phone || '',
+        tags: lead ? leadTags(lead) : []
+      };
+    }),
+    nextCursor: convos.length > limit ? encodeCursor({ at: last.startedAt, id: last.id }) : null
+  });
+});
+
+// Full transcript for one session, oldest turn first
+// ?limit=<1..1000>&cursor=<nextCursor> pages through very long sessions
+app.get('/api/portal/conversations/:sessionId', requirePermission('conversations:read'), async (req, res) => {
+  const tenantId = req.user.tenantId;
+  const convo = await prisma.conversation.findUnique({
+    where: { tenantId_sessionId: { tenantId, sessionId: req.params.sessionId } }
+  });
+  if (!convo) return res.status(404).json({ error: 'conversation_not_found' });
+
+  const limit = clampLimit(req.query.limit, 500, 1000);
+  const cur = decodeCursor(req.query.cursor);
+  if (req.query.cursor && !cur) return res.status(400).json({ error: 'bad_cursor' });
+
+  const where = { conversationId: convo.id };
+  if (cur) {
+    const { at, id } = cur;
+    where.OR = [{ createdAt: { gt: at } }, { createdAt: at, id: { gt: id } }];
+  }
+
+  const [messages, totals, lead] = await Promise.all([
+    prisma.message.findMany({
+      where,
+      orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+      take: limit + 1
+    }),
+    prisma.message.aggregate({
+      where: { conversationId: convo.id },
+      _count: { _all: true },
+      _sum: { tokensIn: true, tokensOut: true }
+    }),
+    prisma.lead.findFirst({
+      where: { tenantId, sessionId: convo.sessionId },
+      orderBy: { createdAt: 'desc' },
+      select: { id: true, name: true, email: true, phone: true, tags: true, autoTags: true, createdAt: true }
+    })
+  ]);
+  const page = messages.slice(0, limit);
+  const last = page[page.length - 1];
+
+  res.json({
+    sessionId: convo.sessionId,
+    startedAt: convo.startedAt,
+    endedAt: convo.endedAt,
+    lead,
+    totals: {
+      messages: totals._count._all,
+      tokensIn: totals._sum.tokensIn || 0,
+      tokensOut: totals._sum.tokensOut || 0
+    },
+    messages: page.map(m => ({
+      id: m.id,
+      role: m.role,
+      content: m.content,
+      tokensIn: m.tokensIn,
+      tokensOut: m.tokensOut,
+      tags: m.tags || [],
+      at: m.createdAt
+    })),
+    nextCursor: messages.length > limit ? encodeCursor({ at: last.createdAt, id: last.id }) : null
+  });
+});
+
+/* -------------------------- Lead pipeline ------------------------- */
+const shapeLead = l => ({
+  id: l.id,
+  sessionId: l.sessionId || null,
+  name: l.name || 'Unknown',
+  email: l.email || '',
+  phone: l.phone || '',
+  snippet: l.snippet || '',
+  tags: l.tags || [],         // sent by the bot or set in the portal
+  autoTags: l.autoTags || [], // TagDictionary matches
+  status: l.status,
+  owner: l.owner ? { id: l.owner.id, email: l.owner.email } : null,
+  at: l.createdAt,
+  updatedAt: l.updatedAt
+});
+
+const shapeLeadActivity = a => ({
+  id: a.id,
+  type: a.type,
+  content: a.content,
+  data: a.data ?? null,
+  actor: a.actor ? { id: a.actor.id, email: a.actor.email } : null,
+  at: a.createdAt
+});
+
+// Admin users that can own leads in a tenant: its own users plus agency
+// operators granted access, limited to roles that can see leads.
+async function leadAssignees(tenantId) {
+  const [users, grants] = await Promise.all([
+    prisma.adminUser.findMany({ where: { tenantId }, select: { id: true, email: true, role: true } }),
+    prisma.agencyGrant.findMany({
+      where: { tenantId },
+      select: { role: true, adminUser: { select: { id: true, email: true } } }
+    })
+  ]);
+  const out = new Map();
+  for (const u of users) if (can(u.role, 'leads:read')) out.set(u.id, { id: u.id, email: u.email });
+  for (const g of grants) if (can(g.role, 'leads:read')) out.set(g.adminUser.id, { ...g.adminUser });
+  return [...out.values()].sort((a, b) => a.email.localeCompare(b.email));
+}
+
+// ?status=&owner=me|none|<adminUserId>&limit=&cursor= — newest first, plus per-status counts
+app.get('/api/portal/leads', requirePermission('leads:read'), async (req, res) => {
+  const tenantId = req.user.tenantId;
+  const limit = clampLimit(req.query.limit, 100, 500);
+  const cur = decodeCursor(req.query.cursor);
+  if (req.query.cursor && !cur) return res.status(400).json({ error: 'bad_cursor' });
+
+  const where = { tenantId };
+  if (req.query.status) {
+    if (!LEAD_STATUSES.includes(req.query.status)) return res.status(400).json({ error: 'bad_status' });
+    where.status = req.query.status;
+  }
+  if (req.query.owner === 'me') where.ownerId = req.user.adminUserId;
+  else if (req.query.owner === 'none') where.ownerId = null;
+  else if (req.query.owner) where.ownerId = String(req.query.owner);
+  if (cur) {
+    const { at, id } = cur;
+    where.OR = [{ createdAt: { lt: at } }, { createdAt: at, id: { lt: id } }];
+  }
+
+  const [leads, grouped] = await Promise.all([
+    prisma.lead.findMany({
+      where,
+      orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+      take: limit + 1,
+      include: { owner: { select: { id: true, email: true } } }
+    }),
+    prisma.lead.groupBy({ by: ['status'], where: { tenantId }, _count: { _all: true } })
+  ]);
+  const page = leads.slice(0, limit);
+  const last = page[page.length - 1];
+
+  const counts = Object.fromEntries(LEAD_STATUSES.map(st => [st, 0]));
+  for (const g of grouped) counts[g.status] = g._count._all;
+
+  res.json({
+    statuses: LEAD_STATUSES,
+    counts,
+    leads: page.map(shapeLead),
+    nextCursor: leads.length > limit ? encodeCursor({ at: last.createdAt, id: last.id }) : null
+  });
+});
+
+app.get('/api/portal/leads/assignees', requirePermission('leads:read'), async (req, res) => {
+  res.json(await leadAssignees(req.user.tenantId));
+});
+
+// One lead with its activity timeline (oldest first)
+app.get('/api/portal/leads/:id', requirePermission('leads:read'), async (req, res) => {
+  const lead = await prisma.lead.findFirst({
+    where: { id: req.params.id, tenantId: req.user.tenantId },
+    include: {
+      owner: { select: { id: true, email: true } },
+      activities: {
+        orderBy: { createdAt: 'asc' },
+        take: 500,
+        include: { actor: { select: { id: true, email: true } } }
+      }
+    }
+  });
+  if (!lead) return res.status(404).json({ error: 'not_found' });
+  res.json({ ...shapeLead(lead), activities: lead.activities.map(shapeLeadActivity) });
+});
+
+// { status?, ownerId? (null = unassign), tags? } — each change lands on the timeline
+app.patch('/api/portal/leads/:id', requirePermission('leads:write'), async (req, res) => {
+  const tenantId = req.user.tenantId;
+  const body = req.body || {};
+  const lead = await prisma.lead.findFirst({
+    where: { id: req.params.id, tenantId },
+    include: { owner: { select: { id: true, email: true } } }
+  });
+  if (!lead) return res.status(404).json({ error: 'not_found' });
+
+  const data = {};
+  const activities = [];
+  const activity = (type, content, extra) =>
+    activities.push({ tenantId, leadId: lead.id, actorId: req.user.adminUserId, type, content, data: extra });
+
+  if (body.status !== undefined) {
+    if (!LEAD_STATUSES.includes(body.status)) return res.status(400).json({ error: 'bad_status', statuses: LEAD_STATUSES });
+    if (body.status !== lead.status) {
+      data.status = body.status;
+      activity('status', `${lead.status} → ${body.status}`, { from: lead.status, to: body.status });
+    }
+  }
+
+  if (body.ownerId !== undefined) {
+    const ownerId = body.ownerId ? String(body.ownerId) : null;
+    let owner = null;
+    if (ownerId) {
+      owner = (await leadAssignees(tenantId)).find(a => a.id === ownerId);
+      if (!owner) return res.status(400).json({ error: 'bad_owner' });
+    }
+    if (ownerId !== lead.ownerId) {
+      data.ownerId = ownerId;
+      activity('owner', owner ? `Assigned to ${owner.email}` : 'Unassigned',
+        { from: lead.owner?.email || null, to: owner?.email || null });
+    }
+  }
+
+  if (body.tags !== undefined) {
+    if (!Array.isArray(body.tags)) return res.status(400).json({ error: 'bad_tags' });
+    data.tags = [...new Set(body.tags.map(t => String(t).trim()).filter(Boolean))].slice(0, 50);
+  }
+
+  if (!Object.keys(data).length) return res.json(shapeLead(lead));
+
+  const [updated] = await prisma.$transaction([
+    prisma.lead.update({
+      where: { id: lead.id },
+      data,
+      include: { owner: { select: { id: true, email: true } } }
+    }),
+    prisma.leadActivity.createMany({ data: activities })
+  ]);
+  await audit.record(prisma, req, {
+    action: 'lead.update',
+    targetType: 'lead',
+    targetId: lead.id,
+    summary: `Updated lead ${lead.name || lead.email || lead.id}`,
+    changes: audit.diff(
+      { status: lead.status, owner: lead.owner?.email || null, tags: lead.tags },
+      { status: updated.status, owner: updated.owner?.email || null, tags: updated.tags }
+    )
+  });
+  res.json(shapeLead(updated));
+});
+
+app.post('/api/portal/leads/:id/notes', requirePermission('leads:write'), async (req, res) => {
+  const content = String(req.body?.content || '').trim();
+  if (!content) return res.status(400).json({ error: 'missing_content' });
+  if (content.length > 5000) return res.status(400).json({ error: 'note_too_long' });
+
+  const lead = await prisma.lead.findFirst({
+    where: { id: req.params.id, tenantId: req.user.tenantId },
+    select: { id: true, name: true, email: true }
+  });
+  if (!lead) return res.status(404).json({ error: 'not_found' });
+
+  const [note] = await prisma.$transaction([
+    prisma.leadActivity.create({
+      data: { tenantId: req.user.tenantId, leadId: lead.id, actorId: req.user.adminUserId, type: 'note', content },
+      include: { actor: { select: { id: true, email: true } } }
+    }),
+    prisma.lead.update({ where: { id: lead.id }, data: { updatedAt: new Date() } })
+  ]);
+  await audit.record(prisma, req, {
+    action: 'lead.note',
+    targetType: 'lead',
+    targetId: lead.id,
+    summary: `Added a note to lead ${lead.name || lead.email || lead.id}`
+  });
+  res.status(201).json(shapeLeadActivity(note));
 });
 
 // Premium summary (from DB)
-app.get('/api/portal/premium', async (req, res) => {
+app.get('/api/portal/premium', requirePermission('leads:read'), async (req, res) => {
   const leads = await prisma.lead.findMany({
     where: { tenantId: req.user.tenantId },
     orderBy: { createdAt: 'desc' },
-    take: 200
+    take: 200,
+    include: { owner: { select: { id: true, email: true } } }
   });
 
   const totalLeads = leads.length;
@@ -661,31 +1790,1103 @@ app.get('/api/portal/premium', async (req, res) => {
 
   const tagCounts = new Map();
   for (const l of leads) {
-    for (const t of (l.tags || [])) {
+    for (const t of leadTags(l)) {
       tagCounts.set(t, (tagCounts.get(t) || 0) + 1);
     }
   }
   const topics = [...tagCounts.entries()].sort((a, b) => b[1] - a[1]).slice(0, 10).map(([t]) => t);
 
-  const conversations = leads.map(l => ({
-    name: l.name || 'Unknown',
-    snippet: l.snippet || '',
-    at: l.createdAt,
-    email: l.email || '',
-    phone: l.phone || '',
-    tags: l.tags || []
-  }));
+  const conversations = leads.map(shapeLead);
 
   res.json({ totalLeads, withContact, conversations, topics });
 });
 
-/* ---------------------- Tenants picker (UI) ---------------------- */
-app.get('/api/tenants', requireAuth, async (_req, res) => {
-  const rows = await prisma.tenant.findMany({
-    select: { id: true, name: true, subdomain: true, plan: true },
-    orderBy: { name: 'asc' }
+// Conversation analytics: duration, depth and lead conversion
+// ?from=&to= (default last 30 days), by conversation start time
+app.get('/api/portal/analytics/conversations', requirePermission('conversations:read'), async (req, res) => {
+  const range = parseDateRange(req.query, { defaultDays: 30 });
+  if (range.error) return res.status(400).json({ error: range.error });
+  const tenantId = req.user.tenantId;
+
+  const base = Prisma.sql`
+    WITH c AS (
+      SELECT c."id", c."startedAt", c."endedAt",
+             EXTRACT(EPOCH FROM (c."endedAt" - c."startedAt")) AS "durationSec",
+             (SELECT COUNT(*) FROM "Message" m WHERE m."conversationId" = c."id") AS "messages",
+             EXISTS (
+               SELECT 1 FROM "Lead" l WHERE l."tenantId" = c."tenantId" AND l."sessionId" = c."sessionId"
+             ) AS "converted"
+      FROM "Conversation" c
+      WHERE c."tenantId" = ${tenantId} AND c."startedAt" >= ${range.from} AND c."startedAt" < ${range.to}
+    )`;
+
+  const [[summary], durationBuckets, daily] = await Promise.all([
+    prisma.$queryRaw`${base}
+      SELECT COUNT(*)::int AS "sessions",
+             COUNT(*) FILTER (WHERE "endedAt" IS NOT NULL)::int AS "ended",
+             (percentile_cont(0.5) WITHIN GROUP (ORDER BY "durationSec") FILTER (WHERE "endedAt" IS NOT NULL))::float AS "medianDurationSec",
+             AVG("messages")::float AS "avgMessages",
+             (percentile_cont(0.5) WITHIN GROUP (ORDER BY "messages"))::float AS "medianMessages",
+             COUNT(*) FILTER (WHERE "converted")::int AS "converted"
+      FROM c`,
+    prisma.$queryRaw`${base}
+      SELECT CASE
+               WHEN "durationSec" < 60   THEN '<1m'
+               WHEN "durationSec" < 180  THEN '1-3m'
+               WHEN "durationSec" < 300  THEN '3-5m'
+               WHEN "durationSec" < 600  THEN '5-10m'
+               WHEN "durationSec" < 1800 THEN '10-30m'
+               ELSE '30m+'
+             END AS "bucket",
+             COUNT(*)::int AS "sessions"
+      FROM c WHERE "endedAt" IS NOT NULL
+      GROUP BY 1`,
+    prisma.$queryRaw`${base}
+      SELECT date_trunc('day', "startedAt") AS "day",
+             COUNT(*)::int AS "sessions",
+             COUNT(*) FILTER (WHERE "converted")::int AS "converted"
+      FROM c GROUP BY 1 ORDER BY 1`
+  ]);
+
+  const order = ['<1m', '1-3m', '3-5m', '5-10m', '10-30m', '30m+'];
+  const counts = new Map(durationBuckets.map(b => [b.bucket, b.sessions]));
+
+  res.json({
+    from: range.from,
+    to: range.to,
+    sessions: summary.sessions,
+    endedSessions: summary.ended,
+    medianDurationSec: summary.medianDurationSec == null ? null : Math.round(summary.medianDurationSec),
+    avgMessagesPerSession: summary.avgMessages == null ? 0 : Math.round(summary.avgMessages * 10) / 10,
+    medianMessagesPerSession: summary.medianMessages || 0,
+    convertedSessions: summary.converted,
+    conversionRate: summary.sessions ? Math.round((summary.converted / summary.sessions) * 1000) / 10 : 0,
+    durationBuckets: order.map(bucket => ({ bucket, sessions: counts.get(bucket) || 0 })),
+    daily: daily.map(d => ({
+      day: d.day,
+      sessions: d.sessions,
+      converted: d.converted,
+      conversionRate: d.sessions ? Math.round((d.converted / d.sessions) * 1000) / 10 : 0
+    }))
+  });
+});
+
+/* ------------------------- Tag dictionary ------------------------- */
+const shapeBackfill = b => b && ({
+  requestedAt: b.requestedAt,
+  startedAt: b.startedAt,
+  finishedAt: b.finishedAt,
+  phase: b.phase,
+  leadsTagged: b.leadsTagged,
+  messagesTagged: b.messagesTagged,
+  error: b.error
+});
+
+app.get('/api/portal/tags', requirePermission('leads:read'), async (req, res) => {
+  const [categories, backfill] = await Promise.all([
+    prisma.tagDictionary.findMany({
+      where: { tenantId: req.user.tenantId },
+      orderBy: { category: 'asc' },
+      select: { id: true, category: true, keywords: true }
+    }),
+    prisma.tagBackfill.findUnique({ where: { tenantId: req.user.tenantId } })
+  ]);
+  res.json({ categories, backfill: shapeBackfill(backfill) });
+});
+
+// Every dictionary change queues a re-tag of the tenant's history
+async function afterTagChange(req, summary, targetId, before, after) {
+  await tagging.requestBackfill(prisma, req.user.tenantId);
+  await audit.record(prisma, req, {
+    action: 'tags.update', targetType: 'tag', targetId, summary, changes: audit.diff(before, after, ['category', 'keywords'])
   });
-  res.json(rows);
+}
+
+app.post('/api/portal/tags', requirePermission('tags:manage'), async (req, res) => {
+  const { data, error, max } = tagging.validateTagInput(req.body);
+  if (error) return res.status(400).json({ error, max });
+  try {
+    const row = await prisma.tagDictionary.create({
+      data: { tenantId: req.user.tenantId, ...data },
+      select: { id: true, category: true, keywords: true }
+    });
+    await afterTagChange(req, `Added tag category "${row.category}"`, row.id, null, row);
+    res.status(201).json(row);
+  } catch (e) {
+    if (e?.code === 'P2002') return res.status(409).json({ error: 'category_exists' });
+    throw e;
+  }
+});
+
+app.patch('/api/portal/tags/:id', requirePermission('tags:manage'), async (req, res) => {
+  const { data, error, max } = tagging.validateTagInput(req.body, { partial: true });
+  if (error) return res.status(400).json({ error, max });
+  const existing = await prisma.tagDictionary.findFirst({ where: { id: req.params.id, tenantId: req.user.tenantId } });
+  if (!existing) return res.status(404).json({ error: 'not_found' });
+  try {
+    const row = await prisma.tagDictionary.update({
+      where: { id: existing.id },
+      data,
+      select: { id: true, category: true, keywords: true }
+    });
+    await afterTagChange(req, `Updated tag category "${row.category}"`, row.id, existing, row);
+    res.json(row);
+  } catch (e) {
+    if (e?.code === 'P2002') return res.status(409).json({ error: 'category_exists' });
+    throw e;
+  }
+});
+
+app.delete('/api/portal/tags/:id', requirePermission('tags:manage'), async (req, res) => {
+  const existing = await prisma.tagDictionary.findFirst({ where: { id: req.params.id, tenantId: req.user.tenantId } });
+  if (!existing) return res.status(404).json({ error: 'not_found' });
+  await prisma.tagDictionary.delete({ where: { id: existing.id } });
+  await afterTagChange(req, `Removed tag category "${existing.category}"`, existing.id, existing, null);
+  res.json({ ok: true });
+});
+
+// Manual re-run (e.g. after bulk-importing history)
+app.post('/api/portal/tags/backfill', requirePermission('tags:manage'), async (req, res) => {
+  const row = await tagging.requestBackfill(prisma, req.user.tenantId);
+  res.status(202).json(shapeBackfill(row));
+});
+
+/* ---------------------------- Budget ------------------------------ */
+// Month-to-date spend vs Tenant.settings.monthlyBudgetUSD (portal banner)
+app.get('/api/portal/budget', requirePermission('usage:read'), async (req, res) => {
+  res.json(await budgets.budgetStatus(prisma, req.user.tenantId));
+});
+
+/* ---------------------------- Pricing ---------------------------- */
+const shapeReprice = (r) => r && ({
+  requestedAt: r.requestedAt,
+  since: r.since,
+  startedAt: r.startedAt,
+  finishedAt: r.finishedAt,
+  repriced: r.repriced,
+  error: r.error
+});
+
+// Price versions, plus every model seen in usage so unpriced ones stand out
+app.get('/api/portal/pricing', requirePermission('usage:read'), async (req, res) => {
+  const tenantId = req.user.tenantId;
+  const [prices, seen, reprice] = await Promise.all([
+    prisma.modelPrice.findMany({ where: { tenantId }, orderBy: [{ model: 'asc' }, { effectiveFrom: 'desc' }] }),
+    prisma.usageDaily.findMany({ where: { tenantId }, distinct: ['model'], select: { model: true } }),
+    prisma.usageReprice.findUnique({ where: { tenantId } })
+  ]);
+  const priced = new Set(prices.map(p => p.model));
+  res.json({
+    prices: prices.map(pricing.shapePrice),
+    models: seen.map(s => s.model).sort().map(model => ({ model, priced: priced.has(model) })),
+    reprice: shapeReprice(reprice)
+  });
+});
+
+// Every catalog change reprices usage from the earliest date it affects
+const PRICE_FIELDS = ['model', 'effectiveFrom', 'promptPer1K', 'completionPer1K', 'cachedPer1K'];
+
+async function afterPriceChange(req, since, summary, targetId, before, after) {
+  await pricing.requestReprice(prisma, req.user.tenantId, since);
+  await audit.record(prisma, req, {
+    action: 'pricing.update', targetType: 'price', targetId, summary, changes: audit.diff(before, after, PRICE_FIELDS)
+  });
+}
+
+const describePrice = (p) =>
+  `${p.model} from ${p.effectiveFrom.toISOString()} (${p.promptPer1K}/${p.completionPer1K}/${p.cachedPer1K} per 1K)`;
+
+app.post('/api/portal/pricing', requirePermission('pricing:manage'), async (req, res) => {
+  const { data, error, field } = pricing.validatePriceInput(req.body);
+  if (error) return res.status(400).json({ error, field });
+  try {
+    const row = await prisma.modelPrice.create({ data: { tenantId: req.user.tenantId, ...data } });
+    await afterPriceChange(req, row.effectiveFrom, `Added price ${describePrice(row)}`, row.id, null, row);
+    res.status(201).json(pricing.shapePrice(row));
+  } catch (e) {
+    if (e?.code === 'P2002') return res.status(409).json({ error: 'price_exists' });
+    throw e;
+  }
+});
+
+app.patch('/api/portal/pricing/:id', requirePermission('pricing:manage'), async (req, res) => {
+  const { data, error, field } = pricing.validatePriceInput(req.body, { partial: true });
+  if (error) return res.status(400).json({ error, field });
+  const existing = await prisma.modelPrice.findFirst({ where: { id: req.params.id, tenantId: req.user.tenantId } });
+  if (!existing) return res.status(404).json({ error: 'not_found' });
+  try {
+    const row = await prisma.modelPrice.update({ where: { id: existing.id }, data });
+    // a renamed model or moved date also reprices what the old version covered
+    const since = new Date(Math.min(existing.effectiveFrom, row.effectiveFrom));
+    await afterPriceChange(req, since, `Updated price ${describePrice(row)}`, row.id, existing, row);
+    res.json(pricing.shapePrice(row));
+  } catch (e) {
+    if (e?.code === 'P2002') return res.status(409).json({ error: 'price_exists' });
+    throw e;
+  }
+});
+
+app.delete('/api/portal/pricing/:id', requirePermission('pricing:manage'), async (req, res) => {
+  const existing = await prisma.modelPrice.findFirst({ where: { id: req.params.id, tenantId: req.user.tenantId } });
+  if (!existing) return res.status(404).json({ error: 'not_found' });
+  await prisma.modelPrice.delete({ where: { id: existing.id } });
+  await afterPriceChange(req, existing.effectiveFrom, `Removed price ${describePrice(existing)}`, existing.id, existing, null);
+  res.json({ ok: true });
+});
+
+// Manual re-run, e.g. after bulk-importing history. { since } defaults to all time.
+app.post('/api/portal/pricing/reprice', requirePermission('pricing:manage'), async (req, res) => {
+  const since = parseDate(req.body?.since);
+  if (since === undefined) return res.status(400).json({ error: 'bad_date' });
+  const row = await pricing.requestReprice(prisma, req.user.tenantId, since || new Date(0));
+  res.status(202).json(shapeReprice(row));
+});
+
+/* ----------------------------- Alerts ----------------------------- */
+app.get('/api/portal/alerts/rules', requirePermission('dashboard:read'), async (req, res) => {
+  const rules = await prisma.alertRule.findMany({
+    where: { tenantId: req.user.tenantId },
+    orderBy: { createdAt: 'asc' }
+  });
+  res.json({
+    kinds: alerts.KINDS,
+    channels: alerts.CHANNELS,
+    rules: rules.map(r => ({ ...alerts.shapeRule(r), summary: alerts.describeRule(r) }))
+  });
+});
+
+const ALERT_RULE_FIELDS = ['name', 'kind', 'threshold', 'windowMin', 'channels', 'emailTo', 'webhookUrl', 'enabled'];
+
+function logAlertRuleChange(req, summary, targetId, before, after) {
+  return audit.record(prisma, req, {
+    action: 'alerts.update', targetType: 'alert_rule', targetId, summary, changes: audit.diff(before, after, ALERT_RULE_FIELDS)
+  });
+}
+
+app.post('/api/portal/alerts/rules', requirePermission('alerts:manage'), async (req, res) => {
+  const { data, error, field } = await alerts.validateRuleInput(req.body);
+  if (error) return res.status(400).json({ error, field });
+  const row = await prisma.alertRule.create({ data: { tenantId: req.user.tenantId, ...data } });
+  await logAlertRuleChange(req, `Added alert rule "${row.name}" (${alerts.describeRule(row)})`, row.id, null, row);
+  res.status(201).json(alerts.shapeRule(row));
+});
+
+// Partial updates are validated as a whole rule (kind decides what's required)
+app.patch('/api/portal/alerts/rules/:id', requirePermission('alerts:manage'), async (req, res) => {
+  const existing = await prisma.alertRule.findFirst({ where: { id: req.params.id, tenantId: req.user.tenantId } });
+  if (!existing) return res.status(404).json({ error: 'not_found' });
+  const { data, error, field } = await alerts.validateRuleInput({ ...alerts.shapeRule(existing), ...(req.body || {}) });
+  if (error) return res.status(400).json({ error, field });
+
+  // a changed condition starts from a clean slate
+  const conditionChanged = data.kind !== existing.kind || data.threshold !== existing.threshold
+    || data.windowMin !== existing.windowMin;
+  if (conditionChanged || !data.enabled) await alerts.closeRuleAlerts(prisma, existing.id);
+  const row = await prisma.alertRule.update({
+    where: { id: existing.id },
+    data: { ...data, ...(data.kind !== existing.kind ? { cursorAt: null } : {}) }
+  });
+  await logAlertRuleChange(req, `Updated alert rule "${row.name}" (${alerts.describeRule(row)}${row.enabled ? '' : ', disabled'})`, row.id, existing, row);
+  res.json(alerts.shapeRule(row));
+});
+
+// History is kept; its alerts just lose the rule link
+app.delete('/api/portal/alerts/rules/:id', requirePermission('alerts:manage'), async (req, res) => {
+  const existing = await prisma.alertRule.findFirst({ where: { id: req.params.id, tenantId: req.user.tenantId } });
+  if (!existing) return res.status(404).json({ error: 'not_found' });
+  await alerts.closeRuleAlerts(prisma, existing.id);
+  await prisma.alertRule.delete({ where: { id: existing.id } });
+  await logAlertRuleChange(req, `Removed alert rule "${existing.name}"`, existing.id, existing, null);
+  res.json({ ok: true });
+});
+
+// Alert history, newest first: ?state=open|resolved&ruleId=&limit=&cursor=
+app.get('/api/portal/alerts', requirePermission('dashboard:read'), async (req, res) => {
+  const tenantId = req.user.tenantId;
+  const limit = clampLimit(req.query.limit, 50, 200);
+  const cur = decodeCursor(req.query.cursor);
+  if (req.query.cursor && !cur) return res.status(400).json({ error: 'bad_cursor' });
+
+  const where = { tenantId };
+  if (req.query.state) {
+    if (!['open', 'resolved'].includes(req.query.state)) return res.status(400).json({ error: 'bad_state' });
+    where.state = req.query.state;
+  }
+  if (req.query.ruleId) where.ruleId = String(req.query.ruleId);
+  if (cur) {
+    const { at, id } = cur;
+    where.OR = [{ openedAt: { lt: at } }, { openedAt: at, id: { lt: id } }];
+  }
+
+  const [rows, open] = await Promise.all([
+    prisma.alert.findMany({ where, orderBy: [{ openedAt: 'desc' }, { id: 'desc' }], take: limit + 1 }),
+    prisma.alert.count({ where: { tenantId, state: 'open' } })
+  ]);
+  const page = rows.slice(0, limit);
+  const last = page[page.length - 1];
+  res.json({
+    open,
+    alerts: page.map(alerts.shapeAlert),
+    nextCursor: rows.length > limit ? encodeCursor({ at: last.openedAt, id: last.id }) : null
+  });
+});
+
+/* ---------------------------- Webhooks ---------------------------- */
+// Endpoints with per-status delivery counts
+app.get('/api/portal/webhooks', requirePermission('webhooks:manage'), async (req, res) => {
+  const tenantId = req.user.tenantId;
+  const [endpoints, grouped] = await Promise.all([
+    prisma.webhookEndpoint.findMany({ where: { tenantId }, orderBy: { createdAt: 'asc' } }),
+    prisma.webhookDelivery.groupBy({ by: ['endpointId', 'status'], where: { tenantId }, _count: { _all: true } })
+  ]);
+  const counts = new Map();
+  for (const g of grouped) {
+    if (!counts.has(g.endpointId)) counts.set(g.endpointId, { pending: 0, delivered: 0, failed: 0 });
+    counts.get(g.endpointId)[g.status] = g._count._all;
+  }
+  res.json({
+    eventTypes: webhooks.EVENT_TYPES,
+    endpoints: endpoints.map(e => ({
+      ...webhooks.shapeEndpoint(e),
+      deliveries: counts.get(e.id) || { pending: 0, delivered: 0, failed: 0 }
+    }))
+  });
+});
+
+const WEBHOOK_FIELDS = ['url', 'description', 'events', 'enabled', 'secret'];
+
+function logWebhookChange(req, summary, targetId, before, after) {
+  return audit.record(prisma, req, {
+    action: 'webhooks.update', targetType: 'webhook', targetId, summary, changes: audit.diff(before, after, WEBHOOK_FIELDS)
+  });
+}
+
+// The signing secret is only ever returned here and on rotation
+app.post('/api/portal/webhooks', requirePermission('webhooks:manage'), async (req, res) => {
+  const { data, error, field } = await webhooks.validateEndpointInput(req.body);
+  if (error) return res.status(400).json({ error, field });
+  const secret = webhooks.generateSecret();
+  const row = await prisma.webhookEndpoint.create({
+    data: { tenantId: req.user.tenantId, ...data, secret: encrypt(secret) }
+  });
+  await logWebhookChange(req, `Added webhook ${row.url} (${row.events.join(', ')})`, row.id, null, row);
+  res.status(201).json({ ...webhooks.shapeEndpoint(row), secret });
+});
+
+app.patch('/api/portal/webhooks/:id', requirePermission('webhooks:manage'), async (req, res) => {
+  const { data, error, field } = await webhooks.validateEndpointInput(req.body, { partial: true });
+  if (error) return res.status(400).json({ error, field });
+  const existing = await prisma.webhookEndpoint.findFirst({ where: { id: req.params.id, tenantId: req.user.tenantId } });
+  if (!existing) return res.status(404).json({ error: 'not_found' });
+  const row = await prisma.webhookEndpoint.update({ where: { id: existing.id }, data });
+  await logWebhookChange(req, `Updated webhook ${row.url} (${row.events.join(', ')}${row.enabled ? '' : ', disabled'})`, row.id, existing, row);
+  res.json(webhooks.shapeEndpoint(row));
+});
+
+app.post('/api/portal/webhooks/:id/rotate-secret', requirePermission('webhooks:manage'), async (req, res) => {
+  const existing = await prisma.webhookEndpoint.findFirst({ where: { id: req.params.id, tenantId: req.user.tenantId } });
+  if (!existing) return res.status(404).json({ error: 'not_found' });
+  const secret = webhooks.generateSecret();
+  const row = await prisma.webhookEndpoint.update({ where: { id: existing.id }, data: { secret: encrypt(secret) } });
+  await logWebhookChange(req, `Rotated webhook secret for ${existing.url}`, existing.id, existing, row);
+  res.json({ secret });
+});
+
+// Deleting an endpoint also drops its queue and delivery log
+app.delete('/api/portal/webhooks/:id', requirePermission('webhooks:manage'), async (req, res) => {
+  const existing = await prisma.webhookEndpoint.findFirst({ where: { id: req.params.id, tenantId: req.user.tenantId } });
+  if (!existing) return res.status(404).json({ error: 'not_found' });
+  await prisma.webhookEndpoint.delete({ where: { id: existing.id } });
+  await logWebhookChange(req, `Removed webhook ${existing.url}`, existing.id, existing, null);
+  res.json({ ok: true });
+});
+
+// Delivery log, newest first: ?endpointId=&status=pending|delivered|failed&eventType=&limit=&cursor=
+app.get('/api/portal/webhooks/deliveries', requirePermission('webhooks:manage'), async (req, res) => {
+  const limit = clampLimit(req.query.limit, 50, 200);
+  const cur = decodeCursor(req.query.cursor);
+  if (req.query.cursor && !cur) return res.status(400).json({ error: 'bad_cursor' });
+
+  const where = { tenantId: req.user.tenantId };
+  if (req.query.endpointId) where.endpointId = String(req.query.endpointId);
+  if (req.query.status) {
+    if (!['pending', 'delivered', 'failed'].includes(req.query.status)) return res.status(400).json({ error: 'bad_status' });
+    where.status = req.query.status;
+  }
+  if (req.query.eventType) where.eventType = String(req.query.eventType);
+  if (cur) {
+    const { at, id } = cur;
+    where.OR = [{ createdAt: { lt: at } }, { createdAt: at, id: { lt: id } }];
+  }
+
+  const rows = await prisma.webhookDelivery.findMany({
+    where,
+    orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+    take: limit + 1
+  });
+  const page = rows.slice(0, limit);
+  const last = page[page.length - 1];
+  res.json({
+    deliveries: page.map(webhooks.shapeDelivery),
+    nextCursor: rows.length > limit ? encodeCursor({ at: last.createdAt, id: last.id }) : null
+  });
+});
+
+// Send the same event again (same event id), as a new delivery
+app.post('/api/portal/webhooks/deliveries/:id/redeliver', requirePermission('webhooks:manage'), async (req, res) => {
+  const original = await prisma.webhookDelivery.findFirst({ where: { id: req.params.id, tenantId: req.user.tenantId } });
+  if (!original) return res.status(404).json({ error: 'not_found' });
+  const row = await webhooks.redeliver(prisma, original);
+  webhooks.kick(prisma);
+  res.status(202).json(webhooks.shapeDelivery(row));
+});
+
+/* ---------------------------- Audit log ---------------------------- */
+// Newest first: ?action=a,b&actor=&targetType=&targetId=&q=&from=&to=&limit=&cursor=
+app.get('/api/portal/audit', requirePermission('audit:read'), async (req, res) => {
+  const limit = clampLimit(req.query.limit, 50, 200);
+  const cur = decodeCursor(req.query.cursor);
+  if (req.query.cursor && !cur) return res.status(400).json({ error: 'bad_cursor' });
+
+  const { where, error } = audit.auditWhere(req.user.tenantId, req.query);
+  if (error) return res.status(400).json({ error, actions: audit.ACTIONS });
+  const from = parseDate(req.query.from);
+  const to = parseDate(req.query.to);
+  if (from === undefined || to === undefined) return res.status(400).json({ error: 'bad_date' });
+  if (from || to) where.createdAt = { ...(from ? { gte: from } : {}), ...(to ? { lt: to } : {}) };
+  if (cur) {
+    const { at, id } = cur;
+    where.OR = [{ createdAt: { lt: at } }, { createdAt: at, id: { lt: id } }];
+  }
+
+  const rows = await prisma.auditLog.findMany({
+    where,
+    orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+    take: limit + 1
+  });
+  const page = rows.slice(0, limit);
+  const last = page[page.length - 1];
+  res.json({
+    entries: page.map(audit.shapeAudit),
+    nextCursor: rows.length > limit ? encodeCursor({ at: last.createdAt, id: last.id }) : null,
+    actions: audit.ACTIONS
+  });
+});
+
+/* ----------------------------- Search ----------------------------- */
+// Each result type needs the permission that guards its own listing
+const SEARCH_TYPE_PERMISSIONS = {
+  messages: 'conversations:read',
+  leads: 'leads:read',
+  events: 'dashboard:read'
+};
+
+// ?q=&from=&to=&role=&types=messages,leads,events&limit=
+// q uses web-search syntax: "exact phrase", -exclude, or
+app.get('/api/portal/search', requirePermission('dashboard:read'), async (req, res) => {
+  const q = String(req.query.q || '').trim();
+  if (!q) return res.status(400).json({ error: 'missing_query' });
+  if (q.length > 200) return res.status(400).json({ error: 'query_too_long' });
+
+  // Search defaults to all time; either bound may be left open
+  const from = parseDate(req.query.from);
+  const to = parseDate(req.query.to);
+  if (from === undefined || to === undefined) return res.status(400).json({ error: 'bad_date' });
+  if (from && to && from >= to) return res.status(400).json({ error: 'bad_range' });
+
+  const requested = req.query.types
+    ? String(req.query.types).split(',').map(s => s.trim()).filter(Boolean)
+    : search.TYPES;
+  const unknown = requested.filter(t => !search.TYPES.includes(t));
+  if (unknown.length) return res.status(400).json({ error: 'bad_types', types: unknown });
+  const types = requested.filter(t => can(req.user.role, SEARCH_TYPE_PERMISSIONS[t]));
+
+  const role = req.query.role ? String(req.query.role).trim().slice(0, 64) : null;
+  const limit = clampLimit(req.query.limit, 20, 50);
+
+  const results = await search.search(prisma, { tenantId: req.user.tenantId, q, from, to, role, types, limit });
+  res.json({ q, from, to, role, types, ...results });
+});
+
+/* ----------------------------- Exports ---------------------------- */
+// GET /api/portal/export/{leads|conversations|usage|audit}?format=csv|ndjson|json&from=&to=
+// Streamed straight from the DB; from/to are optional (default: all history).
+function readExportQuery(req, res) {
+  const format = String(req.query.format || 'csv').toLowerCase();
+  if (!exporter.FORMATS[format]) {
+    res.status(400).json({ error: 'bad_format', formats: Object.keys(exporter.FORMATS) });
+    return null;
+  }
+  const from = parseDate(req.query.from);
+  const to = parseDate(req.query.to);
+  if (from === undefined || to === undefined) { res.status(400).json({ error: 'bad_date' }); return null; }
+  if (from && to && from >= to) { res.status(400).json({ error: 'bad_range' }); return null; }
+
+  const range = {};
+  if (from) range.gte = from;
+  if (to) range.lt = to;
+  const stamp = new Date().toISOString().slice(0, 10);
+  return { format, range: Object.keys(range).length ? range : undefined, stamp };
+}
+
+app.get('/api/portal/export/leads', requirePermission('leads:read'), async (req, res) => {
+  const q = readExportQuery(req, res);
+  if (!q) return;
+  const tenantId = req.user.tenantId;
+
+  const pages = exporter.paginate((after, take) => prisma.lead.findMany({
+    where: { tenantId, createdAt: q.range, ...after },
+    orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+    take,
+    include: { owner: { select: { id: true, email: true } } }
+  }));
+  async function* shaped() { for await (const rows of pages) yield rows.map(shapeLead); }
+
+  await exporter.streamExport(res, shaped(), {
+    format: q.format,
+    filename: `leads_${tenantId}_${q.stamp}`,
+    columns: [
+      ['id', l => l.id],
+      ['createdAt', l => l.at],
+      ['name', l => l.name],
+      ['email', l => l.email],
+      ['phone', l => l.phone],
+      ['status', l => l.status],
+      ['owner', l => l.owner?.email],
+      ['tags', l => l.tags],
+      ['autoTags', l => l.autoTags],
+      ['sessionId', l => l.sessionId],
+      ['snippet', l => l.snippet]
+    ]
+  });
+});
+
+// CSV: one row per message. NDJSON/JSON: one object per conversation with
+// its full transcript.
+app.get('/api/portal/export/conversations', requirePermission('conversations:read'), async (req, res) => {
+  const q = readExportQuery(req, res);
+  if (!q) return;
+  const tenantId = req.user.tenantId;
+
+  const convoPages = exporter.paginate((after, take) => prisma.conversation.findMany({
+    where: { tenantId, startedAt: q.range, ...after },
+    orderBy: [{ startedAt: 'asc' }, { id: 'asc' }],
+    take,
+    include: {
+      messages: {
+        orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+        select: { id: true, role: true, content: true, tokensIn: true, tokensOut: true, tags: true, createdAt: true }
+      }
+    }
+  }), { field: 'startedAt', pageSize: 100 });
+
+  const shapeMessage = m => ({
+    id: m.id, role: m.role, content: m.content, tokensIn: m.tokensIn, tokensOut: m.tokensOut, tags: m.tags || [], at: m.createdAt
+  });
+
+  async function* shaped() {
+    for await (const convos of convoPages) {
+      if (q.format === 'csv') {
+        yield convos.flatMap(c => c.messages.map(m => ({ convo: c, ...shapeMessage(m) })));
+      } else {
+        yield convos.map(c => ({
+          sessionId: c.sessionId,
+          startedAt: c.startedAt,
+          endedAt: c.endedAt,
+          messages: c.messages.map(shapeMessage)
+        }));
+      }
+    }
+  }
+
+  await exporter.streamExport(res, shaped(), {
+    format: q.format,
+    filename: `conversations_${tenantId}_${q.stamp}`,
+    columns: [
+      ['sessionId', r => r.convo.sessionId],
+      ['startedAt', r => r.convo.startedAt],
+      ['endedAt', r => r.convo.endedAt],
+      ['messageId', r => r.id],
+      ['at', r => r.at],
+      ['role', r => r.role],
+      ['content', r => r.content],
+      ['tokensIn', r => r.tokensIn],
+      ['tokensOut', r => r.tokensOut],
+      ['tags', r => r.tags]
+    ]
+  });
+});
+
+app.get('/api/portal/export/usage', requirePermission('usage:read'), async (req, res) => {
+  const q = readExportQuery(req, res);
+  if (!q) return;
+  const tenantId = req.user.tenantId;
+
+  const pages = exporter.paginate((after, take) => prisma.usage.findMany({
+    where: { tenantId, createdAt: q.range, ...after },
+    orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+    take
+  }));
+  async function* shaped() {
+    for await (const rows of pages) {
+      yield rows.map(u => ({
+        id: u.id,
+        at: u.createdAt,
+        model: u.model,
+        promptTokens: u.promptTokens,
+        completionTokens: u.completionTokens,
+        cachedTokens: u.cachedTokens,
+        costUSD: u.cost,
+        reportedCostUSD: u.reportedCost,
+        priced: !!u.priceId,
+        breakdown: splitUsageCost(u)
+      }));
+    }
+  }
+
+  await exporter.streamExport(res, shaped(), {
+    format: q.format,
+    filename: `usage_${tenantId}_${q.stamp}`,
+    columns: [
+      ['id', u => u.id],
+      ['at', u => u.at],
+      ['model', u => u.model],
+      ['promptTokens', u => u.promptTokens],
+      ['completionTokens', u => u.completionTokens],
+      ['cachedTokens', u => u.cachedTokens],
+      ['costUSD', u => u.costUSD],
+      ['reportedCostUSD', u => u.reportedCostUSD],
+      ['priced', u => u.priced],
+      ['promptUSD', u => u.breakdown?.promptUSD],
+      ['completionUSD', u => u.breakdown?.completionUSD],
+      ['cachedUSD', u => u.breakdown?.cachedUSD]
+    ]
+  });
+});
+
+// Takes the viewer's filters too (?action=&actor=&targetType=&targetId=&q=)
+app.get('/api/portal/export/audit', requirePermission('audit:read'), async (req, res) => {
+  const q = readExportQuery(req, res);
+  if (!q) return;
+  const tenantId = req.user.tenantId;
+  const { where, error } = audit.auditWhere(tenantId, req.query);
+  if (error) return res.status(400).json({ error, actions: audit.ACTIONS });
+
+  const pages = exporter.paginate((after, take) => prisma.auditLog.findMany({
+    where: { ...where, createdAt: q.range, ...after },
+    orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+    take
+  }));
+  async function* shaped() { for await (const rows of pages) yield rows.map(audit.shapeAudit); }
+
+  await exporter.streamExport(res, shaped(), {
+    format: q.format,
+    filename: `audit_${tenantId}_${q.stamp}`,
+    columns: [
+      ['id', a => a.id],
+      ['at', a => a.at],
+      ['action', a => a.action],
+      ['actorEmail', a => a.actorEmail],
+      ['actorId', a => a.actorId],
+      ['targetType', a => a.targetType],
+      ['targetId', a => a.targetId],
+      ['summary', a => a.summary],
+      ['changes', a => a.changes],
+      ['ip', a => a.ip],
+      ['userAgent', a => a.userAgent]
+    ]
+  });
+});
+
+/* ------------------------- Tenant settings ------------------------ */
+app.get('/api/portal/settings', requirePermission('dashboard:read'), async (req, res) => {
+  const t = await prisma.tenant.findUnique({ where: { id: req.user.tenantId }, select: { settings: true } });
+  if (!t) return res.status(404).json({ error: 'tenant_not_found' });
+  res.json(readSettings(t.settings));
+});
+
+app.patch('/api/portal/settings', requirePermission('settings:write'), async (req, res) => {
+  const { patch, errors } = validateSettingsPatch(req.body);
+  if (Object.keys(errors).length) return res.status(400).json({ error: 'invalid_settings', fields: errors });
+
+  // Nobody can require MFA without having it, or they'd lock themselves out
+  if (patch.requireMfa === true && !req.user.mfa) return res.status(400).json({ error: 'mfa_not_enabled' });
+
+  const t = await prisma.tenant.findUnique({ where: { id: req.user.tenantId }, select: { settings: true } });
+  if (!t) return res.status(404).json({ error: 'tenant_not_found' });
+
+  const next = applySettingsPatch(t.settings, patch);
+  await prisma.tenant.update({ where: { id: req.user.tenantId }, data: { settings: next } });
+
+  // Turning MFA on ends the sessions in this tenant that never passed it
+  if (readSettings(next).requireMfa && !readSettings(t.settings).requireMfa) {
+    await sessions.revokeWhere(prisma, { tenantId: req.user.tenantId, adminUser: { mfaEnabledAt: null } }, 'mfa_required');
+  }
+
+  // A new budget amount re-arms this month's thresholds against it
+  if ('monthlyBudgetUSD' in patch && readSettings(t.settings).monthlyBudgetUSD !== readSettings(next).monthlyBudgetUSD) {
+    await budgets.resetBudgetAlerts(prisma, req.user.tenantId);
+  }
+
+  const changes = audit.diff(readSettings(t.settings), readSettings(next), Object.keys(patch));
+  await audit.record(prisma, req, {
+    action: 'settings.update',
+    targetType: 'tenant',
+    targetId: req.user.tenantId,
+    summary: `Updated: ${Object.keys(changes || {}).join(', ') || 'nothing changed'}`,
+    changes
+  });
+
+  res.json(readSettings(next));
+});
+
+/* ------------------------------ Users ----------------------------- */
+app.get('/api/portal/users', requirePermission('users:read'), async (req, res) => {
+  const users = await prisma.adminUser.findMany({
+    where: { tenantId: req.user.tenantId },
+    select: { id: true, email: true, role: true, createdAt: true, mfaEnabledAt: true, deactivatedAt: true },
+    orderBy: { email: 'asc' }
+  });
+  res.json({
+    users: users.map(u => ({
+      id: u.id,
+      email: u.email,
+      role: normalizeRole(u.role),
+      createdAt: u.createdAt,
+      mfaEnabled: !!u.mfaEnabledAt,
+      mfaEnabledAt: u.mfaEnabledAt,
+      active: !u.deactivatedAt,
+      deactivatedAt: u.deactivatedAt,
+      self: u.id === req.user.adminUserId
+    }))
+  });
+});
+
+// Lost authenticator: turn the user's MFA off, forget their remembered
+// devices and end their sessions. They enroll again at the next sign-in if
+// the tenant requires MFA. Only for users at or below the caller's role.
+app.post('/api/portal/users/:id/mfa/reset', requirePermission('mfa:reset'), async (req, res) => {
+  const user = await prisma.adminUser.findFirst({
+    where: { id: req.params.id, tenantId: req.user.tenantId },
+    select: { id: true, email: true, role: true, mfaEnabledAt: true, mfaPendingSecret: true }
+  });
+  if (!user) return res.status(404).json({ error: 'not_found' });
+  if (user.id === req.user.adminUserId) return res.status(400).json({ error: 'use_own_mfa_settings' });
+  if (ROLES.indexOf(normalizeRole(user.role)) < ROLES.indexOf(req.user.role)) {
+    return res.status(403).json({ error: 'forbidden_role' });
+  }
+  if (!user.mfaEnabledAt && !user.mfaPendingSecret) return res.status(409).json({ error: 'mfa_not_enabled' });
+
+  await mfa.clear(prisma, user.id);
+  const ended = await sessions.revoke(prisma, user.id, {}, 'mfa_reset');
+  await audit.record(prisma, req, {
+    action: 'mfa.reset',
+    targetType: 'user',
+    targetId: user.id,
+    summary: `Reset MFA for ${user.email} (${ended} session${ended === 1 ? '' : 's'} signed out)`,
+    changes: { mfa: { from: user.mfaEnabledAt ? 'enabled' : 'enrolling', to: 'off' } }
+  });
+  res.json({ ok: true, sessionsRevoked: ended });
+});
+
+// Another active owner must remain, or nobody could manage the tenant
+async function isLastOwner(user) {
+  if (normalizeRole(user.role) !== 'owner' || user.deactivatedAt) return false;
+  const others = await prisma.adminUser.count({
+    where: { tenantId: user.tenantId, id: { not: user.id }, role: 'owner', deactivatedAt: null }
+  });
+  return others === 0;
+}
+
+// Target of a users:manage action: in this tenant and not the caller
+async function loadManagedUser(req, res) {
+  const user = await prisma.adminUser.findFirst({
+    where: { id: req.params.id, tenantId: req.user.tenantId },
+    select: { id: true, tenantId: true, email: true, role: true, deactivatedAt: true }
+  });
+  if (!user) { res.status(404).json({ error: 'not_found' }); return null; }
+  if (user.id === req.user.adminUserId) { res.status(400).json({ error: 'cannot_target_self' }); return null; }
+  return user;
+}
+
+// { role } → the user's new role in this tenant. Live sessions pick it up on
+// their next request (utils/sessions.js); they are updated here as well.
+app.patch('/api/portal/users/:id', requirePermission('users:manage'), async (req, res) => {
+  const role = String(req.body?.role || '').toLowerCase();
+  if (!isRole(role)) return res.status(400).json({ error: 'bad_role', roles: ROLES });
+  const user = await loadManagedUser(req, res);
+  if (!user) return;
+  const from = normalizeRole(user.role);
+  if (from === role) return res.json({ ok: true, role });
+  if (role !== 'owner' && await isLastOwner(user)) return res.status(409).json({ error: 'last_owner' });
+
+  await prisma.$transaction([
+    prisma.adminUser.update({ where: { id: user.id }, data: { role } }),
+    prisma.adminSession.updateMany({ where: { adminUserId: user.id, tenantId: user.tenantId, revokedAt: null }, data: { role } })
+  ]);
+  await audit.record(prisma, req, {
+    action: 'user.role_update',
+    targetType: 'user',
+    targetId: user.id,
+    summary: `Changed ${user.email} from ${from} to ${role}`,
+    changes: { role: { from, to: role } }
+  });
+  res.json({ ok: true, role });
+});
+
+// Deactivated users can't sign in and lose their sessions; their leads,
+// notes and audit entries stay attributed to them
+app.post('/api/portal/users/:id/deactivate', requirePermission('users:manage'), async (req, res) => {
+  const user = await loadManagedUser(req, res);
+  if (!user) return;
+  if (user.deactivatedAt) return res.status(409).json({ error: 'already_deactivated' });
+  if (await isLastOwner(user)) return res.status(409).json({ error: 'last_owner' });
+
+  await prisma.adminUser.update({ where: { id: user.id }, data: { deactivatedAt: new Date() } });
+  const ended = await sessions.revoke(prisma, user.id, {}, 'deactivated');
+  await audit.record(prisma, req, {
+    action: 'user.deactivate',
+    targetType: 'user',
+    targetId: user.id,
+    summary: `Deactivated ${user.email} (${ended} session${ended === 1 ? '' : 's'} signed out)`,
+    changes: { active: { from: true, to: false } }
+  });
+  res.json({ ok: true, sessionsRevoked: ended });
+});
+
+app.post('/api/portal/users/:id/reactivate', requirePermission('users:manage'), async (req, res) => {
+  const user = await loadManagedUser(req, res);
+  if (!user) return;
+  if (!user.deactivatedAt) return res.status(409).json({ error: 'not_deactivated' });
+
+  await prisma.adminUser.update({ where: { id: user.id }, data: { deactivatedAt: null } });
+  await audit.record(prisma, req, {
+    action: 'user.reactivate',
+    targetType: 'user',
+    targetId: user.id,
+    summary: `Reactivated ${user.email}`,
+    changes: { active: { from: false, to: true } }
+  });
+  res.json({ ok: true });
+});
+
+// Delete the account: sessions, devices and agency grants go with it; leads
+// it owned become unassigned. The email can be invited again afterwards.
+app.delete('/api/portal/users/:id', requirePermission('users:manage'), async (req, res) => {
+  const user = await loadManagedUser(req, res);
+  if (!user) return;
+  if (await isLastOwner(user)) return res.status(409).json({ error: 'last_owner' });
+
+  await prisma.adminUser.delete({ where: { id: user.id } });
+  await audit.record(prisma, req, {
+    action: 'user.remove',
+    targetType: 'user',
+    targetId: user.id,
+    summary: `Removed ${user.email} (role: ${normalizeRole(user.role)})`
+  });
+  res.json({ ok: true });
+});
+
+/* ---------------------------- Invitations -------------------------- */
+// Unaccepted invitations of this tenant (pending and expired; revoked ones
+// only show in the audit log)
+app.get('/api/portal/invites', requirePermission('users:manage'), async (req, res) => {
+  const rows = await prisma.adminInvite.findMany({
+    where: { tenantId: req.user.tenantId, acceptedAt: null, revokedAt: null },
+    orderBy: { createdAt: 'desc' },
+    take: 100
+  });
+  res.json({ invites: rows.map(accounts.shapeInvite) });
+});
+
+// Email an invitation and return its link as well, for sharing by hand
+async function deliverInvite(req, inv) {
+  const url = portalUrl(req, `/portal#invite=${signInviteToken(inv)}`);
+  const t = await prisma.tenant.findUnique({ where: { id: inv.tenantId }, select: accounts.TENANT_MAIL_SELECT });
+  const emailed = await accounts.send(t, accounts.inviteEmail(t, inv, url), 'invite');
+  return { invite: accounts.shapeInvite(inv), url, emailed };
+}
+
+// { email, role } → { invite, url, emailed }. Replaces any earlier pending
+// invitation for the same email.
+app.post('/api/portal/invites', requirePermission('users:manage'), async (req, res) => {
+  const email = String(req.body?.email || '').trim().toLowerCase();
+  const role = String(req.body?.role || '').toLowerCase();
+  if (!mailer.EMAIL_RE.test(email)) return res.status(400).json({ error: 'bad_email' });
+  if (!isRole(role)) return res.status(400).json({ error: 'bad_role', roles: ROLES });
+
+  const existing = await prisma.adminUser.findUnique({
+    where: { tenantId_email: { tenantId: req.user.tenantId, email } },
+    select: { deactivatedAt: true }
+  });
+  if (existing) return res.status(409).json({ error: existing.deactivatedAt ? 'user_deactivated' : 'user_exists' });
+
+  const inv = await prisma.$transaction(async (tx) => {
+    await tx.adminInvite.updateMany({
+      where: { tenantId: req.user.tenantId, email, acceptedAt: null, revokedAt: null },
+      data: { revokedAt: new Date() }
+    });
+    return tx.adminInvite.create({
+      data: {
+        tenantId: req.user.tenantId,
+        email,
+        role,
+        invitedById: req.user.adminUserId,
+        invitedByEmail: req.user.email,
+        expiresAt: new Date(Date.now() + accounts.INVITE_TTL_MS)
+      }
+    });
+  });
+  const out = await deliverInvite(req, inv);
+  await audit.record(prisma, req, {
+    action: 'user.invite',
+    targetType: 'invite',
+    targetId: inv.id,
+    summary: `Invited ${email} as ${role}${out.emailed ? '' : ' (not emailed, link shared by hand)'}`
+  });
+  res.status(201).json(out);
+});
+
+// New link with a fresh expiry, emailed again
+app.post('/api/portal/invites/:id/resend', requirePermission('users:manage'), async (req, res) => {
+  const { count } = await prisma.adminInvite.updateMany({
+    where: { id: req.params.id, tenantId: req.user.tenantId, acceptedAt: null, revokedAt: null },
+    data: { expiresAt: new Date(Date.now() + accounts.INVITE_TTL_MS) }
+  });
+  if (!count) return res.status(404).json({ error: 'not_found' });
+  const inv = await prisma.adminInvite.findUnique({ where: { id: req.params.id } });
+  const out = await deliverInvite(req, inv);
+  await audit.record(prisma, req, {
+    action: 'user.invite',
+    targetType: 'invite',
+    targetId: inv.id,
+    summary: `Re-sent the invitation to ${inv.email}${out.emailed ? '' : ' (not emailed)'}`
+  });
+  res.json(out);
+});
+
+app.delete('/api/portal/invites/:id', requirePermission('users:manage'), async (req, res) => {
+  const inv = await prisma.adminInvite.findFirst({
+    where: { id: req.params.id, tenantId: req.user.tenantId, acceptedAt: null, revokedAt: null }
+  });
+  if (!inv) return res.status(404).json({ error: 'not_found' });
+  await prisma.adminInvite.update({ where: { id: inv.id }, data: { revokedAt: new Date() } });
+  await audit.record(prisma, req, {
+    action: 'user.invite_revoke',
+    targetType: 'invite',
+    targetId: inv.id,
+    summary: `Revoked the invitation to ${inv.email}`
+  });
+  res.json({ ok: true });
+});
+
+/* ---------------------- Tenants picker (UI) ---------------------- */
+// Scoped: tenant admins only ever see their own tenant; agency operators
+// see their home tenant plus the tenants they were granted.
+app.get('/api/tenants', requireAuth, async (req, res) => {
+  const rows = await accessibleTenants(req.user);
+  res.json(rows.map(t => ({ ...t, active: t.id === req.user.tenantId })));
+});
+
+/* ------------------------ Agency console ------------------------- */
+app.post('/api/agency/switch', requireAuth, requireAgency, async (req, res) => {
+  try {
+    const target = String(req.body?.tenantId || '');
+    if (!target) return res.status(400).json({ error: 'tenant_missing' });
+
+    let role;
+    if (target === req.user.homeTenantId) {
+      const me = await prisma.adminUser.findUnique({
+        where: { id: req.user.adminUserId },
+        select: { role: true }
+      });
+      if (!me) return res.status(401).json({ error: 'auth_required' });
+      role = normalizeRole(me.role);
+    } else {
+      const grant = await prisma.agencyGrant.findUnique({
+        where: { adminUserId_tenantId: { adminUserId: req.user.adminUserId, tenantId: target } },
+        select: { role: true }
+      });
+      if (!grant) return res.status(403).json({ error: 'tenant_not_granted' });
+      role = normalizeRole(grant.role);
+    }
+
+    if (!req.user.mfa && await tenantRequiresMfa(target)) return res.status(403).json({ error: 'mfa_required_by_tenant' });
+
+    const from = req.user.tenantId;
+    await prisma.adminSession.update({ where: { id: req.user.sessionId }, data: { tenantId: target, role } });
+
+    // Recorded in the tenant being entered so its admins can see who looked
+    await audit.record(prisma, req, {
+      action: 'tenant.switch',
+      tenantId: target,
+      targetType: 'tenant',
+      targetId: target,
+      summary: `${req.user.email} switched in from ${from} (role: ${role})`,
+      changes: { tenant: { from, to: target }, role: { from: req.user.role, to: role } }
+    });
+
+    res.json({ ok: true, tenantId: target, role });
+  } catch (err) {
+    console.error('Tenant switch error', err);
+    res.status(500).json({ error: 'server_error' });
+  }
+});
+
+// Cross-tenant overview: status, month-to-date spend and leads per tenant
+app.get('/api/agency/overview', requireAuth, requireAgency, async (req, res) => {
+  try {
+    const tenants = await accessibleTenants(req.user);
+    const ids = tenants.map(t => t.id);
+
+    const WINDOW_MIN = Number(process.env.METRICS_WINDOW_MIN || 30);
+    const since = new Date(Date.now() - WINDOW_MIN * 60 * 1000);
+    const monthStart = startOfUtcMonth();
+
+    const [metricRows, spend, leadRows, leadMtdRows] = await Promise.all([
+      metricsStats.windowStats(prisma, ids, since),
+      usageRollups.monthToDate(prisma, ids, monthStart),
+      prisma.lead.groupBy({
+        by: ['tenantId'],
+        where: { tenantId: { in: ids } },
+        _count: { _all: true }
+      }),
+      prisma.lead.groupBy({
+        by: ['tenantId'],
+        where: { tenantId: { in: ids }, createdAt: { gte: monthStart } },
+        _count: { _all: true }
+      })
+    ]);
+
+    const byTenant = (rows) => new Map(rows.map(r => [r.tenantId, r]));
+    const leads = byTenant(leadRows);
+    const leadsMtd = byTenant(leadMtdRows);
+
+    res.json({
+      windowMin: WINDOW_MIN,
+      since: monthStart,
+      tenants: tenants.map(t => {
+        const m = metricRows.get(t.id) || metricsStats.shapeStats();
+        const { status, successRate, requests } = deriveStatus(m);
+        const u = spend.get(t.id) || usageRollups.shapeTotals({});
+        return {
+          ...t,
+          active: t.id === req.user.tenantId,
+          status,
+          successRate,
+          requestsInWindow: requests,
+          p95LatencyMs: m.p95LatencyMs,
+          spendMtdUSD: u.costUSD,
+          tokensMtd: u.promptTokens + u.completionTokens + u.cachedTokens,
+          leadsTotal: leads.get(t.id)?._count._all || 0,
+          leadsMtd: leadsMtd.get(t.id)?._count._all || 0
+        };
+      })
+    });
+  } catch (err) {
+    console.error('Agency overview error', err);
+    res.status(500).json({ error: 'server_error' });
+  }
 });
 
 /* ------------------------------ Pages ---------------------------- */
@@ -693,12 +2894,65 @@ app.get('/pricing', (_req, res) => res.sendFile(path.join(__dirname, 'views', 'p
 app.get('/', (_req, res) => res.redirect('/portal'));
 app.get('/portal', (_req, res) => res.sendFile(path.join(__dirname, 'views', 'portal.html')));
 
+/* -------------------------- Background jobs ---------------------- */
+// Idempotency keys only need to outlive the bot's retry window
+const INTAKE_IDEMPOTENCY_TTL_HOURS = Number(process.env.INTAKE_IDEMPOTENCY_TTL_HOURS || 48);
+jobs.schedule('prune-sessions', 60 * 60 * 1000, async () => {
+  await sessions.prune(prisma);
+  await mfa.pruneDevices(prisma);
+});
+
+jobs.schedule('prune-intake-receipts', 60 * 60 * 1000, async () => {
+  const cutoff = new Date(Date.now() - INTAKE_IDEMPOTENCY_TTL_HOURS * 60 * 60 * 1000);
+  await prisma.intakeReceipt.deleteMany({ where: { createdAt: { lt: cutoff } } });
+  await intakeKeys.pruneSignatures(prisma);
+});
+
+// Close conversations idle longer than the tenant's conversationIdleMin
+// (Tenant.settings, default CONVERSATION_IDLE_MIN). endedAt = last activity.
+// A stored value that isn't a plain positive integer falls back to the
+// default instead of failing the cast for every tenant.
+jobs.schedule('close-idle-conversations', 60 * 1000, async () => {
+  const defaultIdleMin = Number(process.env.CONVERSATION_IDLE_MIN || 30);
+  await prisma.$executeRaw`
+    UPDATE "Conversation" c
+    SET "endedAt" = COALESCE(c."lastMessageAt", c."startedAt")
+    FROM "Tenant" t
+    WHERE t."id" = c."tenantId"
+      AND c."endedAt" IS NULL
+      AND COALESCE(c."lastMessageAt", c."startedAt") <
+          (NOW() AT TIME ZONE 'UTC') - make_interval(mins => COALESCE(
+            CASE WHEN t."settings"->>'conversationIdleMin' ~ '^[1-9][0-9]{0,3}$'
+                 THEN (t."settings"->>'conversationIdleMin')::int END,
+            ${defaultIdleMin}::int))`;
+});
+
+// Re-tag history after TagDictionary changes, a time-boxed slice per run
+jobs.schedule('tag-backfill', 30 * 1000, () => tagging.runBackfills(prisma), { runOnStart: true });
+
+// Reprice usage history after ModelPrice changes, a time-boxed slice per run
+jobs.schedule('usage-reprice', 30 * 1000, () => pricing.runReprices(prisma), { runOnStart: true });
+
+// Outbound webhooks: due deliveries and retries (intake also kicks a run)
+jobs.schedule('webhook-deliveries', 10 * 1000, () => webhooks.runDeliveries(prisma), { runOnStart: true });
+jobs.schedule('prune-webhook-deliveries', 60 * 60 * 1000, () => webhooks.pruneDeliveries(prisma));
+
+// Google connections: refresh access tokens before they expire
+jobs.schedule('google-token-refresh', 60 * 1000, () => googleOAuth.refreshDue(prisma), { runOnStart: true });
+
+// Daily / weekly digest emails (each period is claimed once across replicas)
+jobs.schedule('email-digests', 10 * 60 * 1000, () => notifications.runDigests(prisma), { runOnStart: true });
+
+// Tenant alert rules: open / resolve alerts and deliver them
+jobs.schedule('alert-rules', 60 * 1000, () => alerts.evaluateAll(prisma), { runOnStart: true });
+
 /* ------------------------------ Start ---------------------------- */
 app.listen(PORT, () => {
   console.log(`✅ Portal running at http://localhost:${PORT}/portal`);
 });
 ['SIGINT','SIGTERM'].forEach(sig => {
   process.on(sig, async () => {
+    jobs.stopAll();
     await prisma.$disconnect();
     process.exit(0);
   });
@@ -10,6 +10,7 @@ const KEY    =  window?.CONFIG?.KEY    || container.dataset.key    || qs.get('ke
 
   // --- State ---
   let lastData = null;
+  let convoCursor = null;   // nextCursor for the sessions list
   let pollTimer = null;
   let inFlight = null; // AbortController
   const LS_PREFIX = "premium:section:";
@@ -42,23 +43,6 @@ function setLoading(el, on){
 function setError(msg=''){ const el = byId('pf-error'); if (el) el.textContent = msg; }
 
 
-  function toCSV(rows) {
-    const esc = (v) => {
-      const s = v == null ? "" : String(v);
-      return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
-    };
-    return rows.map(r => r.map(esc).join(",")).join("\n");
-  }
-
-  function download(filename, text) {
-    const blob = new Blob([text], { type: "text/csv;charset=utf-8" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url; a.download = filename;
-    document.body.appendChild(a); a.click();
-    a.remove(); URL.revokeObjectURL(url);
-  }
-
   // --- Accessible collapsible card ---
   function createCollapsibleCard(title, contentId) {
     const card = document.createElement("div");
@@ -99,17 +83,31 @@ function setError(msg=''){ const el = byId('pf-error'); if (el) el.textContent =
     return card;
   }
 
-  // --- Lead Funnel ---
-  const leadCard = createCollapsibleCard("📊 Lead Funnel", "lead-funnel");
+  // --- Lead Pipeline (board: one column per status) ---
+  const CAN_EDIT_LEADS = container.dataset.canEditLeads === "1";
+  const STATUS_LABELS = { new: "New", contacted: "Contacted", qualified: "Qualified", won: "Won", lost: "Lost" };
+  let leadStatuses = Object.keys(STATUS_LABELS);
+  let assignees = [];      // [{ id, email }] for the owner pickers
+  let leadOwnerFilter = ""; // "" | "me" | "none"
+
+  const leadCard = createCollapsibleCard("📊 Lead Pipeline", "lead-funnel");
   container.appendChild(leadCard);
   byId("lead-funnel").innerHTML = `
-    <p><strong>Total Leads:</strong> <span id="pf-total-leads">—</span></p>
-    <p><strong>With Contact Info:</strong> <span id="pf-contact-leads">—</span></p>
-    <div style="display:flex;gap:8px;align-items:center;">
+    <p><strong>Total Leads:</strong> <span id="pf-total-leads">—</span>
+       &nbsp; <strong>With Contact Info:</strong> <span id="pf-contact-leads">—</span></p>
+    <div style="display:flex;gap:8px;align-items:center;flex-wrap:wrap;">
       <button id="pf-export-btn">Export to CSV</button>
+      <label style="font-size:12px">Owner
+        <select id="pf-owner-filter">
+          <option value="">Anyone</option>
+          <option value="me">Me</option>
+          <option value="none">Unassigned</option>
+        </select>
+      </label>
       <span id="pf-last-updated" style="font-size:12px;color:var(--muted)"></span>
     </div>
     <div id="pf-error" style="color:var(--bad);font-size:12px;margin-top:6px;"></div>
+    <div id="pf-board" style="display:grid;grid-template-columns:repeat(5,minmax(160px,1fr));gap:8px;margin-top:12px;overflow-x:auto;"></div>
   `;
 
   // --- Conversation Viewer ---
@@ -121,8 +119,54 @@ function setError(msg=''){ const el = byId('pf-error'); if (el) el.textContent =
         <li style="color:var(--muted)">No conversations loaded</li>
       </ul>
     </div>
+    <button id="pf-convo-more" style="margin-top:8px;display:none">Load more</button>
   `;
 
+  // --- Transcript overlay (opened from the cards above) ---
+  const transcript = document.createElement("div");
+  transcript.id = "pf-transcript";
+  transcript.setAttribute("role", "dialog");
+  transcript.setAttribute("aria-modal", "true");
+  transcript.style.cssText = "position:fixed;inset:0;background:#0008;z-index:60;display:none;align-items:center;justify-content:center;padding:16px;";
+  transcript.innerHTML = `
+    <div class="card section" style="width:100%;max-width:760px;max-height:90vh;display:flex;flex-direction:column;">
+      <div style="display:flex;gap:8px;align-items:center;">
+        <h3 id="pf-tx-title" style="margin:0;flex:1">Transcript</h3>
+        <button id="pf-tx-close" type="button" aria-label="Close transcript">✕</button>
+      </div>
+      <div id="pf-tx-meta" style="font-size:12px;color:var(--muted);margin:6px 0;"></div>
+      <ol id="pf-tx-messages" style="list-style:none;margin:0;padding:0;overflow-y:auto;flex:1;"></ol>
+      <button id="pf-tx-more" type="button" style="margin-top:8px;display:none">Load more</button>
+    </div>
+  `;
+  document.body.appendChild(transcript);
+  let txSession = null;
+  let txCursor = null;
+
+  // --- Lead detail overlay: owner/status plus notes & activity timeline ---
+  const leadPanel = document.createElement("div");
+  leadPanel.id = "pf-lead";
+  leadPanel.setAttribute("role", "dialog");
+  leadPanel.setAttribute("aria-modal", "true");
+  leadPanel.style.cssText = "position:fixed;inset:0;background:#0008;z-index:50;display:none;align-items:center;justify-content:center;padding:16px;";
+  leadPanel.innerHTML = `
+    <div class="card section" style="width:100%;max-width:640px;max-height:90vh;display:flex;flex-direction:column;">
+      <div style="display:flex;gap:8px;align-items:center;">
+        <h3 id="pf-ld-title" style="margin:0;flex:1">Lead</h3>
+        <button id="pf-ld-close" type="button" aria-label="Close lead">✕</button>
+      </div>
+      <div id="pf-ld-meta" style="font-size:12px;color:var(--muted);margin:6px 0;"></div>
+      <div id="pf-ld-controls" style="display:flex;gap:8px;flex-wrap:wrap;align-items:center;"></div>
+      <ol id="pf-ld-timeline" style="list-style:none;margin:10px 0 0 0;padding:0;overflow-y:auto;flex:1;"></ol>
+      <form id="pf-ld-note" style="display:${CAN_EDIT_LEADS ? "flex" : "none"};gap:8px;margin-top:8px;">
+        <textarea id="pf-ld-note-text" rows="2" style="flex:1" placeholder="Add a note…" maxlength="5000"></textarea>
+        <button type="submit">Add note</button>
+      </form>
+    </div>
+  `;
+  document.body.appendChild(leadPanel);
+  let openLeadId = null;
+
   // --- Topic Analysis ---
   const topicCard = createCollapsibleCard("🏷️ Topic Analysis", "topic-analysis");
   container.appendChild(topicCard);
@@ -145,11 +189,11 @@ async function loadPremiumData() {
   setLoading(byId("topic-analysis"), true);
 
   try {
-    if (!TENANT || !KEY) throw new Error("Missing TENANT/KEY");
+    if (!TENANT) throw new Error("Missing TENANT");
 
     const res = await fetch(
       `/api/portal/premium?tenant=${encodeURIComponent(TENANT)}&key=${encodeURIComponent(KEY)}`,
-      { signal: inFlight.signal, headers: { "Accept": "application/json" } }
+      { signal: inFlight.signal, credentials: "include", headers: { "Accept": "application/json" } }
     );
     if (!res.ok) throw new Error(`Premium API unavailable (${res.status})`);
 
@@ -163,24 +207,6 @@ async function loadPremiumData() {
     if (contactEl) contactEl.textContent = lastData.withContact ?? 0;
     if (updatedEl) updatedEl.textContent = `Last updated: ${fmtDate(Date.now())}`;
 
-    // Conversations
-    const list = byId("pf-convo-list");
-    if (list) {
-      list.innerHTML = "";
-      const convos = Array.isArray(lastData.conversations) ? lastData.conversations : [];
-      if (!convos.length) {
-        list.innerHTML = `<li style="color:var(--muted)">No conversations found</li>`;
-      } else {
-        convos.slice().sort((a,b)=>new Date(b.at)-new Date(a.at)).forEach(c=>{
-          const li   = document.createElement("li"); li.style.marginBottom = "8px";
-          const name = document.createElement("strong"); name.textContent = safeText(c.name || "Unknown");
-          const meta = document.createElement("div"); meta.style.fontSize="12px"; meta.style.color="var(--muted)"; meta.textContent = safeText(fmtDate(c.at));
-          const snip = document.createElement("div"); snip.textContent = safeText(c.snippet || "");
-          li.append(name, meta, snip); list.appendChild(li);
-        });
-      }
-    }
-
     // Topics
     const tagsEl = byId("pf-topic-tags");
     if (tagsEl) {
@@ -208,30 +234,397 @@ async function loadPremiumData() {
 }
 
 
-  // --- Export handler ---
+  // --- Lead pipeline ---
+  async function leadApi(path, opts = {}) {
+    const sep = path.includes("?") ? "&" : "?";
+    const res = await fetch(`${path}${sep}tenant=${encodeURIComponent(TENANT)}`, {
+      credentials: "include",
+      ...opts,
+      headers: { "Accept": "application/json", ...(opts.body ? { "Content-Type": "application/json" } : {}), ...(opts.headers || {}) }
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(data.error || `Leads API unavailable (${res.status})`);
+    return data;
+  }
+
+  function ownerSelect(lead) {
+    const sel = document.createElement("select");
+    sel.dataset.ownerFor = lead.id;
+    sel.title = "Owner";
+    const none = document.createElement("option");
+    none.value = ""; none.textContent = "Unassigned";
+    sel.appendChild(none);
+    assignees.forEach(a => {
+      const opt = document.createElement("option");
+      opt.value = a.id; opt.textContent = a.email;
+      sel.appendChild(opt);
+    });
+    sel.value = lead.owner?.id || "";
+    return sel;
+  }
+
+  function statusSelect(lead) {
+    const sel = document.createElement("select");
+    sel.dataset.statusFor = lead.id;
+    sel.title = "Status";
+    leadStatuses.forEach(st => {
+      const opt = document.createElement("option");
+      opt.value = st; opt.textContent = STATUS_LABELS[st] || st;
+      sel.appendChild(opt);
+    });
+    sel.value = lead.status;
+    return sel;
+  }
+
+  function leadTile(lead) {
+    const tile = document.createElement("div");
+    tile.dataset.lead = lead.id;
+    tile.draggable = CAN_EDIT_LEADS;
+    tile.style.cssText = "border:1px solid var(--border);border-radius:8px;padding:8px;background:#0002;";
+    const name = document.createElement("strong"); name.textContent = safeText(lead.name);
+    const contact = document.createElement("div");
+    contact.style.fontSize = "12px"; contact.style.wordBreak = "break-all";
+    contact.textContent = [lead.email, lead.phone].filter(Boolean).join(" · ");
+    const meta = document.createElement("div");
+    meta.style.fontSize = "11px"; meta.style.color = "var(--muted)";
+    meta.textContent = `${fmtDate(lead.at)}${lead.owner ? ` · ${lead.owner.email}` : ""}`;
+    const snip = document.createElement("div");
+    snip.style.fontSize = "12px"; snip.style.margin = "4px 0";
+    snip.textContent = safeText(lead.snippet).slice(0, 140);
+    const actions = document.createElement("div");
+    actions.style.cssText = "display:flex;gap:4px;flex-wrap:wrap;";
+    const details = document.createElement("button");
+    details.type = "button"; details.dataset.openLead = lead.id; details.textContent = "Details";
+    details.style.fontSize = "12px";
+    actions.appendChild(details);
+    if (lead.sessionId) actions.appendChild(transcriptButton(lead.sessionId));
+    const tags = [...new Set([...(lead.tags || []), ...(lead.autoTags || [])])];
+    const tagLine = document.createElement("div");
+    tagLine.style.cssText = "font-size:11px;color:var(--muted);";
+    tagLine.textContent = tags.length ? `🏷️ ${tags.join(", ")}` : "";
+    tile.append(name, contact, meta, snip, tagLine, actions);
+    return tile;
+  }
+
+  function renderBoard(leads, counts) {
+    const board = byId("pf-board");
+    if (!board) return;
+    board.innerHTML = "";
+    leadStatuses.forEach(st => {
+      const col = document.createElement("div");
+      col.dataset.column = st;
+      col.style.cssText = "min-height:120px;max-height:420px;overflow-y:auto;border:1px dashed var(--border);border-radius:8px;padding:6px;display:flex;flex-direction:column;gap:6px;";
+      const head = document.createElement("div");
+      head.style.cssText = "font-size:12px;font-weight:600;color:var(--muted);";
+      head.textContent = `${STATUS_LABELS[st] || st} (${counts?.[st] ?? 0})`;
+      col.appendChild(head);
+      leads.filter(l => l.status === st).forEach(l => col.appendChild(leadTile(l)));
+      board.appendChild(col);
+    });
+  }
+
+  async function loadLeads() {
+    const board = byId("pf-board");
+    if (!board || board.dataset.dragging) return; // don't redraw under a drag
+    try {
+      const qs = new URLSearchParams({ limit: "200" });
+      if (leadOwnerFilter) qs.set("owner", leadOwnerFilter);
+      const data = await leadApi(`/api/portal/leads?${qs}`);
+      if (Array.isArray(data.statuses) && data.statuses.length) leadStatuses = data.statuses;
+      renderBoard(Array.isArray(data.leads) ? data.leads : [], data.counts);
+    } catch (err) {
+      setError(err.message || "Failed to load leads.");
+    }
+  }
+
+  async function loadAssignees() {
+    if (!CAN_EDIT_LEADS) return;
+    try { assignees = await leadApi("/api/portal/leads/assignees"); } catch { assignees = []; }
+  }
+
+  async function updateLead(id, patch) {
+    setError("");
+    try {
+      const lead = await leadApi(`/api/portal/leads/${encodeURIComponent(id)}`, { method: "PATCH", body: JSON.stringify(patch) });
+      if (openLeadId === id) await loadLeadDetail(id);
+      return lead;
+    } catch (err) {
+      setError(err.message || "Failed to update lead.");
+    } finally {
+      delete byId("pf-board").dataset.dragging;
+      loadLeads();
+    }
+  }
+
+  function renderTimeline(lead) {
+    const ol = byId("pf-ld-timeline");
+    ol.innerHTML = "";
+    const entries = [{ type: "created", content: lead.snippet, at: lead.at, actor: null }, ...(lead.activities || [])];
+    entries.slice().reverse().forEach(a => {
+      const li = document.createElement("li");
+      li.style.cssText = "padding:6px 0;border-bottom:1px solid var(--border);";
+      const head = document.createElement("div");
+      head.style.fontSize = "11px"; head.style.color = "var(--muted)";
+      const label = { created: "Captured", merged: "Repeat visit", note: "Note", status: "Status", owner: "Owner" }[a.type] || a.type;
+      head.textContent = `${label} · ${fmtDate(a.at)}${a.actor ? ` · ${a.actor.email}` : ""}`;
+      const body = document.createElement("div");
+      body.style.whiteSpace = "pre-wrap";
+      body.textContent = safeText(a.content);
+      li.append(head, body);
+      ol.appendChild(li);
+    });
+  }
+
+  async function loadLeadDetail(id) {
+    const lead = await leadApi(`/api/portal/leads/${encodeURIComponent(id)}`);
+    byId("pf-ld-title").textContent = lead.name;
+    byId("pf-ld-meta").textContent = [lead.email, lead.phone, `captured ${fmtDate(lead.at)}`].filter(Boolean).join(" · ");
+    const controls = byId("pf-ld-controls");
+    controls.innerHTML = "";
+    if (CAN_EDIT_LEADS) {
+      controls.append(statusSelect(lead), ownerSelect(lead));
+    } else {
+      const s = document.createElement("span");
+      s.textContent = `${STATUS_LABELS[lead.status] || lead.status}${lead.owner ? ` · ${lead.owner.email}` : " · Unassigned"}`;
+      controls.appendChild(s);
+    }
+    if (lead.sessionId) controls.appendChild(transcriptButton(lead.sessionId));
+    renderTimeline(lead);
+  }
+
+  async function openLead(id) {
+    openLeadId = id;
+    byId("pf-ld-timeline").innerHTML = "";
+    byId("pf-ld-meta").textContent = "Loading…";
+    leadPanel.style.display = "flex";
+    try {
+      await loadLeadDetail(id);
+    } catch (err) {
+      byId("pf-ld-meta").textContent = err.message;
+    }
+  }
+
+  function closeLead() {
+    leadPanel.style.display = "none";
+    openLeadId = null;
+  }
+
+  leadPanel.addEventListener("click", (e) => {
+    if (e.target === leadPanel || e.target.id === "pf-ld-close") closeLead();
+    if (e.target.dataset?.session) openTranscript(e.target.dataset.session);
+  });
+  leadPanel.addEventListener("change", (e) => {
+    if (!openLeadId) return;
+    if (e.target.dataset?.statusFor) updateLead(openLeadId, { status: e.target.value });
+    if (e.target.dataset?.ownerFor !== undefined) updateLead(openLeadId, { ownerId: e.target.value || null });
+  });
+  byId("pf-ld-note").addEventListener("submit", async (e) => {
+    e.preventDefault();
+    const text = byId("pf-ld-note-text");
+    if (!openLeadId || !text.value.trim()) return;
+    try {
+      await leadApi(`/api/portal/leads/${encodeURIComponent(openLeadId)}/notes`, {
+        method: "POST", body: JSON.stringify({ content: text.value })
+      });
+      text.value = "";
+      await loadLeadDetail(openLeadId);
+    } catch (err) {
+      byId("pf-ld-meta").textContent = err.message;
+    }
+  });
+
+  // Drag a tile onto another column to change its status
+  const board = byId("pf-board");
+  board.addEventListener("dragstart", (e) => {
+    const id = e.target.dataset?.lead;
+    if (!id) return;
+    board.dataset.dragging = id;
+    e.dataTransfer.setData("text/plain", id);
+  });
+  board.addEventListener("dragend", () => { delete board.dataset.dragging; });
+  board.addEventListener("dragover", (e) => {
+    if (board.dataset.dragging && e.target.closest("[data-column]")) e.preventDefault();
+  });
+  board.addEventListener("drop", (e) => {
+    const col = e.target.closest("[data-column]");
+    const id = e.dataTransfer.getData("text/plain");
+    if (!col || !id) return;
+    e.preventDefault();
+    updateLead(id, { status: col.dataset.column });
+  });
+  board.addEventListener("click", (e) => {
+    if (e.target.dataset?.openLead) openLead(e.target.dataset.openLead);
+  });
+  byId("pf-owner-filter").addEventListener("change", (e) => {
+    leadOwnerFilter = e.target.value;
+    loadLeads();
+  });
+
+  // --- Conversations list (cursor-paginated) ---
+  function transcriptButton(sessionId) {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.dataset.session = sessionId;
+    btn.textContent = "View transcript";
+    btn.style.fontSize = "12px";
+    return btn;
+  }
+
+  async function loadConversations(append = false) {
+    const list = byId("pf-convo-list");
+    const more = byId("pf-convo-more");
+    if (!list) return;
+    if (!append) convoCursor = null;
+
+    try {
+      const qs = new URLSearchParams({ tenant: TENANT, limit: "25" });
+      if (append && convoCursor) qs.set("cursor", convoCursor);
+      const res = await fetch(`/api/portal/conversations?${qs}`, { credentials: "include", headers: { "Accept": "application/json" } });
+      if (!res.ok) throw new Error(`Conversations API unavailable (${res.status})`);
+      const data = (await res.json()) || {};
+      const convos = Array.isArray(data.conversations) ? data.conversations : [];
+
+      if (!append) list.innerHTML = "";
+      if (!append && !convos.length) {
+        list.innerHTML = `<li style="color:var(--muted)">No conversations found</li>`;
+      }
+      convos.forEach(c => {
+        const li   = document.createElement("li"); li.style.marginBottom = "8px";
+        const name = document.createElement("strong"); name.textContent = safeText(c.name || c.sessionId);
+        const meta = document.createElement("div"); meta.style.fontSize="12px"; meta.style.color="var(--muted)";
+        meta.textContent = `${fmtDate(c.at)} · ${c.messageCount} messages`;
+        const snip = document.createElement("div"); snip.textContent = safeText(c.lastMessage || "");
+        li.append(name, meta, snip, transcriptButton(c.sessionId));
+        list.appendChild(li);
+      });
+
+      convoCursor = data.nextCursor || null;
+      if (more) more.style.display = convoCursor ? "" : "none";
+    } catch (err) {
+      setError(err.message || "Failed to load conversations.");
+    }
+  }
+
+  // --- Transcript view ---
+  function renderMessages(messages) {
+    const ol = byId("pf-tx-messages");
+    messages.forEach(m => {
+      const li = document.createElement("li");
+      const mine = m.role === "user";
+      li.style.cssText = `margin:6px 0;padding:8px 10px;border-radius:10px;max-width:85%;border:1px solid var(--border);${mine ? "margin-left:auto;" : ""}`;
+      const head = document.createElement("div");
+      head.style.fontSize = "11px"; head.style.color = "var(--muted)";
+      const tokens = (m.tokensIn || m.tokensOut) ? ` · ${m.tokensIn} in / ${m.tokensOut} out tokens` : "";
+      const tags = m.tags?.length ? ` · 🏷️ ${m.tags.join(", ")}` : "";
+      head.textContent = `${safeText(m.role)} · ${fmtDate(m.at)}${tokens}${tags}`;
+      const body = document.createElement("div");
+      body.style.whiteSpace = "pre-wrap";
+      body.textContent = safeText(m.content);
+      li.append(head, body);
+      ol.appendChild(li);
+    });
+  }
+
+  async function loadTranscript(sessionId, append = false) {
+    const qs = new URLSearchParams({ tenant: TENANT });
+    if (append && txCursor) qs.set("cursor", txCursor);
+    const res = await fetch(`/api/portal/conversations/${encodeURIComponent(sessionId)}?${qs}`, {
+      credentials: "include", headers: { "Accept": "application/json" }
+    });
+    if (!res.ok) throw new Error(res.status === 404 ? "Conversation not found" : `Transcript unavailable (${res.status})`);
+    const data = await res.json();
+
+    if (!append) {
+      const who = data.lead ? [data.lead.name, data.lead.email, data.lead.phone].filter(Boolean).join(" · ") : "";
+      byId("pf-tx-title").textContent = who ? `Transcript — ${who}` : "Transcript";
+      byId("pf-tx-meta").textContent =
+        `Session ${data.sessionId} · started ${fmtDate(data.startedAt)}` +
+        (data.endedAt ? ` · ended ${fmtDate(data.endedAt)}` : "") +
+        ` · ${data.totals.messages} messages · ${data.totals.tokensIn} in / ${data.totals.tokensOut} out tokens`;
+    }
+    renderMessages(Array.isArray(data.messages) ? data.messages : []);
+    txCursor = data.nextCursor || null;
+    byId("pf-tx-more").style.display = txCursor ? "" : "none";
+  }
+
+  async function openTranscript(sessionId) {
+    txSession = sessionId;
+    txCursor = null;
+    byId("pf-tx-messages").innerHTML = "";
+    byId("pf-tx-title").textContent = "Transcript";
+    byId("pf-tx-meta").textContent = "Loading…";
+    transcript.style.display = "flex";
+    byId("pf-tx-close").focus();
+    try {
+      await loadTranscript(sessionId);
+    } catch (err) {
+      byId("pf-tx-meta").textContent = err.message || "Failed to load transcript.";
+    }
+  }
+
+  function closeTranscript() {
+    transcript.style.display = "none";
+    txSession = null;
+  }
+
+  transcript.addEventListener("click", (e) => {
+    if (e.target === transcript || e.target.id === "pf-tx-close") closeTranscript();
+    if (e.target.id === "pf-tx-more" && txSession) {
+      loadTranscript(txSession, true).catch(err => { byId("pf-tx-meta").textContent = err.message; });
+    }
+  });
+  document.addEventListener("keydown", (e) => {
+    if (e.key !== "Escape") return;
+    if (txSession) closeTranscript();
+    else if (openLeadId) closeLead();
+  });
+
+  // Lets the portal header search open a transcript or lead from a result
+  window.openTranscript = openTranscript;
+  window.openLead = openLead;
+
+  container.addEventListener("click", (e) => {
+    if (e.target.dataset?.session) openTranscript(e.target.dataset.session);
+    if (e.target.id === "pf-convo-more") loadConversations(true);
+  });
+
+  // --- Export handler: full history, streamed by the server ---
   container.addEventListener("click", (e) => {
     if (e.target.id === "pf-export-btn") {
-      const rows = [
-        ["Name", "Timestamp", "Snippet", "Email", "Phone", "Tags"],
-      ];
-      const convos = Array.isArray(lastData?.conversations) ? lastData.conversations : [];
-      convos.forEach((c) => {
-        rows.push([
-          safeText(c.name || ""),
-          safeText(fmtDate(c.at || "")),
-          safeText(c.snippet || ""),
-          safeText(c.email || ""),
-          safeText(c.phone || ""),
-          Array.isArray(c.tags) ? c.tags.join("|") : "",
-        ]);
-      });
-      download(`leads_${TENANT}_${new Date().toISOString().slice(0,10)}.csv`, toCSV(rows));
+      const qs = new URLSearchParams({ tenant: TENANT, format: "csv" });
+      location.href = `/api/portal/export/leads?${qs}`;
     }
   });
 
   // --- Start/Stop polling ---
   loadPremiumData();
-  pollTimer = setInterval(loadPremiumData, 15000);
+  loadAssignees().then(loadLeads);
+  loadConversations();
+  // Polls only while the portal's live stream is down (window.portalStreamLive)
+  pollTimer = setInterval(() => {
+    if (window.portalStreamLive) return;
+    loadPremiumData(); loadLeads();
+  }, 15000);
+
+  // --- Live updates (portal:stream, see portal.html) ---
+  // Bursts of intake collapse into one reload per section
+  const debounced = (fn, ms = 1000) => {
+    let t = null;
+    return () => { clearTimeout(t); t = setTimeout(fn, ms); };
+  };
+  const refreshLeads = debounced(() => { loadPremiumData(); loadLeads(); });
+  const refreshConversations = debounced(() => loadConversations());
+  window.addEventListener("portal:stream", ({ detail: { type, data } }) => {
+    if (type === "lead" || type === "resync") refreshLeads();
+    if (type === "conversation" || type === "resync") refreshConversations();
+    // an open, fully loaded transcript gets new turns appended in place
+    if (type === "turn" && txSession === data.sessionId && !txCursor) renderMessages([data]);
+    if (type === "conversation" && data.state === "ended" && txSession === data.sessionId) {
+      byId("pf-tx-messages").innerHTML = "";
+      txCursor = null;
+      loadTranscript(txSession).catch(err => { byId("pf-tx-meta").textContent = err.message; });
+    }
+  });
   window.addEventListener("beforeunload", () => {
     if (pollTimer) clearInterval(pollTimer);
     if (inFlight) inFlight.abort();
@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const dns = require('dns');
+const net = require('net');
+
+const { validateRuleInput, errorSignature, evaluateAll } = require('../utils/alerts');
+const { fakeDb } = require('./fakeDb');
+
+const MIN_MS = 60 * 1000;
+
+// fakeDb with windowStats' raw query answered from `stats` (tenantId → counts)
+function alertDb(stats) {
+  const db = fakeDb({ defaults: { alert: { state: 'open' } } });
+  const client = new Proxy(db, {
+    get: (target, name) => (name === '$queryRaw'
+      ? async () => Object.entries(stats).map(([tenantId, s]) => ({ tenantId, ...s }))
+      : target[name])
+  });
+  db.tenant.create({ data: { id: 't1', name: 'Acme' } });
+  return { db, client };
+}
+
+const addRule = (db, data) => db.alertRule.create({
+  data: { tenantId: 't1', name: 'rule', channels: ['portal'], enabled: true, threshold: null, windowMin: 10, ...data }
+});
+
+test('validateRuleInput fills in defaults', async () => {
+  assert.deepEqual((await validateRuleInput({ kind: 'no_traffic' })).data, {
+    name: 'No traffic for', kind: 'no_traffic', threshold: null, windowMin: 60,
+    channels: ['portal'], emailTo: null, webhookUrl: null, enabled: true
+  });
+  const { data } = await validateRuleInput({ kind: 'error_rate', threshold: '5', channels: ['portal', 'portal'] });
+  assert.equal(data.threshold, 5);
+  assert.equal(data.windowMin, 10);
+  assert.deepEqual(data.channels, ['portal']);
+});
+
+test('validateRuleInput rejects bad input with the offending field', async () => {
+  assert.deepEqual(await validateRuleInput({ kind: 'nope' }), { error: 'bad_kind', field: 'kind' });
+  assert.deepEqual(await validateRuleInput({ kind: 'error_rate' }), { error: 'bad_threshold', field: 'threshold' });
+  assert.deepEqual(await validateRuleInput({ kind: 'error_rate', threshold: 101 }), { error: 'bad_threshold', field: 'threshold' });
+  assert.deepEqual(await validateRuleInput({ kind: 'no_traffic', windowMin: 0 }), { error: 'bad_window', field: 'windowMin' });
+  assert.deepEqual(await validateRuleInput({ kind: 'no_traffic', channels: ['sms'] }), { error: 'bad_channels', field: 'channels' });
+  assert.deepEqual(await validateRuleInput({ kind: 'no_traffic', emailTo: 'x' }), { error: 'bad_email', field: 'emailTo' });
+  assert.deepEqual(await validateRuleInput({ kind: 'no_traffic', webhookUrl: 'ftp://x' }), { error: 'bad_webhook_url', field: 'webhookUrl' });
+  assert.deepEqual(await validateRuleInput({ kind: 'no_traffic', channels: ['webhook'] }), { error: 'missing_webhook_url', field: 'webhookUrl' });
+});
+
+test('validateRuleInput only takes webhook URLs on public hosts', async (t) => {
+  const hosts = { 'hooks.slack.com': '52.89.214.238', 'metadata.internal': '169.254.169.254' };
+  t.mock.method(dns.promises, 'lookup', async (host) => {
+    const address = net.isIP(host) ? host : hosts[host];
+    if (!address) throw Object.assign(new Error(`getaddrinfo ENOTFOUND ${host}`), { code: 'ENOTFOUND' });
+    return [{ address, family: 4 }];
+  });
+  const rule = (webhookUrl) => validateRuleInput({ kind: 'no_traffic', channels: ['webhook'], webhookUrl });
+  assert.equal((await rule('https://hooks.slack.com/services/x')).data.webhookUrl, 'https://hooks.slack.com/services/x');
+  assert.deepEqual(await rule('http://metadata.internal/latest'), { error: 'private_webhook_url', field: 'webhookUrl' });
+  assert.deepEqual(await rule('http://127.0.0.1:9000/'), { error: 'private_webhook_url', field: 'webhookUrl' });
+  assert.deepEqual(await rule('https://nowhere.test/'), { error: 'unresolvable_webhook_url', field: 'webhookUrl' });
+});
+
+test('errorSignature ignores numbers and ids', () => {
+  assert.equal(
+    errorSignature('Timeout after 3000ms for 8f14e45f-ceea-467f-a8f0-1a2b3c4d5e6f'),
+    errorSignature('timeout after 120ms for 0a1b2c3d-0000-4000-8000-aaaaaaaaaaaa')
+  );
+  assert.notEqual(errorSignature('Timeout'), errorSignature('Connection refused'));
+});
+
+test('evaluateAll opens, refreshes and resolves an error_rate alert', async () => {
+  const stats = { t1: { successCnt: 8, errorCnt: 2 } };
+  const { db, client } = alertDb(stats);
+  const rule = await addRule(db, { kind: 'error_rate', threshold: 10 });
+  const now = Date.now();
+
+  await evaluateAll(client, now);
+  assert.equal(db.tables.alert.length, 1);
+  const [alert] = db.tables.alert;
+  assert.equal(alert.state, 'open');
+  assert.equal(alert.openKey, `${rule.id}:`);
+  assert.equal(alert.value, 20);
+  assert.deepEqual(db.tables.event.map(e => e.type), ['alert:open']);
+
+  // still firing: the open alert is updated, not duplicated
+  Object.assign(stats.t1, { successCnt: 6, errorCnt: 4 });
+  await evaluateAll(client, now + MIN_MS);
+  assert.equal(db.tables.alert.length, 1);
+  assert.equal(alert.value, 40);
+  assert.equal(alert.peakValue, 40);
+  assert.equal(db.tables.event.length, 1);
+
+  Object.assign(stats.t1, { successCnt: 10, errorCnt: 0 });
+  await evaluateAll(client, now + 2 * MIN_MS);
+  assert.equal(alert.state, 'resolved');
+  assert.equal(alert.openKey, null);
+  assert.equal(alert.peakValue, 40);
+  assert.deepEqual(db.tables.event.map(e => e.type), ['alert:open', 'alert:resolved']);
+  assert.ok(db.tables.alertRule.every(r => +r.evaluatedAt === now + 2 * MIN_MS));
+});
+
+test('evaluateAll needs enough requests for error_rate and fires no_traffic on silence', async () => {
+  const { db, client } = alertDb({ t1: { successCnt: 0, errorCnt: 2 } });
+  await addRule(db, { kind: 'error_rate', threshold: 10 });
+  await evaluateAll(client);
+  assert.deepEqual(db.tables.alert, []);
+
+  const quiet = alertDb({});
+  await addRule(quiet.db, { kind: 'no_traffic', windowMin: 60 });
+  await addRule(quiet.db, { kind: 'no_traffic', windowMin: 60, enabled: false });
+  await evaluateAll(quiet.client);
+  assert.equal(quiet.db.tables.alert.length, 1);
+  assert.equal(quiet.db.tables.alert[0].message, 'No traffic for 60 min');
+});
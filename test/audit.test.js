@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+// kms reads its keyring at load
+process.env.KMS_KEYS = `test=${crypto.randomBytes(32).toString('hex')}`;
+const { encrypt } = require('../utils/kms');
+const audit = require('../utils/audit');
+const { fakeDb } = require('./fakeDb');
+
+const fakeReq = (user) => ({
+  user,
+  ip: '203.0.113.7',
+  get: (h) => (h === 'user-agent' ? 'x'.repeat(400) : undefined)
+});
+
+test('diff lists only the fields that changed', () => {
+  const at = new Date('2026-01-02T03:04:05Z');
+  assert.deepEqual(
+    audit.diff({ name: 'Acme', color: '#fff', since: null }, { name: 'Acme', color: '#000', since: at }),
+    { color: { from: '#fff', to: '#000' }, since: { from: null, to: '2026-01-02T03:04:05.000Z' } }
+  );
+  assert.equal(audit.diff({ tags: ['a'], n: 1 }, { tags: ['a'], n: 1 }), null);
+  // only the listed fields are compared
+  assert.deepEqual(audit.diff({ a: 1, b: 1 }, { a: 2, b: 2 }, ['b']), { b: { from: 1, to: 2 } });
+  assert.deepEqual(audit.diff(null, { a: 1 }), { a: { from: null, to: 1 } });
+});
+
+test('diff redacts secret fields and compares them by plaintext', () => {
+  assert.deepEqual(audit.diff({ smtpPass: 'hunter2-old' }, { smtpPass: 'hunter2-new' }), {
+    smtpPass: { from: 'hun***old', to: 'hun***new', redacted: true }
+  });
+  // re-encrypting the same value is not a change
+  assert.equal(audit.diff({ openaiKey: encrypt('sk-live-123456') }, { openaiKey: encrypt('sk-live-123456') }), null);
+  assert.deepEqual(audit.diff({ openaiKey: encrypt('sk-live-123456') }, { openaiKey: null }), {
+    openaiKey: { from: 'sk-***456', to: null, redacted: true }
+  });
+});
+
+test('redact masks decrypted values and JSON blobs', () => {
+  assert.equal(audit.redact(encrypt('abcdefghij')), 'abc***hij');
+  assert.equal(audit.redact('short'), '***');
+  assert.equal(audit.redact(''), '');
+  assert.equal(audit.redact(null), null);
+  assert.equal(audit.redact({ access_token: 'at' }), '{"a***t"}');
+  assert.equal(audit.redact('enc:v2:gone:AAAAAAAAAAAAAAAA:AAAAAAAAAAAAAAAAAAAAAAAA'), 'enc:***');
+});
+
+test('record writes who, where and what', async () => {
+  const db = fakeDb();
+  await audit.record(db, fakeReq({ tenantId: 't1', adminUserId: 'u1', email: 'owner@acme.test' }), {
+    action: 'settings.update', targetType: 'tenant', targetId: 7, summary: 'Updated settings',
+    changes: { leadEmails: { from: false, to: true } }
+  });
+  const [row] = db.tables.auditLog;
+  assert.equal(row.tenantId, 't1');
+  assert.equal(row.actorId, 'u1');
+  assert.equal(row.actorEmail, 'owner@acme.test');
+  assert.equal(row.targetId, '7');
+  assert.equal(row.ip, '203.0.113.7');
+  assert.equal(row.userAgent.length, 300);
+  assert.deepEqual(row.changes, { leadEmails: { from: false, to: true } });
+});
+
+test('record rejects unknown actions and never fails the caller on a write error', async (t) => {
+  await assert.rejects(audit.record(fakeDb(), fakeReq(), { action: 'made.up' }), /Unknown audit action/);
+
+  const errors = [];
+  t.mock.method(console, 'error', (...args) => errors.push(args));
+  const broken = { auditLog: { create: async () => { throw new Error('db down'); } } };
+  await audit.record(broken, fakeReq(), { action: 'auth.login_failed', summary: 'x', tenantId: 't1' });
+  assert.deepEqual(errors, [['audit_write_error', 'auth.login_failed', 't1', 'db down']]);
+});
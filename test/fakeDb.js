@@ -0,0 +1,132 @@
+// test/fakeDb.js
+// In-memory stand-in for the Prisma client, just enough for unit tests of
+// the utils/ modules: every model is a table of plain rows with the common
+// delegate methods and a small `where` matcher (equality, null, in / not /
+// gt / gte / lt / lte / has / hasSome, OR, compound unique keys). Raw SQL returns
+// nothing. Not a Prisma emulator: relations, orderBy, select and include are
+// ignored unless a test seeds rows shaped the way the code expects.
+
+const crypto = require('crypto');
+
+const same = (a, b) => (a instanceof Date || b instanceof Date ? +a === +b : a === b);
+
+function matches(row, where = {}) {
+  for (const [k, v] of Object.entries(where)) {
+    if (k === 'OR') { if (!v.some(w => matches(row, w))) return false; continue; }
+    if (k === 'AND') { if (!v.every(w => matches(row, w))) return false; continue; }
+    const val = row[k] ?? null;
+    if (v !== null && typeof v === 'object' && !(v instanceof Date) && !Array.isArray(v)) {
+      const ops = Object.keys(v);
+      if (!ops.some(op => ['in', 'not', 'gt', 'gte', 'lt', 'lte', 'has', 'hasSome'].includes(op))) {
+        // compound unique key, e.g. { tenantId_email: { tenantId, email } }
+        if (!matches(row, v)) return false;
+        continue;
+      }
+      if ('in' in v && !v.in.some(x => same(x, val))) return false;
+      if ('not' in v && same(val, v.not)) return false;
+      // comparisons never match null, as in SQL
+      if ('gt' in v && !(val !== null && val > v.gt)) return false;
+      if ('gte' in v && !(val !== null && val >= v.gte)) return false;
+      if ('lt' in v && !(val !== null && val < v.lt)) return false;
+      if ('lte' in v && !(val !== null && val <= v.lte)) return false;
+      if ('has' in v && !(val || []).includes(v.has)) return false;
+      if ('hasSome' in v && !v.hasSome.some(x => (val || []).includes(x))) return false;
+      continue;
+    }
+    if (!same(val, v ?? null)) return false;
+  }
+  return true;
+}
+
+function delegate(rows, uniques, defaults) {
+  const insert = (data) => {
+    // undefined means "use the default", as in Prisma
+    const given = Object.fromEntries(Object.entries(data).filter(([, v]) => v !== undefined));
+    const row = { id: crypto.randomUUID(), createdAt: new Date(), ...defaults, ...given };
+    for (const u of uniques) {
+      if (rows.some(r => u.every(f => same(r[f], row[f])))) {
+        const e = new Error(`Unique constraint failed on ${u.join(', ')}`);
+        e.code = 'P2002';
+        throw e;
+      }
+    }
+    rows.push(row);
+    return row;
+  };
+  const insertMany = (data, skipDuplicates) => data.flatMap(d => {
+    try { return [insert(d)]; } catch (e) { if (skipDuplicates && e.code === 'P2002') return []; throw e; }
+  });
+  const find = (where) => rows.find(r => matches(r, where)) || null;
+
+  return {
+    findMany: async ({ where, take } = {}) => rows.filter(r => matches(r, where)).slice(0, take ?? Infinity).map(r => ({ ...r })),
+    findFirst: async ({ where } = {}) => { const r = find(where); return r && { ...r }; },
+    findUnique: async ({ where }) => { const r = find(where); return r && { ...r }; },
+    count: async ({ where } = {}) => rows.filter(r => matches(r, where)).length,
+    create: async ({ data }) => ({ ...insert(data) }),
+    createMany: async ({ data, skipDuplicates }) => ({ count: insertMany(data, skipDuplicates).length }),
+    createManyAndReturn: async ({ data, skipDuplicates }) => insertMany(data, skipDuplicates).map(r => ({ ...r })),
+    update: async ({ where, data }) => {
+      const r = find(where);
+      if (!r) { const e = new Error('Record not found'); e.code = 'P2025'; throw e; }
+      return { ...Object.assign(r, data) };
+    },
+    updateMany: async ({ where, data }) => {
+      const hit = rows.filter(r => matches(r, where));
+      hit.forEach(r => Object.assign(r, data));
+      return { count: hit.length };
+    },
+    upsert: async ({ where, create, update }) => {
+      const r = find(where);
+      return r ? { ...Object.assign(r, update) } : { ...insert(create) };
+    },
+    delete: async ({ where }) => {
+      const i = rows.findIndex(r => matches(r, where));
+      if (i === -1) { const e = new Error('Record not found'); e.code = 'P2025'; throw e; }
+      return rows.splice(i, 1)[0];
+    },
+    deleteMany: async ({ where } = {}) => {
+      const keep = rows.filter(r => !matches(r, where));
+      const count = rows.length - keep.length;
+      rows.splice(0, rows.length, ...keep);
+      return { count };
+    },
+    aggregate: async () => ({ _sum: {}, _count: {}, _min: {}, _max: {} }),
+    groupBy: async () => []
+  };
+}
+
+/**
+ * A fake client. `uniques` = { model: [[field, ...], ...] } for the unique
+ * constraints a test relies on; `defaults` = { model: { field: value } } for
+ * the column defaults it relies on. `db.tables.<model>` holds the rows;
+ * `db.transactions` records the options of each $transaction call.
+ */
+function fakeDb({ uniques = {}, defaults = {} } = {}) {
+  const tables = {};
+  const transactions = [];
+  const delegates = {};
+  const db = new Proxy({}, {
+    get(_, name) {
+      if (name === 'tables') return tables;
+      if (name === 'transactions') return transactions;
+      if (name === '$transaction') {
+        return async (arg, options) => {
+          transactions.push(options || null);
+          return typeof arg === 'function' ? arg(db) : Promise.all(arg);
+        };
+      }
+      if (name === '$queryRaw') return async () => [];
+      if (name === '$executeRaw') return async () => 0;
+      if (typeof name !== 'string' || name === 'then') return undefined;
+      if (!delegates[name]) {
+        tables[name] = tables[name] || [];
+        delegates[name] = delegate(tables[name], uniques[name] || [], defaults[name] || {});
+      }
+      return delegates[name];
+    }
+  });
+  return db;
+}
+
+module.exports = { fakeDb, matches };
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { fitDaily, forecastMonth } = require('../utils/forecast');
+const { fakeDb } = require('./fakeDb');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const weekdaysFrom = (first, n) => Array.from({ length: n }, (_, i) => (first + i) % 7);
+const close = (a, b, eps = 1e-6) => assert.ok(Math.abs(a - b) < eps, `${a} ≈ ${b}`);
+
+test('fitDaily: a flat series predicts its level with no trend', () => {
+  const fit = fitDaily(Array(28).fill(10), weekdaysFrom(0, 28));
+  close(fit.slope, 0);
+  close(fit.level, 10);
+  close(fit.sigma, 0);
+  close(fit.predict(5, 3), 10);
+  assert.deepEqual(fit.factors, Array(7).fill(1));
+});
+
+test('fitDaily: weekday factors follow a weekly pattern', () => {
+  // weekends (Sun = 0, Sat = 6) at half the weekday spend
+  const weekdays = weekdaysFrom(0, 28);
+  const values = weekdays.map(w => (w === 0 || w === 6 ? 5 : 10));
+  const fit = fitDaily(values, weekdays);
+  const mean = (2 * 5 + 5 * 10) / 7;
+  close(fit.factors[0], 5 / mean);
+  close(fit.factors[3], 10 / mean);
+  close(fit.predict(1, 6), 5);
+  close(fit.predict(1, 2), 10);
+});
+
+test('fitDaily: the trend is damped, so far horizons stay bounded', () => {
+  // under two weeks, so no weekday factors get in the way
+  const values = Array.from({ length: 13 }, (_, i) => 10 + i);
+  const fit = fitDaily(values, weekdaysFrom(0, 13));
+  close(fit.slope, 1);
+  close(fit.level, 22);
+  close(fit.predict(1, 0), 22.9);
+  // damped geometric sum: never more than slope * 0.9 / 0.1 above the level
+  assert.ok(fit.predict(1000, 0) <= fit.level + 9 + 1e-6);
+});
+
+test('fitDaily: short or empty histories have no seasonality and a wide band', () => {
+  const fit = fitDaily([4, 6, 5], [1, 2, 3]);
+  assert.equal(fit.factors, null);
+  close(fit.level, 5);
+  close(fit.sigma, 2.5);
+  assert.equal(fitDaily([], []).predict(1, 0), 0);
+});
+
+test('forecastMonth: steady spend projects to a full month of it', async () => {
+  const db = fakeDb();
+  const now = new Date('2026-03-15T12:00:00Z');
+  for (let t = Date.UTC(2026, 1, 1); t < Date.UTC(2026, 2, 15); t += DAY_MS) {
+    await db.usageDaily.create({
+      data: { tenantId: 'acme', day: new Date(t), model: 'gpt-4o', cost: 2, promptTokens: 100, completionTokens: 0, cachedTokens: 0 }
+    });
+  }
+  const f = await forecastMonth(db, 'acme', now);
+
+  close(f.mtd.costUSD, 14 * 2);
+  close(f.projected.costUSD, 28 + 0.5 * 2 + 16 * 2);
+  assert.equal(f.trend, 'flat');
+  assert.equal(f.byModel.length, 1);
+  close(f.byModel[0].costPer1K, 20);
+  assert.equal(f.projection.length, 16);
+  assert.ok(f.projected.costLowUSD <= f.projected.costUSD && f.projected.costUSD <= f.projected.costHighUSD);
+});
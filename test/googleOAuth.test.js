@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const google = require('../utils/googleOAuth');
+const { fakeDb } = require('./fakeDb');
+
+const CLIENT = { googleClientId: 'cid', googleClientSecret: 'csecret', googleRedirectUri: null };
+
+// Replace global fetch for one test; `respond(url, params)` gets the form body
+function stubFetch(t, respond) {
+  const calls = [];
+  const original = global.fetch;
+  global.fetch = async (url, opts = {}) => {
+    const params = Object.fromEntries(new URLSearchParams(opts.body || ''));
+    calls.push({ url: String(url), params });
+    const { status = 200, body = {} } = respond(String(url), params);
+    return { ok: status < 300, status, json: async () => body };
+  };
+  t.after(() => { global.fetch = original; });
+  return calls;
+}
+
+const storedTokens = (db) => JSON.parse(db.tables.tenant[0].googleTokens);
+
+test('pkcePair returns an S256 challenge of the verifier', () => {
+  const { verifier, challenge } = google.pkcePair();
+  assert.match(verifier, /^[A-Za-z0-9_-]{43}$/);
+  assert.equal(challenge, crypto.createHash('sha256').update(verifier).digest('base64url'));
+  assert.notEqual(google.pkcePair().verifier, verifier);
+});
+
+test('authorizeUrl asks for offline access with the PKCE challenge', () => {
+  const u = new URL(google.authorizeUrl(CLIENT, { redirectUri: 'https://portal.example/cb', state: 'st', challenge: 'ch' }));
+  const q = Object.fromEntries(u.searchParams);
+  assert.equal(q.client_id, 'cid');
+  assert.equal(q.redirect_uri, 'https://portal.example/cb');
+  assert.equal(q.response_type, 'code');
+  assert.equal(q.access_type, 'offline');
+  assert.equal(q.prompt, 'consent');
+  assert.equal(q.state, 'st');
+  assert.equal(q.code_challenge, 'ch');
+  assert.equal(q.code_challenge_method, 'S256');
+  assert.equal(q.scope, google.SCOPES.join(' '));
+  assert.equal(google.redirectUriFor(CLIENT, 'https://portal.example'), `https://portal.example${google.CALLBACK_PATH}`);
+});
+
+test('completeConnect sends the code verifier and stores the tokens', async (t) => {
+  const calls = stubFetch(t, (url) => (url.includes('userinfo')
+    ? { body: { email: 'ops@acme.test' } }
+    : { body: { access_token: 'at1', refresh_token: 'rt1', expires_in: 3600, scope: 'openid email' } }));
+  const db = fakeDb();
+  await db.tenant.create({ data: { id: 't1', ...CLIENT } });
+
+  const meta = await google.completeConnect(db, 't1', CLIENT, { code: 'c0de', redirectUri: 'https://portal.example/cb', verifier: 'v3rifier', by: 'owner@acme.test' });
+  assert.deepEqual(calls[0].params, {
+    grant_type: 'authorization_code', code: 'c0de', client_id: 'cid', client_secret: 'csecret',
+    redirect_uri: 'https://portal.example/cb', code_verifier: 'v3rifier'
+  });
+  assert.equal(meta.status, 'connected');
+  assert.equal(meta.email, 'ops@acme.test');
+  assert.deepEqual(meta.scopes, ['openid', 'email']);
+  assert.equal(meta.lastError, null);
+  assert.equal(storedTokens(db).refresh_token, 'rt1');
+  assert.equal(db.tables.googleConnection[0].connectedBy, 'owner@acme.test');
+});
+
+test('completeConnect without a refresh token is flagged', async (t) => {
+  stubFetch(t, (url) => (url.includes('userinfo') ? { status: 401 } : { body: { access_token: 'at1' } }));
+  const db = fakeDb();
+  await db.tenant.create({ data: { id: 't1', ...CLIENT } });
+  const meta = await google.completeConnect(db, 't1', CLIENT, { code: 'c', redirectUri: 'r', verifier: 'v' });
+  assert.equal(meta.email, null);
+  assert.equal(meta.lastError, 'no_refresh_token');
+});
+
+test('completeConnect throws the OAuth error code', async (t) => {
+  stubFetch(t, () => ({ status: 400, body: { error: 'invalid_grant', error_description: 'Bad code' } }));
+  const db = fakeDb();
+  await assert.rejects(google.completeConnect(db, 't1', CLIENT, { code: 'c', redirectUri: 'r', verifier: 'v' }), { message: 'invalid_grant', description: 'Bad code' });
+});
+
+async function connected(expiresInMs) {
+  const db = fakeDb();
+  await db.tenant.create({
+    data: { id: 't1', ...CLIENT, googleTokens: JSON.stringify({ access_token: 'old', refresh_token: 'rt1', scope: 'openid' }) }
+  });
+  const updatedAt = new Date(Date.now() - 60_000);
+  await db.googleConnection.create({
+    data: { tenantId: 't1', status: 'connected', expiresAt: new Date(Date.now() + expiresInMs), lastError: 'timeout', updatedAt }
+  });
+  return db;
+}
+
+test('refreshDue refreshes tokens about to expire and keeps the refresh token', async (t) => {
+  const calls = stubFetch(t, () => ({ body: { access_token: 'new', expires_in: 3600 } }));
+  const db = await connected(60_000);
+
+  await google.refreshDue(db);
+  assert.deepEqual(calls[0].params, { grant_type: 'refresh_token', refresh_token: 'rt1', client_id: 'cid', client_secret: 'csecret' });
+  const tokens = storedTokens(db);
+  assert.equal(tokens.access_token, 'new');
+  assert.equal(tokens.refresh_token, 'rt1');
+  assert.equal(tokens.scope, 'openid');
+  const [c] = db.tables.googleConnection;
+  assert.equal(c.lastError, null);
+  assert.ok(c.lastRefreshAt instanceof Date);
+  assert.ok(c.expiresAt.getTime() > Date.now() + 50 * 60 * 1000);
+});
+
+test('refreshDue skips fresh tokens and marks revoked grants as errors', async (t) => {
+  const calls = stubFetch(t, () => ({ status: 400, body: { error: 'invalid_grant', error_description: 'Token has been revoked' } }));
+  const fresh = await connected(60 * 60 * 1000);
+  await google.refreshDue(fresh);
+  assert.equal(calls.length, 0);
+
+  const db = await connected(60_000);
+  await google.refreshDue(db);
+  const [c] = db.tables.googleConnection;
+  assert.equal(c.status, 'error');
+  assert.equal(c.lastError, 'invalid_grant: Token has been revoked');
+  assert.equal(storedTokens(db).access_token, 'old');
+});
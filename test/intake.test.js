@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { TX_OPTIONS, normalizeItem, parseBatchBody, ingestItems } = require('../utils/intake');
+const { fakeDb } = require('./fakeDb');
+
+// Same default as server.js
+const INTAKE_BATCH_MAX = Number(process.env.INTAKE_BATCH_MAX || 500);
+
+const UNIQUES = {
+  intakeReceipt: [['tenantId', 'key']],
+  conversation: [['tenantId', 'sessionId']]
+};
+
+function mixedItem(i) {
+  const idempotencyKey = `k-${i}`;
+  switch (i % 5) {
+    case 0: return { type: 'event', idempotencyKey, role: 'info', message: `event ${i}` };
+    case 1: return { type: 'usage', idempotencyKey, usage: { model: 'gpt-4o', prompt_tokens: 10, completion_tokens: 5, costUSD: 0.001 } };
+    case 2: return { type: 'metric', idempotencyKey, metricType: 'latency', value: i };
+    case 3: return { type: 'lead', idempotencyKey, name: `Lead ${i}`, email: `lead${i}@example.com`, snippet: 'hello' };
+    default: return { type: 'conversation', idempotencyKey, sessionId: `s-${Math.floor(i / 5) % 50}`, data: { userMessage: 'hi', aiReply: 'hello' } };
+  }
+}
+
+test('normalizeItem validates and shapes items', () => {
+  assert.deepEqual(normalizeItem(null), { ok: false, error: 'bad_item' });
+  assert.deepEqual(normalizeItem({ type: 'nope' }), { ok: false, error: 'bad_type' });
+  assert.deepEqual(normalizeItem({ type: 'conversation' }), { ok: false, error: 'session_missing' });
+
+  const { item } = normalizeItem({ type: 'usage', eventId: 42, usage: { promptTokens: '7', completionTokens: 3 } });
+  assert.equal(item.key, '42');
+  assert.equal(item.promptTokens, 7);
+  assert.equal(item.completionTokens, 3);
+  assert.equal(item.reportedCost, null);
+
+  // timestamps too far in the future are dropped
+  assert.equal(normalizeItem({ type: 'event', at: '2999-01-01T00:00:00Z' }).item.at, undefined);
+});
+
+test('parseBatchBody accepts arrays, { items } and NDJSON', () => {
+  assert.deepEqual(parseBatchBody([{ a: 1 }]), [{ a: 1 }]);
+  assert.deepEqual(parseBatchBody({ items: [{ a: 1 }] }), [{ a: 1 }]);
+  assert.deepEqual(parseBatchBody('{"a":1}\n\nnot json\n'), [{ a: 1 }, null]);
+  assert.equal(parseBatchBody({ a: 1 }), null);
+});
+
+test('a batch of the maximum size runs in one transaction with explicit limits', async () => {
+  const db = fakeDb({ uniques: UNIQUES });
+  const items = Array.from({ length: INTAKE_BATCH_MAX }, (_, i) => mixedItem(i));
+
+  const { results, created } = await ingestItems(db, 'acme', items);
+
+  assert.equal(results.length, INTAKE_BATCH_MAX);
+  assert.deepEqual(results.filter(r => r.status === 'error' || r.status === 'duplicate'), []);
+  assert.equal(db.tables.intakeReceipt.length, INTAKE_BATCH_MAX);
+  assert.equal(created.events.length, INTAKE_BATCH_MAX / 5);
+  assert.equal(created.leads.length, INTAKE_BATCH_MAX / 5);
+  assert.equal(created.conversations.length, 50);
+  assert.equal(created.messages.length, 2 * INTAKE_BATCH_MAX / 5);
+
+  assert.equal(db.transactions.length, 1);
+  assert.deepEqual(db.transactions[0], TX_OPTIONS);
+  assert.ok(TX_OPTIONS.timeout >= 30_000);
+  assert.ok(TX_OPTIONS.maxWait > 0);
+});
+
+test('replayed idempotency keys come back as duplicates', async () => {
+  const db = fakeDb({ uniques: UNIQUES });
+  const items = [mixedItem(0), mixedItem(2)];
+  await ingestItems(db, 'acme', items);
+
+  const { results } = await ingestItems(db, 'acme', [...items, mixedItem(0), { type: 'event', message: 'no key' }]);
+  assert.deepEqual(results.map(r => r.status), ['duplicate', 'duplicate', 'duplicate', 'created']);
+  assert.equal(db.tables.event.length, 2);
+});
+
+test('a late turn from before the close does not reopen the conversation', async () => {
+  const db = fakeDb({ uniques: UNIQUES });
+  const turn = (at, extra = {}) => ({ type: 'conversation', sessionId: 's-1', at, data: { userMessage: 'hi', ...extra } });
+
+  await ingestItems(db, 'acme', [turn('2026-01-01T10:00:00Z'), turn('2026-01-01T10:05:00Z', { end: true })]);
+  const [c] = db.tables.conversation;
+  assert.equal(c.endedAt.toISOString(), '2026-01-01T10:05:00.000Z');
+
+  const late = await ingestItems(db, 'acme', [turn('2026-01-01T10:02:00Z')]);
+  assert.equal(c.endedAt.toISOString(), '2026-01-01T10:05:00.000Z');
+  assert.equal(late.created.ended.length, 0);
+
+  await ingestItems(db, 'acme', [turn('2026-01-01T11:00:00Z')]);
+  assert.equal(c.endedAt, null);
+  assert.equal(c.lastMessageAt.toISOString(), '2026-01-01T11:00:00.000Z');
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const intakeKeys = require('../utils/intakeKeys');
+const { fakeDb } = require('./fakeDb');
+
+const UNIQUES = { intakeSignature: [['signature']] };
+
+function signed(body, now = Date.now()) {
+  const { key, keyHash } = intakeKeys.generateKey();
+  const timestamp = String(Math.floor(now / 1000));
+  const rawBody = Buffer.from(JSON.stringify(body));
+  return { key, keyHash, timestamp, rawBody, signature: `sha256=${intakeKeys.sign(keyHash, timestamp, rawBody)}` };
+}
+
+test('generateKey hashes the raw key it returns', () => {
+  const { key, prefix, keyHash } = intakeKeys.generateKey();
+  assert.match(key, /^tik_[0-9a-f]{8}_[\w-]{32}$/);
+  assert.match(prefix, /^tik_[0-9a-f]{8}$/);
+  assert.ok(key.startsWith(`${prefix}_`));
+  assert.equal(keyHash, intakeKeys.hashKey(key));
+});
+
+test('verifySignature accepts a valid signature once', async () => {
+  const db = fakeDb({ uniques: UNIQUES });
+  const req = signed({ type: 'event' });
+
+  assert.equal(await intakeKeys.verifySignature(db, req), null);
+  assert.equal(await intakeKeys.verifySignature(db, req), 'replayed_request');
+  assert.equal(db.tables.intakeSignature.length, 1);
+});
+
+test('replays are refused by a second process sharing the database', async () => {
+  const db = fakeDb({ uniques: UNIQUES });
+  const req = signed({ type: 'event' });
+  assert.equal(await intakeKeys.verifySignature(db, req), null);
+
+  // a fresh copy of the module stands in for another replica / a restart
+  delete require.cache[require.resolve('../utils/intakeKeys')];
+  const other = require('../utils/intakeKeys');
+  assert.equal(await other.verifySignature(db, req), 'replayed_request');
+});
+
+test('verifySignature rejects bad, missing and stale signatures', async () => {
+  const db = fakeDb({ uniques: UNIQUES });
+  const req = signed({ type: 'event' });
+
+  assert.equal(await intakeKeys.verifySignature(db, { ...req, signature: undefined }), 'signature_required');
+  assert.equal(await intakeKeys.verifySignature(db, { ...req, timestamp: 'soon' }), 'bad_timestamp');
+  assert.equal(await intakeKeys.verifySignature(db, { ...req, rawBody: Buffer.from('{}') }), 'bad_signature');
+  assert.equal(await intakeKeys.verifySignature(db, { ...req, now: Date.now() + 3600_000 }), 'timestamp_out_of_range');
+  assert.equal(db.tables.intakeSignature?.length ?? 0, 0);
+});
+
+test('pruneSignatures drops expired signatures only', async () => {
+  const db = fakeDb({ uniques: UNIQUES });
+  await db.intakeSignature.createMany({
+    data: [
+      { signature: 'old', expiresAt: new Date(Date.now() - 1000) },
+      { signature: 'live', expiresAt: new Date(Date.now() + 60_000) }
+    ]
+  });
+  await intakeKeys.pruneSignatures(db);
+  assert.deepEqual(db.tables.intakeSignature.map(r => r.signature), ['live']);
+});
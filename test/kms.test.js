@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const KEY_A = crypto.randomBytes(32).toString('hex');
+const KEY_B = crypto.randomBytes(32).toString('base64');
+const ENV = ['KMS_KEYS', 'KMS_ACTIVE_KEY_ID', 'KMS_MASTER_KEY'];
+
+// utils/kms reads its keyring once at load: require a fresh copy per config
+function loadKms(env) {
+  const saved = Object.fromEntries(ENV.map(k => [k, process.env[k]]));
+  for (const k of ENV) {
+    if (env[k] === undefined) delete process.env[k];
+    else process.env[k] = env[k];
+  }
+  try {
+    delete require.cache[require.resolve('../utils/kms')];
+    return require('../utils/kms');
+  } finally {
+    for (const k of ENV) {
+      if (saved[k] === undefined) delete process.env[k];
+      else process.env[k] = saved[k];
+    }
+  }
+}
+
+// A value as written before key ids existed
+function encryptV1(hexKey, plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', Buffer.from(hexKey, 'hex'), iv);
+  const ct = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final(), cipher.getAuthTag()]);
+  return `enc:v1:${iv.toString('base64')}:${ct.toString('base64')}`;
+}
+
+test('ciphertexts carry the active key id and round-trip', () => {
+  const kms = loadKms({ KMS_KEYS: `a=${KEY_A},b=${KEY_B}`, KMS_ACTIVE_KEY_ID: 'b' });
+  assert.deepEqual(kms.keyIds(), ['a', 'b']);
+  const enc = kms.encrypt('smtp-pass');
+  assert.match(enc, /^enc:v2:b:/);
+  assert.equal(kms.keyIdOf(enc), 'b');
+  assert.equal(kms.needsRewrap(enc), false);
+  assert.equal(kms.decrypt(enc), 'smtp-pass');
+  assert.notEqual(kms.encrypt('smtp-pass'), enc);
+});
+
+test('values under a retired key still decrypt and need a rewrap', () => {
+  const old = loadKms({ KMS_KEYS: `a=${KEY_A}` });
+  const enc = old.encrypt('token');
+  assert.equal(old.keyIdOf(enc), 'a');
+
+  const kms = loadKms({ KMS_KEYS: `a=${KEY_A},b=${KEY_B}`, KMS_ACTIVE_KEY_ID: 'b' });
+  assert.equal(kms.decrypt(enc), 'token');
+  assert.equal(kms.needsRewrap(enc), true);
+
+  const gone = loadKms({ KMS_KEYS: `b=${KEY_B}` });
+  assert.throws(() => gone.decrypt(enc), /KMS key "a" is not in the keyring/);
+});
+
+test('v1 values are decrypted by trying each key in the ring', () => {
+  const v1 = encryptV1(KEY_A, 'legacy');
+  const kms = loadKms({ KMS_KEYS: `b=${KEY_B}`, KMS_MASTER_KEY: KEY_A });
+  assert.deepEqual(kms.keyIds(), ['b', 'master']);
+  assert.equal(kms.activeKeyId(), 'b');
+  assert.equal(kms.keyIdOf(v1), null);
+  assert.equal(kms.needsRewrap(v1), true);
+  assert.equal(kms.decrypt(v1), 'legacy');
+
+  assert.throws(() => loadKms({ KMS_KEYS: `b=${KEY_B}` }).decrypt(v1), /No KMS key in the keyring decrypts this value/);
+});
+
+test('plaintext passes through and bad configuration is rejected', () => {
+  const kms = loadKms({ KMS_MASTER_KEY: 'a passphrase' });
+  assert.equal(kms.activeKeyId(), 'master');
+  assert.equal(kms.decrypt('plain'), 'plain');
+  assert.equal(kms.keyIdOf('plain'), null);
+  assert.equal(kms.needsRewrap('plain'), false);
+  assert.throws(() => kms.decrypt('enc:v3:x:y'), /Bad ciphertext format/);
+
+  assert.throws(() => loadKms({ KMS_KEYS: 'bad id=x' }), /Bad KMS_KEYS entry/);
+  assert.throws(() => loadKms({ KMS_KEYS: `a=${KEY_A},a=${KEY_B}` }), /Duplicate KMS key id "a"/);
+  assert.throws(() => loadKms({ KMS_KEYS: `a=${KEY_A}`, KMS_ACTIVE_KEY_ID: 'z' }), /"z" is not in the keyring/);
+});
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { MAX_BUCKETS, parseBucket, shapeStats } = require('../utils/metrics');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+test('parseBucket reads seconds and s/m/h/d units', () => {
+  assert.deepEqual(parseBucket('90', HOUR_MS), { bucketSec: 90 });
+  assert.deepEqual(parseBucket('30s', HOUR_MS), { bucketSec: 30 });
+  assert.deepEqual(parseBucket('5m', HOUR_MS), { bucketSec: 300 });
+  assert.deepEqual(parseBucket(' 1H ', 24 * HOUR_MS), { bucketSec: 3600 });
+  assert.deepEqual(parseBucket('1d', 30 * 24 * HOUR_MS), { bucketSec: 86400 });
+});
+
+test('parseBucket picks the smallest nice size for about 120 buckets', () => {
+  assert.deepEqual(parseBucket(undefined, HOUR_MS), { bucketSec: 30 });
+  assert.deepEqual(parseBucket('', 24 * HOUR_MS), { bucketSec: 900 });
+  assert.deepEqual(parseBucket(null, 7 * 24 * HOUR_MS), { bucketSec: 6 * 3600 });
+  assert.deepEqual(parseBucket(null, 10 * 365 * 24 * HOUR_MS), { bucketSec: 86400 });
+});
+
+test('parseBucket rejects bad sizes and too many buckets', () => {
+  for (const raw of ['0', '-5m', '5w', 'abc', '1.5h']) assert.deepEqual(parseBucket(raw, HOUR_MS), { error: 'bad_bucket' }, raw);
+  assert.deepEqual(parseBucket('1s', HOUR_MS), { error: 'too_many_buckets', max: MAX_BUCKETS });
+});
+
+test('shapeStats counts requests and rounds latencies', () => {
+  assert.deepEqual(shapeStats({ successCnt: 8, errorCnt: 2, latencyCnt: 10, avg: 120.4, p50: '99.5', p95: 300, p99: null }), {
+    requests: 10, successes: 8, errors: 2, latencySamples: 10,
+    avgLatencyMs: 120, p50LatencyMs: 100, p95LatencyMs: 300, p99LatencyMs: null
+  });
+  assert.equal(shapeStats(undefined).requests, 0);
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.KMS_MASTER_KEY = process.env.KMS_MASTER_KEY || 'test-master-key';
+const mfa = require('../utils/mfa');
+const { encrypt } = require('../utils/kms');
+const { fakeDb } = require('./fakeDb');
+
+// RFC 6238 appendix B, SHA-1 seed "12345678901234567890"
+const RFC_SECRET = mfa.base32Encode(Buffer.from('12345678901234567890'));
+
+test('base32 round-trips and ignores case, padding and spaces', () => {
+  const buf = Buffer.from('12345678901234567890');
+  assert.equal(RFC_SECRET, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+  assert.deepEqual(mfa.base32Decode(RFC_SECRET.toLowerCase().replace(/(.{4})/g, '$1 ') + '=='), buf);
+  assert.throws(() => mfa.base32Decode('A1'), /base32/);
+});
+
+test('totp matches the RFC 6238 test vectors (last 6 digits)', () => {
+  assert.equal(mfa.totp(RFC_SECRET, Math.floor(59 / 30)), '287082');
+  assert.equal(mfa.totp(RFC_SECRET, Math.floor(1111111109 / 30)), '081804');
+  assert.equal(mfa.totp(RFC_SECRET, Math.floor(1234567890 / 30)), '005924');
+  assert.equal(mfa.totp(RFC_SECRET, Math.floor(2000000000 / 30)), '279037');
+});
+
+test('matchStep accepts one step of drift either side', () => {
+  const now = 1111111109 * 1000;
+  const step = Math.floor(now / 30000);
+  assert.equal(mfa.matchStep(RFC_SECRET, '081804', now), step);
+  assert.equal(mfa.matchStep(RFC_SECRET, '081 804', now + 30000), step);
+  assert.equal(mfa.matchStep(RFC_SECRET, '081804', now - 30000), step);
+  assert.equal(mfa.matchStep(RFC_SECRET, '081804', now + 60000), null);
+  assert.equal(mfa.matchStep(RFC_SECRET, '08180', now), null);
+  assert.equal(mfa.matchStep(RFC_SECRET, undefined, now), null);
+});
+
+async function enrolledUser(db) {
+  const secret = mfa.generateSecret();
+  const user = await db.adminUser.create({
+    data: { email: 'a@acme.io', mfaSecret: encrypt(secret), mfaLastStep: null, mfaRecoveryCodes: [] }
+  });
+  return { user, secret };
+}
+
+test('verify accepts a TOTP code once per time step', async () => {
+  const db = fakeDb();
+  const { user, secret } = await enrolledUser(db);
+  const code = mfa.totp(secret, Math.floor(Date.now() / 30000));
+
+  assert.deepEqual(await mfa.verify(db, user, { code }), { method: 'totp' });
+  assert.equal(await mfa.verify(db, user, { code }), null);
+  assert.equal(await mfa.verify(db, user, { code: code === '000000' ? '000001' : '000000' }), null);
+  assert.equal(await mfa.verify(db, { ...user, mfaSecret: null }, { code }), null);
+});
+
+test('verify refuses a step older than the last one used', async () => {
+  const db = fakeDb();
+  const { user, secret } = await enrolledUser(db);
+  const step = Math.floor(Date.now() / 30000);
+
+  assert.ok(await mfa.verify(db, user, { code: mfa.totp(secret, step) }));
+  assert.equal(await mfa.verify(db, user, { code: mfa.totp(secret, step - 1) }), null);
+  assert.equal(db.tables.adminUser[0].mfaLastStep, step);
+});
+
+test('each recovery code works once', async () => {
+  const db = fakeDb();
+  const { user } = await enrolledUser(db);
+  const codes = await mfa.regenerateRecoveryCodes(db, user.id);
+  assert.equal(codes.length, 10);
+  assert.match(codes[0], /^[a-z0-9]{5}-[a-z0-9]{5}$/);
+
+  const fresh = () => ({ ...db.tables.adminUser[0] });
+  assert.deepEqual(await mfa.verify(db, fresh(), { recoveryCode: codes[0].toUpperCase() }), { method: 'recovery', recoveryCodesLeft: 9 });
+  assert.equal(await mfa.verify(db, fresh(), { recoveryCode: codes[0] }), null);
+  assert.equal(db.tables.adminUser[0].mfaRecoveryCodes.length, 9);
+});
@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { encodeCursor, decodeCursor, clampLimit } = require('../utils/pagination');
+
+const b64 = (v) => Buffer.from(typeof v === 'string' ? v : JSON.stringify(v), 'utf8').toString('base64url');
+
+test('decodeCursor round-trips encodeCursor', () => {
+  const at = new Date('2026-03-01T12:00:00.123Z');
+  assert.deepEqual(decodeCursor(encodeCursor({ at, id: 'c1' })), { at, id: 'c1' });
+});
+
+test('decodeCursor rejects well-formed but wrong cursors', () => {
+  for (const raw of [
+    '', undefined, 'not base64 json', b64('null'), b64('[]'), b64('"x"'), b64({}),
+    b64({ at: '2026-03-01T12:00:00Z' }),
+    b64({ at: '2026-03-01T12:00:00Z', id: 5 }),
+    b64({ at: '2026-03-01T12:00:00Z', id: '' }),
+    b64({ at: 'yesterday', id: 'c1' }),
+    b64({ at: null, id: 'c1' }),
+    b64({ at: { $gt: 0 }, id: 'c1' })
+  ]) {
+    assert.equal(decodeCursor(raw), null, `cursor ${raw}`);
+  }
+});
+
+test('clampLimit falls back and caps', () => {
+  assert.equal(clampLimit(undefined, 50, 200), 50);
+  assert.equal(clampLimit('-3', 50, 200), 50);
+  assert.equal(clampLimit('25.9', 50, 200), 25);
+  assert.equal(clampLimit('1000', 50, 200), 200);
+});
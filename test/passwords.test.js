@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcryptjs');
+
+const passwords = require('../utils/passwords');
+
+const { checkPassword, MIN_LENGTH } = passwords;
+
+test('a long, uncommon password passes', () => {
+  assert.deepEqual(checkPassword('correct horse battery staple'), []);
+  assert.deepEqual(checkPassword('Tr0ub4dor&3-lamp', { email: 'sam@acme.io' }), []);
+});
+
+test('checkPassword reports each problem', () => {
+  assert.deepEqual(checkPassword('admin123'), ['too_short', 'too_common']);
+  assert.deepEqual(checkPassword('Password2024!'), ['too_common']);
+  assert.deepEqual(checkPassword('aaaaaaaaaaaaab'), ['too_simple']);
+  assert.deepEqual(checkPassword('abababababababab'), ['too_simple']);
+  assert.deepEqual(checkPassword('x'.repeat(73)), ['too_long', 'too_simple']);
+  assert.deepEqual(checkPassword('my-name-is-samantha', { email: 'Samantha@acme.io' }), ['contains_email']);
+  assert.deepEqual(checkPassword(undefined), ['too_short', 'too_simple']);
+});
+
+test('length counts characters, the bcrypt limit counts bytes', () => {
+  assert.ok(checkPassword('é'.repeat(MIN_LENGTH - 1) + 'abcd').every(p => p !== 'too_short'));
+  assert.ok(checkPassword('é'.repeat(37)).includes('too_long')); // 74 bytes
+});
+
+test('policyError shapes the 400 body', () => {
+  assert.deepEqual(passwords.policyError(['too_short']), { error: 'weak_password', problems: ['too_short'], minLength: MIN_LENGTH });
+});
+
+test('hashPassword produces a bcrypt hash of the password', async () => {
+  const hash = await passwords.hashPassword('correct horse battery staple');
+  assert.match(hash, /^\$2[aby]\$12\$/);
+  assert.ok(await bcrypt.compare('correct horse battery staple', hash));
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+// kms reads its keyring at load: `old` is retired, `new` is active
+const OLD_KEY = crypto.randomBytes(32);
+process.env.KMS_KEYS = `old=${OLD_KEY.toString('hex')},new=${crypto.randomBytes(32).toString('hex')}`;
+process.env.KMS_ACTIVE_KEY_ID = 'new';
+const { encrypt, decrypt, keyIdOf } = require('../utils/kms');
+const { TARGETS, rewrapAll } = require('../utils/scripts/rewrap-secrets');
+const { fakeDb } = require('./fakeDb');
+
+// A v1 value (no key id) written with the retired key
+function underOldKey(plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', OLD_KEY, iv);
+  const ct = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final(), cipher.getAuthTag()]);
+  return `enc:v1:${iv.toString('base64')}:${ct.toString('base64')}`;
+}
+
+test('MFA secrets are among the rewrapped columns', () => {
+  const target = TARGETS.find(t => t.model === 'adminUser');
+  assert.ok(target);
+  assert.deepEqual(target.fields, ['mfaSecret', 'mfaPendingSecret']);
+  assert.equal(target.label({ id: 'u1', email: 'a@acme.io' }), 'a@acme.io (u1)');
+});
+
+test('rewrapAll moves MFA secrets to the active key', async () => {
+  const db = fakeDb();
+  const current = encrypt('JBSWY3DPEHPK3PXP');
+  await db.adminUser.create({ data: { id: 'u1', email: 'a@acme.io', mfaSecret: underOldKey('JBSWY3DPEHPK3PXP'), mfaPendingSecret: null } });
+  await db.adminUser.create({ data: { id: 'u2', email: 'b@acme.io', mfaSecret: current, mfaPendingSecret: underOldKey('KRSXG5CTMVRXEZLU') } });
+
+  const report = await rewrapAll(db);
+  assert.deepEqual(report.rewrapped.map(r => [r.id, r.field, r.from, r.to]), [
+    ['u1', 'mfaSecret', 'v1', 'new'],
+    ['u2', 'mfaPendingSecret', 'v1', 'new']
+  ]);
+  assert.equal(report.current, 1);
+  assert.deepEqual(report.failed, []);
+
+  const [u1, u2] = db.tables.adminUser;
+  assert.equal(keyIdOf(u1.mfaSecret), 'new');
+  assert.equal(decrypt(u1.mfaSecret), 'JBSWY3DPEHPK3PXP');
+  assert.equal(u2.mfaSecret, current);
+  assert.equal(decrypt(u2.mfaPendingSecret), 'KRSXG5CTMVRXEZLU');
+});
+
+test('a dry run reports without writing', async () => {
+  const db = fakeDb();
+  const old = underOldKey('JBSWY3DPEHPK3PXP');
+  await db.adminUser.create({ data: { id: 'u1', email: 'a@acme.io', mfaSecret: old } });
+  const lines = [];
+  const report = await rewrapAll(db, { dryRun: true, log: (l) => lines.push(l) });
+  assert.equal(report.rewrapped.length, 1);
+  assert.equal(db.tables.adminUser[0].mfaSecret, old);
+  assert.deepEqual(lines, ['  would rewrap adminUser a@acme.io (u1) mfaSecret: v1 → new']);
+});
@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const sessions = require('../utils/sessions');
+const { fakeDb } = require('./fakeDb');
+
+const req = { ip: '203.0.113.7', get: () => 'Mozilla/5.0 (Macintosh; Intel Mac OS X 14_0) AppleWebKit Chrome/126.0 Safari/537.36' };
+
+// fakeDb ignores `include`, so join the session's user (and its grant count) here
+function sessionDb() {
+  const db = fakeDb();
+  const { findUnique } = db.adminSession;
+  db.adminSession.findUnique = async (args) => {
+    const s = await findUnique(args);
+    if (!s) return s;
+    const user = db.tables.adminUser.find(u => u.id === s.adminUserId);
+    const agencyGrants = (db.tables.agencyGrant || []).filter(g => g.adminUserId === user.id).length;
+    return { ...s, adminUser: { ...user, _count: { agencyGrants } } };
+  };
+  return db;
+}
+
+async function signIn(db, role = 'admin') {
+  const user = await db.adminUser.create({
+    data: { tenantId: 'acme', email: 'a@acme.io', role, passwordHash: '$2a$12$hash-one', deactivatedAt: null }
+  });
+  const { token, session } = await sessions.create(db, req, { user, role, agency: false });
+  return { user, token, session };
+}
+
+test('a new session resolves from its token only', async () => {
+  const db = sessionDb();
+  const { token, session } = await signIn(db);
+
+  assert.equal(session.tokenHash, sessions.hashToken(token));
+  assert.notEqual(session.tokenHash, token);
+  assert.equal((await sessions.resolve(db, req, token)).id, session.id);
+  assert.equal(await sessions.resolve(db, req, 'not-a-token'), null);
+  assert.equal(await sessions.resolve(db, req, undefined), null);
+});
+
+test('expiry slides with activity but never past the hard limit', async () => {
+  const db = sessionDb();
+  const { token, session } = await signIn(db);
+
+  const later = new Date(session.createdAt.getTime() + sessions.IDLE_MS / 2);
+  const s = await sessions.resolve(db, req, token, later);
+  assert.equal(+s.expiresAt, +later + sessions.IDLE_MS);
+
+  // idle past the timeout: gone
+  const idle = new Date(+s.expiresAt + 1);
+  assert.equal(await sessions.resolve(db, req, token, idle), null);
+
+  // kept active right up to the limit: capped at createdAt + MAX_MS
+  const db2 = sessionDb();
+  const second = await signIn(db2);
+  const end = +second.session.createdAt + sessions.MAX_MS;
+  db2.tables.adminSession[0].expiresAt = new Date(end + sessions.IDLE_MS);
+  const near = await sessions.resolve(db2, req, second.token, new Date(end - 60_000));
+  assert.equal(+near.expiresAt, end);
+  assert.equal(await sessions.resolve(db2, req, second.token, new Date(end)), null);
+});
+
+test('a password change, deactivation or revoke ends the session', async () => {
+  for (const end of [
+    (db) => { db.tables.adminUser[0].passwordHash = '$2a$12$hash-two'; },
+    (db) => { db.tables.adminUser[0].deactivatedAt = new Date(); },
+    (db, user, session) => sessions.revoke(db, user.id, { id: session.id }, 'test')
+  ]) {
+    const db = sessionDb();
+    const { user, token, session } = await signIn(db);
+    await end(db, user, session);
+    assert.equal(await sessions.resolve(db, req, token), null);
+  }
+});
+
+test('restamp keeps the current session across its own password change', async () => {
+  const db = sessionDb();
+  const { token, session } = await signIn(db);
+  db.tables.adminUser[0].passwordHash = '$2a$12$hash-two';
+  assert.equal(await sessions.restamp(db, session.id, '$2a$12$hash-two'), true);
+  assert.ok(await sessions.resolve(db, req, token));
+});
+
+test('role changes and revoked agency grants apply on the next request', async () => {
+  const db = sessionDb();
+  const { user, token, session } = await signIn(db, 'admin');
+
+  db.tables.adminUser[0].role = 'viewer';
+  assert.equal((await sessions.resolve(db, req, token)).role, 'viewer');
+
+  // switched into a client tenant through a grant, which is then revoked
+  await db.agencyGrant.create({ data: { adminUserId: user.id, tenantId: 'beta', role: 'analyst' } });
+  Object.assign(db.tables.adminSession[0], { tenantId: 'beta', role: 'analyst', agency: true });
+  let s = await sessions.resolve(db, req, token);
+  assert.deepEqual([s.tenantId, s.role, s.agency], ['beta', 'analyst', true]);
+
+  await db.agencyGrant.deleteMany({ where: { adminUserId: user.id } });
+  s = await sessions.resolve(db, req, token);
+  assert.deepEqual([s.tenantId, s.role, s.agency], ['acme', 'viewer', false]);
+  assert.equal(db.tables.adminSession[0].tenantId, 'acme');
+  assert.equal(s.id, session.id);
+});
+
+test('describeDevice names browser and OS', () => {
+  assert.equal(sessions.describeDevice(req.get()), 'Chrome on macOS');
+  assert.equal(sessions.describeDevice('Mozilla/5.0 (Windows NT 10.0; Win64) Gecko/20100101 Firefox/128.0'), 'Firefox on Windows');
+  assert.equal(sessions.describeDevice('curl/8.5.0'), 'curl');
+  assert.equal(sessions.describeDevice(null), 'Unknown device');
+});
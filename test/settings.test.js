@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { readSettings, validateSettingsPatch, applySettingsPatch } = require('../utils/settings');
+
+test('readSettings fills in defaults around stored values', () => {
+  assert.equal(readSettings({ conversationIdleMin: 10 }).conversationIdleMin, 10);
+  assert.equal(readSettings({}).conversationIdleMin, 30);
+  assert.equal(readSettings({}).monthlyBudgetUSD, null);
+  assert.equal(readSettings({ budgetHardStop: true }).budgetHardStop, true);
+  assert.equal(readSettings({}).digestHourUTC, 7);
+  assert.equal(readSettings({}).requireMfa, false);
+  assert.deepEqual(readSettings(['junk']), readSettings(null));
+});
+
+test('validateSettingsPatch accepts valid values and null resets', () => {
+  assert.deepEqual(validateSettingsPatch({ conversationIdleMin: '45' }), { patch: { conversationIdleMin: 45 }, errors: {} });
+  assert.deepEqual(validateSettingsPatch({ conversationIdleMin: null }), { patch: { conversationIdleMin: null }, errors: {} });
+  assert.deepEqual(
+    validateSettingsPatch({ monthlyBudgetUSD: 12.5, budgetHardStop: true, budgetEmailAlerts: null }),
+    { patch: { monthlyBudgetUSD: 12.5, budgetHardStop: true, budgetEmailAlerts: null }, errors: {} }
+  );
+});
+
+test('validateSettingsPatch rejects unknown keys and out-of-range values', () => {
+  const { patch, errors } = validateSettingsPatch({ theme: 'dark', conversationIdleMin: 0 });
+  assert.deepEqual(errors, { theme: 'unknown setting', conversationIdleMin: 'must be an integer 1-1440' });
+  assert.deepEqual(patch, {});
+  assert.deepEqual(validateSettingsPatch({ conversationIdleMin: 7.5 }).errors, { conversationIdleMin: 'must be an integer 1-1440' });
+  assert.deepEqual(validateSettingsPatch({ monthlyBudgetUSD: true }).errors, { monthlyBudgetUSD: 'must be a number 0-1000000000' });
+  assert.deepEqual(validateSettingsPatch({ monthlyBudgetUSD: '' }).errors, { monthlyBudgetUSD: 'must be a number 0-1000000000' });
+  assert.deepEqual(validateSettingsPatch({ budgetHardStop: 'yes' }).errors, { budgetHardStop: 'must be true or false' });
+  assert.deepEqual(validateSettingsPatch({ requireMfa: 'yes' }).errors, { requireMfa: 'must be true or false' });
+  assert.deepEqual(validateSettingsPatch({ digestHourUTC: 7.5 }).errors, { digestHourUTC: 'must be an integer 0-23' });
+  assert.deepEqual(validateSettingsPatch({ leadEmails: false, digestHourUTC: null }).patch, { leadEmails: false, digestHourUTC: null });
+  assert.deepEqual(validateSettingsPatch(undefined), { patch: {}, errors: {} });
+});
+
+test('applySettingsPatch writes values and drops reset keys', () => {
+  const stored = { conversationIdleMin: 10 };
+  assert.deepEqual(applySettingsPatch(stored, { conversationIdleMin: null, dailyDigest: true }), { dailyDigest: true });
+  assert.deepEqual(applySettingsPatch(['junk'], { conversationIdleMin: 5 }), { conversationIdleMin: 5 });
+  assert.deepEqual(stored, { conversationIdleMin: 10 });
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const stream = require('../utils/stream');
+
+// Minimal SSE response: collects what was written, 'close' fires on end()
+function fakeRes() {
+  const res = {
+    chunks: [],
+    ended: false,
+    handlers: {},
+    writeHead() {},
+    write(chunk) { res.chunks.push(chunk); },
+    end() { res.ended = true; res.handlers.close?.(); },
+    on(name, fn) { res.handlers[name] = fn; }
+  };
+  return res;
+}
+
+const events = (res, type) => res.chunks.filter(c => c.startsWith(`event: ${type}\n`));
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+test('the heartbeat re-checks sessions, re-filters on a role change and ends lost ones', async (t) => {
+  t.mock.timers.enable({ apis: ['setInterval'] });
+  const access = {
+    viewer: { tenantId: 't1', role: 'viewer' },
+    gone: { tenantId: 't1', role: 'admin' },
+    moved: { tenantId: 't1', role: 'admin' }
+  };
+  const res = {};
+  for (const name of Object.keys(access)) {
+    res[name] = fakeRes();
+    const user = access[name];
+    assert.equal(stream.subscribe({ user }, res[name], { reauth: async () => access[name] }), true);
+  }
+
+  stream.publish('t1', 'lead', { id: 'l1' });
+  assert.equal(events(res.viewer, 'lead').length, 0); // viewers can't read leads
+
+  access.viewer = { tenantId: 't1', role: 'analyst' };
+  access.gone = null;
+  access.moved = { tenantId: 't2', role: 'admin' };
+  t.mock.timers.tick(25_000);
+  await settle();
+
+  assert.equal(res.viewer.ended, false);
+  assert.equal(res.gone.ended, true);
+  assert.equal(res.moved.ended, true);
+  stream.publish('t1', 'lead', { id: 'l2' });
+  assert.equal(events(res.viewer, 'lead').length, 1);
+  assert.equal(events(res.gone, 'lead').length, 1); // only the one sent before it ended
+});
@@ -0,0 +1,174 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+
+const webhooks = require('../utils/webhooks');
+const { fakeDb } = require('./fakeDb');
+
+const { sign, backoffMs, validateEndpointInput, runDeliveries, MAX_ATTEMPTS } = webhooks;
+
+// fakeDb whose claim query hands out the pending, due deliveries once each
+function webhookDb() {
+  const db = fakeDb();
+  const client = new Proxy(db, {
+    get: (target, name) => (name === '$queryRaw'
+      ? async () => target.tables.webhookDelivery.filter(d => d.status === 'pending' && !d.lockedUntil && d.nextAttemptAt <= new Date())
+        .map(d => Object.assign(d, { lockedUntil: new Date() }))
+        .map(d => ({ ...d }))
+      : target[name])
+  });
+  return { db, client };
+}
+
+// Replace global fetch for one test; returns the captured requests
+function stubFetch(t, respond) {
+  const calls = [];
+  const original = global.fetch;
+  global.fetch = async (url, opts) => { calls.push({ url, ...opts }); return respond(); };
+  t.after(() => { global.fetch = original; });
+  return calls;
+}
+
+// Resolve hosts from `addresses` (IP literals resolve to themselves); anything else is ENOTFOUND
+function stubDns(t, addresses = {}) {
+  t.mock.method(dns.promises, 'lookup', async (host) => {
+    const address = net.isIP(host) ? host : addresses[host];
+    if (!address) throw Object.assign(new Error(`getaddrinfo ENOTFOUND ${host}`), { code: 'ENOTFOUND' });
+    return [].concat(address).map(a => ({ address: a, family: net.isIP(a) }));
+  });
+}
+
+const PUBLIC = { 'x.example': '93.184.215.14', 'hooks.example.com': '93.184.215.14' };
+
+const reply = (status, body = '') => ({ status, text: async () => body });
+
+async function seed(db, delivery = {}) {
+  const endpoint = await db.webhookEndpoint.create({ data: { url: 'https://hooks.example.com/in', secret: 'whsec_test', enabled: true } });
+  const d = await db.webhookDelivery.create({
+    data: {
+      endpointId: endpoint.id, eventId: 'evt_1', eventType: 'lead.created',
+      payload: { id: 'evt_1', type: 'lead.created' }, status: 'pending', attempts: 0,
+      nextAttemptAt: new Date(Date.now() - 1000), log: [], ...delivery
+    }
+  });
+  return db.tables.webhookDelivery.find(r => r.id === d.id);
+}
+
+test('sign is HMAC-SHA256 over "<timestamp>.<body>"', () => {
+  const expected = crypto.createHmac('sha256', 'whsec_x').update('1700000000.{"a":1}').digest('hex');
+  assert.equal(sign('whsec_x', 1700000000, '{"a":1}'), expected);
+  assert.notEqual(sign('whsec_x', 1700000001, '{"a":1}'), expected);
+});
+
+test('backoffMs doubles from 30s up to 6h, with ±10% jitter', () => {
+  const within = (v, base) => assert.ok(v >= base * 0.9 && v <= base * 1.1, `${v} ≈ ${base}`);
+  for (let i = 0; i < 20; i++) {
+    within(backoffMs(1), 30_000);
+    within(backoffMs(2), 60_000);
+    within(backoffMs(5), 480_000);
+    within(backoffMs(30), 6 * 60 * 60 * 1000);
+  }
+});
+
+test('validateEndpointInput requires an http(s) url and known events', async (t) => {
+  stubDns(t, PUBLIC);
+  assert.deepEqual(await validateEndpointInput({ url: ' https://x.example/hook ', events: ['lead.created', 'lead.created'] }), {
+    data: { url: 'https://x.example/hook', events: ['lead.created'] }
+  });
+  assert.deepEqual(await validateEndpointInput({ url: 'ftp://x.example', events: ['lead.created'] }), { error: 'bad_url', field: 'url' });
+  assert.deepEqual(await validateEndpointInput({ url: 'nope', events: ['lead.created'] }), { error: 'bad_url', field: 'url' });
+  assert.deepEqual(await validateEndpointInput({ url: 'https://x.example', events: [] }), { error: 'bad_events', field: 'events' });
+  assert.deepEqual(await validateEndpointInput({ url: 'https://x.example', events: ['lead.deleted'] }), { error: 'bad_events', field: 'events' });
+});
+
+test('validateEndpointInput partial only checks the fields given', async (t) => {
+  stubDns(t, PUBLIC);
+  assert.deepEqual(await validateEndpointInput({ enabled: 0, description: '  ops  ' }, { partial: true }), {
+    data: { description: 'ops', enabled: false }
+  });
+  assert.deepEqual(await validateEndpointInput({ url: 'mailto:a@b.c' }, { partial: true }), { error: 'bad_url', field: 'url' });
+});
+
+test('validateEndpointInput rejects hosts that resolve to non-public addresses', async (t) => {
+  stubDns(t, {
+    ...PUBLIC,
+    localhost: '127.0.0.1',
+    'metadata.internal': '169.254.169.254',
+    'mixed.example': ['93.184.215.14', '10.1.2.3'],
+    'v6.example': 'fd12::1'
+  });
+  const check = (url) => validateEndpointInput({ url, events: ['lead.created'] });
+  for (const url of [
+    'http://localhost/hook', 'http://127.0.0.1:8080/hook', 'http://[::1]/hook', 'http://[::ffff:127.0.0.1]/hook',
+    'http://192.168.1.10/hook', 'http://172.20.0.5/hook', 'http://0.0.0.0/hook', 'http://100.64.1.1/hook',
+    'http://metadata.internal/latest', 'https://mixed.example/hook', 'https://v6.example/hook'
+  ]) {
+    assert.deepEqual(await check(url), { error: 'private_url', field: 'url' }, url);
+  }
+  assert.deepEqual(await check('https://nowhere.example/hook'), { error: 'unresolvable_url', field: 'url' });
+  assert.deepEqual(await check('https://8.8.8.8/hook'), { data: { url: 'https://8.8.8.8/hook', events: ['lead.created'] } });
+});
+
+test('a host that now resolves privately is not sent to', async (t) => {
+  stubDns(t, { 'hooks.example.com': '10.0.0.7' });
+  const calls = stubFetch(t, () => reply(200, 'internal secrets'));
+  const { db, client } = webhookDb();
+  const d = await seed(db);
+
+  await runDeliveries(client, { budgetMs: 1000 });
+  assert.equal(calls.length, 0);
+  assert.equal(d.status, 'pending');
+  assert.equal(d.error, 'private_address');
+  assert.equal(d.responseBody, null);
+});
+
+test('a successful attempt is signed and marks the delivery delivered', async (t) => {
+  stubDns(t, PUBLIC);
+  const calls = stubFetch(t, () => reply(204));
+  const { db, client } = webhookDb();
+  const d = await seed(db);
+
+  await runDeliveries(client, { budgetMs: 1000 });
+  assert.equal(calls.length, 1);
+  const { headers, body } = calls[0];
+  assert.equal(headers['X-Signature'], `sha256=${sign('whsec_test', headers['X-Timestamp'], body)}`);
+  assert.equal(headers['X-Webhook-Id'], 'evt_1');
+  assert.equal(d.status, 'delivered');
+  assert.equal(d.attempts, 1);
+  assert.equal(d.nextAttemptAt, null);
+  assert.equal(d.log.length, 1);
+});
+
+test('failed attempts back off exponentially', async (t) => {
+  stubDns(t, PUBLIC);
+  stubFetch(t, () => reply(500, 'boom'));
+  const { db, client } = webhookDb();
+  const d = await seed(db, { attempts: 2 });
+
+  const before = Date.now();
+  await runDeliveries(client, { budgetMs: 1000 });
+  assert.equal(d.status, 'pending');
+  assert.equal(d.attempts, 3);
+  assert.equal(d.error, 'http_500');
+  assert.equal(d.responseBody, 'boom');
+  assert.equal(d.lockedUntil, null);
+  // third failure → 2 min ± 10%
+  const delay = d.nextAttemptAt.getTime() - before;
+  assert.ok(delay >= 108_000 && delay <= 132_000 + 1000, `delay ${delay}`);
+});
+
+test('a delivery turns failed after MAX_ATTEMPTS', async (t) => {
+  stubDns(t, PUBLIC);
+  stubFetch(t, () => { throw Object.assign(new Error('fetch failed'), { cause: { code: 'ECONNREFUSED' } }); });
+  const { db, client } = webhookDb();
+  const d = await seed(db, { attempts: MAX_ATTEMPTS - 1, log: [{ status: 500 }] });
+
+  await runDeliveries(client, { budgetMs: 1000 });
+  assert.equal(d.status, 'failed');
+  assert.equal(d.attempts, MAX_ATTEMPTS);
+  assert.equal(d.nextAttemptAt, null);
+  assert.equal(d.error, 'ECONNREFUSED');
+  assert.equal(d.log.length, 2);
+});
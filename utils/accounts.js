@@ -0,0 +1,115 @@
+// utils/accounts.js
+// Portal account lifecycle emails and invitations: tenant owners invite
+// people by email (AdminInvite), and anyone can ask for a password reset
+// link. Both go out through the tenant's own SMTP settings (utils/mailer.js)
+// in its branded layout; the links point at the portal with the token in the
+// URL fragment (/portal#invite=… / #reset=…), so it never reaches server or
+// proxy logs. The tokens themselves are signed in server.js.
+//
+//   INVITE_TTL_DAYS          how long an invitation link works (default 7)
+//   PASSWORD_RESET_TTL_MIN   how long a reset link works (default 60)
+
+const mailer = require('./mailer');
+
+const { escapeHtml: esc } = mailer;
+
+const INVITE_TTL_MS = Number(process.env.INVITE_TTL_DAYS || 7) * 24 * 60 * 60 * 1000;
+const RESET_TTL_SEC = Number(process.env.PASSWORD_RESET_TTL_MIN || 60) * 60;
+
+// Tenant columns the emails need
+const TENANT_MAIL_SELECT = { id: true, ...mailer.SMTP_SELECT, ...mailer.BRAND_SELECT };
+
+const P = 'margin:0 0 12px 0;font-size:14px;line-height:1.5';
+
+function button(t, url, label) {
+  return `<p style="${P}"><a href="${esc(url)}" style="display:inline-block;padding:10px 18px;border-radius:6px;background:${mailer.brandAccent(t)};color:#ffffff;text-decoration:none;font-weight:bold">${esc(label)}</a></p>`;
+}
+
+const when = (d) => `${d.toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+
+/* ------------------------------ Invites ------------------------------ */
+// pending | accepted | revoked | expired
+function inviteState(inv, now = new Date()) {
+  if (inv.acceptedAt) return 'accepted';
+  if (inv.revokedAt) return 'revoked';
+  return inv.expiresAt <= now ? 'expired' : 'pending';
+}
+
+const shapeInvite = (inv) => ({
+  id: inv.id,
+  email: inv.email,
+  role: inv.role,
+  state: inviteState(inv),
+  invitedByEmail: inv.invitedByEmail,
+  createdAt: inv.createdAt,
+  expiresAt: inv.expiresAt
+});
+
+function inviteEmail(t, inv, url) {
+  const by = inv.invitedByEmail ? `${inv.invitedByEmail} has invited you` : 'You have been invited';
+  const text = [
+    `${by} to the ${t.name} client portal as ${inv.role}.`,
+    '',
+    `Choose a password to create your account: ${url}`,
+    '',
+    `The link works once and expires ${when(inv.expiresAt)}.`,
+    'If you were not expecting this, you can ignore this email.'
+  ].join('\n');
+  const html = mailer.renderBranded(t, {
+    title: `Join ${t.name}`,
+    bodyHtml: [
+      `<p style="${P}">${esc(by)} to the ${esc(t.name)} client portal as <strong>${esc(inv.role)}</strong>.</p>`,
+      button(t, url, 'Accept invitation'),
+      `<p style="${P}">The link works once and expires ${esc(when(inv.expiresAt))}. If you were not expecting this, you can ignore this email.</p>`
+    ].join('\n')
+  });
+  return { to: inv.email, subject: `[${t.name}] You're invited to the client portal`, text, html };
+}
+
+/* --------------------------- Password reset --------------------------- */
+function resetEmail(t, email, url) {
+  const minutes = Math.round(RESET_TTL_SEC / 60);
+  const text = [
+    `Someone asked to reset the password of ${email} on the ${t.name} client portal.`,
+    '',
+    `Choose a new password: ${url}`,
+    '',
+    `The link works once and expires in ${minutes} minutes.`,
+    'If it was not you, ignore this email; your password stays as it is.'
+  ].join('\n');
+  const html = mailer.renderBranded(t, {
+    title: 'Reset your password',
+    bodyHtml: [
+      `<p style="${P}">Someone asked to reset the password of <strong>${esc(email)}</strong> on the ${esc(t.name)} client portal.</p>`,
+      button(t, url, 'Choose a new password'),
+      `<p style="${P}">The link works once and expires in ${minutes} minutes. If it was not you, ignore this email; your password stays as it is.</p>`
+    ].join('\n')
+  });
+  return { to: email, subject: `[${t.name}] Reset your portal password`, text, html };
+}
+
+/**
+ * Send an account email if the tenant has SMTP configured. Returns whether
+ * it went out; failures are logged, never thrown.
+ */
+async function send(t, message, kind) {
+  if (!mailer.isConfigured(t)) return false;
+  try {
+    await mailer.sendTenantMail(t, message);
+    return true;
+  } catch (e) {
+    console.error(`${kind}_email_error`, t.id, e.message);
+    return false;
+  }
+}
+
+module.exports = {
+  INVITE_TTL_MS,
+  RESET_TTL_SEC,
+  TENANT_MAIL_SELECT,
+  inviteState,
+  shapeInvite,
+  inviteEmail,
+  resetEmail,
+  send,
+};
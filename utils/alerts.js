@@ -0,0 +1,427 @@
+// utils/alerts.js
+// Tenant-defined alert rules (AlertRule), evaluated by a background job.
+// Each rule / dedupe key has at most one open Alert (Alert.openKey is unique
+// while open), so a condition that keeps firing updates that alert instead
+// of raising new ones. Opening and resolving are delivered through the
+// rule's channels; every firing stays in the history.
+
+const crypto = require('crypto');
+const { Prisma } = require('@prisma/client');
+const { windowStats, shapeStats } = require('./metrics');
+const mailer = require('./mailer');
+const stream = require('./stream');
+const { assertPublicHost } = require('./publicHost');
+
+const KINDS = {
+  error_rate:  { label: 'Error rate above', unit: '%', needsThreshold: true, defaultWindowMin: 10 },
+  p95_latency: { label: 'p95 latency above', unit: 'ms', needsThreshold: true, defaultWindowMin: 10 },
+  no_traffic:  { label: 'No traffic for', unit: null, needsThreshold: false, defaultWindowMin: 60 },
+  new_error:   { label: 'New error message', unit: null, needsThreshold: false, defaultWindowMin: 60 }
+};
+const CHANNELS = ['portal', 'email', 'webhook'];
+
+const MIN_REQUESTS = 5;          // error_rate needs this many requests in the window
+const MAX_WINDOW_MIN = 24 * 60;
+const SEED_DAYS = 30;            // new_error: history that counts as "already seen"
+const ERROR_SCAN_MAX = 5000;     // new_error: error events read per tenant per run
+const WEBHOOK_TIMEOUT_MS = 10_000;
+
+
+/* --------------------------- Validation --------------------------- */
+/**
+ * Validate a full rule (for PATCH, merge the body over the stored rule
+ * first). Resolves to { data } or { error, field }.
+ */
+async function validateRuleInput(body = {}) {
+  const kind = String(body.kind ?? '');
+  const meta = KINDS[kind];
+  if (!meta) return { error: 'bad_kind', field: 'kind' };
+
+  const name = String(body.name ?? '').trim() || meta.label;
+  if (name.length > 100) return { error: 'name_too_long', field: 'name' };
+
+  let threshold = null;
+  if (meta.needsThreshold) {
+    threshold = Number(body.threshold);
+    if (body.threshold == null || body.threshold === '' || !Number.isFinite(threshold) || threshold < 0) {
+      return { error: 'bad_threshold', field: 'threshold' };
+    }
+    if (kind === 'error_rate' && threshold > 100) return { error: 'bad_threshold', field: 'threshold' };
+  }
+
+  const windowMin = body.windowMin == null || body.windowMin === '' ? meta.defaultWindowMin : Number(body.windowMin);
+  if (!Number.isInteger(windowMin) || windowMin < 1 || windowMin > MAX_WINDOW_MIN) {
+    return { error: 'bad_window', field: 'windowMin' };
+  }
+
+  const channels = body.channels == null ? ['portal'] : body.channels;
+  if (!Array.isArray(channels) || channels.some(c => !CHANNELS.includes(c))) {
+    return { error: 'bad_channels', field: 'channels' };
+  }
+
+  const emailTo = body.emailTo ? String(body.emailTo).trim() : null;
+  if (emailTo && !mailer.EMAIL_RE.test(emailTo)) return { error: 'bad_email', field: 'emailTo' };
+
+  const webhookUrl = body.webhookUrl ? String(body.webhookUrl).trim() : null;
+  if (webhookUrl) {
+    let u;
+    try { u = new URL(webhookUrl); } catch { return { error: 'bad_webhook_url', field: 'webhookUrl' }; }
+    if (!/^https?:$/.test(u.protocol)) return { error: 'bad_webhook_url', field: 'webhookUrl' };
+    try {
+      await assertPublicHost(u.href);
+    } catch (e) {
+      return { error: e.code === 'private_address' ? 'private_webhook_url' : 'unresolvable_webhook_url', field: 'webhookUrl' };
+    }
+  }
+  if (channels.includes('webhook') && !webhookUrl) return { error: 'missing_webhook_url', field: 'webhookUrl' };
+
+  return {
+    data: {
+      name, kind, threshold, windowMin,
+      channels: [...new Set(channels)],
+      emailTo, webhookUrl,
+      enabled: body.enabled == null ? true : !!body.enabled
+    }
+  };
+}
+
+const shapeRule = (r) => ({
+  id: r.id,
+  name: r.name,
+  kind: r.kind,
+  threshold: r.threshold,
+  windowMin: r.windowMin,
+  channels: r.channels,
+  emailTo: r.emailTo,
+  webhookUrl: r.webhookUrl,
+  enabled: r.enabled,
+  evaluatedAt: r.evaluatedAt,
+  createdAt: r.createdAt
+});
+
+const shapeAlert = (a) => ({
+  id: a.id,
+  ruleId: a.ruleId,
+  ruleName: a.ruleName,
+  kind: a.kind,
+  state: a.state,
+  message: a.message,
+  value: a.value,
+  peakValue: a.peakValue,
+  openedAt: a.openedAt,
+  lastSeenAt: a.lastSeenAt,
+  resolvedAt: a.resolvedAt,
+  notifyError: a.notifyError
+});
+
+function describeRule(r) {
+  const meta = KINDS[r.kind];
+  if (r.kind === 'no_traffic') return `No traffic for ${r.windowMin} min`;
+  if (r.kind === 'new_error') return 'New error message';
+  return `${meta.label} ${r.threshold}${meta.unit} over ${r.windowMin} min`;
+}
+
+/* --------------------------- Conditions --------------------------- */
+const pct = (n) => Math.round(n * 10) / 10;
+
+// Metric rules → [{ rule, key, firing, value, message }]
+async function checkMetricRules(db, rules, now) {
+  const out = [];
+  const byWindow = new Map();
+  for (const r of rules) {
+    if (!byWindow.has(r.windowMin)) byWindow.set(r.windowMin, []);
+    byWindow.get(r.windowMin).push(r);
+  }
+  for (const [windowMin, group] of byWindow) {
+    const tenantIds = [...new Set(group.map(r => r.tenantId))];
+    const stats = await windowStats(db, tenantIds, new Date(now - windowMin * 60 * 1000));
+    for (const rule of group) {
+      const s = stats.get(rule.tenantId) || shapeStats();
+      if (rule.kind === 'error_rate') {
+        const rate = s.requests ? (s.errors / s.requests) * 100 : 0;
+        out.push({
+          rule, key: '', value: pct(rate),
+          firing: s.requests >= MIN_REQUESTS && rate > rule.threshold,
+          message: `Error rate ${pct(rate)}% > ${rule.threshold}% over the last ${windowMin} min (${s.errors} of ${s.requests} requests)`
+        });
+      } else if (rule.kind === 'p95_latency') {
+        out.push({
+          rule, key: '', value: s.p95LatencyMs,
+          firing: s.p95LatencyMs != null && s.p95LatencyMs > rule.threshold,
+          message: `p95 latency ${s.p95LatencyMs}ms > ${rule.threshold}ms over the last ${windowMin} min`
+        });
+      } else if (rule.kind === 'no_traffic') {
+        out.push({
+          rule, key: '', value: s.requests,
+          firing: s.requests === 0,
+          message: `No traffic for ${windowMin} min`
+        });
+      }
+    }
+  }
+  return out;
+}
+
+// Numbers, hex ids and UUIDs vary between occurrences of "the same" error
+function errorSignature(message) {
+  const norm = String(message || '')
+    .toLowerCase()
+    .replace(/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/g, '<id>')
+    .replace(/\b0x[0-9a-f]+\b|\b[0-9a-f]{8,}\b/g, '#')
+    .replace(/\d+/g, '#')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, 500);
+  return crypto.createHash('sha1').update(norm).digest('hex').slice(0, 16);
+}
+
+/**
+ * new_error rules of one tenant. Error events since the tenant's scan cursor
+ * are folded into ErrorSignature; a signature first seen during this scan
+ * (and after the rule was created) opens an alert, which resolves once that
+ * error has been quiet for the rule's window. The first scan only seeds
+ * SEED_DAYS of history.
+ */
+async function checkNewErrorRules(db, tenantId, rules, now) {
+  const cursors = rules.map(r => r.cursorAt).filter(Boolean);
+  const seeding = !cursors.length;
+  const since = seeding ? new Date(now - SEED_DAYS * 86400_000) : new Date(Math.max(...cursors));
+
+  const events = await db.event.findMany({
+    where: { tenantId, type: { startsWith: 'error:' }, createdAt: { gt: since, lte: new Date(now) } },
+    orderBy: { createdAt: 'asc' },
+    take: ERROR_SCAN_MAX,
+    select: { content: true, createdAt: true }
+  });
+  const cursorAt = events.length === ERROR_SCAN_MAX ? events[events.length - 1].createdAt : new Date(now);
+
+  const seen = new Map(); // signature → { sample, count, first, last }
+  for (const e of events) {
+    const sig = errorSignature(e.content);
+    const s = seen.get(sig);
+    if (s) { s.count++; s.last = e.createdAt; } else seen.set(sig, { sample: e.content.slice(0, 500), count: 1, first: e.createdAt, last: e.createdAt });
+  }
+
+  let fresh = [];
+  if (seen.size) {
+    const rows = [...seen].map(([sig, s]) => Prisma.sql`(
+      ${tenantId}, ${sig}, ${s.sample}, ${s.count},
+      ${s.first.toISOString()}::timestamp, ${s.last.toISOString()}::timestamp)`);
+    // xmax = 0 only for rows this statement inserted
+    fresh = await db.$queryRaw`
+      INSERT INTO "ErrorSignature" ("tenantId", "signature", "sample", "count", "firstSeenAt", "lastSeenAt")
+      VALUES ${Prisma.join(rows)}
+      ON CONFLICT ("tenantId", "signature") DO UPDATE SET
+        "count" = "ErrorSignature"."count" + EXCLUDED."count",
+        "lastSeenAt" = GREATEST("ErrorSignature"."lastSeenAt", EXCLUDED."lastSeenAt")
+      RETURNING "signature", "sample", "firstSeenAt", (xmax = 0) AS "inserted"`;
+    fresh = fresh.filter(r => r.inserted);
+  }
+  await db.alertRule.updateMany({ where: { id: { in: rules.map(r => r.id) } }, data: { cursorAt } });
+
+  const out = [];
+  for (const rule of rules) {
+    if (seeding) continue;
+    for (const f of fresh) {
+      if (f.firstSeenAt < rule.createdAt) continue;
+      const s = seen.get(f.signature);
+      out.push({ rule, key: f.signature, firing: true, value: s.count, message: `New error: ${f.sample.slice(0, 200)}` });
+    }
+  }
+
+  // Still-open new_error alerts resolve once their error has been quiet for the window
+  const open = await db.alert.findMany({
+    where: { ruleId: { in: rules.map(r => r.id) }, state: 'open' },
+    select: { ruleId: true, dedupeKey: true, message: true }
+  });
+  if (open.length) {
+    const sigs = await db.errorSignature.findMany({
+      where: { tenantId, signature: { in: [...new Set(open.map(a => a.dedupeKey))] } },
+      select: { signature: true, lastSeenAt: true }
+    });
+    const lastSeen = new Map(sigs.map(s => [s.signature, s.lastSeenAt]));
+    const ruleById = new Map(rules.map(r => [r.id, r]));
+    for (const a of open) {
+      const rule = ruleById.get(a.ruleId);
+      const last = lastSeen.get(a.dedupeKey);
+      const quiet = !last || last.getTime() < now - rule.windowMin * 60 * 1000;
+      if (!out.some(o => o.rule.id === a.ruleId && o.key === a.dedupeKey)) {
+        out.push({ rule, key: a.dedupeKey, firing: !quiet, value: seen.get(a.dedupeKey)?.count ?? 0, message: a.message });
+      }
+    }
+  }
+  return out;
+}
+
+/* ------------------------- State transitions ------------------------ */
+/**
+ * Apply condition results: open new alerts, refresh still-firing ones and
+ * resolve cleared ones. Returns the alerts that changed state.
+ */
+async function applyResults(db, results, now) {
+  if (!results.length) return [];
+  const at = new Date(now);
+  const open = await db.alert.findMany({
+    where: { ruleId: { in: [...new Set(results.map(r => r.rule.id))] }, state: 'open' }
+  });
+  const openByKey = new Map(open.map(a => [a.openKey, a]));
+  const changed = [];
+
+  for (const r of results) {
+    const openKey = `${r.rule.id}:${r.key}`;
+    const current = openByKey.get(openKey);
+    if (r.firing && !current) {
+      // openKey is unique while open: a concurrent run can't open it twice
+      const [created] = await db.alert.createManyAndReturn({
+        data: [{
+          tenantId: r.rule.tenantId, ruleId: r.rule.id, ruleName: r.rule.name, kind: r.rule.kind,
+          dedupeKey: r.key, openKey, message: r.message, value: r.value, peakValue: r.value,
+          openedAt: at, lastSeenAt: at
+        }],
+        skipDuplicates: true
+      });
+      if (created) changed.push({ alert: created, rule: r.rule });
+    } else if (r.firing && current) {
+      await db.alert.update({
+        where: { id: current.id },
+        data: {
+          lastSeenAt: at,
+          value: r.value,
+          peakValue: r.value == null ? current.peakValue : Math.max(current.peakValue ?? r.value, r.value)
+        }
+      });
+    } else if (!r.firing && current) {
+      const resolved = await db.alert.update({
+        where: { id: current.id },
+        data: { state: 'resolved', resolvedAt: at, openKey: null }
+      });
+      changed.push({ alert: resolved, rule: r.rule });
+    }
+  }
+  return changed;
+}
+
+/* ----------------------------- Delivery ----------------------------- */
+function alertText(alert, tenantName) {
+  const head = alert.state === 'open' ? `🔴 Alert: ${alert.ruleName}` : `✅ Resolved: ${alert.ruleName}`;
+  return [
+    `${head} (${tenantName})`,
+    alert.message,
+    alert.state === 'open'
+      ? `Opened ${alert.openedAt.toISOString()}`
+      : `Open from ${alert.openedAt.toISOString()} to ${alert.resolvedAt.toISOString()}`
+  ].join('\n');
+}
+
+async function postWebhook(url, body) {
+  await assertPublicHost(url);
+  const r = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+    redirect: 'manual',
+    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+  });
+  if (!r.ok) throw new Error(`webhook_http_${r.status}`);
+}
+
+/**
+ * Deliver one state change through the rule's channels. 'portal' writes an
+ * alert:open / alert:resolved Event (and pushes it to live portals); email
+ * and webhook failures are recorded on the alert, never thrown.
+ */
+async function deliver(db, { alert, rule }) {
+  const tenant = await db.tenant.findUnique({
+    where: { id: alert.tenantId },
+    select: { name: true, ...mailer.SMTP_SELECT }
+  });
+  const text = alertText(alert, tenant?.name || alert.tenantId);
+  const errors = [];
+
+  if (rule.channels.includes('portal')) {
+    const ev = await db.event.create({
+      data: { tenantId: alert.tenantId, type: `alert:${alert.state}`, content: `${alert.ruleName}: ${alert.message}` }
+    });
+    stream.publish(alert.tenantId, 'event', { at: ev.createdAt, role: ev.type, message: ev.content });
+  }
+  if (rule.channels.includes('email')) {
+    try {
+      await mailer.sendTenantMail(tenant, {
+        to: rule.emailTo || undefined,
+        subject: text.split('\n')[0],
+        text
+      });
+    } catch (e) {
+      errors.push(`email: ${e.message}`);
+    }
+  }
+  if (rule.channels.includes('webhook') && rule.webhookUrl) {
+    try {
+      // `text` makes Slack / Teams style incoming webhooks render it as-is
+      await postWebhook(rule.webhookUrl, { text, alert: { ...shapeAlert(alert), tenant: tenant?.name } });
+    } catch (e) {
+      errors.push(`webhook: ${e.message}`);
+    }
+  }
+
+  stream.publish(alert.tenantId, 'alert', shapeAlert(alert));
+  if (errors.length) {
+    await db.alert.update({ where: { id: alert.id }, data: { notifyError: errors.join('; ').slice(0, 500) } });
+  }
+}
+
+/* ----------------------------- Scheduler ---------------------------- */
+/**
+ * Evaluate every enabled rule once. Called by the 'alert-rules' job; a
+ * failing tenant or delivery is logged and the rest still run.
+ */
+async function evaluateAll(prisma, now = Date.now()) {
+  const rules = await prisma.alertRule.findMany({ where: { enabled: true } });
+  if (!rules.length) return;
+
+  const results = await checkMetricRules(prisma, rules.filter(r => r.kind !== 'new_error'), now);
+
+  const newError = new Map();
+  for (const r of rules.filter(r => r.kind === 'new_error')) {
+    if (!newError.has(r.tenantId)) newError.set(r.tenantId, []);
+    newError.get(r.tenantId).push(r);
+  }
+  for (const [tenantId, group] of newError) {
+    try {
+      results.push(...await checkNewErrorRules(prisma, tenantId, group, now));
+    } catch (e) {
+      console.error('alert_new_error_check_failed', tenantId, e.message);
+    }
+  }
+
+  const changed = await applyResults(prisma, results, now);
+  await prisma.alertRule.updateMany({ where: { id: { in: rules.map(r => r.id) } }, data: { evaluatedAt: new Date(now) } });
+
+  for (const c of changed) {
+    try {
+      await deliver(prisma, c);
+    } catch (e) {
+      console.error('alert_delivery_failed', c.alert.id, e.message);
+    }
+  }
+}
+
+// Resolve a rule's open alerts (rule disabled or deleted), without notifying
+function closeRuleAlerts(db, ruleId) {
+  return db.alert.updateMany({
+    where: { ruleId, state: 'open' },
+    data: { state: 'resolved', resolvedAt: new Date(), openKey: null }
+  });
+}
+
+module.exports = {
+  KINDS,
+  CHANNELS,
+  validateRuleInput,
+  shapeRule,
+  shapeAlert,
+  describeRule,
+  errorSignature,
+  evaluateAll,
+  closeRuleAlerts,
+};
@@ -0,0 +1,176 @@
+// utils/audit.js
+// Append-only audit log of admin actions (AuditLog), kept apart from the bot
+// Event feed. Each entry records who (actor id / email), from where (IP, user
+// agent), what (action, target, summary) and a before/after diff of the
+// changed fields. Secret fields are redacted with kms.mask. The table has no
+// foreign keys and an UPDATE / DELETE guard trigger, so entries outlive the
+// users and tenants they mention.
+
+const { mask, decrypt } = require('./kms');
+
+// Filter values for the viewer; entries may only use these
+const ACTIONS = [
+  'auth.login',
+  'auth.login_failed',
+  'auth.logout',
+  'auth.logout_everywhere',
+  'auth.session_revoke',
+  'auth.mfa_failed',
+  'auth.password_change',
+  'auth.password_reset_request',
+  'auth.password_reset',
+  'mfa.enable',
+  'mfa.disable',
+  'mfa.recovery_codes',
+  'mfa.devices_forget',
+  'mfa.reset',
+  'user.invite',
+  'user.invite_revoke',
+  'user.invite_accept',
+  'user.role_update',
+  'user.deactivate',
+  'user.reactivate',
+  'user.remove',
+  'tenant.switch',
+  'secrets.update',
+  'secrets.test_email',
+  'google.connect',
+  'google.disconnect',
+  'settings.update',
+  'lead.update',
+  'lead.note',
+  'intake_key.create',
+  'intake_key.update',
+  'intake_key.revoke',
+  'tags.update',
+  'pricing.update',
+  'alerts.update',
+  'webhooks.update',
+];
+
+// Columns never written to the log in clear, wherever they show up
+const SECRET_FIELDS = new Set([
+  'smtpPass', 'openaiKey', 'googleClientId', 'googleClientSecret', 'googleTokens',
+  'secret', 'keyHash', 'passwordHash', 'mfaSecret', 'mfaPendingSecret', 'mfaRecoveryCodes',
+]);
+
+const UA_MAX = 300;
+const SUMMARY_MAX = 500;
+
+// Masked form of a secret value; ciphertexts are decrypted first so the mask
+// shows the same first / last characters the secrets form does
+function redact(value) {
+  if (value == null || value === '') return value ?? null;
+  let plain = value;
+  try { plain = decrypt(value); } catch { /* key gone: mask the ciphertext */ }
+  if (typeof plain === 'object') plain = JSON.stringify(plain);
+  return mask(plain);
+}
+
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * { field: { from, to } } for the fields whose values differ between
+ * `before` and `after` (only `fields`, default: the keys of `after`).
+ * Returns null when nothing changed.
+ */
+function diff(before, after, fields = Object.keys(after || {})) {
+  const changes = {};
+  for (const f of fields) {
+    let from = before?.[f] ?? null;
+    let to = after?.[f] ?? null;
+    if (SECRET_FIELDS.has(f)) {
+      // ciphertexts differ on every write: compare what they decrypt to
+      let a = from, b = to;
+      try { a = decrypt(from); b = decrypt(to); } catch { /* compare as stored */ }
+      if (same(a, b)) continue;
+      changes[f] = { from: redact(from), to: redact(to), redacted: true };
+      continue;
+    }
+    if (from instanceof Date) from = from.toISOString();
+    if (to instanceof Date) to = to.toISOString();
+    if (!same(from, to)) changes[f] = { from, to };
+  }
+  return Object.keys(changes).length ? changes : null;
+}
+
+// Actor and client details of a request (req.user may be absent, e.g. failed login)
+function contextOf(req) {
+  return {
+    tenantId: req.user?.tenantId ?? null,
+    actorId: req.user?.adminUserId ?? null,
+    actorEmail: req.user?.email ?? null,
+    ip: req.ip || null,
+    userAgent: req.get?.('user-agent')?.slice(0, UA_MAX) || null
+  };
+}
+
+/**
+ * Append one entry. `entry` = { action, summary, targetType?, targetId?,
+ * changes?, tenantId?/actorId?/actorEmail? (override req.user) }.
+ * A failed write is logged, not thrown, so it never fails the action itself.
+ */
+async function record(db, req, entry) {
+  if (!ACTIONS.includes(entry.action)) throw new Error(`Unknown audit action: ${entry.action}`);
+  const ctx = contextOf(req);
+  const data = {
+    tenantId: entry.tenantId !== undefined ? entry.tenantId : ctx.tenantId,
+    actorId: entry.actorId !== undefined ? entry.actorId : ctx.actorId,
+    actorEmail: entry.actorEmail !== undefined ? entry.actorEmail : ctx.actorEmail,
+    action: entry.action,
+    targetType: entry.targetType || null,
+    targetId: entry.targetId != null ? String(entry.targetId) : null,
+    summary: String(entry.summary || '').slice(0, SUMMARY_MAX),
+    changes: entry.changes || undefined,
+    ip: ctx.ip,
+    userAgent: ctx.userAgent
+  };
+  try {
+    await db.auditLog.create({ data });
+  } catch (e) {
+    console.error('audit_write_error', data.action, data.tenantId, e.message);
+  }
+}
+
+const shapeAudit = (a) => ({
+  id: a.id,
+  at: a.createdAt,
+  action: a.action,
+  actorId: a.actorId,
+  actorEmail: a.actorEmail,
+  targetType: a.targetType,
+  targetId: a.targetId,
+  summary: a.summary,
+  changes: a.changes,
+  ip: a.ip,
+  userAgent: a.userAgent
+});
+
+/**
+ * Prisma `where` for the viewer / export filters:
+ * ?action= (comma-separated) &actor= (email substring) &targetType=&targetId=&q= (summary substring).
+ * Returns { where } or { error }.
+ */
+function auditWhere(tenantId, query = {}) {
+  const where = { tenantId };
+  if (query.action) {
+    const actions = String(query.action).split(',').map(s => s.trim()).filter(Boolean);
+    if (actions.some(a => !ACTIONS.includes(a))) return { error: 'bad_action' };
+    where.action = { in: actions };
+  }
+  if (query.actor) where.actorEmail = { contains: String(query.actor).trim().toLowerCase(), mode: 'insensitive' };
+  if (query.targetType) where.targetType = String(query.targetType);
+  if (query.targetId) where.targetId = String(query.targetId);
+  if (query.q) where.summary = { contains: String(query.q).slice(0, 100), mode: 'insensitive' };
+  return { where };
+}
+
+module.exports = {
+  ACTIONS,
+  SECRET_FIELDS,
+  redact,
+  diff,
+  record,
+  shapeAudit,
+  auditWhere,
+};
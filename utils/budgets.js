@@ -0,0 +1,118 @@
+// utils/budgets.js
+// Monthly spend budgets (Tenant.settings.monthlyBudgetUSD, UTC calendar
+// months). Intake re-checks month-to-date spend after each usage batch; the
+// first crossing of each threshold per month records a BudgetAlert plus an
+// 'alert:budget' Event, and can be emailed through the tenant's SMTP.
+
+const { readSettings } = require('./settings');
+const { startOfUtcMonth } = require('./dateRange');
+const mailer = require('./mailer');
+
+const THRESHOLDS = [50, 80, 100]; // percent of the monthly budget
+
+const usd = (n) => `$${Number(n || 0).toFixed(2)}`;
+
+// Month-to-date spend from the daily rollup
+async function monthSpend(db, tenantId, monthStart = startOfUtcMonth()) {
+  const r = await db.usageDaily.aggregate({
+    where: { tenantId, day: { gte: monthStart } },
+    _sum: { cost: true }
+  });
+  return Number(r._sum.cost || 0);
+}
+
+/**
+ * Record any thresholds the tenant's spend has newly crossed this month.
+ * Call inside the intake transaction, after the usage rollups were updated.
+ * Returns the new alerts (empty when there is no budget or nothing crossed).
+ */
+async function evaluateBudget(tx, tenantId) {
+  const t = await tx.tenant.findUnique({ where: { id: tenantId }, select: { settings: true } });
+  const { monthlyBudgetUSD: budgetUSD } = readSettings(t?.settings);
+  if (!budgetUSD) return [];
+
+  const month = startOfUtcMonth();
+  const spendUSD = await monthSpend(tx, tenantId, month);
+  const reached = THRESHOLDS.filter(p => spendUSD >= budgetUSD * p / 100);
+  if (!reached.length) return [];
+
+  // unique per tenant/month/threshold, so concurrent batches alert once
+  const alerts = await tx.budgetAlert.createManyAndReturn({
+    data: reached.map(threshold => ({ tenantId, month, threshold, budgetUSD, spendUSD })),
+    skipDuplicates: true
+  });
+  if (!alerts.length) return [];
+
+  await tx.event.createMany({
+    data: alerts.map(a => ({
+      tenantId,
+      type: 'alert:budget',
+      content: `Spend reached ${a.threshold}% of the monthly budget (${usd(a.spendUSD)} of ${usd(a.budgetUSD)})`
+    }))
+  });
+  return alerts;
+}
+
+/**
+ * Budget state for the portal banner and the bot's hard-stop check.
+ * `blocked` is true only when hard stop is on and the budget is used up.
+ */
+async function budgetStatus(db, tenantId) {
+  const t = await db.tenant.findUnique({ where: { id: tenantId }, select: { settings: true } });
+  const { monthlyBudgetUSD: budgetUSD, budgetHardStop: hardStop } = readSettings(t?.settings);
+  const month = startOfUtcMonth();
+  const [spendUSD, alerts] = await Promise.all([
+    monthSpend(db, tenantId, month),
+    budgetUSD
+      ? db.budgetAlert.findMany({ where: { tenantId, month }, orderBy: { threshold: 'asc' } })
+      : []
+  ]);
+  const pct = budgetUSD ? Math.round((spendUSD / budgetUSD) * 1000) / 10 : null;
+  return {
+    month,
+    budgetUSD,
+    spendUSD,
+    pct,
+    hardStop,
+    blocked: !!(budgetUSD && hardStop && spendUSD >= budgetUSD),
+    alerts: alerts.map(a => ({ threshold: a.threshold, at: a.createdAt, spendUSD: a.spendUSD }))
+  };
+}
+
+// Re-arm this month's thresholds (e.g. after the budget amount changed)
+function resetBudgetAlerts(db, tenantId) {
+  return db.budgetAlert.deleteMany({ where: { tenantId, month: startOfUtcMonth() } });
+}
+
+/**
+ * Email new alerts when the tenant opted in. Runs after the intake
+ * transaction commits; failures are logged, never thrown.
+ */
+async function notifyBudgetAlerts(prisma, tenantId, alerts) {
+  if (!alerts.length) return;
+  try {
+    const t = await prisma.tenant.findUnique({
+      where: { id: tenantId },
+      select: { name: true, settings: true, ...mailer.SMTP_SELECT }
+    });
+    if (!t || !readSettings(t.settings).budgetEmailAlerts || !mailer.isConfigured(t)) return;
+
+    const top = alerts.reduce((a, b) => (b.threshold > a.threshold ? b : a));
+    const lines = alerts.map(a => `- ${a.threshold}% reached: ${usd(a.spendUSD)} of ${usd(a.budgetUSD)}`);
+    await mailer.sendTenantMail(t, {
+      subject: `[${t.name}] AI spend at ${top.threshold}% of monthly budget`,
+      text: [`Month-to-date AI spend for ${t.name} crossed a budget threshold:`, '', ...lines].join('\n')
+    });
+  } catch (e) {
+    console.error('budget_email_error', tenantId, e.message);
+  }
+}
+
+module.exports = {
+  THRESHOLDS,
+  monthSpend,
+  evaluateBudget,
+  budgetStatus,
+  resetBudgetAlerts,
+  notifyBudgetAlerts,
+};
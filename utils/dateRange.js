@@ -0,0 +1,33 @@
+// utils/dateRange.js
+// ?from=&to= parsing shared by the reporting endpoints.
+// Accepts ISO strings or epoch millis; `to` defaults to now and `from` to
+// `defaultDays` before `to`.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function parseDate(raw) {
+  if (raw == null || raw === '') return null;
+  const d = /^\d+$/.test(String(raw)) ? new Date(Number(raw)) : new Date(String(raw));
+  return Number.isNaN(d.getTime()) ? undefined : d;
+}
+
+/**
+ * Returns { from, to } or { error } for a 400 response.
+ */
+function parseDateRange(query = {}, { defaultDays = 30, maxDays = 366 } = {}) {
+  const to = parseDate(query.to);
+  const from = parseDate(query.from);
+  if (to === undefined || from === undefined) return { error: 'bad_date' };
+
+  const end = to || new Date();
+  const start = from || new Date(end.getTime() - defaultDays * DAY_MS);
+  if (start >= end) return { error: 'bad_range' };
+  if (maxDays && end - start > maxDays * DAY_MS) return { error: 'range_too_large' };
+  return { from: start, to: end };
+}
+
+function startOfUtcMonth(d = new Date()) {
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), 1));
+}
+
+module.exports = { DAY_MS, parseDate, parseDateRange, startOfUtcMonth };
@@ -0,0 +1,95 @@
+// utils/exporter.js
+// Streaming exports (CSV / NDJSON / JSON) for the /api/portal/export/* routes.
+// Rows are read in keyset-paginated pages and written as they arrive, so
+// memory stays flat regardless of how much history a tenant has.
+
+const FORMATS = {
+  csv:    { type: 'text/csv; charset=utf-8', ext: 'csv' },
+  ndjson: { type: 'application/x-ndjson; charset=utf-8', ext: 'ndjson' },
+  json:   { type: 'application/json; charset=utf-8', ext: 'json' },
+};
+
+const PAGE_SIZE = 1000;
+
+function csvCell(v) {
+  if (v == null) return '';
+  let s = v instanceof Date ? v.toISOString() : Array.isArray(v) ? v.join('|') : typeof v === 'object' ? JSON.stringify(v) : String(v);
+  // keep spreadsheet apps from evaluating exported user text as a formula
+  // (plain numbers such as +1 555 0100 are left alone)
+  if (/^[=+\-@\t\r]/.test(s) && !/^[+-]?[\d\s().-]+$/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * Iterate a table page by page on (field, id) ascending.
+ * fetchPage(afterWhere, take) must apply that ordering and return rows with
+ * `field` + id.
+ */
+async function* paginate(fetchPage, { field = 'createdAt', pageSize = PAGE_SIZE } = {}) {
+  let after = null;
+  for (;;) {
+    const where = after
+      ? { OR: [{ [field]: { gt: after[field] } }, { [field]: after[field], id: { gt: after.id } }] }
+      : {};
+    const rows = await fetchPage(where, pageSize);
+    if (rows.length) yield rows;
+    if (rows.length < pageSize) return;
+    after = rows[rows.length - 1];
+  }
+}
+
+// Resolve once the socket can take more data (or the client went away)
+function waitForDrain(res) {
+  return new Promise(resolve => {
+    const done = () => { res.off('drain', done); res.off('close', done); resolve(); };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+/**
+ * Stream `pages` (async iterable of row arrays) to the response.
+ * opts = { format, filename, columns: [[header, row => value], ...] }
+ * CSV uses `columns`; NDJSON/JSON write each row object as-is.
+ */
+async function streamExport(res, pages, { format, filename, columns }) {
+  const fmt = FORMATS[format];
+  res.statusCode = 200;
+  res.setHeader('Content-Type', fmt.type);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.${fmt.ext}"`);
+  res.setHeader('Cache-Control', 'no-store');
+
+  let aborted = false;
+  res.on('close', () => { aborted = !res.writableFinished; });
+
+  const write = async (chunk) => {
+    if (!res.write(chunk)) await waitForDrain(res);
+  };
+
+  if (format === 'csv') await write(columns.map(([h]) => csvCell(h)).join(',') + '\r\n');
+  if (format === 'json') await write('[');
+
+  let first = true;
+  try {
+    for await (const rows of pages) {
+      if (aborted) return;
+      let buf = '';
+      for (const row of rows) {
+        if (format === 'csv') buf += columns.map(([, get]) => csvCell(get(row))).join(',') + '\r\n';
+        else if (format === 'ndjson') buf += JSON.stringify(row) + '\n';
+        else { buf += (first ? '' : ',') + '\n' + JSON.stringify(row); first = false; }
+      }
+      await write(buf);
+    }
+  } catch (e) {
+    // Headers are gone already; cut the stream so the download visibly fails
+    console.error('export_error', e);
+    res.destroy(e);
+    return;
+  }
+
+  if (format === 'json') await write('\n]\n');
+  res.end();
+}
+
+module.exports = { FORMATS, PAGE_SIZE, csvCell, paginate, streamExport };
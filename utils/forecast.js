@@ -0,0 +1,187 @@
+// utils/forecast.js
+// Month-end spend / token forecast from the UsageDaily rollup.
+// Each model is fitted on its own recent daily history: weekday factors
+// (seasonality) times a damped linear trend. Model forecasts are summed, so
+// the projection follows each model's actual (catalog-priced) cost.
+
+const { DAY_MS, startOfUtcMonth } = require('./dateRange');
+
+const HISTORY_DAYS = 28;        // fitting window: four of each weekday
+const MIN_SEASONAL_DAYS = 14;   // need two of each weekday for factors
+const TREND_DAMPING = 0.9;      // per-day damping of the trend (bounded extrapolation)
+const Z_80 = 1.2816;            // two-sided 80% interval
+
+const utcMidnight = (d) => new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+const sum = (xs) => xs.reduce((a, b) => a + b, 0);
+
+/**
+ * Fit values (complete days, oldest first; weekdays[i] = 0..6) and return a
+ * predictor plus the residual standard deviation of one day.
+ */
+function fitDaily(values, weekdays) {
+  const n = values.length;
+  const mean = n ? sum(values) / n : 0;
+
+  // Weekday factors: that weekday's mean relative to the overall mean
+  const factors = Array(7).fill(1);
+  const seasonal = n >= MIN_SEASONAL_DAYS && mean > 0;
+  if (seasonal) {
+    for (let w = 0; w < 7; w++) {
+      const vs = values.filter((_, i) => weekdays[i] === w);
+      if (vs.length) factors[w] = sum(vs) / vs.length / mean;
+    }
+  }
+
+  // Linear trend on the deseasonalized series (weekdays with factor 0 carry no level)
+  const pts = [];
+  values.forEach((v, i) => { if (factors[weekdays[i]] > 0) pts.push([i, v / factors[weekdays[i]]]); });
+  let level = mean;
+  let slope = 0;
+  if (pts.length >= 7) {
+    const mx = sum(pts.map(p => p[0])) / pts.length;
+    const my = sum(pts.map(p => p[1])) / pts.length;
+    let num = 0, den = 0;
+    for (const [x, y] of pts) { num += (x - mx) * (y - my); den += (x - mx) ** 2; }
+    slope = den ? num / den : 0;
+    level = Math.max(0, my + slope * (n - 1 - mx)); // fitted level on the last day
+  }
+
+  // h days after the last observed day, on weekday w
+  const predict = (h, w) => {
+    const trend = slope * TREND_DAMPING * (1 - TREND_DAMPING ** h) / (1 - TREND_DAMPING);
+    return Math.max(0, factors[w] * (level + trend));
+  };
+
+  // One-day spread from in-sample residuals; thin histories get a wide band
+  const fitted = values.map((_, i) => Math.max(0, factors[weekdays[i]] * (level + slope * (i - (n - 1)))));
+  const sigma = n >= 7
+    ? Math.sqrt(sum(values.map((v, i) => (v - fitted[i]) ** 2)) / Math.max(1, n - 2))
+    : mean * 0.5;
+
+  return { predict, sigma, slope, level, factors: seasonal ? factors : null };
+}
+
+/**
+ * Forecast the current UTC month for a tenant.
+ * Returns { month, asOf, mtd, projected, trend, seasonality, history, projection, byModel }.
+ */
+async function forecastMonth(prisma, tenantId, now = new Date()) {
+  const today = utcMidnight(now);
+  const month = startOfUtcMonth(now);
+  const nextMonth = new Date(Date.UTC(month.getUTCFullYear(), month.getUTCMonth() + 1, 1));
+  const windowStart = new Date(Math.min(today.getTime() - HISTORY_DAYS * DAY_MS, month.getTime()));
+
+  const rows = await prisma.usageDaily.findMany({
+    where: { tenantId, day: { gte: windowStart } },
+    select: { day: true, model: true, cost: true, promptTokens: true, completionTokens: true, cachedTokens: true }
+  });
+
+  // Calendar days in the window, oldest first (today included, partial)
+  const days = [];
+  for (let t = windowStart.getTime(); t <= today.getTime(); t += DAY_MS) days.push(new Date(t));
+  const dayIndex = new Map(days.map((d, i) => [d.getTime(), i]));
+  const complete = days.length - 1; // everything before today
+  const fitFrom = Math.max(0, complete - HISTORY_DAYS);
+  const weekdays = days.slice(fitFrom, complete).map(d => d.getUTCDay());
+
+  const models = new Map();
+  for (const r of rows) {
+    if (!models.has(r.model)) models.set(r.model, { cost: Array(days.length).fill(0), tokens: Array(days.length).fill(0) });
+    const m = models.get(r.model);
+    const i = dayIndex.get(new Date(r.day).getTime());
+    if (i == null) continue;
+    m.cost[i] += r.cost;
+    m.tokens[i] += Number(r.promptTokens) + Number(r.completionTokens) + Number(r.cachedTokens);
+  }
+
+  // Days left: the rest of today, then every later day of the month
+  const todayLeft = (today.getTime() + DAY_MS - now.getTime()) / DAY_MS;
+  const future = [];
+  for (let t = today.getTime() + DAY_MS; t < nextMonth.getTime(); t += DAY_MS) future.push(new Date(t));
+  const monthFrom = dayIndex.get(month.getTime()) ?? 0;
+  // days after the last complete day (yesterday): today = 1
+  const horizon = (d) => Math.round((d.getTime() - today.getTime()) / DAY_MS) + 1;
+
+  const projection = future.map(d => ({ day: d, costUSD: 0, tokens: 0 }));
+  const total = { mtdCost: 0, mtdTokens: 0, restCost: 0, restTokens: 0, varCost: 0, varTokens: 0, slope: 0, level: 0 };
+  const byModel = [];
+
+  for (const [model, m] of models) {
+    const fitCost = fitDaily(m.cost.slice(fitFrom, complete), weekdays);
+    const fitTokens = fitDaily(m.tokens.slice(fitFrom, complete), weekdays);
+
+    const mtdCost = sum(m.cost.slice(monthFrom));
+    const mtdTokens = sum(m.tokens.slice(monthFrom));
+    // today: predicted for the remaining part of the day
+    let restCost = todayLeft * fitCost.predict(1, today.getUTCDay());
+    let restTokens = todayLeft * fitTokens.predict(1, today.getUTCDay());
+    future.forEach((d, k) => {
+      const c = fitCost.predict(horizon(d), d.getUTCDay());
+      const tk = fitTokens.predict(horizon(d), d.getUTCDay());
+      projection[k].costUSD += c;
+      projection[k].tokens += tk;
+      restCost += c;
+      restTokens += tk;
+    });
+
+    const spanDays = todayLeft + future.length;
+    total.mtdCost += mtdCost;
+    total.mtdTokens += mtdTokens;
+    total.restCost += restCost;
+    total.restTokens += restTokens;
+    total.varCost += fitCost.sigma ** 2 * spanDays;
+    total.varTokens += fitTokens.sigma ** 2 * spanDays;
+    total.slope += fitCost.slope;
+    total.level += fitCost.level;
+
+    const windowCost = sum(m.cost.slice(fitFrom));
+    const windowTokens = sum(m.tokens.slice(fitFrom));
+    byModel.push({
+      model,
+      mtdCostUSD: mtdCost,
+      projectedCostUSD: mtdCost + restCost,
+      projectedTokens: Math.round(mtdTokens + restTokens),
+      costPer1K: windowTokens ? (windowCost / windowTokens) * 1000 : null
+    });
+  }
+  byModel.sort((a, b) => b.projectedCostUSD - a.projectedCostUSD);
+
+  const band = (mtd, rest, variance) => {
+    const spread = Z_80 * Math.sqrt(variance);
+    return { value: mtd + rest, low: mtd + Math.max(0, rest - spread), high: mtd + rest + spread };
+  };
+  const cost = band(total.mtdCost, total.restCost, total.varCost);
+  const tokens = band(total.mtdTokens, total.restTokens, total.varTokens);
+
+  // "flat" unless the fitted trend moves a week's spend by more than 5%
+  const weekly = total.slope * 7;
+  const trend = total.level > 0 && Math.abs(weekly) > total.level * 0.05
+    ? (weekly > 0 ? 'increasing' : 'decreasing')
+    : 'flat';
+
+  const history = days.slice(fitFrom).map((d, i) => {
+    const idx = fitFrom + i;
+    let costUSD = 0, tk = 0;
+    for (const m of models.values()) { costUSD += m.cost[idx]; tk += m.tokens[idx]; }
+    return { day: d, costUSD, tokens: tk, partial: idx === complete };
+  });
+  const { factors: seasonality } = fitDaily(history.filter(h => !h.partial).map(h => h.costUSD), weekdays);
+
+  return {
+    month,
+    asOf: now,
+    mtd: { costUSD: total.mtdCost, tokens: total.mtdTokens },
+    projected: {
+      costUSD: cost.value, costLowUSD: cost.low, costHighUSD: cost.high,
+      tokens: Math.round(tokens.value), tokensLow: Math.round(tokens.low), tokensHigh: Math.round(tokens.high),
+      confidence: 0.8
+    },
+    trend,
+    seasonality, // Sun..Sat factors, null until there are two weeks of history
+    history,
+    projection,
+    byModel
+  };
+}
+
+module.exports = { HISTORY_DAYS, fitDaily, forecastMonth };
@@ -0,0 +1,254 @@
+// utils/googleOAuth.js
+// "Connect Google" for tenants: authorization-code flow with PKCE against the
+// tenant's own OAuth client (Tenant.googleClientId / googleClientSecret).
+// Tokens live encrypted in Tenant.googleTokens, in the googleapis shape
+// ({ access_token, refresh_token, scope, token_type, expiry_date }) the bot
+// already reads; GoogleConnection keeps the queryable status next to it and
+// drives the background refresh.
+//
+// Endpoints come from GOOGLE_AUTH_URL / GOOGLE_TOKEN_URL / GOOGLE_REVOKE_URL /
+// GOOGLE_USERINFO_URL so the flow can run against a local mock
+// (utils/scripts/mock-google-oauth.js).
+
+const crypto = require('crypto');
+const { Prisma } = require('@prisma/client');
+const { encrypt, decrypt } = require('./kms');
+
+const AUTH_URL = process.env.GOOGLE_AUTH_URL || 'https://accounts.google.com/o/oauth2/v2/auth';
+const TOKEN_URL = process.env.GOOGLE_TOKEN_URL || 'https://oauth2.googleapis.com/token';
+const REVOKE_URL = process.env.GOOGLE_REVOKE_URL || 'https://oauth2.googleapis.com/revoke';
+const USERINFO_URL = process.env.GOOGLE_USERINFO_URL || 'https://openidconnect.googleapis.com/v1/userinfo';
+const SCOPES = String(process.env.GOOGLE_OAUTH_SCOPES || 'openid email https://www.googleapis.com/auth/drive.readonly')
+  .split(/[\s,]+/).filter(Boolean);
+
+const CALLBACK_PATH = '/oauth/google/callback';
+const REFRESH_AHEAD_MS = 10 * 60 * 1000; // refresh access tokens this long before they expire
+const TIMEOUT_MS = 10_000;
+
+const CLIENT_SELECT = { googleClientId: true, googleClientSecret: true, googleRedirectUri: true };
+
+function isConfigured(t) {
+  return !!(t && t.googleClientId && t.googleClientSecret);
+}
+
+// Tenant override, else this server's own callback (must be registered with Google)
+function redirectUriFor(t, origin) {
+  return t.googleRedirectUri || `${origin}${CALLBACK_PATH}`;
+}
+
+function pkcePair() {
+  const verifier = crypto.randomBytes(32).toString('base64url');
+  const challenge = crypto.createHash('sha256').update(verifier).digest('base64url');
+  return { verifier, challenge };
+}
+
+function authorizeUrl(t, { redirectUri, state, challenge }) {
+  const u = new URL(AUTH_URL);
+  u.search = new URLSearchParams({
+    client_id: t.googleClientId,
+    redirect_uri: redirectUri,
+    response_type: 'code',
+    scope: SCOPES.join(' '),
+    access_type: 'offline',   // ask for a refresh token…
+    prompt: 'consent',        // …every time, or Google only sends it on first consent
+    include_granted_scopes: 'true',
+    state,
+    code_challenge: challenge,
+    code_challenge_method: 'S256'
+  }).toString();
+  return u.toString();
+}
+
+// POST to the token endpoint; throws Error(<oauth error code>) with .description
+async function tokenRequest(params) {
+  let r;
+  try {
+    r = await fetch(TOKEN_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+      body: new URLSearchParams(params).toString(),
+      signal: AbortSignal.timeout(TIMEOUT_MS)
+    });
+  } catch (e) {
+    const err = new Error(e.name === 'TimeoutError' ? 'timeout' : 'network_error');
+    err.description = String(e.cause?.code || e.message);
+    throw err;
+  }
+  const body = await r.json().catch(() => ({}));
+  if (!r.ok || !body.access_token) {
+    const err = new Error(body.error || `http_${r.status}`);
+    err.description = body.error_description || null;
+    throw err;
+  }
+  return body;
+}
+
+// Token endpoint response (+ previous blob on refresh) → stored blob
+function tokenBlob(resp, prev = {}) {
+  return {
+    access_token: resp.access_token,
+    refresh_token: resp.refresh_token || prev.refresh_token || null, // refreshes usually omit it
+    scope: resp.scope || prev.scope || '',
+    token_type: resp.token_type || 'Bearer',
+    expiry_date: Date.now() + Number(resp.expires_in || 3600) * 1000,
+    ...(resp.id_token ? { id_token: resp.id_token } : {})
+  };
+}
+
+function readTokens(t) {
+  if (!t?.googleTokens) return null;
+  const raw = typeof t.googleTokens === 'string' ? decrypt(t.googleTokens) : t.googleTokens;
+  return typeof raw === 'string' ? JSON.parse(raw) : raw;
+}
+
+async function fetchEmail(accessToken) {
+  try {
+    const r = await fetch(USERINFO_URL, {
+      headers: { Authorization: `Bearer ${accessToken}` },
+      signal: AbortSignal.timeout(TIMEOUT_MS)
+    });
+    if (!r.ok) return null;
+    return (await r.json()).email || null;
+  } catch {
+    return null;
+  }
+}
+
+const scopeList = (blob) => String(blob.scope || '').split(/\s+/).filter(Boolean);
+
+const shapeConnection = (c) => c && ({
+  status: c.status,
+  email: c.email,
+  scopes: c.scopes,
+  expiresAt: c.expiresAt,
+  lastRefreshAt: c.lastRefreshAt,
+  lastError: c.lastError,
+  connectedBy: c.connectedBy,
+  connectedAt: c.connectedAt
+});
+
+/**
+ * Exchange the callback's code and store the tokens. `t` needs
+ * CLIENT_SELECT. Throws the OAuth error code on failure.
+ */
+async function completeConnect(prisma, tenantId, t, { code, redirectUri, verifier, by }) {
+  const resp = await tokenRequest({
+    grant_type: 'authorization_code',
+    code,
+    client_id: t.googleClientId,
+    client_secret: decrypt(t.googleClientSecret),
+    redirect_uri: redirectUri,
+    code_verifier: verifier
+  });
+  const blob = tokenBlob(resp);
+  const email = await fetchEmail(blob.access_token);
+  const meta = {
+    email,
+    scopes: scopeList(blob),
+    status: 'connected',
+    expiresAt: new Date(blob.expiry_date),
+    lastRefreshAt: null,
+    lastError: blob.refresh_token ? null : 'no_refresh_token',
+    connectedBy: by || null,
+    connectedAt: new Date()
+  };
+  await prisma.$transaction([
+    prisma.tenant.update({ where: { id: tenantId }, data: { googleTokens: encrypt(JSON.stringify(blob)) } }),
+    prisma.googleConnection.upsert({ where: { tenantId }, create: { tenantId, ...meta }, update: meta })
+  ]);
+  return meta;
+}
+
+async function refreshOne(prisma, c) {
+  const t = await prisma.tenant.findUnique({
+    where: { id: c.tenantId },
+    select: { googleTokens: true, ...CLIENT_SELECT }
+  });
+  const prev = readTokens(t);
+  let data;
+  if (!prev?.refresh_token || !isConfigured(t)) {
+    data = { status: 'error', lastError: prev ? 'no_refresh_token' : 'tokens_missing' };
+  } else {
+    try {
+      const blob = tokenBlob(await tokenRequest({
+        grant_type: 'refresh_token',
+        refresh_token: prev.refresh_token,
+        client_id: t.googleClientId,
+        client_secret: decrypt(t.googleClientSecret)
+      }), prev);
+      data = { expiresAt: new Date(blob.expiry_date), scopes: scopeList(blob), lastRefreshAt: new Date(), lastError: null };
+      // written only if nobody reconnected / disconnected meanwhile
+      await prisma.$transaction(async (tx) => {
+        const { count } = await tx.googleConnection.updateMany({ where: { tenantId: c.tenantId, updatedAt: c.updatedAt }, data });
+        if (count) await tx.tenant.update({ where: { id: c.tenantId }, data: { googleTokens: encrypt(JSON.stringify(blob)) } });
+      });
+      return;
+    } catch (e) {
+      const message = `${e.message}${e.description ? `: ${e.description}` : ''}`.slice(0, 300);
+      // invalid_grant: revoked, expired or issued to another client; needs a reconnect
+      data = e.message === 'invalid_grant' ? { status: 'error', lastError: message } : { lastError: message };
+    }
+  }
+  await prisma.googleConnection.updateMany({ where: { tenantId: c.tenantId, updatedAt: c.updatedAt }, data });
+}
+
+/**
+ * Job body: refresh connections whose access token expires within
+ * REFRESH_AHEAD_MS, for at most `budgetMs`. Transient failures are retried
+ * on the next run.
+ */
+async function refreshDue(prisma, { budgetMs = 20_000 } = {}) {
+  const deadline = Date.now() + budgetMs;
+  const due = await prisma.googleConnection.findMany({
+    where: { status: 'connected', expiresAt: { lte: new Date(Date.now() + REFRESH_AHEAD_MS) } },
+    orderBy: { expiresAt: 'asc' },
+    take: 100
+  });
+  for (const c of due) {
+    if (Date.now() > deadline) return;
+    await refreshOne(prisma, c).catch(e => console.error('google_refresh_error', c.tenantId, e.message));
+  }
+}
+
+/**
+ * Revoke at Google (best effort) and forget the tokens. Returns whether
+ * Google confirmed the revocation.
+ */
+async function disconnect(prisma, tenantId) {
+  const t = await prisma.tenant.findUnique({ where: { id: tenantId }, select: { googleTokens: true } });
+  let revoked = false;
+  try {
+    const tokens = readTokens(t);
+    const token = tokens?.refresh_token || tokens?.access_token;
+    if (token) {
+      const r = await fetch(REVOKE_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({ token }).toString(),
+        signal: AbortSignal.timeout(TIMEOUT_MS)
+      });
+      revoked = r.ok;
+    }
+  } catch (e) {
+    console.error('google_revoke_error', tenantId, e.message);
+  }
+  await prisma.$transaction([
+    prisma.tenant.update({ where: { id: tenantId }, data: { googleTokens: Prisma.DbNull } }),
+    prisma.googleConnection.deleteMany({ where: { tenantId } })
+  ]);
+  return revoked;
+}
+
+module.exports = {
+  SCOPES,
+  CALLBACK_PATH,
+  CLIENT_SELECT,
+  isConfigured,
+  redirectUriFor,
+  pkcePair,
+  authorizeUrl,
+  shapeConnection,
+  completeConnect,
+  refreshDue,
+  disconnect,
+};
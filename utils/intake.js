@@ -0,0 +1,366 @@
+// utils/intake.js
+// Bot → admin intake: payload normalization + batched, idempotent writes.
+// Used by both POST /api/portal/log (one item) and /api/portal/log/batch.
+
+const { upsertIntakeLeads } = require('./leads');
+const { loadMatchers, tagText } = require('./tagging');
+const { addToRollups } = require('./usageRollups');
+const { evaluateBudget } = require('./budgets');
+const webhooks = require('./webhooks');
+const {
+  toNum, canonicalizeBreakdownFromPayload, splitUsageCost,
+  loadCatalog, priceAt, priceTokens, costsAgree
+} = require('./pricing');
+
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+// A full batch (INTAKE_BATCH_MAX items) does far more than Prisma's default
+// 5 s interactive-transaction budget allows for: receipts, leads, turns,
+// rollups, budget and webhook outbox all share one transaction.
+const TX_OPTIONS = {
+  maxWait: Number(process.env.INTAKE_TX_MAX_WAIT_MS || 10_000),  // waiting for a pool connection
+  timeout: Number(process.env.INTAKE_TX_TIMEOUT_MS || 60_000)    // the transaction itself
+};
+
+// Client-supplied event time (batched/retried items arrive late); ignore
+// anything unparseable or in the future.
+function readAt(item) {
+  const raw = item.at ?? item.timestamp;
+  if (raw == null) return undefined;
+  const d = new Date(raw);
+  if (Number.isNaN(d.getTime()) || d.getTime() > Date.now() + MAX_CLOCK_SKEW_MS) return undefined;
+  return d;
+}
+
+function readIdempotencyKey(item) {
+  const k = item.idempotencyKey ?? item.idempotency_key ?? item.eventId;
+  if (k == null || k === '') return null;
+  return String(k).slice(0, 200);
+}
+
+/**
+ * Validate + shape one intake payload. Returns { ok: true, item } or { ok: false, error }.
+ * item = { type, key, at, ...type-specific fields }
+ */
+function normalizeItem(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) return { ok: false, error: 'bad_item' };
+
+  const base = { type: body.type, key: readIdempotencyKey(body), at: readAt(body) };
+
+  switch (body.type) {
+    case 'event': {
+      const { role = 'info', message = '' } = body;
+      return { ok: true, item: { ...base, role: String(role), message: String(message) } };
+    }
+    case 'error': {
+      const { user = 'unknown', message = '' } = body;
+      return { ok: true, item: { ...base, user: String(user), message: String(message) } };
+    }
+    case 'usage': {
+      const u = body.usage || {};
+
+      // accept snake_case or camelCase
+      const pt = Number(u.prompt_tokens ?? u.promptTokens) || 0;
+      const ct = Number(u.completion_tokens ?? u.completionTokens) || 0;
+      const kt = Number(u.cached_tokens ?? u.cachedTokens) || 0;
+
+      // cost can be u.costUSD or u.cost
+      const incomingCost = toNum(u.costUSD ?? u.cost);
+
+      // Canonicalize breakdown keys, or derive split if only totals exist
+      const bd = canonicalizeBreakdownFromPayload({
+        breakdown: u.breakdown,
+        prompt_tokens: pt,
+        completion_tokens: ct,
+        cached_tokens: kt,
+        costUSD: incomingCost
+      });
+
+      // If cost missing but breakdown exists, sum it; else default 0
+      const costFinal =
+        incomingCost != null
+          ? incomingCost
+          : (bd ? (bd.promptUSD + bd.completionUSD + bd.cachedUSD) : 0);
+
+      return {
+        ok: true,
+        item: {
+          ...base,
+          model: String(u.model || ''),
+          promptTokens: pt,
+          completionTokens: ct,
+          cachedTokens: kt,
+          cost: costFinal,
+          breakdown: bd ?? undefined,
+          // what the bot itself claimed, kept for verification against the catalog
+          reportedCost: incomingCost != null || bd ? costFinal : null
+        }
+      };
+    }
+    case 'metric': {
+      const { metricType = 'custom', value = 0 } = body;
+      return { ok: true, item: { ...base, name: String(metricType), value: Number(value) || 0 } };
+    }
+    case 'lead': {
+      const { name = '', email = '', phone = '', snippet = '', tags = [], sessionId } = body;
+      return {
+        ok: true,
+        item: {
+          ...base,
+          sessionId: sessionId ? String(sessionId) : null, // links the lead to its transcript
+          name: String(name),
+          email: String(email),
+          phone: String(phone),
+          snippet: String(snippet),
+          tags: Array.isArray(tags) ? tags.map(String) : []
+        }
+      };
+    }
+    case 'conversation': {
+      const { sessionId = '', data = {} } = body;
+      if (!sessionId) return { ok: false, error: 'session_missing' };
+      return {
+        ok: true,
+        item: {
+          ...base,
+          sessionId: String(sessionId),
+          // explicit close: { data: { end: true } } or { event: 'end' }
+          end: data?.end === true || body.event === 'end',
+          userMessage: data?.userMessage ? String(data.userMessage) : null,
+          aiReply: data?.aiReply ? String(data.aiReply) : null,
+          // token counts for the model call that produced aiReply
+          tokensIn: Number(data?.tokensIn ?? data?.promptTokens) || 0,
+          tokensOut: Number(data?.tokensOut ?? data?.completionTokens) || 0
+        }
+      };
+    }
+    default:
+      return { ok: false, error: 'bad_type' };
+  }
+}
+
+/**
+ * Parse a batch body: JSON array, { items: [...] }, or NDJSON text.
+ * Returns an array of raw items, or null if the body isn't a batch.
+ */
+function parseBatchBody(body) {
+  if (Array.isArray(body)) return body;
+  if (body && typeof body === 'object' && Array.isArray(body.items)) return body.items;
+  if (typeof body === 'string') {
+    const out = [];
+    for (const line of body.split(/\r?\n/)) {
+      const trimmed = line.trim();
+      if (!trimmed) continue;
+      try { out.push(JSON.parse(trimmed)); } catch { out.push(null); } // reported per item
+    }
+    return out;
+  }
+  return null;
+}
+
+/**
+ * Write a batch of raw intake payloads for one tenant.
+ * - Items with an idempotency key are recorded in IntakeReceipt; replays
+ *   (within the batch or across requests) come back as 'duplicate'.
+ * - Everything runs in one transaction (TX_OPTIONS) with one createMany per table.
+ *
+ * Returns { results, created } where results[i] = { index, status, type?, error? }
+ * (status: created | merged | duplicate | error) and created holds the
+ * inserted rows per table (for post-intake hooks).
+ */
+async function ingestItems(prisma, tenantId, rawItems) {
+  const results = new Array(rawItems.length);
+  const accepted = []; // { index, item }
+  const keysInBatch = new Set();
+
+  rawItems.forEach((raw, index) => {
+    const n = normalizeItem(raw);
+    if (!n.ok) { results[index] = { index, status: 'error', error: n.error }; return; }
+    if (n.item.key) {
+      if (keysInBatch.has(n.item.key)) {
+        results[index] = { index, status: 'duplicate', type: n.item.type };
+        return;
+      }
+      keysInBatch.add(n.item.key);
+    }
+    accepted.push({ index, item: n.item });
+  });
+
+  const created = {
+    events: [], metrics: [], usage: [], budgetAlerts: [],
+    leads: [], mergedLeads: [], conversations: [], messages: [], ended: [],
+    webhooks: 0 // deliveries queued
+  };
+  if (!accepted.length) return { results, created };
+
+  await prisma.$transaction(async (tx) => {
+    // 1) Idempotency receipts: whatever fails to insert was already seen
+    let fresh = accepted;
+    const keyed = accepted.filter(a => a.item.key);
+    if (keyed.length) {
+      const inserted = await tx.intakeReceipt.createManyAndReturn({
+        data: keyed.map(a => ({ tenantId, key: a.item.key, type: a.item.type })),
+        skipDuplicates: true,
+        select: { key: true }
+      });
+      const insertedKeys = new Set(inserted.map(r => r.key));
+      fresh = accepted.filter(a => {
+        if (!a.item.key || insertedKeys.has(a.item.key)) return true;
+        results[a.index] = { index: a.index, status: 'duplicate', type: a.item.type };
+        return false;
+      });
+    }
+
+    const ofType = (t) => fresh.filter(a => a.item.type === t).map(a => a.item);
+
+    // 2) One createMany per table
+    const events = [
+      ...ofType('event').map(i => ({ tenantId, type: i.role, content: i.message, createdAt: i.at })),
+      ...ofType('error').map(i => ({ tenantId, type: `error:${i.user}`, content: i.message, createdAt: i.at }))
+    ];
+    if (events.length) created.events = await tx.event.createManyAndReturn({ data: events });
+
+    // errors also count as metrics so status math has requests even when failing
+    const metrics = [
+      ...ofType('error').map(i => ({ tenantId, name: 'error', value: 1, createdAt: i.at })),
+      ...ofType('metric').map(i => ({ tenantId, name: i.name, value: i.value, createdAt: i.at }))
+    ];
+    if (metrics.length) created.metrics = await tx.metric.createManyAndReturn({ data: metrics });
+
+    // Usage: priced from the ModelPrice catalog when the model has a rate,
+    // otherwise the bot's own figures are kept
+    const usageEntries = fresh.filter(a => a.item.type === 'usage');
+    const catalog = usageEntries.length
+      ? await loadCatalog(tx, tenantId, usageEntries.map(a => a.item.model))
+      : new Map();
+    const now = new Date();
+    const usage = usageEntries.map(({ index, item: i }) => {
+      const row = {
+        tenantId,
+        model: i.model,
+        promptTokens: i.promptTokens,
+        completionTokens: i.completionTokens,
+        cachedTokens: i.cachedTokens,
+        cost: i.cost,
+        // Store the canonical breakdown if we have one, else null/undefined
+        breakdown: i.breakdown,
+        reportedCost: i.reportedCost,
+        createdAt: i.at
+      };
+      const price = priceAt(catalog, i.model, i.at || now);
+      if (!price) return row;
+
+      const priced = priceTokens(price, i);
+      if (i.reportedCost != null && !costsAgree(i.reportedCost, priced.cost)) {
+        results[index] = {
+          index, status: 'created', type: 'usage',
+          warning: 'cost_mismatch', costUSD: priced.cost, reportedCostUSD: i.reportedCost
+        };
+      }
+      return { ...row, cost: priced.cost, breakdown: priced.breakdown, priceId: price.id };
+    });
+    if (usage.length) {
+      created.usage = await tx.usage.createManyAndReturn({ data: usage });
+      await addToRollups(tx, tenantId, created.usage, splitUsageCost);
+      created.budgetAlerts = await evaluateBudget(tx, tenantId);
+    }
+
+    // TagDictionary categories are applied to lead snippets and messages
+    const leadEntries = fresh.filter(a => a.item.type === 'lead');
+    const turns = ofType('conversation');
+    const matchers = leadEntries.length || turns.length ? await loadMatchers(tx, tenantId) : [];
+
+    // Leads: repeat visitors (same email/phone) merge into the existing lead
+    if (leadEntries.length) {
+      for (const a of leadEntries) a.item.autoTags = tagText(matchers, a.item.snippet);
+      const { created: newLeads, merged } = await upsertIntakeLeads(tx, tenantId, leadEntries);
+      created.leads = newLeads;
+      const newIds = new Set(newLeads.map(l => l.id));
+      created.mergedLeads = [...new Map(merged.filter(m => !newIds.has(m.lead.id)).map(m => [m.lead.id, m.lead])).values()];
+      for (const m of merged) results[m.index] = { index: m.index, status: 'merged', type: 'lead', leadId: m.lead.id };
+    }
+
+    if (turns.length) {
+      const now = new Date();
+      const firstAt = new Map(); // sessionId → earliest turn in this batch
+      for (const t of turns) {
+        const at = t.at || now;
+        if (!firstAt.has(t.sessionId) || at < firstAt.get(t.sessionId)) firstAt.set(t.sessionId, at);
+      }
+
+      created.conversations = await tx.conversation.createManyAndReturn({
+        data: [...firstAt].map(([sessionId, startedAt]) => ({ tenantId, sessionId, startedAt })),
+        skipDuplicates: true
+      });
+      const convos = await tx.conversation.findMany({
+        where: { tenantId, sessionId: { in: [...firstAt.keys()] } },
+        select: { id: true, sessionId: true, lastMessageAt: true, endedAt: true }
+      });
+      const bySession = new Map(convos.map(c => [c.sessionId, { ...c, touched: false, wasEndedAt: c.endedAt }]));
+
+      const messages = [];
+      for (const t of turns) {
+        const at = t.at || now;
+        const c = bySession.get(t.sessionId);
+        if (t.userMessage) {
+          messages.push({
+            conversationId: c.id, role: 'user', content: t.userMessage,
+            tags: tagText(matchers, t.userMessage), createdAt: at
+          });
+        }
+        // +1ms keeps the reply ordered after the user turn it answers
+        if (t.aiReply) {
+          messages.push({
+            conversationId: c.id, role: 'assistant', content: t.aiReply,
+            tokensIn: t.tokensIn, tokensOut: t.tokensOut, tags: tagText(matchers, t.aiReply),
+            createdAt: new Date(at.getTime() + 1)
+          });
+        }
+
+        // Lifecycle, applied in payload order: a turn (re)opens, an end closes.
+        // A late or retried turn from before the close leaves it closed.
+        if (t.userMessage || t.aiReply) {
+          const last = new Date(at.getTime() + (t.aiReply ? 1 : 0));
+          if (!c.lastMessageAt || last > c.lastMessageAt) c.lastMessageAt = last;
+          if (c.endedAt && at > c.endedAt) c.endedAt = null;
+          c.touched = true;
+        }
+        if (t.end) {
+          c.endedAt = at;
+          c.touched = true;
+        }
+      }
+      if (messages.length) {
+        const sessionOf = new Map(convos.map(c => [c.id, c.sessionId]));
+        created.messages = (await tx.message.createManyAndReturn({ data: messages }))
+          .map(m => ({ ...m, sessionId: sessionOf.get(m.conversationId) }));
+      }
+
+      created.ended = [];
+      for (const c of bySession.values()) {
+        if (!c.touched) continue;
+        await tx.conversation.update({
+          where: { id: c.id },
+          data: { lastMessageAt: c.lastMessageAt, endedAt: c.endedAt }
+        });
+        // only closes made by this batch, so a late turn doesn't announce it twice
+        if (c.endedAt && +c.endedAt !== +c.wasEndedAt) created.ended.push({ id: c.id, sessionId: c.sessionId, endedAt: c.endedAt });
+      }
+    }
+
+    // 3) Outbound webhooks, queued in the same transaction (outbox)
+    created.webhooks = await webhooks.enqueueIntake(tx, tenantId, created);
+  }, TX_OPTIONS);
+
+  for (const a of accepted) {
+    if (!results[a.index]) results[a.index] = { index: a.index, status: 'created', type: a.item.type };
+  }
+  return { results, created };
+}
+
+module.exports = {
+  TX_OPTIONS,
+  normalizeItem,
+  parseBatchBody,
+  ingestItems,
+};
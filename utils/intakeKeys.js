@@ -0,0 +1,78 @@
+// utils/intakeKeys.js
+// Per-tenant intake credentials for the bot → admin intake.
+//
+// Key format:  tik_<prefix>_<secret>   (raw key is shown once, never stored)
+// Stored:      keyHash = sha256(rawKey) hex, plus the display prefix (tik_<prefix>)
+//
+// Optional request signing (required when IntakeKey.requireSignature):
+//   X-Timestamp: <unix seconds>
+//   X-Signature: sha256=<hex HMAC-SHA256(sha256(rawKey), `${timestamp}.${rawBody}`)>
+// The HMAC secret is the key's sha256 so the server can verify without
+// keeping the raw key around. Accepted signatures are recorded in
+// IntakeSignature, so a replay is refused across restarts and replicas.
+
+const crypto = require('crypto');
+
+const KEY_PREFIX = 'tik_';
+const TOLERANCE_SEC = Number(process.env.INTAKE_SIGNATURE_TOLERANCE_SEC || 300);
+
+function hashKey(raw) {
+  return crypto.createHash('sha256').update(String(raw), 'utf8').digest('hex');
+}
+
+function generateKey() {
+  const prefix = `${KEY_PREFIX}${crypto.randomBytes(4).toString('hex')}`; // tik_ + 8 chars, for display
+  const secret = crypto.randomBytes(24).toString('base64url');             // 32 chars
+  const key = `${prefix}_${secret}`;
+  return { key, prefix, keyHash: hashKey(key) };
+}
+
+function sign(keyHash, timestamp, rawBody) {
+  return crypto
+    .createHmac('sha256', keyHash)
+    .update(`${timestamp}.`)
+    .update(rawBody || Buffer.alloc(0))
+    .digest('hex');
+}
+
+// Replay protection: a signature is stored until it falls out of the
+// timestamp window (after that the timestamp check rejects it anyway).
+const SIGNATURE_TTL_MS = TOLERANCE_SEC * 1000 * 2;
+
+/**
+ * Verify a signed intake request and record its signature.
+ * Returns null when valid, otherwise an error code for the response body.
+ */
+async function verifySignature(db, { keyHash, timestamp, signature, rawBody, now = Date.now() }) {
+  if (!timestamp || !signature) return 'signature_required';
+
+  const ts = Number(timestamp);
+  if (!Number.isFinite(ts)) return 'bad_timestamp';
+  if (Math.abs(now / 1000 - ts) > TOLERANCE_SEC) return 'timestamp_out_of_range';
+
+  const provided = String(signature).replace(/^sha256=/, '').toLowerCase();
+  const expected = sign(keyHash, String(timestamp), rawBody);
+  const a = Buffer.from(provided, 'hex');
+  const b = Buffer.from(expected, 'hex');
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) return 'bad_signature';
+
+  // only the first request with this signature gets to insert the row
+  const { count } = await db.intakeSignature.createMany({
+    data: [{ signature: expected, expiresAt: new Date(now + SIGNATURE_TTL_MS) }],
+    skipDuplicates: true
+  });
+  return count ? null : 'replayed_request';
+}
+
+async function pruneSignatures(db) {
+  await db.intakeSignature.deleteMany({ where: { expiresAt: { lt: new Date() } } });
+}
+
+module.exports = {
+  KEY_PREFIX,
+  hashKey,
+  generateKey,
+  sign,
+  verifySignature,
+  pruneSignatures,
+};
@@ -0,0 +1,36 @@
+// utils/jobs.js
+// Minimal in-process scheduler for background housekeeping.
+// Runs never overlap with themselves; errors are logged, not thrown.
+// Set JOBS_DISABLED=true on extra replicas so only one instance runs them.
+
+const DISABLED = /^(1|true|yes)$/i.test(process.env.JOBS_DISABLED || '');
+const timers = new Map();
+
+function schedule(name, intervalMs, fn, { runOnStart = false } = {}) {
+  if (DISABLED || timers.has(name)) return;
+
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await fn();
+    } catch (e) {
+      console.error(`job_error[${name}]`, e);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  timer.unref(); // never keep the process alive for housekeeping
+  timers.set(name, timer);
+  if (runOnStart) setImmediate(tick);
+}
+
+function stopAll() {
+  for (const t of timers.values()) clearInterval(t);
+  timers.clear();
+}
+
+module.exports = { schedule, stopAll };
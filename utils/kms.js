@@ -1,11 +1,21 @@
 // utils/kms.js
-// AES-256-GCM envelope for tenant secrets.
-// Accepts KMS_MASTER_KEY as: base64(32B)  | hex(64 chars) | passphrase (scrypt → 32B)
+// AES-256-GCM envelope for tenant secrets, with a keyring so the master key
+// can be rotated.
+// Keys are given as: base64(32B)  | hex(64 chars) | passphrase (scrypt → 32B)
+//
+//   KMS_KEYS=2025a=<key>,2026a=<key>   keyring, `id=key` pairs (ids: [A-Za-z0-9_-])
+//   KMS_ACTIVE_KEY_ID=2026a            key for new writes (default: first in KMS_KEYS)
+//   KMS_MASTER_KEY=<key>               single-key setup; joins the ring as id `master`
+//
+// Ciphertexts name their key: enc:v2:<keyId>:<ivB64>:<ct+tag B64>. Values
+// written before key ids (enc:v1:<ivB64>:<ct+tag B64>) are decrypted by
+// trying each key in the ring; the GCM tag tells the right one apart.
+// utils/scripts/rewrap-secrets.js re-encrypts everything under the active key.
 
 const crypto = require('crypto');
 
-const PREFIX = 'enc:v1:';
-const RAW = process.env.KMS_MASTER_KEY || '';
+const PREFIX = 'enc:';
+const KEY_ID_RE = /^[A-Za-z0-9_-]{1,32}$/;
 
 function deriveKey(raw) {
   if (!raw) return null;
@@ -23,53 +33,97 @@ function deriveKey(raw) {
   return crypto.scryptSync(raw, 'tenant-secrets-v1', 32);
 }
 
-const KEY = deriveKey(RAW);
+// id → 32-byte key, in configuration order (KMS_KEYS first, then `master`)
+function loadKeyring(env = process.env) {
+  const ring = new Map();
+  for (const entry of String(env.KMS_KEYS || '').split(',').map(s => s.trim()).filter(Boolean)) {
+    const eq = entry.indexOf('=');
+    const id = entry.slice(0, eq);
+    if (eq < 1 || !KEY_ID_RE.test(id) || !entry.slice(eq + 1)) throw new Error(`Bad KMS_KEYS entry for key id "${id}"`);
+    if (ring.has(id)) throw new Error(`Duplicate KMS key id "${id}"`);
+    ring.set(id, deriveKey(entry.slice(eq + 1)));
+  }
+  if (env.KMS_MASTER_KEY && !ring.has('master')) ring.set('master', deriveKey(env.KMS_MASTER_KEY));
+
+  const active = env.KMS_ACTIVE_KEY_ID || ring.keys().next().value || null;
+  if (active && !ring.has(active)) throw new Error(`KMS_ACTIVE_KEY_ID "${active}" is not in the keyring`);
+  return { ring, active };
+}
 
-function hasKey() { return !!KEY; }
+const { ring: KEYS, active: ACTIVE_KEY_ID } = loadKeyring();
+
+function hasKey() { return !!ACTIVE_KEY_ID; }
+function activeKeyId() { return ACTIVE_KEY_ID; }
+function keyIds() { return [...KEYS.keys()]; }
 function isEncrypted(v) { return typeof v === 'string' && v.startsWith(PREFIX); }
 
+// { version, keyId (null for v1), iv, buf } or throws on a malformed value
+function parse(value) {
+  const parts = String(value).split(':');
+  let keyId = null;
+  if (parts[1] === 'v2' && parts.length === 5) keyId = parts.splice(2, 1)[0];
+  else if (parts[1] !== 'v1' || parts.length !== 4) throw new Error('Bad ciphertext format');
+
+  const iv = Buffer.from(parts[2], 'base64');
+  const buf = Buffer.from(parts[3], 'base64');
+  if (iv.length !== 12) throw new Error('Bad IV length');
+  if (buf.length < 17) throw new Error('Bad ciphertext length');
+  return { version: parts[1], keyId, iv, buf };
+}
+
+// Key id a ciphertext was written with; null for plaintext and v1 values
+function keyIdOf(value) {
+  return isEncrypted(value) ? parse(value).keyId : null;
+}
+
+// True for ciphertexts not (provably) under the active key
+function needsRewrap(value) {
+  return isEncrypted(value) && keyIdOf(value) !== ACTIVE_KEY_ID;
+}
+
 function encrypt(plaintext) {
   if (plaintext == null) return plaintext;
 
   if (!hasKey()) {
     // Fail-closed in prod so we never persist plaintext by mistake
     if (process.env.NODE_ENV === 'production') {
-      throw new Error('KMS_MASTER_KEY missing in production');
+      throw new Error('KMS key missing in production (KMS_KEYS or KMS_MASTER_KEY)');
     }
     // Dev convenience: store as plaintext
     return plaintext;
   }
 
   const iv = crypto.randomBytes(12); // GCM nonce
-  const cipher = crypto.createCipheriv('aes-256-gcm', KEY, iv);
+  const cipher = crypto.createCipheriv('aes-256-gcm', KEYS.get(ACTIVE_KEY_ID), iv);
   const ct = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
   const tag = cipher.getAuthTag(); // 16 bytes
   const payload = Buffer.concat([ct, tag]).toString('base64');
 
-  return `${PREFIX}${iv.toString('base64')}:${payload}`;
+  return `${PREFIX}v2:${ACTIVE_KEY_ID}:${iv.toString('base64')}:${payload}`;
+}
+
+function open(key, iv, buf) {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+  decipher.setAuthTag(buf.subarray(-16));
+  return Buffer.concat([decipher.update(buf.subarray(0, -16)), decipher.final()]).toString('utf8');
 }
 
 function decrypt(value) {
   if (!isEncrypted(value)) return value;
-  if (!hasKey()) throw new Error('KMS_MASTER_KEY required to decrypt a value');
+  if (!KEYS.size) throw new Error('KMS_MASTER_KEY required to decrypt a value');
 
-  const parts = String(value).split(':'); // ["enc","v1","<ivB64>","<ct+tag B64>"]
-  if (parts.length !== 4 || parts[0] !== 'enc' || parts[1] !== 'v1') {
-    throw new Error('Bad ciphertext format');
+  const { keyId, iv, buf } = parse(value);
+  if (keyId) {
+    const key = KEYS.get(keyId);
+    if (!key) throw new Error(`KMS key "${keyId}" is not in the keyring`);
+    return open(key, iv, buf);
   }
 
-  const iv = Buffer.from(parts[2], 'base64');
-  const buf = Buffer.from(parts[3], 'base64');
-  if (iv.length !== 12) throw new Error('Bad IV length');
-  if (buf.length < 17) throw new Error('Bad ciphertext length');
-
-  const ct = buf.slice(0, -16);
-  const tag = buf.slice(-16);
-
-  const decipher = crypto.createDecipheriv('aes-256-gcm', KEY, iv);
-  decipher.setAuthTag(tag);
-  const pt = Buffer.concat([decipher.update(ct), decipher.final()]);
-  return pt.toString('utf8');
+  // v1: no key id, try the active key first
+  for (const id of [ACTIVE_KEY_ID, ...KEYS.keys()].filter((k, i, a) => a.indexOf(k) === i)) {
+    try { return open(KEYS.get(id), iv, buf); } catch { /* wrong key */ }
+  }
+  throw new Error('No KMS key in the keyring decrypts this value');
 }
 
 function mask(val) {
@@ -83,7 +137,11 @@ function mask(val) {
 module.exports = {
   PREFIX,
   hasKey,
+  activeKeyId,
+  keyIds,
   isEncrypted,
+  keyIdOf,
+  needsRewrap,
   encrypt,
   decrypt,
   mask,
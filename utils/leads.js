@@ -0,0 +1,129 @@
+// utils/leads.js
+// Lead pipeline: statuses, dedupe keys and the intake merge.
+// A repeat visitor (same normalized email or phone) is folded into the
+// existing lead instead of creating a duplicate row.
+
+const LEAD_STATUSES = ['new', 'contacted', 'qualified', 'won', 'lost'];
+
+// Same rules as the backfill in the lead_pipeline migration
+function normalizeEmail(v) {
+  const s = String(v ?? '').trim().toLowerCase();
+  return s.indexOf('@') > 0 ? s : null;
+}
+
+function normalizePhone(v) {
+  const digits = String(v ?? '').replace(/\D/g, '');
+  return digits.length >= 7 ? digits : null;
+}
+
+const isBlankName = (n) => !n || !String(n).trim() || n === 'Unknown';
+
+// Fill gaps in `target` from an incoming lead item; returns the changed fields
+function mergeInto(target, item) {
+  const changed = {};
+  if (isBlankName(target.name) && !isBlankName(item.name)) changed.name = item.name;
+  if (!target.email && item.email) changed.email = item.email;
+  if (!target.phone && item.phone) changed.phone = item.phone;
+  if (!target.snippet && item.snippet) changed.snippet = item.snippet;
+  if (!target.sessionId && item.sessionId) changed.sessionId = item.sessionId;
+  if (!target.emailNorm && item.emailNorm) changed.emailNorm = item.emailNorm;
+  if (!target.phoneNorm && item.phoneNorm) changed.phoneNorm = item.phoneNorm;
+  const tags = [...new Set([...(target.tags || []), ...(item.tags || [])])];
+  if (tags.length !== (target.tags || []).length) changed.tags = tags;
+  const autoTags = [...new Set([...(target.autoTags || []), ...(item.autoTags || [])])];
+  if (autoTags.length !== (target.autoTags || []).length) changed.autoTags = autoTags;
+  Object.assign(target, changed);
+  return changed;
+}
+
+/**
+ * Create or merge intake leads inside an open transaction.
+ * entries = [{ index, item }] with item as produced by intake normalizeItem().
+ * Returns { created, merged } — created: new Lead rows; merged: [{ index, lead }].
+ */
+async function upsertIntakeLeads(tx, tenantId, entries) {
+  // Serialize lead intake per tenant so concurrent batches can't both insert
+  await tx.$queryRaw`SELECT 1 AS "locked" FROM pg_advisory_xact_lock(hashtext(${'leads:' + tenantId}))`;
+
+  const incoming = entries.map(({ index, item }) => ({
+    index,
+    item: { ...item, emailNorm: normalizeEmail(item.email), phoneNorm: normalizePhone(item.phone) }
+  }));
+
+  const emails = [...new Set(incoming.map(e => e.item.emailNorm).filter(Boolean))];
+  const phones = [...new Set(incoming.map(e => e.item.phoneNorm).filter(Boolean))];
+  const or = [];
+  if (emails.length) or.push({ emailNorm: { in: emails } });
+  if (phones.length) or.push({ phoneNorm: { in: phones } });
+  const existing = or.length
+    ? await tx.lead.findMany({ where: { tenantId, OR: or }, orderBy: { createdAt: 'asc' } })
+    : [];
+
+  // Oldest lead wins when several already share a key
+  const byEmail = new Map();
+  const byPhone = new Map();
+  const remember = (lead) => {
+    if (lead.emailNorm && !byEmail.has(lead.emailNorm)) byEmail.set(lead.emailNorm, lead);
+    if (lead.phoneNorm && !byPhone.has(lead.phoneNorm)) byPhone.set(lead.phoneNorm, lead);
+  };
+  existing.forEach(l => remember({ ...l, persisted: true, changes: {}, activities: [] }));
+
+  const fresh = []; // new leads (may absorb later items from the same batch)
+  const merged = [];
+  for (const { index, item } of incoming) {
+    const match = (item.emailNorm && byEmail.get(item.emailNorm)) || (item.phoneNorm && byPhone.get(item.phoneNorm));
+    if (!match) {
+      const lead = {
+        tenantId, sessionId: item.sessionId, name: item.name, email: item.email, phone: item.phone,
+        snippet: item.snippet, tags: item.tags, autoTags: item.autoTags || [],
+        emailNorm: item.emailNorm, phoneNorm: item.phoneNorm,
+        createdAt: item.at, persisted: false
+      };
+      fresh.push(lead);
+      remember(lead);
+      continue;
+    }
+
+    const changed = mergeInto(match, item);
+    remember(match);
+    merged.push({ index, lead: match });
+    if (!match.persisted) continue; // folded into a lead created by this batch
+
+    Object.assign(match.changes, changed);
+    match.activities.push({
+      tenantId,
+      leadId: match.id,
+      type: 'merged',
+      content: item.snippet || '',
+      data: { sessionId: item.sessionId, name: item.name, email: item.email, phone: item.phone },
+      createdAt: item.at
+    });
+  }
+
+  const created = fresh.length
+    ? await tx.lead.createManyAndReturn({
+      data: fresh.map(({ persisted, ...data }) => data)
+    })
+    : [];
+  // RETURNING comes back in VALUES order
+  fresh.forEach((lead, i) => { lead.id = created[i].id; });
+
+  const touched = [...new Set(merged.filter(m => m.lead.persisted).map(m => m.lead))];
+  for (const lead of touched) {
+    // bump updatedAt even when nothing new was learned
+    await tx.lead.update({ where: { id: lead.id }, data: { ...lead.changes, updatedAt: new Date() } });
+  }
+  const activities = touched.flatMap(l => l.activities);
+  if (activities.length) await tx.leadActivity.createMany({ data: activities });
+
+  return {
+    created,
+    // items folded into a lead created above are reported against it too
+    merged: merged.map(({ index, lead }) => {
+      const { persisted, changes, activities: _a, ...row } = lead;
+      return { index, lead: row };
+    })
+  };
+}
+
+module.exports = { LEAD_STATUSES, normalizeEmail, normalizePhone, upsertIntakeLeads };
@@ -0,0 +1,105 @@
+// utils/mailer.js
+// Outbound email through a tenant's own SMTP server (Tenant.smtp* fields;
+// smtpPass is stored encrypted, see utils/kms.js), plus the branded HTML
+// layout shared by every tenant email.
+
+const nodemailer = require('nodemailer');
+const { decrypt } = require('./kms');
+
+// Tenant columns the mailer needs
+const SMTP_SELECT = {
+  smtpHost: true, smtpPort: true, smtpUser: true, smtpPass: true,
+  emailFrom: true, emailTo: true
+};
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Tenant columns the branded layout needs
+const BRAND_SELECT = { name: true, brandColor: true, watermarkUrl: true, fontFamily: true };
+
+// Absolute base for links and relative logo paths (e.g. https://admin.example.com)
+const PORTAL_URL = String(process.env.PORTAL_URL || '').replace(/\/+$/, '');
+
+const escapeHtml = (s) => String(s ?? '').replace(/[&<>"']/g, c => (
+  { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]
+));
+
+// Only plain CSS colors / font stacks make it into inline styles
+const safeColor = (v, fallback) => (/^(#[0-9a-f]{3,8}|rgba?\([\d\s.,%]+\)|[a-z]+)$/i.test(String(v || '').trim()) ? String(v).trim() : fallback);
+const safeFont = (v) => (/^[\w\s,'"-]+$/.test(String(v || '')) ? String(v) : 'Arial, Helvetica, sans-serif');
+
+// Header / heading color: the tenant brand color when it is a plain CSS color
+function brandAccent(t) {
+  return safeColor(t.brandColor, '#6B705C');
+}
+
+function portalLink(path = '/portal') {
+  return PORTAL_URL ? `${PORTAL_URL}${path}` : null;
+}
+
+/**
+ * Wrap body HTML (already escaped by the caller) in the tenant's branded
+ * layout: brand color header bar, logo and name. Email clients only honour
+ * inline styles, so everything is inlined.
+ */
+function renderBranded(t, { title, bodyHtml }) {
+  const accent = brandAccent(t);
+  const font = safeFont(t.fontFamily);
+  let logo = t.watermarkUrl || '';
+  if (logo.startsWith('/')) logo = PORTAL_URL ? PORTAL_URL + logo : '';
+  if (!/^https:\/\//i.test(logo)) logo = ''; // mail clients block anything else anyway
+  const link = portalLink();
+
+  return `<!doctype html>
+<html><body style="margin:0;padding:0;background:#f4f4f4">
+  <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background:#f4f4f4;padding:24px 0">
+    <tr><td align="center">
+      <table role="presentation" width="600" cellpadding="0" cellspacing="0" style="max-width:600px;background:#ffffff;border-radius:8px;overflow:hidden;font-family:${escapeHtml(font)};color:#2c2c2c">
+        <tr><td style="background:${accent};padding:16px 24px;color:#ffffff;font-size:18px;font-weight:bold">
+          ${logo ? `<img src="${escapeHtml(logo)}" alt="" height="32" style="vertical-align:middle;margin-right:10px;border:0">` : ''}${escapeHtml(t.name)}
+        </td></tr>
+        <tr><td style="padding:24px">
+          <h1 style="margin:0 0 16px 0;font-size:20px;color:${accent}">${escapeHtml(title)}</h1>
+          ${bodyHtml}
+        </td></tr>
+        <tr><td style="padding:12px 24px;border-top:1px solid #eeeeee;font-size:12px;color:#888888">
+          Sent by the ${escapeHtml(t.name)} client portal${link ? ` · <a href="${escapeHtml(link)}" style="color:${accent}">Open the portal</a>` : ''}
+        </td></tr>
+      </table>
+    </td></tr>
+  </table>
+</body></html>`;
+}
+
+function isConfigured(t) {
+  return !!(t && t.smtpHost && t.emailFrom && t.emailTo);
+}
+
+function transportFor(t) {
+  const port = Number(t.smtpPort) || 587;
+  return nodemailer.createTransport({
+    host: t.smtpHost,
+    port,
+    secure: port === 465, // implicit TLS; other ports upgrade with STARTTLS
+    auth: t.smtpUser ? { user: t.smtpUser, pass: decrypt(t.smtpPass) || '' } : undefined,
+    connectionTimeout: 10_000,
+    greetingTimeout: 10_000,
+    socketTimeout: 20_000
+  });
+}
+
+/**
+ * Send one message with the tenant's SMTP settings.
+ * `to` defaults to Tenant.emailTo. Throws when SMTP isn't configured.
+ */
+async function sendTenantMail(t, { to, subject, text, html }) {
+  if (!isConfigured(t)) throw new Error('smtp_not_configured');
+  const transport = transportFor(t);
+  try {
+    return await transport.sendMail({ from: t.emailFrom, to: to || t.emailTo, subject, text, html });
+  } finally {
+    transport.close();
+  }
+}
+
+module.exports = { EMAIL_RE, SMTP_SELECT, BRAND_SELECT, escapeHtml, brandAccent, portalLink, renderBranded, isConfigured, sendTenantMail };
@@ -0,0 +1,99 @@
+// utils/metrics.js
+// Request / error counts and latency percentiles from Metric rows, computed
+// in SQL (percentile_cont) so no raw rows are pulled into Node.
+// A request is a 'success' or 'error' metric; latency samples are 'latency'.
+
+const { Prisma } = require('@prisma/client');
+
+const MAX_BUCKETS = 1000;
+// Default bucket sizes (seconds) for ?bucket= auto-selection, smallest first
+const NICE_BUCKETS = [10, 30, 60, 300, 900, 3600, 6 * 3600, 86400];
+
+const STATS = Prisma.sql`
+  COUNT(*) FILTER (WHERE "name" = 'success')::int AS "successCnt",
+  COUNT(*) FILTER (WHERE "name" = 'error')::int   AS "errorCnt",
+  COUNT(*) FILTER (WHERE "name" = 'latency')::int AS "latencyCnt",
+  AVG("value") FILTER (WHERE "name" = 'latency')  AS "avg",
+  percentile_cont(0.5)  WITHIN GROUP (ORDER BY "value") FILTER (WHERE "name" = 'latency') AS "p50",
+  percentile_cont(0.95) WITHIN GROUP (ORDER BY "value") FILTER (WHERE "name" = 'latency') AS "p95",
+  percentile_cont(0.99) WITHIN GROUP (ORDER BY "value") FILTER (WHERE "name" = 'latency') AS "p99"`;
+
+const ms = (v) => (v == null ? null : Math.round(Number(v)));
+
+const shapeStats = (r = {}) => ({
+  requests: (r.successCnt || 0) + (r.errorCnt || 0),
+  successes: r.successCnt || 0,
+  errors: r.errorCnt || 0,
+  latencySamples: r.latencyCnt || 0,
+  avgLatencyMs: ms(r.avg),
+  p50LatencyMs: ms(r.p50),
+  p95LatencyMs: ms(r.p95),
+  p99LatencyMs: ms(r.p99)
+});
+
+// UTC string bounds, so the session time zone never matters
+const ts = (d) => Prisma.sql`${d.toISOString()}::timestamp`;
+
+/**
+ * Totals for each tenant over [since, now). Returns Map tenantId → stats
+ * (tenants without metrics are absent).
+ */
+async function windowStats(prisma, tenantIds, since) {
+  if (!tenantIds.length) return new Map();
+  const rows = await prisma.$queryRaw`
+    SELECT "tenantId", ${STATS}
+    FROM "Metric"
+    WHERE "tenantId" IN (${Prisma.join(tenantIds)})
+      AND "name" IN ('success', 'error', 'latency')
+      AND "createdAt" >= ${ts(since)}
+    GROUP BY "tenantId"`;
+  return new Map(rows.map(r => [r.tenantId, shapeStats(r)]));
+}
+
+/**
+ * Parse ?bucket= (seconds, or 30s / 5m / 1h / 1d). Without one, picks the
+ * smallest nice size giving at most ~120 buckets. Returns { bucketSec } or { error }.
+ */
+function parseBucket(raw, spanMs) {
+  if (raw == null || raw === '') {
+    const bucketSec = NICE_BUCKETS.find(b => spanMs / (b * 1000) <= 120) || NICE_BUCKETS[NICE_BUCKETS.length - 1];
+    return { bucketSec };
+  }
+  const m = /^(\d+)\s*(s|m|h|d)?$/i.exec(String(raw).trim());
+  if (!m) return { error: 'bad_bucket' };
+  const bucketSec = Number(m[1]) * { s: 1, m: 60, h: 3600, d: 86400 }[(m[2] || 's').toLowerCase()];
+  if (bucketSec < 1) return { error: 'bad_bucket' };
+  if (spanMs / (bucketSec * 1000) > MAX_BUCKETS) return { error: 'too_many_buckets', max: MAX_BUCKETS };
+  return { bucketSec };
+}
+
+/**
+ * Per-bucket stats for [from, to). Buckets are aligned to multiples of
+ * bucketSec since the epoch (UTC) and zero-filled.
+ * Returns { bucketSec, series: [{ at, ...stats }], totals }.
+ */
+async function metricsSeries(prisma, { tenantId, from, to, bucketSec }) {
+  const where = Prisma.sql`
+    "tenantId" = ${tenantId}
+    AND "name" IN ('success', 'error', 'latency')
+    AND "createdAt" >= ${ts(from)} AND "createdAt" < ${ts(to)}`;
+  const [rows, [total]] = await Promise.all([
+    prisma.$queryRaw`
+      SELECT floor(extract(epoch FROM "createdAt") / ${bucketSec}::int)::bigint AS "bucket", ${STATS}
+      FROM "Metric"
+      WHERE ${where}
+      GROUP BY 1 ORDER BY 1`,
+    // window percentiles can't be derived from bucket percentiles
+    prisma.$queryRaw`SELECT ${STATS} FROM "Metric" WHERE ${where}`
+  ]);
+
+  const byBucket = new Map(rows.map(r => [Number(r.bucket), r]));
+  const step = bucketSec * 1000;
+  const series = [];
+  for (let t = Math.floor(from.getTime() / step) * step; t < to.getTime(); t += step) {
+    series.push({ at: new Date(t), ...shapeStats(byBucket.get(t / step)) });
+  }
+  return { bucketSec, series, totals: shapeStats(total) };
+}
+
+module.exports = { MAX_BUCKETS, windowStats, parseBucket, metricsSeries, shapeStats };
@@ -0,0 +1,236 @@
+// utils/mfa.js
+// TOTP second factor for portal sign-in (RFC 6238: SHA-1, 6 digits, 30 s),
+// one-time recovery codes and "remember this device" tokens.
+//
+// AdminUser.mfaSecret holds the base32 secret, encrypted with utils/kms.js;
+// enrollment writes mfaPendingSecret first and only moves it over once the
+// user has typed a valid code. mfaLastStep stops a code from being used twice.
+// Recovery codes and device tokens are stored as sha256 only.
+//
+//   MFA_ISSUER          label shown in authenticator apps (default "Solomon Admin")
+//   MFA_REMEMBER_DAYS   how long "remember this device" skips the code (default 30)
+
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const { encrypt, decrypt } = require('./kms');
+const { passwordStamp } = require('./sessions');
+
+const ISSUER = process.env.MFA_ISSUER || 'Solomon Admin';
+const REMEMBER_MS = Number(process.env.MFA_REMEMBER_DAYS || 30) * 24 * 60 * 60 * 1000;
+const STEP_SEC = 30;
+const DIGITS = 6;
+const WINDOW = 1;               // accept one step either side for clock drift
+const RECOVERY_CODE_COUNT = 10;
+const UA_MAX = 300;
+
+const B32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buf) {
+  let bits = 0, value = 0, out = '';
+  for (const byte of buf) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += B32[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += B32[(value << (5 - bits)) & 31];
+  return out;
+}
+
+function base32Decode(str) {
+  const clean = String(str).toUpperCase().replace(/=+$|\s/g, '');
+  let bits = 0, value = 0;
+  const out = [];
+  for (const ch of clean) {
+    const idx = B32.indexOf(ch);
+    if (idx === -1) throw new Error('Bad base32 character');
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(out);
+}
+
+const sha256 = (s) => crypto.createHash('sha256').update(String(s), 'utf8').digest('hex');
+
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20)); // 160 bits, as RFC 4226 recommends
+}
+
+function totp(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const h = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = h[h.length - 1] & 0xf;
+  const bin = (h.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return String(bin).padStart(DIGITS, '0');
+}
+
+/** Time step the code matches (within WINDOW), or null. */
+function matchStep(secret, code, now = Date.now()) {
+  const c = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(c)) return null;
+  const current = Math.floor(now / 1000 / STEP_SEC);
+  for (let d = -WINDOW; d <= WINDOW; d++) {
+    const expected = Buffer.from(totp(secret, current + d));
+    if (crypto.timingSafeEqual(expected, Buffer.from(c))) return current + d;
+  }
+  return null;
+}
+
+function otpauthUri(secret, account) {
+  const label = encodeURIComponent(`${ISSUER}:${account}`);
+  const q = new URLSearchParams({ secret, issuer: ISSUER, algorithm: 'SHA1', digits: String(DIGITS), period: String(STEP_SEC) });
+  return `otpauth://totp/${label}?${q.toString().replace(/\+/g, '%20')}`; // some apps show a literal +
+}
+
+// xxxxx-xxxxx from an unambiguous alphabet; stored as sha256 of the normalized form
+function generateRecoveryCodes(n = RECOVERY_CODE_COUNT) {
+  const alphabet = 'abcdefghjkmnpqrstuvwxyz23456789';
+  return Array.from({ length: n }, () => {
+    const chars = Array.from(crypto.randomBytes(10), b => alphabet[b % alphabet.length]).join('');
+    return `${chars.slice(0, 5)}-${chars.slice(5)}`;
+  });
+}
+
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+const hashRecoveryCode = (code) => sha256(normalizeRecoveryCode(code));
+
+/**
+ * Start (or restart) enrollment: a new pending secret, not active until
+ * confirmEnrollment. Returns { secret, otpauthUri, qrDataUrl }.
+ */
+async function startEnrollment(db, user) {
+  const secret = generateSecret();
+  await db.adminUser.update({ where: { id: user.id }, data: { mfaPendingSecret: encrypt(secret) } });
+  const uri = otpauthUri(secret, user.email);
+  return { secret, otpauthUri: uri, qrDataUrl: await QRCode.toDataURL(uri, { margin: 1, width: 220 }) };
+}
+
+/**
+ * Turn MFA on if `code` matches the pending secret. `user` needs
+ * mfaPendingSecret. Returns the plain recovery codes (shown once) or null.
+ */
+async function confirmEnrollment(db, user, code) {
+  if (!user.mfaPendingSecret) return null;
+  const step = matchStep(decrypt(user.mfaPendingSecret), code);
+  if (step == null) return null;
+  const codes = generateRecoveryCodes();
+  // only if the pending secret is still the one the code was checked against
+  const { count } = await db.adminUser.updateMany({
+    where: { id: user.id, mfaPendingSecret: user.mfaPendingSecret },
+    data: {
+      mfaSecret: user.mfaPendingSecret,
+      mfaPendingSecret: null,
+      mfaEnabledAt: new Date(),
+      mfaLastStep: step,
+      mfaRecoveryCodes: codes.map(hashRecoveryCode)
+    }
+  });
+  return count ? codes : null;
+}
+
+/**
+ * Check a TOTP code or a recovery code for an enrolled user (`user` needs
+ * id, mfaSecret, mfaRecoveryCodes). Each TOTP step and each recovery code
+ * works once. Returns { method: 'totp' | 'recovery', recoveryCodesLeft? } or null.
+ */
+async function verify(db, user, { code, recoveryCode }) {
+  if (!user.mfaSecret) return null;
+  if (code) {
+    const step = matchStep(decrypt(user.mfaSecret), code);
+    if (step == null) return null;
+    const { count } = await db.adminUser.updateMany({
+      where: { id: user.id, OR: [{ mfaLastStep: null }, { mfaLastStep: { lt: step } }] },
+      data: { mfaLastStep: step }
+    });
+    return count ? { method: 'totp' } : null;
+  }
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    if (!user.mfaRecoveryCodes.includes(hash)) return null;
+    const left = user.mfaRecoveryCodes.filter(h => h !== hash);
+    const { count } = await db.adminUser.updateMany({
+      where: { id: user.id, mfaRecoveryCodes: { has: hash } },
+      data: { mfaRecoveryCodes: left }
+    });
+    return count ? { method: 'recovery', recoveryCodesLeft: left.length } : null;
+  }
+  return null;
+}
+
+/** Replace the recovery codes; returns the new plain codes. */
+async function regenerateRecoveryCodes(db, userId) {
+  const codes = generateRecoveryCodes();
+  await db.adminUser.update({ where: { id: userId }, data: { mfaRecoveryCodes: codes.map(hashRecoveryCode) } });
+  return codes;
+}
+
+/** Turn MFA off and forget remembered devices (own disable and admin reset). */
+async function clear(db, userId) {
+  await db.$transaction([
+    db.adminUser.update({
+      where: { id: userId },
+      data: { mfaSecret: null, mfaPendingSecret: null, mfaEnabledAt: null, mfaLastStep: null, mfaRecoveryCodes: [] }
+    }),
+    db.mfaTrustedDevice.deleteMany({ where: { adminUserId: userId } })
+  ]);
+}
+
+/**
+ * "Remember this device": returns { token, expiresAt } for the cookie.
+ * `user` needs id and passwordHash; a new password forgets the device.
+ */
+async function rememberDevice(db, req, user) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + REMEMBER_MS);
+  await db.mfaTrustedDevice.create({
+    data: {
+      tokenHash: sha256(token),
+      adminUserId: user.id,
+      passwordStamp: passwordStamp(user.passwordHash),
+      ip: req.ip || null,
+      userAgent: req.get?.('user-agent')?.slice(0, UA_MAX) || null,
+      expiresAt
+    }
+  });
+  return { token, expiresAt };
+}
+
+/** True if `token` is a live remembered device of `user` (id, passwordHash). */
+async function isTrustedDevice(db, user, token) {
+  if (!token || typeof token !== 'string') return false;
+  const d = await db.mfaTrustedDevice.findUnique({ where: { tokenHash: sha256(token) } });
+  if (!d || d.adminUserId !== user.id || d.expiresAt <= new Date()) return false;
+  if (d.passwordStamp !== passwordStamp(user.passwordHash)) return false;
+  await db.mfaTrustedDevice.update({ where: { id: d.id }, data: { lastUsedAt: new Date() } });
+  return true;
+}
+
+// Job body: drop expired remembered devices
+async function pruneDevices(db) {
+  await db.mfaTrustedDevice.deleteMany({ where: { expiresAt: { lt: new Date() } } });
+}
+
+module.exports = {
+  REMEMBER_MS,
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  totp,
+  matchStep,
+  otpauthUri,
+  startEnrollment,
+  confirmEnrollment,
+  verify,
+  regenerateRecoveryCodes,
+  clear,
+  rememberDevice,
+  isTrustedDevice,
+  pruneDevices,
+};
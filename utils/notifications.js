@@ -0,0 +1,268 @@
+// utils/notifications.js
+// Tenant email notifications sent through the tenant's own SMTP settings
+// (utils/mailer.js): an instant email per intake batch of new leads, and
+// daily / weekly digests of conversations, leads, errors and spend. All of
+// them are opt-in via Tenant.settings (leadEmails, dailyDigest, weeklyDigest).
+//
+// Digest periods are UTC: a daily digest covers the previous day, a weekly
+// one the previous Monday–Sunday week. Each is sent at digestHourUTC once its
+// period has ended; an EmailDigest row per period makes that exactly-once
+// across replicas and job overlaps.
+
+const { readSettings } = require('./settings');
+const { DAY_MS, startOfUtcMonth } = require('./dateRange');
+const { monthSpend } = require('./budgets');
+const mailer = require('./mailer');
+
+const { escapeHtml: esc } = mailer;
+
+const LEAD_EMAIL_MAX = 20;    // leads listed in one new-lead email
+const DIGEST_TOP = 10;        // newest leads / most frequent errors in a digest
+const DIGEST_LATE_MS = 6 * 60 * 60 * 1000; // skip a digest more than 6h overdue (downtime, or just enabled)
+
+const usd = (n) => `$${Number(n || 0).toFixed(2)}`;
+const count = (n) => Number(n || 0).toLocaleString('en-US');
+const day = (d) => d.toISOString().slice(0, 10);
+
+const TENANT_SELECT = { id: true, settings: true, ...mailer.SMTP_SELECT, ...mailer.BRAND_SELECT };
+
+/* ----------------------------- Templates ----------------------------- */
+const P = 'margin:0 0 12px 0;font-size:14px;line-height:1.5';
+const TH = 'text-align:left;padding:6px 8px;border-bottom:1px solid #dddddd;font-size:12px;color:#666666';
+const TD = 'padding:6px 8px;border-bottom:1px solid #eeeeee;font-size:14px;vertical-align:top';
+
+// `head` may be null for a plain label/value table
+function htmlTable(head, rows) {
+  return `<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="border-collapse:collapse;margin:0 0 16px 0">
+    ${head ? `<tr>${head.map(h => `<th style="${TH}">${esc(h)}</th>`).join('')}</tr>` : ''}
+    ${rows.map(r => `<tr>${r.map(c => `<td style="${TD}">${esc(c)}</td>`).join('')}</tr>`).join('\n    ')}
+  </table>`;
+}
+
+const h2 = (t, s) => `<h2 style="margin:20px 0 8px 0;font-size:16px;color:${mailer.brandAccent(t)}">${esc(s)}</h2>`;
+
+function portalLine() {
+  const link = mailer.portalLink();
+  return link ? ['', `Open the portal: ${link}`] : [];
+}
+
+/* ------------------------------ New leads ----------------------------- */
+function leadEmail(t, leads) {
+  const shown = leads.slice(0, LEAD_EMAIL_MAX);
+  const more = leads.length - shown.length;
+  const first = leads[0];
+  const subject = leads.length === 1
+    ? `[${t.name}] New lead: ${first.name || first.email || first.phone || 'unnamed'}`
+    : `[${t.name}] ${leads.length} new leads`;
+
+  const text = [
+    `${leads.length === 1 ? 'A new lead was' : `${leads.length} new leads were`} captured by ${t.name}:`,
+    '',
+    ...shown.flatMap(l => [
+      `- ${l.name || '(no name)'}`,
+      `  Email: ${l.email || '-'}   Phone: ${l.phone || '-'}`,
+      ...(l.snippet ? [`  "${l.snippet}"`] : [])
+    ]),
+    ...(more > 0 ? ['', `…and ${more} more.`] : []),
+    ...portalLine()
+  ].join('\n');
+
+  const html = mailer.renderBranded(t, {
+    title: leads.length === 1 ? 'New lead' : `${leads.length} new leads`,
+    bodyHtml: [
+      htmlTable(['Name', 'Email', 'Phone', 'Message'], shown.map(l => [l.name || '(no name)', l.email, l.phone, l.snippet])),
+      more > 0 ? `<p style="${P}">…and ${more} more.</p>` : ''
+    ].join('\n')
+  });
+  return { subject, text, html };
+}
+
+/**
+ * Email the tenant about leads intake just created. Runs after the intake
+ * transaction commits; failures are logged, never thrown.
+ */
+async function notifyNewLeads(prisma, tenantId, leads) {
+  if (!leads.length) return;
+  try {
+    const t = await prisma.tenant.findUnique({ where: { id: tenantId }, select: TENANT_SELECT });
+    if (!t || !readSettings(t.settings).leadEmails || !mailer.isConfigured(t)) return;
+    await mailer.sendTenantMail(t, leadEmail(t, leads));
+  } catch (e) {
+    console.error('lead_email_error', tenantId, e.message);
+  }
+}
+
+/* ------------------------------- Digests ------------------------------ */
+function startOfUtcDay(d) {
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+}
+
+/**
+ * The most recent period of `kind` whose send time (period end +
+ * digestHourUTC) has passed: { periodStart, periodEnd, sendAt }.
+ */
+function duePeriod(kind, hourUTC, now = new Date()) {
+  const shifted = new Date(now.getTime() - hourUTC * 60 * 60 * 1000);
+  let periodEnd = startOfUtcDay(shifted);
+  let length = DAY_MS;
+  if (kind === 'weekly') {
+    periodEnd = new Date(periodEnd.getTime() - ((periodEnd.getUTCDay() + 6) % 7) * DAY_MS); // back to Monday
+    length = 7 * DAY_MS;
+  }
+  return {
+    periodStart: new Date(periodEnd.getTime() - length),
+    periodEnd,
+    sendAt: new Date(periodEnd.getTime() + hourUTC * 60 * 60 * 1000)
+  };
+}
+
+async function digestData(prisma, tenantId, from, to) {
+  const range = { gte: from, lt: to };
+  const errorWhere = { tenantId, type: { startsWith: 'error:' }, createdAt: range };
+  const [conversations, messages, leadCount, leads, errorCount, topErrors, usage, mtd] = await Promise.all([
+    prisma.conversation.count({ where: { tenantId, startedAt: range } }),
+    prisma.message.count({ where: { createdAt: range, conversation: { tenantId } } }),
+    prisma.lead.count({ where: { tenantId, createdAt: range } }),
+    prisma.lead.findMany({
+      where: { tenantId, createdAt: range },
+      orderBy: { createdAt: 'desc' },
+      take: DIGEST_TOP,
+      select: { name: true, email: true, phone: true, status: true, createdAt: true }
+    }),
+    prisma.event.count({ where: errorWhere }),
+    prisma.event.groupBy({
+      by: ['content'],
+      where: errorWhere,
+      _count: { _all: true },
+      orderBy: { _count: { content: 'desc' } },
+      take: DIGEST_TOP
+    }),
+    // rollup days are whole UTC days, and so are digest periods
+    prisma.usageDaily.aggregate({
+      where: { tenantId, day: range },
+      _sum: { cost: true, requests: true, promptTokens: true, completionTokens: true }
+    }),
+    monthSpend(prisma, tenantId, startOfUtcMonth(new Date(to.getTime() - 1)))
+  ]);
+  return {
+    conversations,
+    messages,
+    leadCount,
+    leads,
+    errorCount,
+    topErrors: topErrors.map(e => ({ message: e.content, count: e._count._all })),
+    spendUSD: Number(usage._sum.cost || 0),
+    requests: Number(usage._sum.requests || 0),
+    tokens: Number(usage._sum.promptTokens || 0) + Number(usage._sum.completionTokens || 0),
+    monthSpendUSD: mtd
+  };
+}
+
+function digestEmail(t, kind, { periodStart, periodEnd }, d) {
+  const label = kind === 'weekly' ? 'Weekly' : 'Daily';
+  const lastDay = new Date(periodEnd.getTime() - DAY_MS);
+  const span = kind === 'weekly' ? `${day(periodStart)} – ${day(lastDay)}` : day(periodStart);
+  const budgetUSD = readSettings(t.settings).monthlyBudgetUSD;
+  const monthLine = `${usd(d.monthSpendUSD)}${budgetUSD ? ` of ${usd(budgetUSD)} budget` : ''}`;
+
+  const stats = [
+    ['Conversations started', count(d.conversations)],
+    ['Messages', count(d.messages)],
+    ['New leads', count(d.leadCount)],
+    ['Errors', count(d.errorCount)],
+    ['AI spend', `${usd(d.spendUSD)} (${count(d.requests)} requests, ${count(d.tokens)} tokens)`],
+    ['Month to date', monthLine]
+  ];
+
+  const text = [
+    `${label} summary for ${t.name}, ${span} (UTC)`,
+    '',
+    ...stats.map(([k, v]) => `${k}: ${v}`),
+    ...(d.leads.length ? ['', 'Newest leads:', ...d.leads.map(l => `- ${l.name || '(no name)'} <${l.email || '-'}> ${l.phone || ''} [${l.status}]`)] : []),
+    ...(d.topErrors.length ? ['', 'Most frequent errors:', ...d.topErrors.map(e => `- ${e.count}× ${e.message}`)] : []),
+    ...portalLine()
+  ].join('\n');
+
+  const html = mailer.renderBranded(t, {
+    title: `${label} summary · ${span}`,
+    bodyHtml: [
+      htmlTable(null, stats),
+      d.leads.length ? h2(t, 'Newest leads') + htmlTable(['Name', 'Email', 'Phone', 'Status'], d.leads.map(l => [l.name || '(no name)', l.email, l.phone, l.status])) : '',
+      d.topErrors.length ? h2(t, 'Most frequent errors') + htmlTable(['Count', 'Error'], d.topErrors.map(e => [e.count, e.message])) : ''
+    ].join('\n')
+  });
+
+  return { subject: `[${t.name}] ${label} summary: ${span}`, text, html };
+}
+
+async function sendDigest(prisma, t, kind, period) {
+  // claim the period; a duplicate means another run already has it
+  const [row] = await prisma.emailDigest.createManyAndReturn({
+    data: [{ tenantId: t.id, kind, periodStart: period.periodStart, periodEnd: period.periodEnd }],
+    skipDuplicates: true
+  });
+  if (!row) return;
+  try {
+    const data = await digestData(prisma, t.id, period.periodStart, period.periodEnd);
+    await mailer.sendTenantMail(t, digestEmail(t, kind, period, data));
+    await prisma.emailDigest.update({ where: { id: row.id }, data: { sentAt: new Date() } });
+  } catch (e) {
+    console.error('digest_email_error', t.id, kind, e.message);
+    await prisma.emailDigest.update({ where: { id: row.id }, data: { error: String(e.message).slice(0, 500) } });
+  }
+}
+
+/**
+ * Job body: send every digest that is due, for at most `budgetMs`. Missed
+ * periods are not backfilled beyond DIGEST_LATE_MS.
+ */
+async function runDigests(prisma, { now = new Date(), budgetMs = 20_000 } = {}) {
+  const deadline = Date.now() + budgetMs;
+  const tenants = await prisma.tenant.findMany({
+    where: { smtpHost: { not: null }, emailFrom: { not: null }, emailTo: { not: null } },
+    select: TENANT_SELECT
+  });
+  for (const t of tenants) {
+    if (!mailer.isConfigured(t)) continue;
+    const s = readSettings(t.settings);
+    for (const kind of ['daily', 'weekly']) {
+      if (!s[`${kind}Digest`]) continue;
+      const period = duePeriod(kind, s.digestHourUTC, now);
+      if (now - period.sendAt > DIGEST_LATE_MS) continue;
+      if (Date.now() > deadline) return;
+      await sendDigest(prisma, t, kind, period);
+    }
+  }
+}
+
+/* ------------------------------ Test email ----------------------------- */
+/**
+ * Send a branded test message with the tenant's saved SMTP settings, to
+ * `to` or Tenant.emailTo. Throws on SMTP errors so the caller can show them.
+ */
+async function sendTestEmail(prisma, tenantId, to) {
+  const t = await prisma.tenant.findUnique({ where: { id: tenantId }, select: TENANT_SELECT });
+  if (!t) throw new Error('tenant_not_found');
+  const lines = [
+    `This is a test message from the ${t.name} client portal.`,
+    `SMTP server: ${t.smtpHost}:${Number(t.smtpPort) || 587}`,
+    `From: ${t.emailFrom}`
+  ];
+  return mailer.sendTenantMail(t, {
+    to,
+    subject: `[${t.name}] Test email`,
+    text: [...lines, '', 'If you received this, lead notifications and digests will be delivered.'].join('\n'),
+    html: mailer.renderBranded(t, {
+      title: 'Test email',
+      bodyHtml: [...lines, 'If you received this, lead notifications and digests will be delivered.']
+        .map(l => `<p style="${P}">${esc(l)}</p>`).join('\n')
+    })
+  });
+}
+
+module.exports = {
+  notifyNewLeads,
+  duePeriod,
+  runDigests,
+  sendTestEmail,
+};
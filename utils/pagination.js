@@ -0,0 +1,36 @@
+// utils/pagination.js
+// Opaque keyset cursors for "newest first" style listings.
+// A cursor is base64url(JSON) of the last row's sort key: { at, id }.
+
+function encodeCursor(obj) {
+  return Buffer.from(JSON.stringify(obj), 'utf8').toString('base64url');
+}
+
+/**
+ * Decode a cursor made by encodeCursor. Returns { at: Date, id: string }, or
+ * null for anything else (callers answer 400 bad_cursor), so a tampered or
+ * stale cursor never reaches the query as an Invalid Date or undefined id.
+ */
+function decodeCursor(raw) {
+  if (!raw) return null;
+  let obj;
+  try {
+    obj = JSON.parse(Buffer.from(String(raw), 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+  if (!obj || typeof obj !== 'object') return null;
+  if (typeof obj.id !== 'string' || !obj.id) return null;
+  if (typeof obj.at !== 'string' && typeof obj.at !== 'number') return null;
+  const at = new Date(obj.at);
+  if (Number.isNaN(at.getTime())) return null;
+  return { at, id: obj.id };
+}
+
+function clampLimit(raw, fallback, max) {
+  const n = Math.floor(Number(raw));
+  if (!Number.isFinite(n) || n <= 0) return fallback;
+  return Math.min(n, max);
+}
+
+module.exports = { encodeCursor, decodeCursor, clampLimit };
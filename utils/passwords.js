@@ -0,0 +1,66 @@
+// utils/passwords.js
+// Password policy and hashing for portal accounts (AdminUser.passwordHash).
+// Used wherever a password is chosen: accepting an invite, resetting a
+// forgotten password and changing it while signed in. Existing passwords are
+// not re-checked at sign-in.
+//
+//   PASSWORD_MIN_LENGTH   minimum length in characters (default 12)
+//
+// Length is what matters most, so the rules stay short: long enough, not a
+// well-known password, not the email address, not one repeated character.
+// bcrypt ignores everything past 72 bytes, so longer passwords are refused
+// rather than silently truncated.
+
+const bcrypt = require('bcryptjs');
+
+const MIN_LENGTH = Math.max(8, Number(process.env.PASSWORD_MIN_LENGTH || 12));
+const MAX_BYTES = 72;
+const BCRYPT_ROUNDS = 12;
+const MIN_DISTINCT = 5; // "aaaaaaaaaaab", "abababababab"
+
+// Most common passwords (and their keyboard walks), lowercase. Also matched
+// with trailing digits / punctuation stripped, so "Password2024!" is caught.
+const COMMON = new Set([
+  'password', 'passw0rd', 'p@ssword', 'p@ssw0rd', 'admin', 'administrator', 'letmein', 'welcome',
+  'qwerty', 'qwertyuiop', 'asdfghjkl', 'zxcvbnm', 'azerty', '123456', '12345678', '123456789',
+  '1234567890', '0987654321', '111111', '000000', 'iloveyou', 'monkey', 'dragon', 'sunshine',
+  'princess', 'football', 'baseball', 'superman', 'trustno1', 'changeme', 'secret', 'master',
+  'login', 'abc123', 'abcdef', 'abcdefgh', 'qwe123', 'qazwsx', '1q2w3e4r', '1qaz2wsx',
+  'solomon', 'portal', 'default'
+]);
+
+const stripAffixes = (s) => s.replace(/[\d\W_]+$/, '').replace(/^[\d\W_]+/, '');
+
+/**
+ * Problems with a candidate password, [] when it is acceptable. `email`
+ * (optional) is the account's address; its local part may not be the
+ * password. Codes: too_short, too_long, too_common, contains_email, too_simple.
+ */
+function checkPassword(password, { email } = {}) {
+  const pw = String(password ?? '');
+  const problems = [];
+  if ([...pw].length < MIN_LENGTH) problems.push('too_short');
+  if (Buffer.byteLength(pw, 'utf8') > MAX_BYTES) problems.push('too_long');
+
+  const lower = pw.toLowerCase();
+  if (COMMON.has(lower) || COMMON.has(stripAffixes(lower))) problems.push('too_common');
+
+  const local = String(email || '').toLowerCase().split('@')[0];
+  if (local.length >= 3 && lower.includes(local)) problems.push('contains_email');
+
+  if (new Set(pw).size < MIN_DISTINCT) problems.push('too_simple');
+  return problems;
+}
+
+// Shape of the 400 response for a rejected password
+const policyError = (problems) => ({ error: 'weak_password', problems, minLength: MIN_LENGTH });
+
+const hashPassword = (password) => bcrypt.hash(String(password), BCRYPT_ROUNDS);
+
+module.exports = {
+  MIN_LENGTH,
+  MAX_BYTES,
+  checkPassword,
+  policyError,
+  hashPassword,
+};
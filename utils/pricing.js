@@ -0,0 +1,279 @@
+// utils/pricing.js
+// Per-tenant model price catalog (ModelPrice) and usage cost math.
+// Rates are USD per 1K tokens and versioned by effectiveFrom: a usage row is
+// priced with the latest version in force at its createdAt. Cached tokens
+// are billed on their own, on top of prompt and completion tokens.
+
+const { Prisma } = require('@prisma/client');
+const { parseDate } = require('./dateRange');
+const { addCostDeltas } = require('./usageRollups');
+
+const RATE_FIELDS = ['promptPer1K', 'completionPer1K', 'cachedPer1K'];
+const MAX_MODEL_LEN = 200;
+
+// A bot-reported cost within 1% (or a hundredth of a cent) of the catalog
+// price counts as agreeing
+const COST_TOLERANCE_REL = 0.01;
+const COST_TOLERANCE_ABS = 0.0001;
+
+function toNum(v) { const n = Number(v); return Number.isFinite(n) ? n : undefined; }
+
+function canonicalizeBreakdownFromPayload(u = {}) {
+  const bd = u.breakdown || {};
+
+  // accept multiple spellings
+  const promptUSD     = toNum(bd.promptUSD ?? bd.prompt_usd ?? bd.prompt);
+  const completionUSD = toNum(bd.completionUSD ?? bd.completion_usd ?? bd.completion);
+  const cachedUSD     = toNum(bd.cachedUSD ?? bd.cached_usd ?? bd.cached);
+
+  if ([promptUSD, completionUSD, cachedUSD].some(v => v != null)) {
+    return {
+      promptUSD:     promptUSD ?? 0,
+      completionUSD: completionUSD ?? 0,
+      cachedUSD:     cachedUSD ?? 0
+    };
+  }
+
+  // derive if breakdown missing but totals exist
+  const pt = toNum(u.prompt_tokens)     ?? toNum(u.promptTokens)     ?? 0;
+  const ct = toNum(u.completion_tokens) ?? toNum(u.completionTokens) ?? 0;
+  const kt = toNum(u.cached_tokens)     ?? toNum(u.cachedTokens)     ?? 0;
+  const totalTok = pt + ct + kt;
+
+  const totalCost = toNum(u.costUSD) ?? toNum(u.cost) ?? 0;
+
+  if (totalCost > 0 && totalTok > 0) {
+    return {
+      promptUSD:     totalCost * (pt / totalTok),
+      completionUSD: totalCost * (ct / totalTok),
+      cachedUSD:     totalCost * (kt / totalTok)
+    };
+  }
+  return null; // no info
+}
+
+// Prompt/completion/cached cost split for a stored Usage row
+function splitUsageCost(u) {
+  return canonicalizeBreakdownFromPayload({
+    breakdown: u.breakdown || undefined,
+    prompt_tokens: u.promptTokens,
+    completion_tokens: u.completionTokens,
+    cached_tokens: u.cachedTokens,
+    costUSD: u.cost
+  });
+}
+
+/* ----------------------------- Catalog ---------------------------- */
+
+/**
+ * Load a tenant's price versions (optionally only for `models`).
+ * Returns Map model → versions, newest effectiveFrom first.
+ */
+async function loadCatalog(db, tenantId, models) {
+  const rows = await db.modelPrice.findMany({
+    where: { tenantId, ...(models ? { model: { in: [...new Set(models)] } } : {}) },
+    orderBy: { effectiveFrom: 'desc' }
+  });
+  const catalog = new Map();
+  for (const r of rows) {
+    if (!catalog.has(r.model)) catalog.set(r.model, []);
+    catalog.get(r.model).push(r);
+  }
+  return catalog;
+}
+
+// Version in force for `model` at `at`, or null
+function priceAt(catalog, model, at) {
+  const versions = catalog.get(model) || [];
+  return versions.find(v => v.effectiveFrom <= at) || null;
+}
+
+// { cost, breakdown } for token counts at the given rates
+function priceTokens(price, { promptTokens = 0, completionTokens = 0, cachedTokens = 0 }) {
+  const breakdown = {
+    promptUSD:     (promptTokens / 1000) * price.promptPer1K,
+    completionUSD: (completionTokens / 1000) * price.completionPer1K,
+    cachedUSD:     (cachedTokens / 1000) * price.cachedPer1K
+  };
+  return { cost: breakdown.promptUSD + breakdown.completionUSD + breakdown.cachedUSD, breakdown };
+}
+
+function costsAgree(reported, computed) {
+  return Math.abs(reported - computed) <= Math.max(COST_TOLERANCE_ABS, computed * COST_TOLERANCE_REL);
+}
+
+// Public shape for the portal (rates only, no tenant internals)
+const shapePrice = (p) => p && ({
+  id: p.id,
+  model: p.model,
+  promptPer1K: p.promptPer1K,
+  completionPer1K: p.completionPer1K,
+  cachedPer1K: p.cachedPer1K,
+  effectiveFrom: p.effectiveFrom,
+  updatedAt: p.updatedAt
+});
+
+/**
+ * Validate a create/update body. Returns { data } or { error }.
+ * `partial` allows fields to be omitted (PATCH).
+ */
+function validatePriceInput(body = {}, { partial = false } = {}) {
+  const data = {};
+  if (body.model !== undefined || !partial) {
+    const model = String(body.model ?? '').trim();
+    if (!model) return { error: 'missing_model' };
+    if (model.length > MAX_MODEL_LEN) return { error: 'model_too_long' };
+    data.model = model;
+  }
+  for (const field of RATE_FIELDS) {
+    if (body[field] === undefined || body[field] === '') {
+      if (partial) continue;
+      if (field === 'cachedPer1K') { data[field] = 0; continue; }
+      return { error: 'missing_rate', field };
+    }
+    const n = toNum(body[field]);
+    if (n == null || n < 0) return { error: 'bad_rate', field };
+    data[field] = n;
+  }
+  if (body.effectiveFrom !== undefined || !partial) {
+    const at = parseDate(body.effectiveFrom);
+    if (at === undefined) return { error: 'bad_date' };
+    data.effectiveFrom = at || new Date();
+  }
+  return { data };
+}
+
+/* ----------------------------- Reprice ---------------------------- */
+const REPRICE_CHUNK = 500;
+
+/**
+ * Queue (or restart) a reprice of the tenant's usage from `since`. A run
+ * that hasn't finished yet is widened to cover both ranges.
+ */
+async function requestReprice(db, tenantId, since) {
+  // UTC strings, so the session time zone never matters
+  const [row] = await db.$queryRaw`
+    INSERT INTO "UsageReprice" ("tenantId", "requestedAt", "since")
+    VALUES (${tenantId}, ${new Date().toISOString()}::timestamp, ${since.toISOString()}::timestamp)
+    ON CONFLICT ("tenantId") DO UPDATE SET
+      "since" = CASE WHEN "UsageReprice"."finishedAt" IS NULL
+                     THEN LEAST("UsageReprice"."since", EXCLUDED."since")
+                     ELSE EXCLUDED."since" END,
+      "requestedAt" = EXCLUDED."requestedAt",
+      "startedAt" = NULL, "finishedAt" = NULL, "cursor" = NULL, "repriced" = 0, "error" = NULL
+    RETURNING *`;
+  return row;
+}
+
+// What a stored row should hold under the current catalog, or null to leave it
+function repriceRow(catalog, u) {
+  const price = priceAt(catalog, u.model, u.createdAt);
+  if (price) return { priceId: price.id, ...priceTokens(price, u) };
+  // no longer priced: fall back to what the bot reported
+  if (u.priceId) return { priceId: null, cost: u.reportedCost ?? 0, breakdown: null };
+  return null;
+}
+
+const sameSplit = (a, b) => !a === !b && (!a || (
+  a.promptUSD === b.promptUSD && a.completionUSD === b.completionUSD && a.cachedUSD === b.cachedUSD
+));
+
+/**
+ * Reprice one chunk of a tenant's usage. Returns false when the run is
+ * finished (or was superseded by a newer request).
+ */
+async function repriceChunk(prisma, job, catalog) {
+  const rows = await prisma.usage.findMany({
+    where: { tenantId: job.tenantId, createdAt: { gte: job.since }, ...(job.cursor ? { id: { gt: job.cursor } } : {}) },
+    orderBy: { id: 'asc' },
+    take: REPRICE_CHUNK
+  });
+
+  const changed = [];
+  for (const u of rows) {
+    const next = repriceRow(catalog, u);
+    if (!next) continue;
+    if (next.cost === u.cost && next.priceId === u.priceId && sameSplit(next.breakdown, u.breakdown)) continue;
+    changed.push({ before: u, after: { ...u, ...next } });
+  }
+
+  const last = rows[rows.length - 1];
+  const next = last ? { cursor: last.id } : { cursor: null, finishedAt: new Date() };
+  const startedAt = job.startedAt || new Date();
+
+  return prisma.$transaction(async (tx) => {
+    // a newer request wins; its row lock also keeps it from interleaving with this chunk
+    const { count } = await tx.usageReprice.updateMany({
+      where: { tenantId: job.tenantId, requestedAt: job.requestedAt },
+      data: { ...next, repriced: { increment: changed.length }, startedAt }
+    });
+    if (!count) return false;
+
+    if (changed.length) {
+      const values = changed.map(({ after: a }) => Prisma.sql`(
+        ${a.id}, ${a.cost}::double precision,
+        ${a.breakdown ? JSON.stringify(a.breakdown) : null}::jsonb, ${a.priceId}::text
+      )`);
+      await tx.$executeRaw`
+        UPDATE "Usage" u
+        SET "cost" = v."cost", "breakdown" = v."breakdown", "priceId" = v."priceId"
+        FROM (VALUES ${Prisma.join(values)}) AS v("id", "cost", "breakdown", "priceId")
+        WHERE u."id" = v."id"`;
+
+      // Rollups keep their request/token counts; only the cost moves
+      await addCostDeltas(tx, job.tenantId, changed.map(({ before, after }) => {
+        const was = splitUsageCost(before) || { promptUSD: 0, completionUSD: 0, cachedUSD: 0 };
+        const now = splitUsageCost(after) || { promptUSD: 0, completionUSD: 0, cachedUSD: 0 };
+        return {
+          createdAt: before.createdAt,
+          model: before.model,
+          cost: after.cost - before.cost,
+          promptUSD: now.promptUSD - was.promptUSD,
+          completionUSD: now.completionUSD - was.completionUSD,
+          cachedUSD: now.cachedUSD - was.cachedUSD
+        };
+      }));
+    }
+
+    Object.assign(job, next, { startedAt });
+    return !next.finishedAt;
+  });
+}
+
+/**
+ * Job body: work through pending reprices, oldest request first, for at
+ * most `budgetMs`. Progress is saved per chunk so runs resume where they
+ * stopped.
+ */
+async function runReprices(prisma, { budgetMs = 20_000 } = {}) {
+  const deadline = Date.now() + budgetMs;
+  const jobs = await prisma.usageReprice.findMany({ where: { finishedAt: null }, orderBy: { requestedAt: 'asc' } });
+  for (const job of jobs) {
+    try {
+      const catalog = await loadCatalog(prisma, job.tenantId);
+      while (Date.now() < deadline && await repriceChunk(prisma, job, catalog)) { /* next chunk */ }
+    } catch (e) {
+      console.error('usage_reprice_error', job.tenantId, e);
+      await prisma.usageReprice.updateMany({
+        where: { tenantId: job.tenantId, requestedAt: job.requestedAt },
+        data: { error: String(e.message || e).slice(0, 500), finishedAt: new Date() }
+      });
+    }
+    if (Date.now() >= deadline) break;
+  }
+}
+
+module.exports = {
+  RATE_FIELDS,
+  toNum,
+  canonicalizeBreakdownFromPayload,
+  splitUsageCost,
+  loadCatalog,
+  priceAt,
+  priceTokens,
+  costsAgree,
+  shapePrice,
+  validatePriceInput,
+  requestReprice,
+  runReprices,
+};
@@ -0,0 +1,55 @@
+// utils/publicHost.js
+// Outbound requests to tenant-supplied URLs must stay on the public internet.
+// A host that resolves to loopback, a private network, link-local (which
+// includes the cloud metadata service at 169.254.169.254) or another
+// reserved range would let a tenant reach our own network from the server.
+// Check when the URL is saved and again right before each request: DNS
+// answers can change in between.
+
+const dns = require('dns');
+const net = require('net');
+
+const BLOCKED = new net.BlockList();
+for (const [prefix, bits] of [
+  ['0.0.0.0', 8],        // "this" network
+  ['10.0.0.0', 8],       // private
+  ['100.64.0.0', 10],    // carrier-grade NAT
+  ['127.0.0.0', 8],      // loopback
+  ['169.254.0.0', 16],   // link-local, cloud metadata
+  ['172.16.0.0', 12],    // private
+  ['192.0.0.0', 24],     // IETF protocol assignments
+  ['192.168.0.0', 16],   // private
+  ['198.18.0.0', 15],    // benchmarking
+  ['224.0.0.0', 3],      // multicast and reserved, up to 255.255.255.255
+]) BLOCKED.addSubnet(prefix, bits, 'ipv4');
+for (const [prefix, bits] of [
+  ['::', 127],           // unspecified and loopback
+  ['64:ff9b::', 96],     // NAT64, embeds an IPv4 address
+  ['fc00::', 7],         // unique local
+  ['fe80::', 10],        // link-local
+  ['ff00::', 8],         // multicast
+]) BLOCKED.addSubnet(prefix, bits, 'ipv6');
+// IPv4-mapped IPv6 (::ffff:10.0.0.1) is matched against the IPv4 ranges
+
+function isPrivateAddress(ip) {
+  const family = net.isIP(ip);
+  return !family || BLOCKED.check(ip, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Resolve the URL's host and throw unless every address is public. DNS
+ * errors propagate as is (e.code ENOTFOUND etc.); a private address throws
+ * with e.code 'private_address'.
+ */
+async function assertPublicHost(url) {
+  const host = new URL(url).hostname.replace(/^\[(.*)\]$/, '$1');
+  const addrs = await dns.promises.lookup(host, { all: true, verbatim: true });
+  const bad = addrs.find(a => isPrivateAddress(a.address));
+  if (bad) {
+    const e = new Error(`${host} resolves to a non-public address (${bad.address})`);
+    e.code = 'private_address';
+    throw e;
+  }
+}
+
+module.exports = { isPrivateAddress, assertPublicHost };
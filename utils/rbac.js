@@ -0,0 +1,73 @@
+// utils/rbac.js
+// Role → permission map for AdminUser accounts.
+// Roles are ordered from most to least privileged; a role never gains a
+// permission it isn't listed for here.
+
+const ROLES = ['owner', 'admin', 'analyst', 'viewer'];
+const DEFAULT_ROLE = 'viewer';
+
+const PERMISSIONS = {
+  // Dashboard: status, events, errors, metrics, branding config
+  'dashboard:read':     ['owner', 'admin', 'analyst', 'viewer'],
+  'usage:read':         ['owner', 'admin', 'analyst', 'viewer'],
+
+  // Sales / support data
+  'leads:read':         ['owner', 'admin', 'analyst'],
+  'leads:write':        ['owner', 'admin', 'analyst'], // status, owner, notes
+  'conversations:read': ['owner', 'admin', 'analyst'],
+
+  // Tenant configuration
+  'secrets:read':       ['owner', 'admin'],   // masked values only
+  'secrets:write':      ['owner', 'admin'],
+  'intake_keys:manage': ['owner', 'admin'],
+  'settings:write':     ['owner', 'admin'],
+  'tags:manage':        ['owner', 'admin'],   // TagDictionary + re-tag runs
+  'pricing:manage':     ['owner', 'admin'],   // ModelPrice catalog + reprice runs
+  'alerts:manage':      ['owner', 'admin'],   // AlertRule definitions and channels
+  'webhooks:manage':    ['owner', 'admin'],   // outbound endpoints, delivery log, redeliver
+  'audit:read':         ['owner', 'admin'],   // audit log viewer and export
+  'users:read':         ['owner', 'admin'],   // team list with MFA status
+  'mfa:reset':          ['owner', 'admin'],   // another user's MFA, never a higher role's
+  'users:manage':       ['owner'],           // invite, change roles, deactivate and remove users
+};
+
+function isRole(role) { return ROLES.includes(role); }
+
+function normalizeRole(role) {
+  const r = String(role || '').toLowerCase();
+  return isRole(r) ? r : DEFAULT_ROLE;
+}
+
+function can(role, permission) {
+  const allowed = PERMISSIONS[permission];
+  if (!allowed) return false; // unknown permission = deny
+  return allowed.includes(normalizeRole(role));
+}
+
+function permissionsFor(role) {
+  const r = normalizeRole(role);
+  return Object.keys(PERMISSIONS).filter(p => PERMISSIONS[p].includes(r));
+}
+
+// Express guard; expects requireAuth to have populated req.user
+function requirePermission(permission) {
+  if (!PERMISSIONS[permission]) throw new Error(`Unknown permission: ${permission}`);
+  return (req, res, next) => {
+    if (!req.user) return res.status(401).json({ error: 'auth_required' });
+    if (!can(req.user.role, permission)) {
+      return res.status(403).json({ error: 'forbidden', permission });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  ROLES,
+  DEFAULT_ROLE,
+  PERMISSIONS,
+  isRole,
+  normalizeRole,
+  can,
+  permissionsFor,
+  requirePermission,
+};
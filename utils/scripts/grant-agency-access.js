@@ -0,0 +1,64 @@
+// scripts/grant-agency-access.js
+// Usage: node utils/scripts/grant-agency-access.js <email> <homeTenant> <tenant> [role]
+//        node utils/scripts/grant-agency-access.js --revoke <email> <homeTenant> <tenant>
+// Tenants may be given as id or subdomain. Live sessions follow at once:
+// --revoke moves sessions in that tenant back to the home tenant, a new role
+// applies to them immediately.
+require('dotenv').config();
+const { PrismaClient } = require('@prisma/client');
+const { isRole, normalizeRole } = require('../rbac');
+const prisma = new PrismaClient();
+
+async function findTenant(hint) {
+  const h = String(hint || '').toLowerCase();
+  const t = await prisma.tenant.findFirst({ where: { OR: [{ id: h }, { subdomain: h }] } });
+  if (!t) throw new Error(`Tenant not found: ${hint}`);
+  return t;
+}
+
+(async () => {
+  const args = process.argv.slice(2);
+  const revoke = args[0] === '--revoke';
+  if (revoke) args.shift();
+
+  const [email, homeHint, targetHint, role = 'admin'] = args;
+  if (!email || !homeHint || !targetHint) {
+    throw new Error('Usage: grant-agency-access.js [--revoke] <email> <homeTenant> <tenant> [role]');
+  }
+  if (!isRole(role)) throw new Error(`Unknown role: ${role}`);
+
+  const home = await findTenant(homeHint);
+  const target = await findTenant(targetHint);
+  const user = await prisma.adminUser.findUnique({
+    where: { tenantId_email: { tenantId: home.id, email: email.toLowerCase() } }
+  });
+  if (!user) throw new Error(`No admin user ${email} in tenant ${home.name}`);
+
+  const live = { adminUserId: user.id, tenantId: target.id, revokedAt: null };
+  if (revoke) {
+    const [, moved] = await prisma.$transaction([
+      prisma.agencyGrant.deleteMany({ where: { adminUserId: user.id, tenantId: target.id } }),
+      prisma.adminSession.updateMany({ where: live, data: { tenantId: home.id, role: normalizeRole(user.role) } })
+    ]);
+    const left = await prisma.agencyGrant.count({ where: { adminUserId: user.id } });
+    if (!left) await prisma.adminSession.updateMany({ where: { adminUserId: user.id, revokedAt: null }, data: { agency: false } });
+    console.log(`Revoked ${email} → ${target.name} (${target.id}); ${moved.count} session(s) moved back to ${home.name}`);
+  } else {
+    await prisma.$transaction([
+      prisma.agencyGrant.upsert({
+        where: { adminUserId_tenantId: { adminUserId: user.id, tenantId: target.id } },
+        update: { role },
+        create: { adminUserId: user.id, tenantId: target.id, role }
+      }),
+      prisma.adminSession.updateMany({ where: live, data: { role } }),
+      prisma.adminSession.updateMany({ where: { adminUserId: user.id, revokedAt: null }, data: { agency: true } })
+    ]);
+    console.log(`Granted ${email} → ${target.name} (${target.id}) as ${role}`);
+  }
+
+  await prisma.$disconnect();
+})().catch(async e => {
+  console.error(e);
+  await prisma.$disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,100 @@
+// scripts/mock-google-oauth.js
+// Minimal stand-in for Google's OAuth endpoints, for trying "Connect Google"
+// locally. Usage: node utils/scripts/mock-google-oauth.js [port]
+// then start the portal with the GOOGLE_*_URL variables it prints. Any client
+// id / secret works; consent is granted automatically. Access tokens expire
+// after MOCK_EXPIRES_IN seconds (default 900, so the refresh job kicks in
+// after ~5 minutes).
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = Number(process.argv[2] || 4100);
+const EXPIRES_IN = Number(process.env.MOCK_EXPIRES_IN || 900);
+const EMAIL = process.env.MOCK_EMAIL || 'mock.user@example.com';
+
+const codes = new Map();         // code → { clientId, redirectUri, challenge, scope }
+const refreshTokens = new Map(); // refresh token → { clientId, scope }
+const accessTokens = new Set();
+
+const token = (prefix) => `${prefix}_${crypto.randomBytes(16).toString('hex')}`;
+
+function send(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function readForm(req) {
+  return new Promise((resolve) => {
+    let raw = '';
+    req.on('data', (c) => { raw += c; });
+    req.on('end', () => resolve(Object.fromEntries(new URLSearchParams(raw))));
+  });
+}
+
+function issue(clientId, scope, refresh) {
+  const access = token('mock_at');
+  accessTokens.add(access);
+  const body = { access_token: access, expires_in: EXPIRES_IN, scope, token_type: 'Bearer' };
+  if (refresh) {
+    body.refresh_token = token('mock_rt');
+    refreshTokens.set(body.refresh_token, { clientId, scope });
+  }
+  return body;
+}
+
+http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  console.log(req.method, url.pathname);
+
+  if (req.method === 'GET' && url.pathname === '/auth') {
+    const q = url.searchParams;
+    const back = new URL(q.get('redirect_uri'));
+    if (q.get('code_challenge_method') !== 'S256' || !q.get('code_challenge')) {
+      back.search = new URLSearchParams({ error: 'invalid_request', state: q.get('state') || '' }).toString();
+    } else {
+      const code = token('mock_code');
+      codes.set(code, { clientId: q.get('client_id'), redirectUri: q.get('redirect_uri'), challenge: q.get('code_challenge'), scope: q.get('scope') });
+      back.search = new URLSearchParams({ code, state: q.get('state') || '', scope: q.get('scope') || '' }).toString();
+    }
+    res.writeHead(302, { Location: back.toString() });
+    return res.end();
+  }
+
+  if (req.method === 'POST' && url.pathname === '/token') {
+    const f = await readForm(req);
+    if (f.grant_type === 'authorization_code') {
+      const c = codes.get(f.code);
+      codes.delete(f.code);
+      const verified = c && crypto.createHash('sha256').update(f.code_verifier || '').digest('base64url') === c.challenge;
+      if (!c || c.clientId !== f.client_id || c.redirectUri !== f.redirect_uri || !verified) {
+        return send(res, 400, { error: 'invalid_grant', error_description: 'Bad code, redirect_uri or code_verifier' });
+      }
+      return send(res, 200, issue(c.clientId, c.scope, true));
+    }
+    if (f.grant_type === 'refresh_token') {
+      const r = refreshTokens.get(f.refresh_token);
+      if (!r || r.clientId !== f.client_id) return send(res, 400, { error: 'invalid_grant', error_description: 'Token has been expired or revoked.' });
+      return send(res, 200, issue(r.clientId, r.scope, false));
+    }
+    return send(res, 400, { error: 'unsupported_grant_type' });
+  }
+
+  if (req.method === 'POST' && url.pathname === '/revoke') {
+    const f = await readForm(req);
+    refreshTokens.delete(f.token);
+    accessTokens.delete(f.token);
+    return send(res, 200, {});
+  }
+
+  if (req.method === 'GET' && url.pathname === '/userinfo') {
+    const auth = String(req.headers.authorization || '').replace(/^Bearer /, '');
+    if (!accessTokens.has(auth)) return send(res, 401, { error: 'invalid_token' });
+    return send(res, 200, { sub: '1234567890', email: EMAIL, email_verified: true });
+  }
+
+  send(res, 404, { error: 'not_found' });
+}).listen(PORT, () => {
+  const base = `http://localhost:${PORT}`;
+  console.log(`Mock Google OAuth on ${base}. Start the portal with:`);
+  console.log(`  GOOGLE_AUTH_URL=${base}/auth GOOGLE_TOKEN_URL=${base}/token GOOGLE_REVOKE_URL=${base}/revoke GOOGLE_USERINFO_URL=${base}/userinfo`);
+});
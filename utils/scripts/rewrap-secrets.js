@@ -0,0 +1,91 @@
+// scripts/rewrap-secrets.js
+// Re-encrypt every stored secret under the active KMS key (see utils/kms.js),
+// e.g. after adding a new key to KMS_KEYS and making it KMS_ACTIVE_KEY_ID.
+// Usage: node utils/scripts/rewrap-secrets.js [--dry-run] [--json]
+// Plaintext values are left alone (encrypt-tenant-secrets.js handles those).
+// Exits 1 if any value could not be decrypted with the current keyring.
+require('dotenv').config();
+const { PrismaClient } = require('@prisma/client');
+const { activeKeyId, keyIdOf, needsRewrap, encrypt, decrypt } = require('../kms');
+
+// Encrypted columns; `json` columns hold the ciphertext as a JSON string
+const TARGETS = [
+  { model: 'tenant', label: (r) => `${r.name} (${r.id})`, extra: { name: true }, fields: ['smtpPass', 'openaiKey', 'googleClientSecret', { name: 'googleTokens', json: true }] },
+  { model: 'webhookEndpoint', label: (r) => `${r.url} (${r.id})`, extra: { url: true }, fields: ['secret'] },
+  { model: 'adminUser', label: (r) => `${r.email} (${r.id})`, extra: { email: true }, fields: ['mfaSecret', 'mfaPendingSecret'] },
+];
+
+/**
+ * Rewrap every TARGETS value that is not under the active key. `log` gets a
+ * line per value; returns the report (rewrapped / current / plaintext / failed).
+ */
+async function rewrapAll(db, { dryRun = false, log = () => {} } = {}) {
+  const report = { activeKeyId: activeKeyId(), dryRun, rewrapped: [], current: 0, plaintext: 0, failed: [] };
+
+  for (const target of TARGETS) {
+    const fields = target.fields.map(f => (typeof f === 'string' ? { name: f } : f));
+    const select = { id: true, ...target.extra };
+    for (const f of fields) select[f.name] = true;
+    const rows = await db[target.model].findMany({ select });
+
+    for (const row of rows) {
+      for (const f of fields) {
+        const value = row[f.name];
+        if (value == null || value === '') continue;
+        if (typeof value !== 'string' || !value.startsWith('enc:')) { report.plaintext++; continue; }
+        if (!needsRewrap(value)) { report.current++; continue; }
+
+        const entry = { model: target.model, id: row.id, row: target.label(row), field: f.name, from: keyIdOf(value) || 'v1', to: activeKeyId() };
+        let next;
+        try {
+          next = encrypt(decrypt(value));
+        } catch (e) {
+          report.failed.push({ ...entry, error: e.message });
+          log(`  FAILED  ${target.model} ${entry.row} ${f.name}: ${e.message}`);
+          continue;
+        }
+        if (!dryRun) {
+          // only if the value is unchanged since we read it (no lost concurrent writes)
+          const where = { id: row.id, [f.name]: f.json ? { equals: value } : value };
+          const { count } = await db[target.model].updateMany({ where, data: { [f.name]: next } });
+          if (!count) {
+            report.failed.push({ ...entry, error: 'changed_concurrently' });
+            log(`  SKIPPED ${target.model} ${entry.row} ${f.name}: changed while rewrapping, run again`);
+            continue;
+          }
+        }
+        report.rewrapped.push(entry);
+        log(`  ${dryRun ? 'would rewrap' : 'rewrapped'} ${target.model} ${entry.row} ${f.name}: ${entry.from} → ${entry.to}`);
+      }
+    }
+  }
+  return report;
+}
+
+if (require.main === module) {
+  const prisma = new PrismaClient();
+  (async () => {
+    const args = process.argv.slice(2);
+    const dryRun = args.includes('--dry-run');
+    const asJson = args.includes('--json');
+    if (!activeKeyId()) throw new Error('No active KMS key: set KMS_KEYS / KMS_ACTIVE_KEY_ID or KMS_MASTER_KEY');
+
+    const log = (line) => { if (!asJson) console.log(line); };
+    log(`${dryRun ? '[dry run] ' : ''}Rewrapping secrets under key "${activeKeyId()}"`);
+    const report = await rewrapAll(prisma, { dryRun, log });
+
+    if (asJson) console.log(JSON.stringify(report, null, 2));
+    else {
+      console.log(`${dryRun ? 'Would rewrap' : 'Rewrapped'} ${report.rewrapped.length}, already current ${report.current}, ` +
+        `plaintext ${report.plaintext}, failed ${report.failed.length}.`);
+    }
+    await prisma.$disconnect();
+    if (report.failed.length) process.exitCode = 1;
+  })().catch(async e => {
+    console.error(e);
+    await prisma.$disconnect();
+    process.exit(1);
+  });
+}
+
+module.exports = { TARGETS, rewrapAll };
@@ -0,0 +1,120 @@
+// utils/search.js
+// Tenant-scoped Postgres full-text search over messages, leads and events.
+// The to_tsvector() expressions below must stay identical to the GIN
+// expression indexes created in the *_full_text_search migration, otherwise
+// Postgres falls back to sequential scans.
+
+const { Prisma } = require('@prisma/client');
+
+const MESSAGE_DOC = Prisma.sql`to_tsvector('english', m."content")`;
+const EVENT_DOC   = Prisma.sql`to_tsvector('english', e."content")`;
+const LEAD_DOC    = Prisma.sql`to_tsvector('simple', l."name" || ' ' || l."email" || ' ' || l."phone" || ' ' || l."snippet")`;
+
+// ts_headline markers; swapped for <mark> after HTML-escaping the fragment
+const START = '\u0001';
+const STOP = '\u0002';
+const HEADLINE_OPTS = `StartSel=${START}, StopSel=${STOP}, MaxFragments=2, MaxWords=25, MinWords=8, FragmentDelimiter=" … "`;
+
+const TYPES = ['messages', 'leads', 'events'];
+
+function escapeHtml(s) {
+  return String(s ?? '')
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function toHighlightHtml(headline) {
+  return escapeHtml(headline).split(START).join('<mark>').split(STOP).join('</mark>');
+}
+
+/**
+ * opts = { tenantId, q, from, to, role, types, limit }
+ * Returns { messages, leads, events } (only for the requested types).
+ */
+async function search(prisma, { tenantId, q, from, to, role, types = TYPES, limit = 20 }) {
+  const out = {};
+  const dateFilter = (col) => Prisma.sql`
+    ${from ? Prisma.sql`AND ${col} >= ${from}` : Prisma.empty}
+    ${to ? Prisma.sql`AND ${col} < ${to}` : Prisma.empty}`;
+
+  const jobs = [];
+
+  if (types.includes('messages')) {
+    jobs.push(prisma.$queryRaw`
+      SELECT m."id", m."role", m."createdAt" AS "at", c."sessionId",
+             ts_rank(${MESSAGE_DOC}, query) AS "rank",
+             ts_headline('english', m."content", query, ${HEADLINE_OPTS}) AS "headline"
+      FROM "Message" m
+      JOIN "Conversation" c ON c."id" = m."conversationId",
+           websearch_to_tsquery('english', ${q}) query
+      WHERE c."tenantId" = ${tenantId}
+        AND ${MESSAGE_DOC} @@ query
+        ${role ? Prisma.sql`AND m."role" = ${role}` : Prisma.empty}
+        ${dateFilter(Prisma.sql`m."createdAt"`)}
+      ORDER BY "rank" DESC, m."createdAt" DESC
+      LIMIT ${limit}`
+      .then(rows => { out.messages = rows.map(r => ({
+        kind: 'message',
+        id: r.id,
+        role: r.role,
+        at: r.at,
+        sessionId: r.sessionId,
+        rank: r.rank,
+        highlightHtml: toHighlightHtml(r.headline)
+      })); }));
+  }
+
+  // Leads have no role, so a role filter excludes them
+  if (types.includes('leads') && !role) {
+    jobs.push(prisma.$queryRaw`
+      SELECT l."id", l."name", l."email", l."phone", l."sessionId", l."createdAt" AS "at",
+             ts_rank(${LEAD_DOC}, query) AS "rank",
+             ts_headline('simple', l."name" || ' · ' || l."email" || ' · ' || l."phone" || ' · ' || l."snippet", query, ${HEADLINE_OPTS}) AS "headline"
+      FROM "Lead" l, websearch_to_tsquery('simple', ${q}) query
+      WHERE l."tenantId" = ${tenantId}
+        AND ${LEAD_DOC} @@ query
+        ${dateFilter(Prisma.sql`l."createdAt"`)}
+      ORDER BY "rank" DESC, l."createdAt" DESC
+      LIMIT ${limit}`
+      .then(rows => { out.leads = rows.map(r => ({
+        kind: 'lead',
+        id: r.id,
+        name: r.name,
+        email: r.email,
+        phone: r.phone,
+        sessionId: r.sessionId,
+        at: r.at,
+        rank: r.rank,
+        highlightHtml: toHighlightHtml(r.headline)
+      })); }));
+  }
+
+  // For events the intake "role" is stored as Event.type
+  if (types.includes('events')) {
+    jobs.push(prisma.$queryRaw`
+      SELECT e."id", e."type", e."createdAt" AS "at",
+             ts_rank(${EVENT_DOC}, query) AS "rank",
+             ts_headline('english', e."content", query, ${HEADLINE_OPTS}) AS "headline"
+      FROM "Event" e, websearch_to_tsquery('english', ${q}) query
+      WHERE e."tenantId" = ${tenantId}
+        AND ${EVENT_DOC} @@ query
+        ${role ? Prisma.sql`AND e."type" = ${role}` : Prisma.empty}
+        ${dateFilter(Prisma.sql`e."createdAt"`)}
+      ORDER BY "rank" DESC, e."createdAt" DESC
+      LIMIT ${limit}`
+      .then(rows => { out.events = rows.map(r => ({
+        kind: 'event',
+        id: r.id,
+        type: r.type,
+        at: r.at,
+        rank: r.rank,
+        highlightHtml: toHighlightHtml(r.headline)
+      })); }));
+  }
+
+  await Promise.all(jobs);
+  return out;
+}
+
+module.exports = { TYPES, search, escapeHtml, toHighlightHtml };
@@ -0,0 +1,209 @@
+// utils/sessions.js
+// Server-side portal sessions (AdminSession). The solomon_session cookie
+// carries a random token; the table keeps its sha256, who it belongs to and
+// which tenant / role it currently acts as, so a session can be revoked at
+// any time.
+//
+//   SESSION_IDLE_MIN   sign out after this long without a request (default 1440 = 24 h)
+//   SESSION_MAX_DAYS   hard limit from sign-in, however active (default 30)
+//
+// Expiry slides: every request moves expiresAt to lastSeenAt + idle timeout,
+// capped at createdAt + max lifetime. Sessions also end when the user's
+// password changes (passwordStamp no longer matches), the user is
+// deactivated or deleted.
+//
+// The stored role / agency / tenantId are a cache: every request re-reads the
+// user's role (home tenant) or AgencyGrant (other tenants), so role changes
+// and revoked grants apply at once. A session whose grant is gone falls back
+// to the home tenant.
+
+const crypto = require('crypto');
+const { normalizeRole } = require('./rbac');
+
+const IDLE_MS = Number(process.env.SESSION_IDLE_MIN || 24 * 60) * 60 * 1000;
+const MAX_MS = Number(process.env.SESSION_MAX_DAYS || 30) * 24 * 60 * 60 * 1000;
+const TOUCH_MS = 60 * 1000;           // write lastSeenAt at most once a minute per session
+const PRUNE_AFTER_MS = 7 * 24 * 60 * 60 * 1000; // keep ended sessions this long
+const UA_MAX = 300;
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token), 'utf8').digest('hex');
+
+// Changes whenever the password hash does, without storing the hash again
+const passwordStamp = (passwordHash) =>
+  crypto.createHash('sha256').update(String(passwordHash), 'utf8').digest('hex').slice(0, 32);
+
+function expiryFrom(createdAt, now) {
+  return new Date(Math.min(now.getTime() + IDLE_MS, createdAt.getTime() + MAX_MS));
+}
+
+const clientOf = (req) => ({
+  ip: req.ip || null,
+  userAgent: req.get?.('user-agent')?.slice(0, UA_MAX) || null
+});
+
+/**
+ * Open a session for a signed-in user. `user` = { id, tenantId, passwordHash }
+ * (the AdminUser), `role` and `agency` as resolved at login.
+ * Returns { token, session }; the token goes in the cookie and is not kept.
+ */
+async function create(db, req, { user, role, agency }) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const now = new Date();
+  const session = await db.adminSession.create({
+    data: {
+      tokenHash: hashToken(token),
+      adminUserId: user.id,
+      homeTenantId: user.tenantId,
+      tenantId: user.tenantId,
+      role,
+      agency: !!agency,
+      passwordStamp: passwordStamp(user.passwordHash),
+      ...clientOf(req),
+      createdAt: now,
+      lastSeenAt: now,
+      expiresAt: expiryFrom(now, now)
+    }
+  });
+  return { token, session };
+}
+
+/**
+ * Tenant, role and agency flag the session may use right now: the home
+ * tenant at the user's role, or a granted tenant at the grant's role. A
+ * tenant whose grant was revoked falls back to the home tenant.
+ */
+async function currentAccess(db, s) {
+  const agency = s.adminUser._count.agencyGrants > 0;
+  if (s.tenantId !== s.homeTenantId) {
+    const grant = await db.agencyGrant.findUnique({
+      where: { adminUserId_tenantId: { adminUserId: s.adminUserId, tenantId: s.tenantId } },
+      select: { role: true }
+    });
+    if (grant) return { tenantId: s.tenantId, role: normalizeRole(grant.role), agency };
+  }
+  return { tenantId: s.homeTenantId, role: normalizeRole(s.adminUser.role), agency };
+}
+
+/**
+ * Session row (with adminUser.email) for a cookie token, or null when it is
+ * unknown, revoked, expired, predates a password change or belongs to a
+ * deactivated user. Slides the expiry and brings tenantId / role / agency up
+ * to date (see currentAccess).
+ */
+async function resolve(db, req, token, now = new Date()) {
+  if (!token || typeof token !== 'string') return null;
+  const s = await db.adminSession.findUnique({
+    where: { tokenHash: hashToken(token) },
+    include: {
+      adminUser: {
+        select: {
+          email: true, role: true, passwordHash: true, mfaEnabledAt: true, deactivatedAt: true,
+          _count: { select: { agencyGrants: true } }
+        }
+      }
+    }
+  });
+  if (!s || s.revokedAt || s.expiresAt <= now || s.adminUser.deactivatedAt) return null;
+  if (s.passwordStamp !== passwordStamp(s.adminUser.passwordHash)) return null;
+
+  const access = await currentAccess(db, s);
+  if (access.tenantId !== s.tenantId || access.role !== s.role || access.agency !== s.agency) {
+    await db.adminSession.updateMany({ where: { id: s.id, revokedAt: null }, data: access });
+    Object.assign(s, access);
+  }
+
+  if (now - s.lastSeenAt >= TOUCH_MS) {
+    const data = { lastSeenAt: now, expiresAt: expiryFrom(s.createdAt, now), ...clientOf(req) };
+    // only while still live, so a concurrent revoke is never undone
+    await db.adminSession.updateMany({ where: { id: s.id, revokedAt: null }, data });
+    Object.assign(s, data);
+  }
+  return s;
+}
+
+/** Revoke every live session matching `where`; returns the count. */
+async function revokeWhere(db, where, reason) {
+  const { count } = await db.adminSession.updateMany({
+    where: { ...where, revokedAt: null, expiresAt: { gt: new Date() } },
+    data: { revokedAt: new Date(), revokedReason: reason }
+  });
+  return count;
+}
+
+/** Revoke the user's live sessions matching `where` (e.g. { id }); returns the count. */
+function revoke(db, adminUserId, where, reason) {
+  return revokeWhere(db, { ...where, adminUserId }, reason);
+}
+
+/**
+ * Keep a session valid across its own user's password change: moves it to
+ * the new hash's stamp. Only while still live.
+ */
+async function restamp(db, sessionId, passwordHash) {
+  const { count } = await db.adminSession.updateMany({
+    where: { id: sessionId, revokedAt: null },
+    data: { passwordStamp: passwordStamp(passwordHash) }
+  });
+  return count > 0;
+}
+
+function listActive(db, adminUserId) {
+  return db.adminSession.findMany({
+    where: { adminUserId, revokedAt: null, expiresAt: { gt: new Date() } },
+    orderBy: { lastSeenAt: 'desc' }
+  });
+}
+
+// "Chrome on macOS" from a user agent; good enough to tell devices apart
+function describeDevice(ua) {
+  if (!ua) return 'Unknown device';
+  const browser =
+    /Edg\//.test(ua) ? 'Edge' :
+    /OPR\/|Opera/.test(ua) ? 'Opera' :
+    /Firefox\//.test(ua) ? 'Firefox' :
+    /Chrome\/|CriOS\//.test(ua) ? 'Chrome' :
+    /Safari\//.test(ua) ? 'Safari' :
+    /curl\//.test(ua) ? 'curl' : 'Browser';
+  const os =
+    /iPhone|iPad|iPod/.test(ua) ? 'iOS' :
+    /Android/.test(ua) ? 'Android' :
+    /Windows/.test(ua) ? 'Windows' :
+    /Mac OS X|Macintosh/.test(ua) ? 'macOS' :
+    /CrOS/.test(ua) ? 'ChromeOS' :
+    /Linux/.test(ua) ? 'Linux' : null;
+  return os ? `${browser} on ${os}` : browser;
+}
+
+const shapeSession = (s, currentId) => ({
+  id: s.id,
+  current: s.id === currentId,
+  device: describeDevice(s.userAgent),
+  userAgent: s.userAgent,
+  ip: s.ip,
+  tenantId: s.tenantId,
+  createdAt: s.createdAt,
+  lastSeenAt: s.lastSeenAt,
+  expiresAt: s.expiresAt
+});
+
+// Job body: drop sessions that ended more than PRUNE_AFTER_MS ago
+async function prune(db) {
+  const cutoff = new Date(Date.now() - PRUNE_AFTER_MS);
+  await db.adminSession.deleteMany({ where: { OR: [{ expiresAt: { lt: cutoff } }, { revokedAt: { lt: cutoff } }] } });
+}
+
+module.exports = {
+  IDLE_MS,
+  MAX_MS,
+  hashToken,
+  passwordStamp,
+  create,
+  resolve,
+  revokeWhere,
+  revoke,
+  restamp,
+  listActive,
+  describeDevice,
+  shapeSession,
+  prune,
+};
@@ -0,0 +1,84 @@
+// utils/settings.js
+// Allow-listed keys for the Tenant.settings JSON blob.
+// Every key has a validator and a default; unknown keys are rejected so the
+// blob never turns into a dumping ground.
+
+const int = (min, max) => (v) => {
+  const n = Number(v);
+  if (!Number.isInteger(n) || n < min || n > max) return { error: `must be an integer ${min}-${max}` };
+  return { value: n };
+};
+
+const num = (min, max) => (v) => {
+  const n = Number(v);
+  if (typeof v === 'boolean' || v === '' || !Number.isFinite(n) || n < min || n > max) {
+    return { error: `must be a number ${min}-${max}` };
+  }
+  return { value: n };
+};
+
+const bool = (v) => (typeof v === 'boolean' ? { value: v } : { error: 'must be true or false' });
+
+const SETTINGS = {
+  // Minutes without a new turn before an open conversation is closed
+  conversationIdleMin: {
+    validate: int(1, 24 * 60),
+    default: () => Number(process.env.CONVERSATION_IDLE_MIN || 30)
+  },
+
+  // Monthly AI spend budget in USD (UTC calendar month); null = no budget
+  monthlyBudgetUSD: { validate: num(0, 1e9), default: () => null },
+  // Tell the bot to stop calling the model once the budget is used up
+  budgetHardStop: { validate: bool, default: () => false },
+  // Email threshold alerts through the tenant's SMTP settings
+  budgetEmailAlerts: { validate: bool, default: () => false },
+
+  // Email notifications through the tenant's SMTP settings (utils/notifications.js)
+  leadEmails: { validate: bool, default: () => false },
+  dailyDigest: { validate: bool, default: () => false },
+  weeklyDigest: { validate: bool, default: () => false }, // covers Monday–Sunday
+  // UTC hour digests go out once their period has ended
+  digestHourUTC: { validate: int(0, 23), default: () => 7 },
+
+  // Every user signing in to this tenant needs TOTP MFA (utils/mfa.js)
+  requireMfa: { validate: bool, default: () => false },
+};
+
+// Effective settings (defaults filled in) for a Tenant.settings value
+function readSettings(raw) {
+  const stored = raw && typeof raw === 'object' && !Array.isArray(raw) ? raw : {};
+  const out = {};
+  for (const [key, spec] of Object.entries(SETTINGS)) {
+    out[key] = stored[key] !== undefined ? stored[key] : spec.default();
+  }
+  return out;
+}
+
+/**
+ * Validate a partial update. `null` resets a key to its default.
+ * Returns { patch, errors } — patch holds the keys to write (null = remove).
+ */
+function validateSettingsPatch(body) {
+  const patch = {};
+  const errors = {};
+  for (const [key, value] of Object.entries(body || {})) {
+    const spec = SETTINGS[key];
+    if (!spec) { errors[key] = 'unknown setting'; continue; }
+    if (value === null) { patch[key] = null; continue; }
+    const r = spec.validate(value);
+    if (r.error) errors[key] = r.error;
+    else patch[key] = r.value;
+  }
+  return { patch, errors };
+}
+
+function applySettingsPatch(raw, patch) {
+  const next = { ...(raw && typeof raw === 'object' && !Array.isArray(raw) ? raw : {}) };
+  for (const [key, value] of Object.entries(patch)) {
+    if (value === null) delete next[key];
+    else next[key] = value;
+  }
+  return next;
+}
+
+module.exports = { SETTINGS, readSettings, validateSettingsPatch, applySettingsPatch };
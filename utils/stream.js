@@ -0,0 +1,165 @@
+// utils/stream.js
+// Server-Sent Events for the portal: a per-tenant, in-process fan-out of
+// what intake just committed (events, errors, leads, conversation turns) plus
+// status changes and alert rule state changes. Connections are held by the instance that accepted them,
+// so with several replicas a client only sees intake handled by its own
+// instance; the portal's slow re-sync poll covers the rest.
+//
+// The heartbeat also re-checks each client's session, so a stream doesn't
+// outlive a sign-out, a tenant switch or a role change.
+
+const { can } = require('./rbac');
+
+const HEARTBEAT_MS = 25_000; // below common proxy idle timeouts
+const RETRY_MS = 5_000;      // EventSource reconnect delay
+const MAX_PER_TENANT = Number(process.env.SSE_MAX_PER_TENANT || 50);
+
+// Permission a client needs to receive each stream event
+const PERMISSION = {
+  event: 'dashboard:read',
+  error: 'dashboard:read',
+  status: 'dashboard:read',
+  alert: 'dashboard:read',
+  lead: 'leads:read',
+  conversation: 'conversations:read',
+  turn: 'conversations:read'
+};
+
+const clients = new Map();    // tenantId → Set<{ res, role, reauth }>
+const lastStatus = new Map(); // tenantId → last pushed status
+let heartbeat = null;
+
+function write(res, chunk) {
+  try { res.write(chunk); } catch { /* closed; the 'close' handler cleans up */ }
+}
+
+// End the stream when its session is gone, moved to another tenant or lost
+// access (the EventSource reconnects and gets the current state or a 401);
+// otherwise filter by the current role from now on
+async function recheck(client, tenantId) {
+  let user;
+  try {
+    user = await client.reauth();
+  } catch (e) {
+    return console.error('stream_reauth_error', e.message); // keep the stream on a transient error
+  }
+  if (!user || user.tenantId !== tenantId || !can(user.role, 'dashboard:read')) return client.res.end();
+  client.role = user.role;
+}
+
+function startHeartbeat() {
+  if (heartbeat) return;
+  heartbeat = setInterval(() => {
+    for (const [tenantId, set] of clients) {
+      for (const c of set) {
+        write(c.res, ': ping\n\n');
+        if (c.reauth) recheck(c, tenantId);
+      }
+    }
+  }, HEARTBEAT_MS);
+  heartbeat.unref();
+}
+
+/**
+ * Turn the response into an event stream for req.user's current tenant.
+ * `reauth` resolves to the session's current { tenantId, role } or null; it
+ * runs on every heartbeat. Returns false (nothing written) when the tenant
+ * is at its connection cap.
+ */
+function subscribe(req, res, { reauth } = {}) {
+  const { tenantId, role } = req.user;
+  const set = clients.get(tenantId) || new Set();
+  if (set.size >= MAX_PER_TENANT) return false;
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // nginx: don't buffer the stream
+  });
+  write(res, `retry: ${RETRY_MS}\n\n`);
+
+  const client = { res, role, reauth };
+  set.add(client);
+  clients.set(tenantId, set);
+  startHeartbeat();
+
+  res.on('close', () => {
+    set.delete(client);
+    if (!set.size) {
+      clients.delete(tenantId);
+      lastStatus.delete(tenantId);
+    }
+  });
+  return true;
+}
+
+function hasSubscribers(tenantId) {
+  return clients.has(tenantId);
+}
+
+function subscribedTenants() {
+  return [...clients.keys()];
+}
+
+// Send one event to every client of the tenant allowed to see it
+function publish(tenantId, type, data) {
+  const set = clients.get(tenantId);
+  if (!set) return;
+  const chunk = `event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+  for (const c of set) {
+    if (can(c.role, PERMISSION[type])) write(c.res, chunk);
+  }
+}
+
+// Push the tenant's status only when it differs from the last one pushed
+function publishStatus(tenantId, status) {
+  if (!hasSubscribers(tenantId) || lastStatus.get(tenantId) === status.status) return;
+  lastStatus.set(tenantId, status.status);
+  publish(tenantId, 'status', { ...status, at: new Date() });
+}
+
+/**
+ * Fan out a committed intake batch (ingestItems' `created`). Payloads use the
+ * same shapes as the matching portal list endpoints.
+ */
+function publishIntake(tenantId, created) {
+  if (!hasSubscribers(tenantId)) return;
+
+  for (const e of created.events) {
+    publish(tenantId, 'event', { at: e.createdAt, role: e.type, message: e.content });
+    if (e.type.startsWith('error:')) {
+      publish(tenantId, 'error', { at: e.createdAt, user: e.type.slice(6), message: e.content });
+    }
+  }
+
+  const lead = (l, merged) => ({
+    id: l.id, name: l.name, email: l.email, phone: l.phone, snippet: l.snippet,
+    status: l.status, sessionId: l.sessionId, createdAt: l.createdAt, merged
+  });
+  for (const l of created.leads) publish(tenantId, 'lead', lead(l, false));
+  for (const l of created.mergedLeads) publish(tenantId, 'lead', lead(l, true));
+
+  for (const c of created.conversations) {
+    publish(tenantId, 'conversation', { sessionId: c.sessionId, state: 'started', at: c.startedAt });
+  }
+  for (const m of created.messages) {
+    publish(tenantId, 'turn', {
+      sessionId: m.sessionId, role: m.role, content: m.content,
+      tokensIn: m.tokensIn, tokensOut: m.tokensOut, tags: m.tags, at: m.createdAt
+    });
+  }
+  for (const c of created.ended) {
+    publish(tenantId, 'conversation', { sessionId: c.sessionId, state: 'ended', at: c.endedAt });
+  }
+}
+
+module.exports = {
+  PERMISSION,
+  subscribe,
+  hasSubscribers,
+  subscribedTenants,
+  publish,
+  publishStatus,
+  publishIntake,
+};
@@ -0,0 +1,185 @@
+// utils/tagging.js
+// TagDictionary matching: a category applies when any of its keywords
+// appears in the text as a whole word/phrase (case-insensitive).
+// Used at intake (leads + conversation messages) and by the backfill job.
+
+const MAX_KEYWORDS = 200;
+const MAX_KEYWORD_LEN = 100;
+const MAX_CATEGORY_LEN = 64;
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Compile dictionary rows ({ category, keywords }) into matchers.
+ * Keywords match on word boundaries, so "price" doesn't tag "priceless".
+ */
+function compileDictionary(rows = []) {
+  const out = [];
+  for (const row of rows) {
+    const words = (row.keywords || []).map(k => String(k).trim()).filter(Boolean);
+    if (!words.length) continue;
+    const alt = words.map(w => escapeRegExp(w).replace(/\s+/g, '\\s+')).join('|');
+    out.push({ category: row.category, re: new RegExp(`(?<![\\p{L}\\p{N}])(?:${alt})(?![\\p{L}\\p{N}])`, 'iu') });
+  }
+  return out;
+}
+
+// Categories (dictionary order) matched anywhere in the given texts
+function tagText(matchers, ...texts) {
+  const text = texts.filter(Boolean).join('\n');
+  if (!text || !matchers.length) return [];
+  return matchers.filter(m => m.re.test(text)).map(m => m.category);
+}
+
+async function loadMatchers(db, tenantId) {
+  const rows = await db.tagDictionary.findMany({
+    where: { tenantId },
+    orderBy: { category: 'asc' },
+    select: { category: true, keywords: true }
+  });
+  return compileDictionary(rows);
+}
+
+/**
+ * Validate a create/update body. Returns { data } or { error }.
+ * `partial` allows either field to be omitted (PATCH).
+ */
+function validateTagInput(body = {}, { partial = false } = {}) {
+  const data = {};
+  if (body.category !== undefined || !partial) {
+    const category = String(body.category ?? '').trim();
+    if (!category) return { error: 'missing_category' };
+    if (category.length > MAX_CATEGORY_LEN) return { error: 'category_too_long' };
+    data.category = category;
+  }
+  if (body.keywords !== undefined || !partial) {
+    let list = body.keywords ?? [];
+    if (typeof list === 'string') list = list.split(',');
+    if (!Array.isArray(list)) return { error: 'bad_keywords' };
+    const seen = new Set();
+    const keywords = [];
+    for (const raw of list) {
+      const k = String(raw).trim().replace(/\s+/g, ' ');
+      if (!k || seen.has(k.toLowerCase())) continue;
+      if (k.length > MAX_KEYWORD_LEN) return { error: 'keyword_too_long' };
+      seen.add(k.toLowerCase());
+      keywords.push(k);
+    }
+    if (keywords.length > MAX_KEYWORDS) return { error: 'too_many_keywords', max: MAX_KEYWORDS };
+    data.keywords = keywords;
+  }
+  return { data };
+}
+
+/* ---------------------------- Backfill ---------------------------- */
+const BACKFILL_CHUNK = 500;
+
+const sameTags = (a = [], b = []) => a.length === b.length && a.every((t, i) => t === b[i]);
+
+// Queue (or restart) a re-tag of the tenant's history
+function requestBackfill(db, tenantId) {
+  const reset = {
+    requestedAt: new Date(), startedAt: null, finishedAt: null,
+    phase: 'leads', cursor: null, leadsTagged: 0, messagesTagged: 0, error: null
+  };
+  return db.tagBackfill.upsert({ where: { tenantId }, create: { tenantId, ...reset }, update: reset });
+}
+
+// Write `rows` ([{ id, tags }]) grouped by identical tag sets
+async function writeTags(model, field, rows) {
+  const groups = new Map();
+  for (const r of rows) {
+    const key = JSON.stringify(r.tags);
+    if (!groups.has(key)) groups.set(key, { tags: r.tags, ids: [] });
+    groups.get(key).ids.push(r.id);
+  }
+  for (const g of groups.values()) {
+    await model.updateMany({ where: { id: { in: g.ids } }, data: { [field]: g.tags } });
+  }
+}
+
+/**
+ * Process one chunk of a tenant's backfill. Returns false when the run is
+ * finished (or was superseded by a newer request).
+ */
+async function backfillChunk(prisma, job, matchers) {
+  const guard = { tenantId: job.tenantId, requestedAt: job.requestedAt }; // a newer request wins
+  const after = job.cursor ? { id: { gt: job.cursor } } : {};
+  let changed = [];
+  let last = null;
+
+  if (job.phase === 'leads') {
+    const rows = await prisma.lead.findMany({
+      where: { tenantId: job.tenantId, ...after },
+      orderBy: { id: 'asc' },
+      take: BACKFILL_CHUNK,
+      select: { id: true, snippet: true, autoTags: true }
+    });
+    changed = rows
+      .map(r => ({ id: r.id, tags: tagText(matchers, r.snippet), prev: r.autoTags }))
+      .filter(r => !sameTags(r.tags, r.prev));
+    await writeTags(prisma.lead, 'autoTags', changed);
+    last = rows[rows.length - 1];
+  } else if (job.phase === 'messages') {
+    const rows = await prisma.message.findMany({
+      where: { conversation: { tenantId: job.tenantId }, ...after },
+      orderBy: { id: 'asc' },
+      take: BACKFILL_CHUNK,
+      select: { id: true, content: true, tags: true }
+    });
+    changed = rows
+      .map(r => ({ id: r.id, tags: tagText(matchers, r.content), prev: r.tags }))
+      .filter(r => !sameTags(r.tags, r.prev));
+    await writeTags(prisma.message, 'tags', changed);
+    last = rows[rows.length - 1];
+  } else {
+    return false;
+  }
+
+  const next = last
+    ? { cursor: last.id }
+    : job.phase === 'leads'
+      ? { phase: 'messages', cursor: null }
+      : { phase: 'done', cursor: null, finishedAt: new Date() };
+  const counter = job.phase === 'leads' ? 'leadsTagged' : 'messagesTagged';
+
+  const { count } = await prisma.tagBackfill.updateMany({
+    where: guard,
+    data: { ...next, [counter]: { increment: changed.length }, startedAt: job.startedAt || new Date() }
+  });
+  if (!count) return false;
+  Object.assign(job, next, { startedAt: job.startedAt || new Date() });
+  return next.phase !== 'done';
+}
+
+/**
+ * Job body: work through pending backfills, oldest request first, for at
+ * most `budgetMs`. Progress is saved per chunk so runs resume where they
+ * stopped.
+ */
+async function runBackfills(prisma, { budgetMs = 20_000 } = {}) {
+  const deadline = Date.now() + budgetMs;
+  const jobs = await prisma.tagBackfill.findMany({ where: { finishedAt: null }, orderBy: { requestedAt: 'asc' } });
+  for (const job of jobs) {
+    try {
+      const matchers = await loadMatchers(prisma, job.tenantId);
+      while (Date.now() < deadline && await backfillChunk(prisma, job, matchers)) { /* next chunk */ }
+    } catch (e) {
+      console.error('tag_backfill_error', job.tenantId, e);
+      await prisma.tagBackfill.updateMany({
+        where: { tenantId: job.tenantId, requestedAt: job.requestedAt },
+        data: { error: String(e.message || e).slice(0, 500), finishedAt: new Date() }
+      });
+    }
+    if (Date.now() >= deadline) break;
+  }
+}
+
+module.exports = {
+  compileDictionary,
+  tagText,
+  loadMatchers,
+  validateTagInput,
+  requestBackfill,
+  runBackfills,
+};
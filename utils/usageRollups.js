@@ -0,0 +1,190 @@
+// utils/usageRollups.js
+// Daily + hourly usage rollups (UsageDaily / UsageHourly), per tenant and model.
+// Intake adds each batch's usage in the same transaction that inserts the raw
+// rows; reporting reads only the rollups.
+
+const { Prisma } = require('@prisma/client');
+const { DAY_MS } = require('./dateRange');
+
+const GROUP_BY = ['day', 'hour', 'model'];
+const HOUR_MS = 60 * 60 * 1000;
+
+const utcDay = (d) => d.toISOString().slice(0, 10);                     // YYYY-MM-DD
+const utcHour = (d) => `${d.toISOString().slice(0, 13)}:00:00.000Z`;    // hour start
+
+const zero = () => ({
+  requests: 0, promptTokens: 0, completionTokens: 0, cachedTokens: 0,
+  cost: 0, promptUSD: 0, completionUSD: 0, cachedUSD: 0
+});
+const COUNTERS = Object.keys(zero());
+
+// Sum per-row contributions ({ createdAt, model, ...counters }) into
+// { daily, hourly } totals keyed by bucket + model.
+function bucketize(items) {
+  const daily = new Map();
+  const hourly = new Map();
+  const add = (map, bucket, c) => {
+    const key = `${bucket}\u0000${c.model}`;
+    if (!map.has(key)) map.set(key, { bucket, model: c.model, ...zero() });
+    const t = map.get(key);
+    for (const k of COUNTERS) t[k] += c[k] || 0;
+  };
+  for (const c of items) {
+    add(daily, utcDay(c.createdAt), c);
+    add(hourly, utcHour(c.createdAt), c);
+  }
+  return { daily: [...daily.values()], hourly: [...hourly.values()] };
+}
+
+/**
+ * Sum usage rows (as stored: promptTokens, cost, breakdown, createdAt, model)
+ * into { daily, hourly } maps keyed by bucket + model.
+ */
+function aggregate(rows, splitCost) {
+  return bucketize(rows.map(u => {
+    const bd = splitCost(u) || { promptUSD: 0, completionUSD: 0, cachedUSD: 0 };
+    return {
+      createdAt: u.createdAt,
+      model: u.model,
+      requests: 1,
+      promptTokens: u.promptTokens,
+      completionTokens: u.completionTokens,
+      cachedTokens: u.cachedTokens,
+      cost: u.cost,
+      ...bd
+    };
+  }));
+}
+
+function upsertSql(table, bucketCol, bucketCast, tenantId, totals) {
+  const values = totals.map(t => Prisma.sql`(
+    ${tenantId}, ${t.bucket}::${Prisma.raw(bucketCast)}, ${t.model}, ${t.requests},
+    ${t.promptTokens}, ${t.completionTokens}, ${t.cachedTokens},
+    ${t.cost}, ${t.promptUSD}, ${t.completionUSD}, ${t.cachedUSD}
+  )`);
+  const tbl = Prisma.raw(`"${table}"`);
+  const col = Prisma.raw(`"${bucketCol}"`);
+  return Prisma.sql`
+    INSERT INTO ${tbl} ("tenantId", ${col}, "model", "requests",
+      "promptTokens", "completionTokens", "cachedTokens",
+      "cost", "promptUSD", "completionUSD", "cachedUSD")
+    VALUES ${Prisma.join(values)}
+    ON CONFLICT ("tenantId", ${col}, "model") DO UPDATE SET
+      "requests"         = ${tbl}."requests"         + EXCLUDED."requests",
+      "promptTokens"     = ${tbl}."promptTokens"     + EXCLUDED."promptTokens",
+      "completionTokens" = ${tbl}."completionTokens" + EXCLUDED."completionTokens",
+      "cachedTokens"     = ${tbl}."cachedTokens"     + EXCLUDED."cachedTokens",
+      "cost"             = ${tbl}."cost"             + EXCLUDED."cost",
+      "promptUSD"        = ${tbl}."promptUSD"        + EXCLUDED."promptUSD",
+      "completionUSD"    = ${tbl}."completionUSD"    + EXCLUDED."completionUSD",
+      "cachedUSD"        = ${tbl}."cachedUSD"        + EXCLUDED."cachedUSD"`;
+}
+
+/**
+ * Add freshly inserted Usage rows to the rollups (call inside the intake
+ * transaction). splitCost(row) → { promptUSD, completionUSD, cachedUSD }.
+ */
+async function addToRollups(tx, tenantId, rows, splitCost) {
+  if (!rows.length) return;
+  await writeTotals(tx, tenantId, aggregate(rows, splitCost));
+}
+
+/**
+ * Shift rollup costs after existing Usage rows were repriced.
+ * deltas = [{ createdAt, model, cost, promptUSD, completionUSD, cachedUSD }]
+ * (new minus old); request and token counts are left alone.
+ */
+async function addCostDeltas(tx, tenantId, deltas) {
+  if (!deltas.length) return;
+  await writeTotals(tx, tenantId, bucketize(deltas));
+}
+
+async function writeTotals(tx, tenantId, { daily, hourly }) {
+  await tx.$executeRaw(upsertSql('UsageDaily', 'day', 'date', tenantId, daily));
+  await tx.$executeRaw(upsertSql('UsageHourly', 'hour', 'timestamp', tenantId, hourly));
+}
+
+// BigInt sums → plain numbers for JSON
+const shapeTotals = (r) => ({
+  requests: Number(r.requests || 0),
+  promptTokens: Number(r.promptTokens || 0),
+  completionTokens: Number(r.completionTokens || 0),
+  cachedTokens: Number(r.cachedTokens || 0),
+  costUSD: Number(r.cost || 0),
+  breakdown: {
+    promptUSD: Number(r.promptUSD || 0),
+    completionUSD: Number(r.completionUSD || 0),
+    cachedUSD: Number(r.cachedUSD || 0)
+  }
+});
+
+const SUMS = Prisma.sql`
+  SUM("requests")::int AS "requests",
+  SUM("promptTokens") AS "promptTokens", SUM("completionTokens") AS "completionTokens",
+  SUM("cachedTokens") AS "cachedTokens", SUM("cost") AS "cost",
+  SUM("promptUSD") AS "promptUSD", SUM("completionUSD") AS "completionUSD", SUM("cachedUSD") AS "cachedUSD"`;
+
+/**
+ * Grouped usage for [from, to).
+ * groupBy=day|model reads UsageDaily (whole UTC days overlapping the range);
+ * groupBy=hour reads UsageHourly.
+ * Returns { series: [{ period | model, ...totals }], totals }.
+ */
+async function queryUsage(prisma, { tenantId, from, to, groupBy = 'day' }) {
+  // Buckets overlapping [from, to), as UTC strings so the session time zone never matters
+  const last = new Date(to.getTime() - 1);
+  let rows;
+  if (groupBy === 'hour') {
+    rows = await prisma.$queryRaw`
+      SELECT "hour" AS "period", ${SUMS}
+      FROM "UsageHourly"
+      WHERE "tenantId" = ${tenantId} AND "hour" >= ${utcHour(from)}::timestamp AND "hour" <= ${utcHour(last)}::timestamp
+      GROUP BY 1 ORDER BY 1`;
+  } else {
+    const where = Prisma.sql`"tenantId" = ${tenantId} AND "day" >= ${utcDay(from)}::date AND "day" <= ${utcDay(last)}::date`;
+    rows = groupBy === 'model'
+      ? await prisma.$queryRaw`SELECT "model", ${SUMS} FROM "UsageDaily" WHERE ${where} GROUP BY 1 ORDER BY "cost" DESC`
+      : await prisma.$queryRaw`SELECT "day" AS "period", ${SUMS} FROM "UsageDaily" WHERE ${where} GROUP BY 1 ORDER BY 1`;
+  }
+
+  let series;
+  if (groupBy === 'model') {
+    series = rows.map(r => ({ model: r.model, ...shapeTotals(r) }));
+  } else {
+    // One entry per calendar bucket, zero-filled, so charts get real periods
+    const byBucket = new Map(rows.map(r => [new Date(r.period).getTime(), r]));
+    const step = groupBy === 'hour' ? HOUR_MS : DAY_MS;
+    const start = new Date(groupBy === 'hour' ? utcHour(from) : utcDay(from)).getTime();
+    series = [];
+    for (let t = start; t <= last.getTime(); t += step) {
+      series.push({ period: new Date(t), ...shapeTotals(byBucket.get(t) || {}) });
+    }
+  }
+  const totals = series.reduce((acc, s) => {
+    acc.requests += s.requests;
+    acc.promptTokens += s.promptTokens;
+    acc.completionTokens += s.completionTokens;
+    acc.cachedTokens += s.cachedTokens;
+    acc.costUSD += s.costUSD;
+    acc.breakdown.promptUSD += s.breakdown.promptUSD;
+    acc.breakdown.completionUSD += s.breakdown.completionUSD;
+    acc.breakdown.cachedUSD += s.breakdown.cachedUSD;
+    return acc;
+  }, shapeTotals({}));
+  return { series, totals };
+}
+
+// Month-to-date totals for one or more tenants, from UsageDaily
+async function monthToDate(prisma, tenantIds, monthStart) {
+  const rows = await prisma.usageDaily.groupBy({
+    by: ['tenantId'],
+    where: { tenantId: { in: tenantIds }, day: { gte: monthStart } },
+    _sum: {
+      requests: true, promptTokens: true, completionTokens: true, cachedTokens: true,
+      cost: true, promptUSD: true, completionUSD: true, cachedUSD: true
+    }
+  });
+  return new Map(rows.map(r => [r.tenantId, shapeTotals(r._sum)]));
+}
+
+module.exports = { GROUP_BY, aggregate, addToRollups, addCostDeltas, queryUsage, monthToDate, shapeTotals };
@@ -0,0 +1,314 @@
+// utils/webhooks.js
+// Outbound webhooks: tenants subscribe endpoints (WebhookEndpoint) to event
+// types. Intake writes one WebhookDelivery per endpoint and event inside its
+// own transaction (an outbox), so nothing is lost if the process dies before
+// sending. A worker claims due rows with a lease, POSTs them and retries with
+// exponential backoff; the rows double as the delivery log.
+//
+// Requests are signed the same way signed intake is:
+//   X-Timestamp: <unix seconds>
+//   X-Signature: sha256=<hex HMAC-SHA256(endpoint secret, `${timestamp}.${rawBody}`)>
+// plus X-Webhook-Event / X-Webhook-Id (the event id; stable across retries
+// and redeliveries, so receivers can dedupe) and X-Webhook-Delivery.
+//
+// Endpoint hosts must resolve to public addresses (utils/publicHost.js),
+// checked on save and again before every attempt.
+
+const crypto = require('crypto');
+const { decrypt } = require('./kms');
+const { assertPublicHost } = require('./publicHost');
+
+const EVENT_TYPES = ['lead.created', 'conversation.started', 'error.logged', 'budget.threshold'];
+
+const SECRET_PREFIX = 'whsec_';
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 10);
+const BACKOFF_BASE_MS = 30_000;           // 30s, 1m, 2m, 4m … between attempts
+const BACKOFF_MAX_MS = 6 * 60 * 60 * 1000;
+const TIMEOUT_MS = 10_000;
+const LEASE_MS = 60_000;                  // a claimed row is retried after this if the worker died
+const CLAIM_BATCH = 10;
+const RESPONSE_BODY_MAX = 1000;
+const LOG_DAYS = Number(process.env.WEBHOOK_LOG_DAYS || 30);
+
+function generateSecret() {
+  return `${SECRET_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+function sign(secret, timestamp, rawBody) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex');
+}
+
+// Delay before attempt n + 1, after n failed attempts (±10% jitter)
+function backoffMs(attempts) {
+  const base = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** (attempts - 1));
+  return Math.round(base * (0.9 + Math.random() * 0.2));
+}
+
+/**
+ * Validate endpoint fields; the url's host must resolve to public addresses.
+ * Resolves to { data } or { error, field }.
+ */
+async function validateEndpointInput(body = {}, { partial = false } = {}) {
+  const data = {};
+  if (body.url !== undefined || !partial) {
+    let u;
+    try { u = new URL(String(body.url ?? '').trim()); } catch { return { error: 'bad_url', field: 'url' }; }
+    if (!/^https?:$/.test(u.protocol)) return { error: 'bad_url', field: 'url' };
+    try {
+      await assertPublicHost(u.href);
+    } catch (e) {
+      return { error: e.code === 'private_address' ? 'private_url' : 'unresolvable_url', field: 'url' };
+    }
+    data.url = u.toString();
+  }
+  if (body.events !== undefined || !partial) {
+    const events = body.events;
+    if (!Array.isArray(events) || !events.length || events.some(e => !EVENT_TYPES.includes(e))) {
+      return { error: 'bad_events', field: 'events' };
+    }
+    data.events = [...new Set(events)];
+  }
+  if (body.description !== undefined) data.description = String(body.description ?? '').trim().slice(0, 200);
+  if (body.enabled !== undefined) data.enabled = !!body.enabled;
+  return { data };
+}
+
+const shapeEndpoint = (e) => ({
+  id: e.id,
+  url: e.url,
+  description: e.description,
+  events: e.events,
+  enabled: e.enabled,
+  createdAt: e.createdAt
+});
+
+const shapeDelivery = (d) => ({
+  id: d.id,
+  endpointId: d.endpointId,
+  eventId: d.eventId,
+  eventType: d.eventType,
+  status: d.status,
+  attempts: d.attempts,
+  nextAttemptAt: d.nextAttemptAt,
+  responseStatus: d.responseStatus,
+  responseBody: d.responseBody,
+  error: d.error,
+  durationMs: d.durationMs,
+  log: d.log,
+  redeliveryOf: d.redeliveryOf,
+  deliveredAt: d.deliveredAt,
+  createdAt: d.createdAt
+});
+
+/* ------------------------------ Outbox ------------------------------ */
+// ingestItems' `created` → [{ type, data }] in the public payload shapes
+function intakeEvents(created) {
+  const out = [];
+  for (const l of created.leads) {
+    out.push({
+      type: 'lead.created',
+      data: {
+        id: l.id, name: l.name, email: l.email, phone: l.phone, snippet: l.snippet,
+        status: l.status, tags: l.tags, autoTags: l.autoTags, sessionId: l.sessionId, createdAt: l.createdAt
+      }
+    });
+  }
+  for (const c of created.conversations) {
+    out.push({ type: 'conversation.started', data: { id: c.id, sessionId: c.sessionId, startedAt: c.startedAt } });
+  }
+  for (const e of created.events) {
+    if (!e.type.startsWith('error:')) continue;
+    out.push({ type: 'error.logged', data: { id: e.id, user: e.type.slice(6), message: e.content, at: e.createdAt } });
+  }
+  for (const a of created.budgetAlerts) {
+    out.push({
+      type: 'budget.threshold',
+      data: { month: a.month, threshold: a.threshold, budgetUSD: a.budgetUSD, spendUSD: a.spendUSD, at: a.createdAt }
+    });
+  }
+  return out;
+}
+
+/**
+ * Queue deliveries for a committed-to-be intake batch. Call inside the
+ * intake transaction. Returns the number of deliveries queued.
+ */
+async function enqueueIntake(tx, tenantId, created) {
+  const events = intakeEvents(created);
+  if (!events.length) return 0;
+  const endpoints = await tx.webhookEndpoint.findMany({
+    where: { tenantId, enabled: true, events: { hasSome: [...new Set(events.map(e => e.type))] } },
+    select: { id: true, events: true }
+  });
+  if (!endpoints.length) return 0;
+
+  const now = new Date();
+  const rows = [];
+  for (const ev of events) {
+    const eventId = `evt_${crypto.randomUUID()}`;
+    const payload = { id: eventId, type: ev.type, createdAt: now, tenantId, data: ev.data };
+    for (const ep of endpoints) {
+      if (!ep.events.includes(ev.type)) continue;
+      rows.push({ tenantId, endpointId: ep.id, eventId, eventType: ev.type, payload, nextAttemptAt: now });
+    }
+  }
+  if (rows.length) await tx.webhookDelivery.createMany({ data: rows });
+  return rows.length;
+}
+
+/**
+ * Queue a fresh copy of a delivery (same event id and payload), e.g. after
+ * the receiver was fixed. Returns the new row.
+ */
+function redeliver(db, delivery) {
+  return db.webhookDelivery.create({
+    data: {
+      tenantId: delivery.tenantId,
+      endpointId: delivery.endpointId,
+      eventId: delivery.eventId,
+      eventType: delivery.eventType,
+      payload: delivery.payload,
+      redeliveryOf: delivery.id,
+      nextAttemptAt: new Date()
+    }
+  });
+}
+
+/* ------------------------------ Worker ------------------------------ */
+// Lease due rows of enabled endpoints; SKIP LOCKED keeps concurrent workers apart
+async function claimDue(prisma, now) {
+  const at = now.toISOString();
+  const until = new Date(now.getTime() + LEASE_MS).toISOString();
+  return prisma.$queryRaw`
+    UPDATE "WebhookDelivery" d SET "lockedUntil" = ${until}::timestamp
+    WHERE d."id" IN (
+      SELECT w."id" FROM "WebhookDelivery" w
+      JOIN "WebhookEndpoint" e ON e."id" = w."endpointId" AND e."enabled"
+      WHERE w."status" = 'pending'
+        AND w."nextAttemptAt" <= ${at}::timestamp
+        AND (w."lockedUntil" IS NULL OR w."lockedUntil" < ${at}::timestamp)
+      ORDER BY w."nextAttemptAt"
+      LIMIT ${CLAIM_BATCH}
+      FOR UPDATE OF w SKIP LOCKED)
+    RETURNING d.*`;
+}
+
+async function attempt(endpoint, delivery) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const started = Date.now();
+  try {
+    await assertPublicHost(endpoint.url);
+    const r = await fetch(endpoint.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'solomon-webhooks/1',
+        'X-Timestamp': String(timestamp),
+        'X-Signature': `sha256=${sign(decrypt(endpoint.secret), timestamp, body)}`,
+        'X-Webhook-Event': delivery.eventType,
+        'X-Webhook-Id': delivery.eventId,
+        'X-Webhook-Delivery': delivery.id
+      },
+      body,
+      redirect: 'manual', // a redirect is a receiver misconfiguration, not a success
+      signal: AbortSignal.timeout(TIMEOUT_MS)
+    });
+    const text = await r.text().catch(() => '');
+    return {
+      ok: r.status >= 200 && r.status < 300,
+      status: r.status,
+      body: text.slice(0, RESPONSE_BODY_MAX),
+      error: r.status >= 200 && r.status < 300 ? null : `http_${r.status}`,
+      durationMs: Date.now() - started
+    };
+  } catch (e) {
+    const error = e.name === 'TimeoutError' ? 'timeout' : String(e.cause?.code || e.code || e.message || e);
+    return { ok: false, status: null, body: null, error, durationMs: Date.now() - started };
+  }
+}
+
+async function deliverOne(prisma, endpoint, d) {
+  const res = await attempt(endpoint, d);
+  const attempts = d.attempts + 1;
+  const now = new Date();
+  const log = [...(Array.isArray(d.log) ? d.log : []), { at: now, status: res.status, error: res.error, durationMs: res.durationMs }];
+  const done = res.ok || attempts >= MAX_ATTEMPTS;
+  await prisma.webhookDelivery.update({
+    where: { id: d.id },
+    data: {
+      status: res.ok ? 'delivered' : done ? 'failed' : 'pending',
+      attempts,
+      nextAttemptAt: done ? null : new Date(now.getTime() + backoffMs(attempts)),
+      lockedUntil: null,
+      responseStatus: res.status,
+      responseBody: res.body,
+      error: res.error,
+      durationMs: res.durationMs,
+      deliveredAt: res.ok ? now : null,
+      log
+    }
+  });
+}
+
+/**
+ * Job body: send due deliveries for at most `budgetMs`. Also run right
+ * after intake (kick) so deliveries normally go out within a second.
+ */
+async function runDeliveries(prisma, { budgetMs = 20_000 } = {}) {
+  const deadline = Date.now() + budgetMs;
+  while (Date.now() < deadline) {
+    const due = await claimDue(prisma, new Date());
+    if (!due.length) return;
+    const endpoints = await prisma.webhookEndpoint.findMany({
+      where: { id: { in: [...new Set(due.map(d => d.endpointId))] } },
+      select: { id: true, url: true, secret: true }
+    });
+    const byId = new Map(endpoints.map(e => [e.id, e]));
+    await Promise.all(due.map(d => deliverOne(prisma, byId.get(d.endpointId), d).catch(e => {
+      console.error('webhook_delivery_error', d.id, e.message);
+    })));
+  }
+}
+
+// Immediate, in-process run after intake; overlapping kicks collapse into one
+let kicking = false;
+function kick(prisma) {
+  if (kicking) return;
+  kicking = true;
+  setImmediate(async () => {
+    try {
+      await runDeliveries(prisma);
+    } catch (e) {
+      console.error('webhook_kick_error', e.message);
+    } finally {
+      kicking = false;
+    }
+  });
+}
+
+// Finished deliveries older than WEBHOOK_LOG_DAYS
+function pruneDeliveries(prisma) {
+  return prisma.webhookDelivery.deleteMany({
+    where: {
+      status: { in: ['delivered', 'failed'] },
+      createdAt: { lt: new Date(Date.now() - LOG_DAYS * 86400_000) }
+    }
+  });
+}
+
+module.exports = {
+  EVENT_TYPES,
+  MAX_ATTEMPTS,
+  generateSecret,
+  sign,
+  backoffMs,
+  validateEndpointInput,
+  shapeEndpoint,
+  shapeDelivery,
+  enqueueIntake,
+  redeliver,
+  runDeliveries,
+  kick,
+  pruneDeliveries,
+};